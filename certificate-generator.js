@@ -4,27 +4,55 @@
  */
 
 class CertificateGenerator {
-    static COURSE_NAME = "English for Uzbek Seasonal Workers – CEFR A0–A1";
     static ORGANIZATION = "Zoir UK - English Learning Platform";
 
     /**
-     * Check if user is eligible for certificate
+     * Certificate type per course level (see CourseManifest.LEVELS)
      */
-    static isEligible() {
+    static CERTIFICATES = {
+        A1: {
+            courseName: "English for Uzbek Seasonal Workers – CEFR A0–A1",
+            badge: 'A1',
+            skills: "<strong>Vocabulary</strong> (750 words) • <strong>Grammar</strong> (A0-A1 level) • <strong>Everyday English</strong> • <strong>Productive Skills</strong>",
+            skillsUzbek: "<strong>Lug'at</strong> (750 so'z) • <strong>Grammatika</strong> (A0-A1 daraja) • <strong>Kundalik ingliz tili</strong> • <strong>Amaliy ko'nikmalar</strong>"
+        },
+        A2: {
+            courseName: "English for Uzbek Seasonal Workers – CEFR A2",
+            badge: 'A2',
+            skills: "<strong>Workplace Communication</strong> • <strong>Grammar</strong> (A2 level) • <strong>UK Services and Procedures</strong> • <strong>Writing</strong>",
+            skillsUzbek: "<strong>Ish joyidagi muloqot</strong> • <strong>Grammatika</strong> (A2 daraja) • <strong>Buyuk Britaniya xizmatlari</strong> • <strong>Yozish</strong>"
+        }
+    };
+
+    static getCertificateType(levelId = CourseManifest.DEFAULT_LEVEL) {
+        return this.CERTIFICATES[levelId] || null;
+    }
+
+    /**
+     * Check if the active learner profile is eligible for a level's certificate
+     */
+    static isEligible(levelId = CourseManifest.DEFAULT_LEVEL) {
         if (typeof ProgressTracker === 'undefined') {
             console.error('ProgressTracker not available');
             return false;
         }
 
-        return ProgressTracker.isCourseCompleted();
+        return this.getCertificateType(levelId) !== null && ProgressTracker.isCourseCompleted(levelId);
     }
 
     /**
-     * Generate certificate with student name
+     * Message shown when a level's certificate is not earned yet
      */
-    static generateCertificate(studentName) {
-        if (!this.isEligible()) {
-            alert('Sertifikat olish uchun barcha 250 mashqni bajarishingiz kerak.');
+    static getIneligibleMessage(levelId = CourseManifest.DEFAULT_LEVEL) {
+        return `Sertifikat olish uchun ${levelId} darajasining barcha ${CourseManifest.getTotalExercises(levelId)} mashqini bajarishingiz kerak.`;
+    }
+
+    /**
+     * Generate a level's certificate with student name
+     */
+    static generateCertificate(studentName, levelId = CourseManifest.DEFAULT_LEVEL) {
+        if (!this.isEligible(levelId)) {
+            alert(this.getIneligibleMessage(levelId));
             return false;
         }
 
@@ -34,14 +62,14 @@ class CertificateGenerator {
         }
 
         // Create certificate content
-        const certificateHtml = this.createCertificateHTML(studentName);
+        const certificateHtml = this.createCertificateHTML(studentName, levelId);
 
         // Open print dialog
         this.printCertificate(certificateHtml);
 
         // Mark certificate as generated
         if (typeof ProgressTracker !== 'undefined') {
-            ProgressTracker.markCertificateGenerated(studentName);
+            ProgressTracker.markCertificateGenerated(studentName, levelId);
         }
 
         return true;
@@ -62,9 +90,11 @@ class CertificateGenerator {
     }
 
     /**
-     * Create certificate HTML content
+     * Create certificate HTML content for a course level
      */
-    static createCertificateHTML(studentName) {
+    static createCertificateHTML(studentName, levelId = CourseManifest.DEFAULT_LEVEL) {
+        const certificate = this.getCertificateType(levelId);
+        const totalChapters = CourseManifest.getTotalChapters(levelId);
         const completionDate = new Date().toLocaleDateString('en-GB', {
             day: 'numeric',
             month: 'long',
@@ -400,7 +430,7 @@ class CertificateGenerator {
             <div class="certificate-container">
                 <div class="certificate-border"></div>
                 <div class="decorative-elements"></div>
-                <div class="achievement-badge">A1</div>
+                <div class="achievement-badge">${certificate.badge}</div>
                 
                 <div class="certificate-header">
                     <h1 class="certificate-title">Certificate of Completion</h1>
@@ -416,16 +446,14 @@ class CertificateGenerator {
                     <p>has successfully completed the comprehensive course</p>
                     <p><span class="uzbek-text"><em>quyidagi kursni muvaffaqiyatli yakunlagan</em></span></p>
                     
-                    <div class="course-name">${this.COURSE_NAME}</div>
+                    <div class="course-name">${certificate.courseName}</div>
                     
                     <div class="course-details">
-                        covering all 25 chapters including:<br>
-                        <strong>Vocabulary</strong> (750 words) • <strong>Grammar</strong> (A0-A1 level) • 
-                        <strong>Everyday English</strong> • <strong>Productive Skills</strong><br><br>
+                        covering all ${totalChapters} chapters including:<br>
+                        ${certificate.skills}<br><br>
                         
-                        <span class="uzbek-course-details"><em>25 ta bobni o'z ichiga olgan holda:<br>
-                        <strong>Lug'at</strong> (750 so'z) • <strong>Grammatika</strong> (A0-A1 daraja) • 
-                        <strong>Kundalik ingliz tili</strong> • <strong>Amaliy ko'nikmalar</strong></em></span>
+                        <span class="uzbek-course-details"><em>${totalChapters} ta bobni o'z ichiga olgan holda:<br>
+                        ${certificate.skillsUzbek}</em></span>
                     </div>
                     
                     <p>demonstrating proficiency in English language skills<br>
@@ -486,36 +514,42 @@ class CertificateGenerator {
     }
 
     /**
-     * Show certificate generation form
+     * Show certificate generation form for a course level
      */
-    static showCertificateForm() {
-        if (!this.isEligible()) {
-            alert('Sertifikat olish uchun barcha 250 mashqni bajarishingiz kerak.');
+    static showCertificateForm(levelId = CourseManifest.DEFAULT_LEVEL) {
+        if (!this.isEligible(levelId)) {
+            alert(this.getIneligibleMessage(levelId));
             return;
         }
 
+        // Suggest the active learner profile's name (unless it is still the placeholder)
+        const profileName = ProgressTracker.getActiveProfile().name;
+        const suggestedName = ProgressTracker.getProgress().studentName ||
+            (profileName !== ProgressTracker.DEFAULT_PROFILE_NAME ? profileName : '');
+
         const studentName = prompt(
             'Sertifikat uchun ismingizni kiriting:\n' +
-            'Enter your name for the certificate:'
+            'Enter your name for the certificate:',
+            suggestedName
         );
 
         if (studentName) {
-            this.generateCertificate(studentName);
+            this.generateCertificate(studentName, levelId);
         }
     }
 
     /**
-     * Create certificate button HTML
+     * Create certificate button HTML for a course level
      */
-    static createCertificateButton() {
-        const isEligible = this.isEligible();
+    static createCertificateButton(levelId = CourseManifest.DEFAULT_LEVEL) {
+        const isEligible = this.isEligible(levelId);
         const buttonClass = isEligible ? 'certificate-btn-enabled' : 'certificate-btn-disabled';
         const buttonText = isEligible ? 'Sertifikat olish / Get Certificate' : 'Kursni yakunlang / Complete Course';
 
         return `
             <button 
                 class="certificate-btn ${buttonClass}" 
-                onclick="CertificateGenerator.showCertificateForm()"
+                onclick="CertificateGenerator.showCertificateForm('${levelId}')"
                 ${!isEligible ? 'disabled' : ''}
             >
                 ${buttonText}
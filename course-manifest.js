@@ -0,0 +1,162 @@
+/**
+ * Course Manifest for English for Uzbek Seasonal Workers
+ * The single list of chapters, their exercise counts and which ones count toward course completion
+ */
+
+class CourseManifest {
+    static DEFAULT_EXERCISE_COUNT = 10;
+    static DEFAULT_LEVEL = 'A1';
+
+    /**
+     * CEFR levels in course order
+     * requires: the level whose completion unlocks this one
+     */
+    static LEVELS = [
+        { id: 'A1', title: "CEFR A0–A1", description: "Boshlang'ich daraja", requires: null },
+        { id: 'A2', title: "CEFR A2", description: "Keyingi bosqich: A2 darajasi", requires: 'A1' }
+    ];
+
+    /**
+     * Chapters in course order
+     * exercises: number of checked exercises on the page
+     * countsTowardCompletion: false for chapters outside the graded course (Chapter 0 is foundation)
+     * available: false for planned chapters whose pages do not exist yet
+     */
+    static CHAPTERS = [
+        { id: 0, level: 'A1', title: "Foundations: Alphabet & Numbers", description: "Asos: Alifbo va raqamlar", file: "Chapter_0_Foundations_Alphabet_Numbers.html", color: "#2c3e50", exercises: 10, countsTowardCompletion: false },
+        { id: 1, level: 'A1', title: "Greetings, Personal Info", description: "Salomlashish va shaxsiy ma'lumotlar", file: "English_for_Uzbek_Seasonal_Workers.html", color: "#3498db", exercises: 10 },
+        { id: 2, level: 'A1', title: "Time, Calendar", description: "Vaqt va kalendar", file: "Chapter_2_Numbers_Time.html", color: "#27ae60", exercises: 10 },
+        { id: 3, level: 'A1', title: "Everyday Objects and Colours", description: "Kundalik buyumlar va ranglar", file: "Chapter_3_Objects_Colours.html", color: "#9b59b6", exercises: 10 },
+        { id: 4, level: 'A1', title: "Basic Actions and Everyday Verbs", description: "Asosiy harakatlar va kundalik fe'llar", file: "Chapter_4_Basic_Verbs.html", color: "#f39c12", exercises: 10 },
+        { id: 5, level: 'A1', title: "Description: Adjectives and Adverbs", description: "Tavsif: sifat va ravishlar", file: "Chapter_5_Adjectives_Adverbs.html", color: "#e74c3c", exercises: 10 },
+        { id: 6, level: 'A1', title: "Accommodation and Furniture", description: "Turar joy va mebel", file: "Chapter_6_Accommodation_Furniture.html", color: "#16a085", exercises: 10 },
+        { id: 7, level: 'A1', title: "Transportation and Travel", description: "Transport va sayohat", file: "Chapter_7_Transportation_Travel.html", color: "#8e44ad", exercises: 10 },
+        { id: 8, level: 'A1', title: "Places in Town and Navigation", description: "Shahardagi joylar va yo'l topish", file: "Chapter_8_Places_Navigation.html", color: "#2ecc71", exercises: 10 },
+        { id: 9, level: 'A1', title: "Shopping and Transactions", description: "Xarid qilish va to'lovlar", file: "Chapter_9_Shopping_Transactions.html", color: "#e67e22", exercises: 10 },
+        { id: 10, level: 'A1', title: "Clothing and Weather", description: "Kiyim va ob-havo", file: "Chapter_10_Clothing_Weather.html", color: "#9c27b0", exercises: 10 },
+        { id: 11, level: 'A1', title: "Food, Cooking, and Ordering", description: "Ovqat, pishirish va buyurtma berish", file: "Chapter_11_Food_Cooking_Ordering.html", color: "#1abc9c", exercises: 10 },
+        { id: 12, level: 'A1', title: "Health and Medical Procedures", description: "Sog'liq va tibbiy protseduralar", file: "Chapter_12_Health_Medical.html", color: "#34495e", exercises: 10 },
+        { id: 13, level: 'A1', title: "Farm Work: Tasks and Safety", description: "Ferma ishi: vazifalar va xavfsizlik", file: "Chapter_13_Farm_Work_Tasks.html", color: "#2980b9", exercises: 10 },
+        { id: 14, level: 'A1', title: "Employer Communication: Instructions", description: "Ish beruvchi bilan muloqot: ko'rsatmalar", file: "Chapter_14_Employer_Instructions.html", color: "#2c3e50", exercises: 10 },
+        { id: 15, level: 'A1', title: "Requests and Permissions", description: "So'rovlar va ruxsatlar", file: "Chapter_15_Requests_Permissions.html", color: "#d35400", exercises: 10 },
+        { id: 16, level: 'A1', title: "Banking and Money Management", description: "Bank ishlari va pul boshqaruvi", file: "Chapter_16_Banking_Finance.html", color: "#bdc3c7", exercises: 10 },
+        { id: 17, level: 'A1', title: "Emergency Situations and Safety", description: "Favqulodda vaziyatlar va xavfsizlik", file: "Chapter_17_Emergency_Safety.html", color: "#c0392b", exercises: 10 },
+        { id: 18, level: 'A1', title: "Core Communication Skills", description: "Asosiy muloqot ko'nikmalari", file: "Chapter_18_Communication_Skills.html", color: "#7f8c8d", exercises: 10 },
+        { id: 19, level: 'A1', title: "Countries, Nationalities, Languages", description: "Mamlakatlar, milliyatlar, tillar", file: "Chapter_19_Countries_Languages.html", color: "#f1c40f", exercises: 10 },
+        { id: 20, level: 'A1', title: "Free Time and Social Life", description: "Bo'sh vaqt va ijtimoiy hayot", file: "Chapter_20_Free_Time_Social.html", color: "#3498db", exercises: 10 },
+        { id: 21, level: 'A1', title: "Sports and Activities", description: "Sport va faoliyatlar", file: "Chapter_21_Sports_Activities.html", color: "#27ae60", exercises: 10 },
+        { id: 22, level: 'A1', title: "Family and Relationships", description: "Oila va munosabatlar", file: "Chapter_22_Family_Relations.html", color: "#9b59b6", exercises: 10 },
+        { id: 23, level: 'A1', title: "Writing and Filling Out Forms", description: "Yozish va shakllarni to'ldirish", file: "Chapter_23_Writing_Forms.html", color: "#f39c12", exercises: 10 },
+        { id: 24, level: 'A1', title: "Jobs, Future Plans, and Review", description: "Ishlar, kelajak rejalari va takrorlash", file: "Chapter_24_Jobs_Future_Review.html", color: "#e74c3c", exercises: 10 },
+
+        // A2 level: set available to true once a chapter page is published
+        { id: 26, level: 'A2', title: "Advanced Workplace Communication", description: "Murakkab ish joyidagi muloqot", file: "Chapter_26_Advanced_Workplace.html", color: "#673ab7", exercises: 10, available: false },
+        { id: 27, level: 'A2', title: "UK Legal and Administrative Procedures", description: "Buyuk Britaniya qonuniy va ma'muriy protseduralar", file: "Chapter_27_Legal_Procedures.html", color: "#3f51b5", exercises: 10, available: false },
+        { id: 28, level: 'A2', title: "Complex Healthcare Interactions", description: "Murakkab tibbiy muloqot", file: "Chapter_28_Healthcare_Advanced.html", color: "#2196f3", exercises: 10, available: false },
+        { id: 29, level: 'A2', title: "Professional Development", description: "Kasbiy rivojlanish", file: "Chapter_29_Professional_Development.html", color: "#00bcd4", exercises: 10, available: false },
+        { id: 30, level: 'A2', title: "Housing Rights and Responsibilities", description: "Uy-joy huquqlari va majburiyatlari", file: "Chapter_30_Housing_Rights.html", color: "#009688", exercises: 10, available: false },
+        { id: 31, level: 'A2', title: "Digital Services and Online Applications", description: "Raqamli xizmatlar va onlayn ilovalar", file: "Chapter_31_Digital_Services.html", color: "#4caf50", exercises: 10, available: false },
+        { id: 32, level: 'A2', title: "Advanced Grammar and Writing", description: "Ilg'or grammatika va yozish", file: "Chapter_32_Advanced_Grammar.html", color: "#8bc34a", exercises: 10, available: false },
+        { id: 33, level: 'A2', title: "Cultural Integration and Social Skills", description: "Madaniy integratsiya va ijtimoiy ko'nikmalar", file: "Chapter_33_Cultural_Integration.html", color: "#cddc39", exercises: 10, available: false },
+        { id: 34, level: 'A2', title: "Career Advancement Strategies", description: "Martaba rivojlantirish strategiyalari", file: "Chapter_34_Career_Advancement.html", color: "#ffeb3b", exercises: 10, available: false },
+        { id: 35, level: 'A2', title: "A2 Completion and B1 Preparation", description: "A2 yakunlash va B1 tayyorgarlik", file: "Chapter_35_A2_Completion.html", color: "#ff9800", exercises: 10, available: false }
+    ];
+
+    /**
+     * Published chapters in course order; planned chapters only when asked for
+     */
+    static getChapters(includePlanned = false) {
+        return this.CHAPTERS.filter(chapter => includePlanned || chapter.available !== false);
+    }
+
+    static getChapterIds() {
+        return this.getChapters().map(chapter => chapter.id);
+    }
+
+    /**
+     * Look up a published chapter by id (numbers and numeric strings both work)
+     */
+    static getChapter(chapterId) {
+        const id = Number(chapterId);
+        return this.getChapters().find(chapter => chapter.id === id) || null;
+    }
+
+    static hasChapter(chapterId) {
+        return this.getChapter(chapterId) !== null;
+    }
+
+    static getExerciseCount(chapterId) {
+        const chapter = this.getChapter(chapterId);
+        return chapter && chapter.exercises ? chapter.exercises : this.DEFAULT_EXERCISE_COUNT;
+    }
+
+    static getChapterFile(chapterId) {
+        const chapter = this.getChapter(chapterId);
+        return chapter ? chapter.file : null;
+    }
+
+    /**
+     * The chapter after this one in course order, or null at the end of the course
+     */
+    static getNextChapter(chapterId) {
+        const chapters = this.getChapters();
+        const index = chapters.findIndex(chapter => chapter.id === Number(chapterId));
+        return index >= 0 && index < chapters.length - 1 ? chapters[index + 1] : null;
+    }
+
+    static getLevels() {
+        return this.LEVELS;
+    }
+
+    static getLevel(levelId) {
+        return this.LEVELS.find(level => level.id === levelId) || null;
+    }
+
+    /**
+     * Levels with at least one published chapter
+     */
+    static getPublishedLevels() {
+        return this.LEVELS.filter(level => this.getLevelChapters(level.id).length > 0);
+    }
+
+    /**
+     * Level of a published chapter, or null for unknown chapters
+     */
+    static getChapterLevel(chapterId) {
+        const chapter = this.getChapter(chapterId);
+        return chapter ? chapter.level : null;
+    }
+
+    /**
+     * Chapters of one level in course order; planned chapters only when asked for
+     */
+    static getLevelChapters(levelId, includePlanned = false) {
+        return this.getChapters(includePlanned).filter(chapter => chapter.level === levelId);
+    }
+
+    /**
+     * Chapters whose exercises make up a level's completion and its certificate
+     */
+    static getCompletionChapters(levelId = this.DEFAULT_LEVEL) {
+        return this.getLevelChapters(levelId).filter(chapter => chapter.countsTowardCompletion !== false);
+    }
+
+    static getTotalChapters(levelId = this.DEFAULT_LEVEL) {
+        return this.getCompletionChapters(levelId).length;
+    }
+
+    static getTotalExercises(levelId = this.DEFAULT_LEVEL) {
+        return this.getCompletionChapters(levelId)
+            .reduce((total, chapter) => total + this.getExerciseCount(chapter.id), 0);
+    }
+}
+
+// Make CourseManifest available globally
+if (typeof window !== 'undefined') {
+    window.CourseManifest = CourseManifest;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseManifest;
+}
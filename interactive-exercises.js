@@ -8,6 +8,12 @@
  * - MultipleChoiceExercise: Multiple choice exercises
  * - TranslationExercise: Translation exercises
  * - ScenarioExercise: Farm-specific scenario exercises
+ * - SentenceOrderExercise: Put shuffled word tiles in order
+ * - MatchingExercise: Pair English words with Uzbek or transcription
+ * - ListeningExercise: Hear a sentence, then pick or type what was said
+ * - DictationExercise: Type the sentence you hear
+ * - SpeakingExercise: Answer a role-play aloud, with typing as the fallback
+ * - DialogueSimulator: Branching multi-turn conversation with a scripted partner
  */
 
 /**
@@ -22,6 +28,8 @@ class Exercise {
         this.exerciseIndex = exerciseIndex;
         this.completed = false;
         this.attempts = 0;
+        this.hintsUsed = 0;
+        this.bestScore = 0;
         this.type = 'base';
         this.element = null;
     }
@@ -69,33 +77,66 @@ class Exercise {
         return removeArticles(normalizedUser) === removeArticles(normalizedCorrect);
     }
 
+    /**
+     * Score this attempt (0-1) from correctness or word overlap, the attempt number and hints already shown
+     */
+    scoreAnswer(userInput, isCorrect) {
+        const correctAnswer = Array.isArray(this.correctAnswer) ? this.correctAnswer.join('|') : this.correctAnswer;
+        return calculateAttemptScore(userInput, correctAnswer, {
+            isCorrect,
+            attemptNumber: this.attempts,
+            hintsUsed: this.hintsUsed,
+            direction: this.direction || null
+        });
+    }
+
     /**
      * Check answer and provide feedback
      */
     checkAnswer(userInput) {
         this.attempts++;
         const isCorrect = this.validateAnswer(userInput);
+        const score = this.scoreAnswer(userInput, isCorrect);
+        this.bestScore = Math.max(this.bestScore, score);
         
         if (isCorrect && !this.completed) {
             this.completed = true;
         }
         
+        const feedback = this.getFeedback(isCorrect, userInput, score);
+        
         return {
             isCorrect,
-            feedback: this.getFeedback(isCorrect, userInput),
+            score,
+            bestScore: this.bestScore,
+            feedback,
             completed: this.completed
         };
     }
 
+    /**
+     * Next step of the hint ladder, or null once the answer has been revealed
+     */
+    takeHint() {
+        if (this.hintsUsed >= HINT_LADDER_STEPS) {
+            return null;
+        }
+        
+        this.hintsUsed++;
+        const explanation = this.hint ? String(this.hint).replace(/^Maslahat:\s*/, '') : '';
+        const type = this instanceof ScenarioExercise ? 'scenario' : this.type;
+        return getHintLadderStep(this.hintsUsed, this.correctAnswer, explanation, type);
+    }
+
     /**
      * Get feedback message
      */
-    getFeedback(isCorrect, userInput) {
+    getFeedback(isCorrect, userInput, score = 1) {
         if (isCorrect) {
             return {
                 type: 'success',
                 icon: '✓',
-                message: "To'g'ri! (Correct!)",
+                message: `To'g'ri! (Correct!)${formatScoreSuffix(score)}`,
                 class: 'correct'
             };
         } else {
@@ -106,8 +147,8 @@ class Exercise {
             return {
                 type: 'error',
                 icon: '✗',
-                message: `Noto'g'ri. To'g'ri javob: <strong>${correctAnswerDisplay}</strong>`,
-                hint: this.hint ? `Maslahat: ${this.hint}` : null,
+                message: `Noto'g'ri. To'g'ri javob: <strong>${correctAnswerDisplay}</strong>` +
+                    getAnswerDiffHTML(userInput, Array.isArray(this.correctAnswer) ? this.correctAnswer.join('|') : this.correctAnswer, this.direction || null),
                 class: 'incorrect'
             };
         }
@@ -144,6 +185,7 @@ class FillInBlankExercise extends Exercise {
                     <label for="${inputId}" class="sr-only">Enter your answer</label>
                     <input type="text" class="exercise-input" id="${inputId}" data-exercise="${this.exerciseIndex}" placeholder="${this.placeholder}" aria-describedby="${feedbackId}" aria-required="true">
                     <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" aria-describedby="${inputId}" type="button">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
                 </div>
                 <div class="exercise-feedback" id="${feedbackId}" style="display: none;" aria-live="polite" aria-atomic="true"></div>
             </div>
@@ -204,15 +246,24 @@ class TranslationExercise extends Exercise {
         this.placeholder = direction === 'en-uz' ? 'O\'zbek tilidagi tarjimani kiriting...' : 'Enter English translation...';
     }
 
+    /**
+     * Translations into Uzbek accept Cyrillic and every o'/g' apostrophe variant
+     */
+    validateAnswer(userInput) {
+        if (!userInput) return false;
+        return validateAnswer(userInput, this.correctAnswer, this.element, this.direction);
+    }
+
     generateHTML() {
         return `
-            <div class="exercise translation-exercise" data-type="translation" data-answer="${this.correctAnswer}" data-exercise="${this.exerciseIndex}">
+            <div class="exercise translation-exercise" data-type="translation" data-direction="${this.direction}" data-answer="${this.correctAnswer}" data-exercise="${this.exerciseIndex}">
                 <div class="exercise-question">
                     <strong>Tarjima qiling / Translate:</strong> ${this.sourceText}
                 </div>
                 <div class="exercise-input-group">
                     <input type="text" class="exercise-input" data-exercise="${this.exerciseIndex}" placeholder="${this.placeholder}" aria-label="Translation input">
                     <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" aria-label="Check translation">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
                 </div>
                 <div class="exercise-feedback" style="display: none;" aria-live="polite"></div>
             </div>
@@ -245,6 +296,7 @@ class ScenarioExercise extends Exercise {
                 <div class="exercise-input-group">
                     <input type="text" class="exercise-input" data-exercise="${this.exerciseIndex}" placeholder="Javobingizni kiriting..." aria-label="Scenario response input">
                     <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" aria-label="Check scenario response">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
                 </div>
                 <div class="exercise-feedback" style="display: none;" aria-live="polite"></div>
             </div>
@@ -337,8 +389,8 @@ class FarmSafetyExercise extends ScenarioExercise {
         return baseValid || hasSafetyKeywords;
     }
 
-    getFeedback(isCorrect, userInput) {
-        const baseFeedback = super.getFeedback(isCorrect, userInput);
+    getFeedback(isCorrect, userInput, score = 1) {
+        const baseFeedback = super.getFeedback(isCorrect, userInput, score);
         
         if (!isCorrect) {
             // Add safety-specific feedback
@@ -397,6 +449,7 @@ class RolePlayingExercise extends Exercise {
                 <div class="exercise-input-group">
                     <textarea class="exercise-input exercise-textarea" data-exercise="${this.exerciseIndex}" placeholder="Javobingizni kiriting..." rows="3" aria-label="Role playing response"></textarea>
                     <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" aria-label="Check role playing response">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
                 </div>
                 <div class="exercise-feedback" style="display: none;" aria-live="polite"></div>
             </div>
@@ -428,1338 +481,3842 @@ class RolePlayingExercise extends Exercise {
     }
 }
 
-class InteractiveExercises {
-    constructor(chapterId) {
-        this.chapterId = chapterId;
-        this.exercises = [];
-        this.exerciseObjects = []; // Store Exercise class instances
-        this.currentExercise = null;
-        this.init();
+/**
+ * Sentence Order Exercise Class
+ * Learners put shuffled word tiles in order; the answer lists every valid order, separated by |
+ */
+class SentenceOrderExercise extends Exercise {
+    constructor(question, correctAnswer, hint = '', exerciseIndex = 0) {
+        super(question, correctAnswer, hint, exerciseIndex);
+        this.type = 'sentence-order';
+        // Tiles keep the answer's own capitalisation; correctAnswer is lowercased by the base class
+        this.orders = String(correctAnswer || '').split('|').map(order => order.trim()).filter(Boolean);
+        this.correctAnswer = this.normalizeAnswer(this.orders);
+        this.words = shuffleSentenceWords(this.orders);
     }
 
-    /**
-     * Initialize the exercise system
-     */
-    init() {
-        this.setupEventListeners();
-        this.loadExercises();
-        this.updateProgressDisplay();
-        this.setupAccessibility();
+    validateAnswer(userInput) {
+        if (!userInput) return false;
+        return validateSentenceOrderAnswer(userInput, this.orders.join('|'));
     }
 
     /**
-     * Setup accessibility features
+     * The sentence line and the shuffled word bank
      */
-    setupAccessibility() {
-        // Add keyboard navigation support
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Tab') {
-                this.handleTabNavigation(event);
-            }
-            
-            // Add Enter key support for buttons
-            if (event.key === 'Enter' && event.target.classList.contains('check-answer-btn')) {
-                event.preventDefault();
-                event.target.click();
-            }
-            
-            // Add Space key support for radio buttons
-            if (event.key === ' ' && event.target.type === 'radio') {
-                event.preventDefault();
-                event.target.checked = true;
-                event.target.dispatchEvent(new Event('change'));
-            }
-        });
-
-        // Add focus management
-        const exerciseInputs = document.querySelectorAll('.exercise-input');
-        exerciseInputs.forEach(input => {
-            input.addEventListener('focus', () => {
-                input.parentElement.parentElement.classList.add('focused');
-                // Announce exercise to screen readers
-                this.announceExercise(input);
-            });
-            
-            input.addEventListener('blur', () => {
-                input.parentElement.parentElement.classList.remove('focused');
-            });
-        });
+    getTilesHTML() {
+        const tiles = this.words.map(word =>
+            `<button type="button" class="word-tile" draggable="true">${word}</button>`
+        ).join('');
+        
+        return `
+                <div class="sentence-order-line" role="group" aria-label="Sizning gapingiz / Your sentence" data-placeholder="So'zlarni shu yerga qo'ying / Put the words here"></div>
+                <div class="sentence-order-bank" role="group" aria-label="So'zlar / Word tiles">${tiles}</div>
+                <p class="sentence-order-help">Bosing yoki suring; ← → bilan joyini o'zgartiring / Tap or drag; move with ← →</p>
+        `;
+    }
 
-        // Add ARIA live region for announcements
-        this.createAriaLiveRegion();
+    generateHTML() {
+        const questionId = `question-${this.exerciseIndex}`;
+        const feedbackId = `feedback-${this.exerciseIndex}`;
+        
+        return `
+            <div class="exercise sentence-order-exercise" data-type="sentence-order" data-validate="sentence-order" data-answer="${this.orders.join('|')}" data-exercise="${this.exerciseIndex}" role="group" aria-labelledby="${questionId}">
+                <div class="exercise-question" id="${questionId}">${this.question}</div>
+                ${this.getTilesHTML()}
+                <div class="exercise-input-group">
+                    <input type="hidden" class="exercise-input" data-exercise="${this.exerciseIndex}">
+                    <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" type="button" aria-describedby="${feedbackId}">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
+                </div>
+                <div class="exercise-feedback" id="${feedbackId}" style="display: none;" aria-live="polite" aria-atomic="true"></div>
+            </div>
+        `;
     }
 
     /**
-     * Create ARIA live region for screen reader announcements
+     * Add tiles to chapter markup that only declares data-type="sentence-order" and data-answer
      */
-    createAriaLiveRegion() {
-        if (!document.getElementById('aria-live-region')) {
-            const liveRegion = document.createElement('div');
-            liveRegion.id = 'aria-live-region';
-            liveRegion.className = 'sr-only';
-            liveRegion.setAttribute('aria-live', 'polite');
-            liveRegion.setAttribute('aria-atomic', 'true');
-            document.body.appendChild(liveRegion);
+    mountTiles(element) {
+        if (!element || element.querySelector('.sentence-order-bank')) return;
+        
+        const inputGroup = element.querySelector('.exercise-input-group');
+        if (inputGroup) {
+            inputGroup.insertAdjacentHTML('beforebegin', this.getTilesHTML());
+        } else {
+            element.insertAdjacentHTML('beforeend', this.getTilesHTML());
+        }
+        
+        if (!element.querySelector('.exercise-input')) {
+            (inputGroup || element).insertAdjacentHTML('afterbegin',
+                `<input type="hidden" class="exercise-input" data-exercise="${this.exerciseIndex}">`);
         }
     }
+}
 
-    /**
-     * Announce exercise information to screen readers
-     */
-    announceExercise(inputElement) {
-        const exerciseIndex = parseInt(inputElement.dataset.exercise);
-        const exercise = this.exercises[exerciseIndex];
-        
-        if (exercise) {
-            const announcement = `Exercise ${exerciseIndex + 1}. ${exercise.question}`;
-            this.announceToScreenReader(announcement);
+/**
+ * Words of the first valid order, shuffled so the tiles do not start out as a valid answer
+ */
+function shuffleSentenceWords(orders) {
+    const words = orders.length > 0 ? orders[0].split(/\s+/).filter(Boolean) : [];
+    const validOrders = orders.map(order => normalizeAnswer(order));
+    let shuffled = words.slice();
+    
+    for (let tries = 0; tries < 10; tries++) {
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        if (!validOrders.includes(normalizeAnswer(shuffled.join(' ')))) {
+            break;
         }
     }
+    
+    return shuffled;
+}
 
-    /**
-     * Announce message to screen readers
-     */
-    announceToScreenReader(message) {
-        const liveRegion = document.getElementById('aria-live-region');
-        if (liveRegion) {
-            liveRegion.textContent = message;
-            // Clear after announcement
-            setTimeout(() => {
-                liveRegion.textContent = '';
-            }, 1000);
+/**
+ * Sentence order answers must match one of the listed orders word for word; case and punctuation are ignored
+ */
+function validateSentenceOrderAnswer(userInput, correctAnswer) {
+    const userOrder = normalizeAnswer(userInput);
+    if (!userOrder) return false;
+    
+    return String(correctAnswer || '').split('|').some(order => normalizeAnswer(order) === userOrder);
+}
+
+/**
+ * Move a word tile into the sentence line or back to the bank, before another tile or at the end
+ */
+function moveWordTile(tile, container, beforeTile = null) {
+    const exerciseElement = tile.closest('.exercise');
+    const input = exerciseElement && exerciseElement.querySelector('.exercise-input');
+    if (!container || (input && input.disabled)) return;
+    
+    container.insertBefore(tile, beforeTile && beforeTile !== tile ? beforeTile : null);
+    tile.focus();
+    updateSentenceOrderInput(exerciseElement);
+}
+
+/**
+ * Copy the tiles on the sentence line into the exercise input, where checking reads the answer
+ */
+function updateSentenceOrderInput(exerciseElement) {
+    if (!exerciseElement) return;
+    
+    const line = exerciseElement.querySelector('.sentence-order-line');
+    const input = exerciseElement.querySelector('.exercise-input');
+    const sentence = line ? Array.from(line.querySelectorAll('.word-tile')).map(tile => tile.textContent.trim()).join(' ') : '';
+    
+    if (input) {
+        input.value = sentence;
+    }
+    announceToScreenReaderSafely(sentence ? `Your sentence: ${sentence}` : 'Your sentence is empty');
+}
+
+let draggedWordTile = null;
+
+/**
+ * Tap, keyboard and drag-and-drop handling for word tiles, delegated from the document
+ */
+function setupSentenceOrderTiles() {
+    if (setupSentenceOrderTiles.ready) return;
+    setupSentenceOrderTiles.ready = true;
+    
+    // Tap, Enter or Space: bank → end of the sentence, sentence → back to the bank
+    document.addEventListener('click', (event) => {
+        const tile = event.target.closest ? event.target.closest('.word-tile') : null;
+        if (!tile) return;
+        
+        const exerciseElement = tile.closest('.exercise');
+        const inLine = !!tile.closest('.sentence-order-line');
+        if (exerciseElement) {
+            moveWordTile(tile, exerciseElement.querySelector(inLine ? '.sentence-order-bank' : '.sentence-order-line'));
+        }
+    });
+    
+    // Arrow keys move a placed tile one position left or right
+    document.addEventListener('keydown', (event) => {
+        const tile = event.target.closest ? event.target.closest('.sentence-order-line .word-tile') : null;
+        if (!tile || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return;
+        
+        event.preventDefault();
+        const line = tile.parentElement;
+        if (event.key === 'ArrowLeft' && tile.previousElementSibling) {
+            moveWordTile(tile, line, tile.previousElementSibling);
+        } else if (event.key === 'ArrowRight' && tile.nextElementSibling) {
+            moveWordTile(tile, line, tile.nextElementSibling.nextElementSibling);
+        }
+    });
+    
+    document.addEventListener('dragstart', (event) => {
+        if (event.target.classList && event.target.classList.contains('word-tile')) {
+            draggedWordTile = event.target;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', event.target.textContent);
+        }
+    });
+    
+    document.addEventListener('dragover', (event) => {
+        const container = event.target.closest ? event.target.closest('.sentence-order-line, .sentence-order-bank') : null;
+        if (draggedWordTile && container && container.closest('.exercise') === draggedWordTile.closest('.exercise')) {
+            event.preventDefault();
         }
+    });
+    
+    document.addEventListener('drop', (event) => {
+        const container = event.target.closest ? event.target.closest('.sentence-order-line, .sentence-order-bank') : null;
+        if (!draggedWordTile || !container || container.closest('.exercise') !== draggedWordTile.closest('.exercise')) return;
+        
+        event.preventDefault();
+        const beforeTile = event.target.closest('.word-tile');
+        moveWordTile(draggedWordTile, container, beforeTile && beforeTile.parentElement === container ? beforeTile : null);
+    });
+    
+    document.addEventListener('dragend', () => {
+        draggedWordTile = null;
+    });
+}
+
+/**
+ * Matching Exercise Class
+ * Learners pair English words with their Uzbek meaning or transcription by tapping one tile from each column
+ * pairs: [{ english, match }]; answers are written "english=match|english=match"
+ */
+class MatchingExercise extends Exercise {
+    constructor(question, pairs, hint = '', exerciseIndex = 0, target = 'uzbek') {
+        super(question, formatMatchingPairs(pairs), hint, exerciseIndex);
+        this.type = 'matching';
+        this.pairs = pairs;
+        this.target = target; // 'uzbek' or 'transcription'
+        this.matchOrder = shuffleMatchingItems(pairs.map((pair, index) => index));
     }
 
     /**
-     * Setup event listeners for exercise interactions
+     * Pairs from a chapter's vocab tables; options: { count, target, question, exerciseIndex }
      */
-    setupEventListeners() {
-        // Listen for check answer button clicks
-        document.addEventListener('click', (event) => {
-            if (event.target.classList.contains('check-answer-btn')) {
-                const exerciseIndex = parseInt(event.target.dataset.exercise);
-                this.checkAnswer(exerciseIndex);
-            }
-        });
-
-        // Listen for Enter key in input fields
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Enter' && event.target.classList.contains('exercise-input')) {
-                const exerciseIndex = parseInt(event.target.dataset.exercise);
-                this.checkAnswer(exerciseIndex);
-            }
-        });
+    static fromVocabTable(root = document, options = {}) {
+        const { count = 5, target = 'uzbek', exerciseIndex = 0 } = options;
+        const question = options.question || (target === 'transcription' ?
+            "So'zni talaffuzi bilan juftlang / Match each word with its pronunciation" :
+            "So'zni tarjimasi bilan juftlang / Match each word with its translation");
+        
+        return new MatchingExercise(question, pickVocabularyPairs(root, target, count), '', exerciseIndex, target);
+    }
 
-        // Listen for progress updates
-        document.addEventListener('progressUpdate', () => {
-            this.updateProgressDisplay();
-        });
+    validateAnswer(userInput) {
+        if (!userInput) return false;
+        return validateMatchingAnswer(userInput, formatMatchingPairs(this.pairs));
     }
 
     /**
-     * Load exercises from the page
+     * Matched pairs earn their share of the score even when some pairs are wrong
      */
-    loadExercises() {
-        const exerciseElements = document.querySelectorAll('.exercise');
-        exerciseElements.forEach((element, index) => {
-            const exercise = this.parseExerciseElement(element, index);
-            if (exercise) {
-                this.exercises.push(exercise);
-                
-                // Create corresponding Exercise class instance
-                const exerciseObject = this.createExerciseObject(exercise);
-                if (exerciseObject) {
-                    exerciseObject.element = element;
-                    this.exerciseObjects.push(exerciseObject);
-                }
-            }
+    scoreAnswer(userInput, isCorrect) {
+        return calculateAttemptScore(userInput, '', {
+            isCorrect,
+            attemptNumber: this.attempts,
+            hintsUsed: this.hintsUsed,
+            credit: scoreMatchingPairs(userInput, formatMatchingPairs(this.pairs))
         });
     }
 
+    checkAnswer(userInput) {
+        const result = super.checkAnswer(userInput);
+        this.markPairs(userInput);
+        return result;
+    }
+
+    getFeedback(isCorrect, userInput, score = 1) {
+        if (isCorrect) {
+            return super.getFeedback(isCorrect, userInput, score);
+        }
+        
+        const correctPairs = Math.round(scoreMatchingPairs(userInput, formatMatchingPairs(this.pairs)) * this.pairs.length);
+        return {
+            type: 'error',
+            icon: '✗',
+            message: `Noto'g'ri. ${correctPairs}/${this.pairs.length} juftlik to'g'ri (${correctPairs} of ${this.pairs.length} pairs correct)${formatScoreSuffix(score)}`,
+            class: 'incorrect'
+        };
+    }
+
     /**
-     * Parse exercise element to extract exercise data
+     * Hint ladder for pairs: explanation, then the first pair, then every pair
      */
-    parseExerciseElement(element, index) {
-        const type = element.dataset.type || 'fill-blank';
-        const question = element.querySelector('.exercise-question')?.textContent || '';
-        const correctAnswer = element.dataset.answer || '';
-        const hint = element.dataset.hint || '';
+    takeHint() {
+        if (this.hintsUsed >= HINT_LADDER_STEPS) {
+            return null;
+        }
+        
+        this.hintsUsed++;
+        if (this.hintsUsed === 1) {
+            return getHintLadderStep(1, '', this.hint, this.type);
+        }
         
+        const shown = this.hintsUsed === 2 ? this.pairs.slice(0, 1) : this.pairs;
         return {
-            index,
-            type,
-            question,
-            correctAnswer: correctAnswer.toLowerCase().trim(),
-            hint,
-            element,
-            completed: false,
-            attempts: 0
+            level: this.hintsUsed,
+            text: shown.map(pair => `${pair.english} = ${pair.match}`).join(', ') +
+                (this.hintsUsed === HINT_LADDER_STEPS ? ' (ball kamayadi / reduced score)' : ''),
+            isReveal: this.hintsUsed === HINT_LADDER_STEPS
         };
     }
 
     /**
-     * Create Exercise class instance based on exercise data
+     * Two columns of tiles: English in order, matches shuffled
      */
-    createExerciseObject(exerciseData) {
-        const { type, question, correctAnswer, hint, index } = exerciseData;
+    getBoardHTML() {
+        const matchLabel = this.target === 'transcription' ? "Talaffuz / Transcription" : "O'zbek";
+        const englishTiles = this.pairs.map(pair =>
+            `<button type="button" class="match-tile" data-side="english" aria-pressed="false">${pair.english}</button>`
+        ).join('');
+        const matchTiles = this.matchOrder.map(index =>
+            `<button type="button" class="match-tile" data-side="match" aria-pressed="false">${this.pairs[index].match}</button>`
+        ).join('');
         
-        switch (type) {
-            case 'fill-blank':
-                return new FillInBlankExercise(question, correctAnswer, hint, index);
-            
-            case 'multiple-choice':
-                // Extract options from the element
-                const options = Array.from(exerciseData.element.querySelectorAll('.exercise-option span'))
-                    .map(span => span.textContent.trim());
-                return new MultipleChoiceExercise(question, options, correctAnswer, hint, index);
-            
-            case 'translation':
-                // Extract source text from question
-                const sourceMatch = question.match(/Tarjima qiling \/ Translate:\s*(.+)/);
-                const sourceText = sourceMatch ? sourceMatch[1] : question;
-                return new TranslationExercise(sourceText, correctAnswer, 'en-uz', hint, index);
-            
-            case 'scenario':
-                // Extract scenario from element
-                const scenarioElement = exerciseData.element.querySelector('.exercise-scenario');
-                const scenario = scenarioElement ? scenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
-                const context = exerciseData.element.dataset.context || 'farm';
-                return new ScenarioExercise(scenario, question, correctAnswer, context, hint, index);
-            
-            case 'supervisor-communication':
-                const supervisorScenarioElement = exerciseData.element.querySelector('.exercise-scenario');
-                const supervisorScenario = supervisorScenarioElement ? supervisorScenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
-                return new SupervisorCommunicationExercise(supervisorScenario, question, correctAnswer, hint, index);
-            
-            case 'farm-safety':
-                const safetyScenarioElement = exerciseData.element.querySelector('.exercise-scenario');
-                const safetyScenario = safetyScenarioElement ? safetyScenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
-                return new FarmSafetyExercise(safetyScenario, question, correctAnswer, hint, index);
-            
-            case 'farm-equipment':
-                const equipmentScenarioElement = exerciseData.element.querySelector('.exercise-scenario');
-                const equipmentScenario = equipmentScenarioElement ? equipmentScenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
-                const equipment = exerciseData.element.dataset.equipment ? exerciseData.element.dataset.equipment.split(',') : [];
-                return new FarmEquipmentExercise(equipmentScenario, question, correctAnswer, equipment, hint, index);
-            
-            case 'role-playing':
-                const roleElement = exerciseData.element.querySelector('.exercise-role');
-                const situationElement = exerciseData.element.querySelector('.exercise-situation');
-                const role = exerciseData.element.dataset.role || 'worker';
-                const situation = situationElement ? situationElement.textContent.replace(/Vaziyat \/ Situation:\s*/, '').trim() : '';
-                return new RolePlayingExercise(role, situation, question, correctAnswer, hint, index);
-            
-            default:
-                return new Exercise(question, correctAnswer, hint, index);
+        return `
+                <div class="matching-board">
+                    <div class="matching-column" role="group" aria-label="English">${englishTiles}</div>
+                    <div class="matching-column" role="group" aria-label="${matchLabel}">${matchTiles}</div>
+                </div>
+                <p class="sentence-order-help">Har ustundan bittadan bosing; Esc tanlovni bekor qiladi / Tap one tile in each column; Esc cancels</p>
+        `;
+    }
+
+    generateHTML() {
+        const questionId = `question-${this.exerciseIndex}`;
+        const feedbackId = `feedback-${this.exerciseIndex}`;
+        
+        return `
+            <div class="exercise matching-exercise" data-type="matching" data-target="${this.target}" data-answer="${formatMatchingPairs(this.pairs)}" data-exercise="${this.exerciseIndex}" role="group" aria-labelledby="${questionId}">
+                <div class="exercise-question" id="${questionId}">${this.question}</div>
+                ${this.getBoardHTML()}
+                <div class="exercise-input-group">
+                    <input type="hidden" class="exercise-input" data-exercise="${this.exerciseIndex}">
+                    <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" type="button" aria-describedby="${feedbackId}">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
+                </div>
+                <div class="exercise-feedback" id="${feedbackId}" style="display: none;" aria-live="polite" aria-atomic="true"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Add the tile board to chapter markup that only declares data-type="matching"
+     */
+    mountBoard(element) {
+        if (!element || element.querySelector('.matching-board')) return;
+        
+        element.dataset.answer = formatMatchingPairs(this.pairs);
+        const inputGroup = element.querySelector('.exercise-input-group');
+        if (inputGroup) {
+            inputGroup.insertAdjacentHTML('beforebegin', this.getBoardHTML());
+        } else {
+            element.insertAdjacentHTML('beforeend', this.getBoardHTML());
+        }
+        
+        if (!element.querySelector('.exercise-input')) {
+            (inputGroup || element).insertAdjacentHTML('afterbegin',
+                `<input type="hidden" class="exercise-input" data-exercise="${this.exerciseIndex}">`);
         }
     }
 
     /**
-     * Check answer for specific exercise
+     * Mark each matched English tile right or wrong after a check
      */
-    checkAnswer(exerciseIndex) {
-        const exercise = this.exercises[exerciseIndex];
-        const exerciseObject = this.exerciseObjects[exerciseIndex];
+    markPairs(userInput) {
+        if (!this.element) return;
+        
+        const expected = parseMatchingPairs(formatMatchingPairs(this.pairs));
+        const given = parseMatchingPairs(userInput);
+        this.element.querySelectorAll('.match-tile[data-side="english"]').forEach(tile => {
+            const key = normalizeAnswer(tile.textContent);
+            tile.classList.toggle('match-right', !!given[key] && given[key] === expected[key]);
+            tile.classList.toggle('match-wrong', !!given[key] && given[key] !== expected[key]);
+        });
+    }
+}
+
+/**
+ * "english=match|english=match" from pair objects
+ */
+function formatMatchingPairs(pairs) {
+    return (pairs || []).map(pair => `${pair.english}=${pair.match}`).join('|');
+}
+
+/**
+ * Normalized { english: match } map from "english=match|english=match"
+ */
+function parseMatchingPairs(answer) {
+    const map = {};
+    String(answer || '').split('|').forEach(pair => {
+        const [english, match] = pair.split('=');
+        if (english && match) {
+            map[normalizeAnswer(english)] = normalizeUzbekAnswer(match);
+        }
+    });
+    return map;
+}
+
+/**
+ * Share (0-1) of expected pairs the learner matched correctly
+ */
+function scoreMatchingPairs(userInput, correctAnswer) {
+    const expected = parseMatchingPairs(correctAnswer);
+    const given = parseMatchingPairs(userInput);
+    const keys = Object.keys(expected);
+    if (keys.length === 0) return 0;
+    
+    return keys.filter(key => given[key] === expected[key]).length / keys.length;
+}
+
+/**
+ * A matching answer is correct when every pair is matched correctly
+ */
+function validateMatchingAnswer(userInput, correctAnswer) {
+    return scoreMatchingPairs(userInput, correctAnswer) === 1;
+}
+
+/**
+ * English words and their Uzbek meaning or transcription from vocab-table rows
+ */
+function readVocabularyPairs(root = document, target = 'uzbek') {
+    const pairs = [];
+    const matchSelector = target === 'transcription' ? 'td.transcription' : 'td.uzbek';
+    
+    root.querySelectorAll('table.vocab-table tbody tr').forEach(row => {
+        const englishCell = row.querySelector('td[data-label="English"]');
+        const matchCell = row.querySelector(matchSelector);
+        const english = englishCell ? englishCell.textContent.trim() : '';
+        const match = matchCell ? matchCell.textContent.trim() : '';
         
-        if (!exercise || !exerciseObject) {
-            console.error(`Exercise ${exerciseIndex} not found`);
-            return;
+        // "=" and "|" separate pairs in answers, so words containing them cannot be matched
+        if (english && match && !/[=|]/.test(english + match) &&
+            !pairs.some(pair => pair.english.toLowerCase() === english.toLowerCase())) {
+            pairs.push({ english, match });
         }
+    });
+    
+    return pairs;
+}
 
-        const userInput = this.getUserInput(exercise);
+/**
+ * A random selection of count vocabulary pairs
+ */
+function pickVocabularyPairs(root = document, target = 'uzbek', count = 5) {
+    return shuffleMatchingItems(readVocabularyPairs(root, target)).slice(0, count);
+}
+
+/**
+ * Shuffled copy of a list, never left in its original order when it has more than one item
+ */
+function shuffleMatchingItems(items) {
+    const shuffled = items.slice();
+    if (shuffled.length < 2) return shuffled;
+    
+    do {
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+    } while (shuffled.every((item, index) => item === items[index]));
+    
+    return shuffled;
+}
+
+/**
+ * Pairs for a matching exercise in chapter markup: data-answer, or data-source="vocab"
+ * to take data-count (default 5) words from the page's vocab tables
+ */
+function getMatchingPairsFromElement(element) {
+    if (element.dataset.answer) {
+        return element.dataset.answer.split('|')
+            .map(pair => pair.split('='))
+            .filter(([english, match]) => english && match)
+            .map(([english, match]) => ({ english: english.trim(), match: match.trim() }));
+    }
+    
+    return pickVocabularyPairs(document, element.dataset.target || 'uzbek', parseInt(element.dataset.count, 10) || 5);
+}
+
+/**
+ * Copy the matched pairs of a matching board into the exercise input
+ */
+function updateMatchingInput(exerciseElement) {
+    const input = exerciseElement.querySelector('.exercise-input');
+    if (!input) return;
+    
+    input.value = Array.from(exerciseElement.querySelectorAll('.match-tile[data-side="english"][data-matched]'))
+        .map(tile => `${tile.textContent.trim()}=${tile.dataset.matched}`)
+        .join('|');
+}
+
+/**
+ * Pair or unpair two tiles; a tile paired before is released first
+ */
+function pairMatchTiles(exerciseElement, englishTile, matchTile) {
+    [englishTile, matchTile].forEach(tile => unpairMatchTile(exerciseElement, tile));
+    
+    const pairNumber = exerciseElement.querySelectorAll('.match-tile[data-side="english"][data-matched]').length + 1;
+    englishTile.dataset.matched = matchTile.textContent.trim();
+    matchTile.dataset.matched = englishTile.textContent.trim();
+    [englishTile, matchTile].forEach(tile => {
+        tile.classList.add('matched');
+        tile.dataset.pairNumber = pairNumber;
+        tile.setAttribute('aria-label', `${tile.textContent.trim()}, paired with ${tile.dataset.matched}`);
+    });
+    
+    updateMatchingInput(exerciseElement);
+    announceToScreenReaderSafely(`${englishTile.textContent.trim()} paired with ${matchTile.textContent.trim()}`);
+}
+
+function unpairMatchTile(exerciseElement, tile) {
+    if (!tile.dataset.matched) return;
+    
+    const partner = Array.from(exerciseElement.querySelectorAll('.match-tile[data-matched]'))
+        .find(other => other !== tile && other.dataset.side !== tile.dataset.side && other.textContent.trim() === tile.dataset.matched);
+    
+    [tile, partner].filter(Boolean).forEach(item => {
+        delete item.dataset.matched;
+        delete item.dataset.pairNumber;
+        item.classList.remove('matched', 'match-right', 'match-wrong');
+        item.removeAttribute('aria-label');
+    });
+    updateMatchingInput(exerciseElement);
+}
+
+/**
+ * Tap or keyboard pairing for matching tiles, delegated from the document
+ * Select a tile in one column, then one in the other; selecting a paired tile unpairs it
+ */
+function setupMatchingTiles() {
+    if (setupMatchingTiles.ready) return;
+    setupMatchingTiles.ready = true;
+    
+    const clearSelection = (exerciseElement) => {
+        exerciseElement.querySelectorAll('.match-tile.selected').forEach(tile => {
+            tile.classList.remove('selected');
+            tile.setAttribute('aria-pressed', 'false');
+        });
+    };
+    
+    document.addEventListener('click', (event) => {
+        const tile = event.target.closest ? event.target.closest('.match-tile') : null;
+        const exerciseElement = tile && tile.closest('.exercise');
+        if (!exerciseElement) return;
         
-        // Use the Exercise class method for validation and feedback
-        const result = exerciseObject.checkAnswer(userInput);
+        const input = exerciseElement.querySelector('.exercise-input');
+        if (input && input.disabled) return;
         
-        // Update local exercise data
-        exercise.attempts = exerciseObject.attempts;
-        exercise.completed = exerciseObject.completed;
+        if (tile.dataset.matched) {
+            unpairMatchTile(exerciseElement, tile);
+            announceToScreenReaderSafely(`${tile.textContent.trim()} unpaired`);
+            return;
+        }
         
-        // Update UI with feedback
-        this.showFeedback(exercise, result.isCorrect, userInput, result.feedback);
+        const selected = exerciseElement.querySelector('.match-tile.selected');
+        clearSelection(exerciseElement);
         
-        // Update progress if correct
-        if (result.isCorrect && result.completed) {
-            this.updateProgress(exerciseIndex, true);
+        if (selected && selected.dataset.side !== tile.dataset.side) {
+            const englishTile = tile.dataset.side === 'english' ? tile : selected;
+            pairMatchTiles(exerciseElement, englishTile, englishTile === tile ? selected : tile);
+        } else if (selected !== tile) {
+            tile.classList.add('selected');
+            tile.setAttribute('aria-pressed', 'true');
         }
+    });
+    
+    document.addEventListener('keydown', (event) => {
+        const tile = event.target.closest ? event.target.closest('.match-tile') : null;
+        if (tile && event.key === 'Escape') {
+            clearSelection(tile.closest('.exercise'));
+        }
+    });
+}
+
+/**
+ * Listening Exercise Class
+ * Learners hear a sentence through the browser's speech synthesis, then pick or type what was said
+ * With options the answer is chosen from radio buttons; without, it is typed
+ */
+class ListeningExercise extends Exercise {
+    constructor(question, audioText, correctAnswer, options = [], hint = '', exerciseIndex = 0, maxPlays = LISTENING_MAX_PLAYS) {
+        super(question, correctAnswer, hint, exerciseIndex);
+        this.type = 'listening';
+        this.audioText = audioText;
+        this.options = options;
+        this.maxPlays = maxPlays;
+    }
+
+    validateAnswer(userInput) {
+        if (!userInput) return false;
         
-        // Dispatch completion event
-        this.dispatchExerciseEvent(exerciseIndex, result.isCorrect);
-        
-        return result;
+        if (this.options.length > 0) {
+            return normalizeAnswer(userInput) === normalizeAnswer(this.correctAnswer);
+        }
+        return validateAnswer(userInput, this.correctAnswer, this.element);
     }
 
     /**
-     * Get user input from exercise
+     * Play control, speed choice and plays left; the sentence itself when speech is unavailable
      */
-    getUserInput(exercise) {
-        const inputElement = exercise.element.querySelector('.exercise-input');
-        if (!inputElement) return '';
+    getControlsHTML() {
+        return getListeningControlsHTML(this.exerciseIndex, this.audioText, this.maxPlays);
+    }
+
+    getAnswerHTML() {
+        const questionId = `question-${this.exerciseIndex}`;
         
-        switch (exercise.type) {
-            case 'fill-blank':
-            case 'translation':
-                return inputElement.value.toLowerCase().trim();
-            
-            case 'multiple-choice':
-                const selectedOption = exercise.element.querySelector('input[type="radio"]:checked');
-                return selectedOption ? selectedOption.value.toLowerCase().trim() : '';
+        if (this.options.length > 0) {
+            const optionsHtml = this.options.map((option, index) => `
+                <label class="exercise-option">
+                    <input type="radio" class="exercise-input" name="exercise-${this.exerciseIndex}" value="${option}" data-exercise="${this.exerciseIndex}" aria-describedby="${questionId}" id="option-${this.exerciseIndex}-${index}">
+                    <span>${option}</span>
+                </label>
+            `).join('');
             
-            default:
-                return inputElement.value.toLowerCase().trim();
+            return `
+                <fieldset class="exercise-options" role="radiogroup" aria-labelledby="${questionId}" aria-required="true">
+                    <legend class="sr-only">Eshitganingizni tanlang / Choose what you heard</legend>
+                    ${optionsHtml}
+                </fieldset>
+                <div class="exercise-input-group">
+                    <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" type="button">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
+                </div>
+            `;
         }
+        
+        return `
+                <div class="exercise-input-group">
+                    <input type="text" class="exercise-input" data-exercise="${this.exerciseIndex}" placeholder="Eshitganingizni yozing / Type what you heard" aria-label="Answer" autocomplete="off" spellcheck="false">
+                    <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" type="button">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
+                </div>
+        `;
+    }
+
+    generateHTML() {
+        const questionId = `question-${this.exerciseIndex}`;
+        const feedbackId = `feedback-${this.exerciseIndex}`;
+        
+        return `
+            <div class="exercise ${this.type}-exercise" data-type="${this.type}" data-audio="${this.audioText}" data-answer="${this.correctAnswer}" data-max-plays="${this.maxPlays}" data-exercise="${this.exerciseIndex}" role="group" aria-labelledby="${questionId}">
+                <div class="exercise-question" id="${questionId}">${this.question}</div>
+                ${this.getControlsHTML()}
+                ${this.getAnswerHTML()}
+                <div class="exercise-feedback" id="${feedbackId}" style="display: none;" aria-live="polite" aria-atomic="true"></div>
+            </div>
+        `;
     }
 
     /**
-     * Handle tab navigation for accessibility
+     * Add the play controls to chapter markup that only declares data-type="listening" or "dictation"
      */
-    handleTabNavigation(event) {
-        const focusableElements = document.querySelectorAll(
-            '.exercise-input, .check-answer-btn, input[type="radio"]'
-        );
-        
-        const currentIndex = Array.from(focusableElements).indexOf(document.activeElement);
-        
-        if (event.shiftKey) {
-            // Shift+Tab - go backwards
-            if (currentIndex === 0) {
-                event.preventDefault();
-                focusableElements[focusableElements.length - 1].focus();
-            }
+    mountControls(element) {
+        if (!element || element.querySelector('.listening-controls, .listening-fallback')) return;
+        
+        element.dataset.audio = this.audioText;
+        element.dataset.maxPlays = this.maxPlays;
+        const question = element.querySelector('.exercise-question');
+        if (question) {
+            question.insertAdjacentHTML('afterend', this.getControlsHTML());
         } else {
-            // Tab - go forwards
-            if (currentIndex === focusableElements.length - 1) {
-                event.preventDefault();
-                focusableElements[0].focus();
-            }
+            element.insertAdjacentHTML('afterbegin', this.getControlsHTML());
         }
     }
+}
 
-    /**
-     * Add exercise to the system programmatically
-     */
-    addExercise(exerciseObject) {
-        const index = this.exercises.length;
-        exerciseObject.exerciseIndex = index;
-        
-        // Create HTML and add to page
-        const exerciseHTML = exerciseObject.generateHTML();
-        const container = document.querySelector('.exercises-container') || document.body;
-        container.insertAdjacentHTML('beforeend', exerciseHTML);
-        
-        // Get the newly created element
-        const element = container.lastElementChild;
-        exerciseObject.element = element;
-        
-        // Add to arrays
-        this.exerciseObjects.push(exerciseObject);
-        this.exercises.push({
-            index,
-            type: exerciseObject.type,
-            question: exerciseObject.question,
-            correctAnswer: exerciseObject.correctAnswer,
-            hint: exerciseObject.hint,
-            element,
-            completed: false,
-            attempts: 0
-        });
-        
-        return index;
+/**
+ * Dictation Exercise Class
+ * Learners type the sentence they hear; spelling slips are accepted by the fuzzy matcher
+ */
+class DictationExercise extends ListeningExercise {
+    constructor(audioText, hint = '', exerciseIndex = 0, maxPlays = LISTENING_MAX_PLAYS,
+        question = "Eshitganingizni yozing / Write what you hear") {
+        super(question, audioText, audioText, [], hint, exerciseIndex, maxPlays);
+        this.type = 'dictation';
     }
 
-    /**
-     * Enhanced showFeedback method with consistent styling and accessibility
-     * Requirements: 1.3, 1.4, 2.3
-     */
-    showFeedback(exercise, isCorrect, userInput, feedbackData = null) {
-        const feedbackElement = exercise.element.querySelector('.exercise-feedback') || 
-                               this.createFeedbackElement(exercise.element);
-        
-        // Clear previous feedback
-        feedbackElement.innerHTML = '';
-        feedbackElement.className = 'exercise-feedback';
-        
-        // Use feedbackData from Exercise class if available, with fallback
-        const feedback = feedbackData || {
-            type: isCorrect ? 'success' : 'error',
-            icon: isCorrect ? '✓' : '✗',
-            message: isCorrect ? "To'g'ri! (Correct!)" : `Noto'g'ri. To'g'ri javob: <strong>${exercise.correctAnswer}</strong>`,
-            class: isCorrect ? 'correct' : 'incorrect',
-            hint: !isCorrect && exercise.hint ? `Maslahat: ${exercise.hint}` : null
-        };
-        
-        // Apply consistent styling across all chapters (Requirement 1.3)
-        this.applyFeedbackStyling(feedbackElement, feedback);
-        
-        // Create accessible feedback content (Requirement 1.4, 2.3)
-        this.createFeedbackContent(feedbackElement, feedback);
-        
-        // Show feedback with proper positioning for mobile (Requirement 2.3)
-        this.displayFeedback(feedbackElement, exercise.element);
-        
-        // Handle accessibility announcements (Requirement 1.4)
-        this.announceToScreenReader(isCorrect ? 
-            "Correct answer! Well done." : 
-            `Incorrect. The correct answer is ${exercise.correctAnswer}`);
-        
-        if (isCorrect) {
-            // Disable input after correct answer
-            const inputElement = exercise.element.querySelector('.exercise-input');
-            if (inputElement) {
-                inputElement.disabled = true;
-                inputElement.classList.add('completed');
-                inputElement.setAttribute('aria-label', 'Exercise completed successfully');
-            }
-            
-            // Disable check button
-            const checkButton = exercise.element.querySelector('.check-answer-btn');
-            if (checkButton) {
-                checkButton.disabled = true;
-                checkButton.textContent = 'Completed';
-                checkButton.setAttribute('aria-label', 'Exercise completed');
-            }
+    validateAnswer(userInput) {
+        if (!userInput) return false;
+        return validateStandardAnswer(userInput, this.correctAnswer);
+    }
+}
+
+// Plays allowed per listening exercise unless data-max-plays says otherwise
+const LISTENING_MAX_PLAYS = 3;
+
+// Speech rates offered by the speed control; the first is the default
+const LISTENING_SPEEDS = [
+    { rate: 0.9, label: 'Oddiy / Normal' },
+    { rate: 0.7, label: 'Sekin / Slow' },
+    { rate: 0.5, label: 'Juda sekin / Very slow' }
+];
+
+/**
+ * Whether the shared speech player can read exercises aloud on this device
+ */
+function isListeningAvailable() {
+    return typeof SpeechPlayer !== 'undefined' && SpeechPlayer.isAvailable();
+}
+
+/**
+ * "2 marta qoldi / 2 plays left"
+ */
+function formatPlaysLeft(playsLeft) {
+    return `${playsLeft} marta qoldi / ${playsLeft} ${playsLeft === 1 ? 'play' : 'plays'} left`;
+}
+
+/**
+ * Listen button, speed choice and plays left for a listening exercise
+ * Without speech synthesis the sentence is shown so the exercise can still be done
+ */
+function getListeningControlsHTML(exerciseIndex, audioText, maxPlays) {
+    if (!isListeningAvailable()) {
+        return `<p class="listening-fallback">Bu qurilmada ovoz yo'q, gapni o'qing / No audio on this device, read the sentence: <q>${audioText}</q></p>`;
+    }
+    
+    const speedOptions = LISTENING_SPEEDS.map(speed => `<option value="${speed.rate}">${speed.label}</option>`).join('');
+    return `
+                <div class="listening-controls">
+                    <button type="button" class="listen-btn" data-exercise="${exerciseIndex}" aria-label="Play the sentence">🔊 Tinglash / Listen</button>
+                    <label class="listen-speed-label">Tezlik / Speed
+                        <select class="listen-speed">${speedOptions}</select>
+                    </label>
+                    <span class="listen-plays" aria-live="polite">${formatPlaysLeft(maxPlays)}</span>
+                </div>
+    `;
+}
+
+/**
+ * Play an exercise's sentence once, counting the play against its limit
+ * Plays are kept on the element so progress can record how often the learner listened
+ */
+function playListeningExercise(exerciseElement) {
+    const button = exerciseElement.querySelector('.listen-btn');
+    const maxPlays = parseInt(exerciseElement.dataset.maxPlays, 10) || LISTENING_MAX_PLAYS;
+    const plays = parseInt(exerciseElement.dataset.audioPlays, 10) || 0;
+    if (plays >= maxPlays || (button && button.getAttribute('aria-busy') === 'true')) {
+        return Promise.resolve(false);
+    }
+    
+    const speed = exerciseElement.querySelector('.listen-speed');
+    const playsLeft = maxPlays - plays - 1;
+    exerciseElement.dataset.audioPlays = plays + 1;
+    
+    const playsElement = exerciseElement.querySelector('.listen-plays');
+    if (playsElement) {
+        playsElement.textContent = formatPlaysLeft(playsLeft);
+    }
+    if (button) {
+        button.setAttribute('aria-busy', 'true');
+    }
+    
+    const rate = speed ? parseFloat(speed.value) : LISTENING_SPEEDS[0].rate;
+    const speaking = isListeningAvailable() ? SpeechPlayer.speak(exerciseElement.dataset.audio, { rate }) : Promise.resolve(false);
+    return speaking.then(spoken => {
+        if (button) {
+            button.removeAttribute('aria-busy');
+            button.disabled = playsLeft <= 0;
+        }
+        if (!spoken) {
+            announceToScreenReaderSafely("Ovozni ijro etib bo'lmadi / The sentence could not be played");
+        }
+        return spoken;
+    });
+}
+
+/**
+ * Listen buttons on every page, delegated from the document
+ */
+function setupListeningControls() {
+    if (setupListeningControls.ready) return;
+    setupListeningControls.ready = true;
+    
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest ? event.target.closest('.listen-btn') : null;
+        const exerciseElement = button && button.closest('.exercise');
+        if (exerciseElement && !button.disabled) {
+            playListeningExercise(exerciseElement);
         }
+    });
+}
+
+/**
+ * Speaking Exercise Class
+ * Learners answer a role-play or supervisor situation aloud; the transcript goes through the same
+ * role and keyword checks as a typed answer, and typing stays available when recognition is not
+ * validator: 'role-playing' or 'supervisor'
+ */
+class SpeakingExercise extends Exercise {
+    constructor(role, situation, question, correctAnswer, hint = '', exerciseIndex = 0, validator = 'role-playing') {
+        super(question, correctAnswer, hint, exerciseIndex);
+        this.type = 'speaking';
+        this.role = role;
+        this.situation = situation;
+        this.validator = validator;
+        this.checker = validator === 'supervisor' ?
+            new SupervisorCommunicationExercise(situation, question, correctAnswer, hint, exerciseIndex) :
+            new RolePlayingExercise(role, situation, question, correctAnswer, hint, exerciseIndex);
+    }
+
+    validateAnswer(userInput) {
+        if (!userInput) return false;
         
-        // Manage focus for accessibility (Requirement 1.4)
-        this.manageFeedbackFocus(feedbackElement);
+        this.checker.element = this.element;
+        return this.checker.validateAnswer(userInput);
     }
 
     /**
-     * Create feedback element if missing (Requirement 2.1, 2.2)
+     * Listen once and put the transcript in the answer box
      */
-    createFeedbackElement(exerciseElement) {
-        try {
-            const feedback = document.createElement('div');
-            feedback.className = 'exercise-feedback';
-            feedback.style.display = 'none';
-            feedback.setAttribute('aria-live', 'polite');
-            feedback.setAttribute('aria-atomic', 'true');
-            feedback.setAttribute('role', 'status');
-            
-            // Find the best insertion point
-            const insertionPoint = this.findFeedbackInsertionPoint(exerciseElement);
-            
-            if (insertionPoint.parent && insertionPoint.reference) {
-                insertionPoint.parent.insertBefore(feedback, insertionPoint.reference);
-            } else {
-                // Fallback: append to exercise container
-                exerciseElement.appendChild(feedback);
-            }
-            
-            return feedback;
-        } catch (error) {
-            console.warn('Error creating feedback element:', error);
-            // Create minimal fallback element (Requirement 2.1, 2.2)
-            const fallback = document.createElement('div');
-            fallback.className = 'exercise-feedback';
-            fallback.setAttribute('aria-live', 'polite');
-            exerciseElement.appendChild(fallback);
-            return fallback;
-        }
+    listen() {
+        return this.element ? listenForSpeech(this.element) : Promise.resolve(null);
+    }
+
+    generateHTML() {
+        return `
+            <div class="exercise speaking-exercise" data-type="speaking" data-role="${this.role}" data-validator="${this.validator}" data-answer="${this.correctAnswer}" data-exercise="${this.exerciseIndex}">
+                <div class="exercise-role">
+                    <strong>Sizning rolingiz / Your role:</strong> ${this.role}
+                </div>
+                <div class="exercise-situation">
+                    <strong>Vaziyat / Situation:</strong> ${this.situation}
+                </div>
+                <div class="exercise-question">${this.question}</div>
+                ${getSpeakingControlsHTML(this.exerciseIndex)}
+                <div class="exercise-input-group">
+                    <textarea class="exercise-input exercise-textarea" data-exercise="${this.exerciseIndex}" placeholder="Gapiring yoki javobingizni yozing... / Speak or type your answer..." rows="3" aria-label="Spoken or typed response"></textarea>
+                    <button class="check-answer-btn" data-exercise="${this.exerciseIndex}" aria-label="Check spoken response">Tekshirish</button>
+                    ${getHintButtonHTML(this.exerciseIndex)}
+                </div>
+                <div class="exercise-feedback" style="display: none;" aria-live="polite"></div>
+            </div>
+        `;
     }
 
     /**
-     * Find optimal insertion point for feedback element
+     * Add the speak button to chapter markup that only declares data-type="speaking"
      */
-    findFeedbackInsertionPoint(exerciseElement) {
-        // Try to insert after input group
-        const inputGroup = exerciseElement.querySelector('.exercise-input-group');
-        if (inputGroup) {
-            return {
-                parent: inputGroup.parentNode,
-                reference: inputGroup.nextSibling
-            };
-        }
-        
-        // Try to insert after last input element
-        const lastInput = exerciseElement.querySelector('input:last-of-type, textarea:last-of-type, select:last-of-type');
-        if (lastInput) {
-            return {
-                parent: lastInput.parentNode,
-                reference: lastInput.nextSibling
-            };
-        }
+    mountControls(element) {
+        if (!element || element.querySelector('.speaking-controls, .speaking-fallback')) return;
         
-        // Try to insert after check button
-        const checkButton = exerciseElement.querySelector('.check-answer-btn, button[onclick*="checkAnswer"]');
-        if (checkButton) {
-            return {
-                parent: checkButton.parentNode,
-                reference: checkButton.nextSibling
-            };
+        const inputGroup = element.querySelector('.exercise-input-group');
+        if (inputGroup) {
+            inputGroup.insertAdjacentHTML('beforebegin', getSpeakingControlsHTML(this.exerciseIndex));
+        } else {
+            element.insertAdjacentHTML('beforeend', getSpeakingControlsHTML(this.exerciseIndex));
         }
-        
-        // Fallback to end of container
-        return {
-            parent: exerciseElement,
-            reference: null
-        };
+    }
+}
+
+/**
+ * Speech recognition through the Web Speech API (prefixed as webkitSpeechRecognition in Chrome)
+ * Adapters share one interface: isAvailable(), listen() resolving to a transcript, stop()
+ */
+class WebSpeechRecognitionAdapter {
+    constructor(lang = 'en-GB') {
+        this.lang = lang;
+        this.recognition = null;
+    }
+
+    static getRecognitionClass() {
+        if (typeof window === 'undefined') return null;
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    }
+
+    isAvailable() {
+        return WebSpeechRecognitionAdapter.getRecognitionClass() !== null;
     }
 
     /**
-     * Apply consistent feedback styling across all chapters (Requirement 1.3)
+     * Resolves to what was said; rejects with the recognition error code (e.g. 'no-speech', 'not-allowed')
      */
-    applyFeedbackStyling(feedback, feedbackData) {
-        // Base classes for consistent styling
-        feedback.classList.add('exercise-feedback', feedbackData.class);
-        
-        // Add type-specific classes
-        if (feedbackData.type === 'success') {
-            feedback.classList.add('feedback-success');
-        } else if (feedbackData.type === 'error') {
-            feedback.classList.add('feedback-error');
-        } else if (feedbackData.type === 'warning') {
-            feedback.classList.add('feedback-warning');
-        }
-        
-        // Ensure mobile-friendly styling (Requirement 2.3)
-        feedback.style.cssText = `
-            display: block;
-            margin-top: 12px;
-            padding: 12px 16px;
-            border-radius: 8px;
-            font-size: 14px;
-            line-height: 1.4;
-            word-wrap: break-word;
-            max-width: 100%;
-            box-sizing: border-box;
-        `;
-        
-        // Apply color scheme based on feedback type
-        if (feedbackData.type === 'success') {
-            feedback.style.backgroundColor = '#e8f5e8';
-            feedback.style.color = '#2e7d32';
-            feedback.style.border = '1px solid #4caf50';
-        } else if (feedbackData.type === 'error') {
-            feedback.style.backgroundColor = '#ffebee';
-            feedback.style.color = '#d32f2f';
-            feedback.style.border = '1px solid #f44336';
-        } else if (feedbackData.type === 'warning') {
-            feedback.style.backgroundColor = '#fff3e0';
-            feedback.style.color = '#f57c00';
-            feedback.style.border = '1px solid #ff9800';
+    listen() {
+        const Recognition = WebSpeechRecognitionAdapter.getRecognitionClass();
+        if (!Recognition) {
+            return Promise.reject(new Error('not-available'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const recognition = new Recognition();
+            let transcript = '';
+            recognition.lang = this.lang;
+            recognition.interimResults = false;
+            recognition.continuous = false;
+            recognition.maxAlternatives = 1;
+            
+            recognition.onresult = (event) => {
+                transcript = Array.from(event.results).map(result => result[0].transcript).join(' ').trim();
+            };
+            recognition.onerror = (event) => reject(new Error(event.error || 'recognition-error'));
+            recognition.onend = () => {
+                this.recognition = null;
+                if (transcript) {
+                    resolve(transcript);
+                } else {
+                    reject(new Error('no-speech'));
+                }
+            };
+            
+            this.recognition = recognition;
+            recognition.start();
+        });
+    }
+
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
         }
     }
+}
 
-    /**
-     * Create accessible feedback content (Requirement 1.4)
-     */
-    createFeedbackContent(feedback, feedbackData) {
-        // Create main feedback container
-        const feedbackContent = document.createElement('div');
-        feedbackContent.className = 'feedback-content';
-        feedbackContent.style.display = 'flex';
-        feedbackContent.style.alignItems = 'flex-start';
-        feedbackContent.style.gap = '8px';
+/**
+ * Recognition adapter for tests and demos: "hears" the given transcripts in order
+ */
+class MockSpeechRecognitionAdapter {
+    constructor(transcripts = [], available = true) {
+        this.transcripts = transcripts.slice();
+        this.available = available;
+        this.listenCount = 0;
+    }
+
+    isAvailable() {
+        return this.available;
+    }
+
+    listen() {
+        this.listenCount++;
+        const transcript = this.transcripts.shift();
+        return transcript ? Promise.resolve(transcript) : Promise.reject(new Error('no-speech'));
+    }
+
+    stop() {}
+}
+
+// Messages for recognition errors; the learner can always type instead
+const SPEECH_RECOGNITION_MESSAGES = {
+    'no-speech': "Ovoz eshitilmadi, qayta gapiring yoki yozing / No speech heard, try again or type",
+    'not-allowed': "Mikrofonga ruxsat berilmadi, javobni yozing / Microphone access was blocked, type your answer",
+    'audio-capture': "Mikrofon topilmadi, javobni yozing / No microphone found, type your answer",
+    'network': "Ovozni tanish uchun internet kerak, javobni yozing / Speech recognition needs internet, type your answer",
+    'default': "Ovozni tanib bo'lmadi, javobni yozing / Speech was not recognised, type your answer"
+};
+
+// Errors that will not go away by trying again, so the speak button is turned off
+const SPEECH_RECOGNITION_BLOCKING_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'network', 'not-available'];
+
+let speechRecognitionAdapter = null;
+
+/**
+ * Use a different recognition adapter, e.g. MockSpeechRecognitionAdapter in tests; null restores the default
+ */
+function setSpeechRecognitionAdapter(adapter) {
+    speechRecognitionAdapter = adapter;
+}
+
+/**
+ * The adapter in use, or null when this device cannot recognise speech
+ */
+function getSpeechRecognitionAdapter() {
+    if (!speechRecognitionAdapter) {
+        const webAdapter = new WebSpeechRecognitionAdapter();
+        if (webAdapter.isAvailable()) {
+            speechRecognitionAdapter = webAdapter;
+        }
+    }
+    
+    return speechRecognitionAdapter && speechRecognitionAdapter.isAvailable() ? speechRecognitionAdapter : null;
+}
+
+/**
+ * Speak button and status line, or a note that the answer has to be typed
+ */
+function getSpeakingControlsHTML(exerciseIndex) {
+    if (!getSpeechRecognitionAdapter()) {
+        return `<p class="speaking-fallback">Bu qurilmada ovozni tanish yo'q, javobni yozing / Speech recognition is not available here, type your answer</p>`;
+    }
+    
+    return `
+                <div class="speaking-controls">
+                    <button type="button" class="speak-btn" data-exercise="${exerciseIndex}" aria-pressed="false">🎤 Gapiring / Speak</button>
+                    <span class="speak-status" aria-live="polite"></span>
+                </div>
+    `;
+}
+
+/**
+ * Record one answer, put the transcript in the answer box and check it with the exercise's own button
+ * Resolves to the transcript, or null when nothing was recognised
+ */
+function listenForSpeech(exerciseElement) {
+    const adapter = getSpeechRecognitionAdapter();
+    const input = exerciseElement.querySelector('.exercise-input');
+    const button = exerciseElement.querySelector('.speak-btn');
+    const status = exerciseElement.querySelector('.speak-status');
+    const setStatus = (text) => {
+        if (status) status.textContent = text;
+    };
+    
+    if (!adapter || !input || input.disabled) {
+        return Promise.resolve(null);
+    }
+    
+    if (button) {
+        button.setAttribute('aria-pressed', 'true');
+    }
+    setStatus('Tinglanmoqda, gapiring... / Listening, speak now...');
+    
+    return adapter.listen().then(transcript => {
+        input.value = transcript;
+        exerciseElement.dataset.inputMode = 'speech';
+        setStatus(`Eshitildi / Heard: "${transcript}"`);
         
-        // Create icon element
-        const iconElement = document.createElement('span');
-        iconElement.className = 'feedback-icon';
-        iconElement.setAttribute('aria-hidden', 'true');
-        iconElement.textContent = feedbackData.icon;
-        iconElement.style.cssText = `
-            font-size: 16px;
-            font-weight: bold;
-            flex-shrink: 0;
-            margin-top: 2px;
-        `;
+        const checkButton = exerciseElement.querySelector('.check-answer-btn');
+        if (checkButton && !checkButton.disabled) {
+            checkButton.click();
+        }
+        return transcript;
+    }).catch(error => {
+        const code = error && error.message;
+        setStatus(SPEECH_RECOGNITION_MESSAGES[code] || SPEECH_RECOGNITION_MESSAGES.default);
+        if (button && SPEECH_RECOGNITION_BLOCKING_ERRORS.includes(code)) {
+            button.disabled = true;
+        }
+        input.focus();
+        return null;
+    }).then(transcript => {
+        if (button) {
+            button.setAttribute('aria-pressed', 'false');
+        }
+        return transcript;
+    });
+}
+
+/**
+ * Speak buttons on every page, delegated from the document; pressing again stops listening
+ */
+function setupSpeakingControls() {
+    if (setupSpeakingControls.ready) return;
+    setupSpeakingControls.ready = true;
+    
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest ? event.target.closest('.speak-btn') : null;
+        const exerciseElement = button && button.closest('.exercise');
+        if (!exerciseElement || button.disabled) return;
+        
+        if (button.getAttribute('aria-pressed') === 'true') {
+            const adapter = getSpeechRecognitionAdapter();
+            if (adapter) adapter.stop();
+        } else {
+            listenForSpeech(exerciseElement);
+        }
+    });
+}
+
+/**
+ * Dialogue Simulator
+ * A multi-turn conversation with a scripted supervisor, doctor or bank clerk, read from a dialogue tree
+ * in dialogues/. Each learner reply is classed as polite, unclear or wrong, and the partner answers
+ * and moves through the tree accordingly. Trees look like:
+ * { id, title, npc: { role, name }, learnerRole, start, nodes: { nodeId: { npc, npcUzbek,
+ *   expect: { answers, keywords, pattern, polite, minWords }, responses: { unclear, wrong }, next } } }
+ * next is a node id for a polite reply, or { polite, unclear, wrong }; unclear and wrong replies stay on the node
+ * unless next says otherwise. A node with end: true closes the conversation.
+ */
+class DialogueSimulator {
+    static DIALOGUE_PATH = 'dialogues/';
+    static DIALOGUES = ['supervisor-late', 'doctor-appointment', 'bank-account'];
+    static TURN_SCORES = { polite: 1, unclear: 0.5, wrong: 0 };
+    static PASS_SCORE = 0.6;
+    // Replies allowed on one node before the partner moves the conversation on anyway
+    static MAX_RETRIES = 2;
+
+    constructor(tree) {
+        if (!tree || !tree.nodes || !tree.nodes[tree.start]) {
+            throw new Error(`Invalid dialogue tree: ${tree && tree.id}`);
+        }
         
-        // Create message element
-        const messageElement = document.createElement('span');
-        messageElement.className = 'feedback-text';
-        messageElement.innerHTML = feedbackData.message;
-        messageElement.style.flex = '1';
+        this.tree = tree;
+        this.reset();
+    }
+
+    /**
+     * Fetch a dialogue tree by id and build a simulator for it
+     */
+    static load(dialogueId, basePath = DialogueSimulator.DIALOGUE_PATH) {
+        return fetch(`${basePath}${dialogueId}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(tree => new DialogueSimulator(tree));
+    }
+
+    reset() {
+        this.nodeId = this.tree.start;
+        this.retries = 0;
+        this.turns = [];
+        this.transcript = [];
+        this.addNpcLine(this.getCurrentNode().npc, this.getCurrentNode().npcUzbek);
+        this.ended = !!this.getCurrentNode().end;
+    }
+
+    getCurrentNode() {
+        return this.tree.nodes[this.nodeId];
+    }
+
+    addNpcLine(text, uzbek = '') {
+        this.transcript.push({ speaker: 'npc', text, uzbek: uzbek || '' });
+    }
+
+    /**
+     * polite: on topic and, where the node asks for it, polite
+     * unclear: on topic but too short or without polite words
+     * wrong: not an answer to what the partner said
+     */
+    classifyReply(reply, node = this.getCurrentNode()) {
+        const expect = node.expect || {};
+        const text = ` ${normalizeAnswer(reply)} `;
         
-        feedbackContent.appendChild(iconElement);
-        feedbackContent.appendChild(messageElement);
-        feedback.appendChild(feedbackContent);
+        const onTopic = (expect.answers || []).some(answer => validateStandardAnswer(reply, answer)) ||
+            (expect.keywords || []).some(keyword => text.includes(` ${normalizeAnswer(keyword)} `)) ||
+            (expect.pattern ? new RegExp(expect.pattern).test(reply) : false);
+        if (!onTopic) {
+            return 'wrong';
+        }
         
-        // Add hint if available
-        if (feedbackData.hint) {
-            const hintElement = document.createElement('div');
-            hintElement.className = 'exercise-hint';
-            hintElement.textContent = feedbackData.hint;
-            hintElement.style.cssText = `
-                margin-top: 8px;
-                font-size: 12px;
-                font-style: italic;
-                opacity: 0.8;
-            `;
-            feedback.appendChild(hintElement);
+        const wordCount = text.trim().split(/\s+/).filter(Boolean).length;
+        if (wordCount < (expect.minWords || 2)) {
+            return 'unclear';
         }
+        
+        return expect.polite === false || isPoliteReply(reply) ? 'polite' : 'unclear';
     }
 
     /**
-     * Display feedback with proper positioning for mobile (Requirement 2.3)
+     * Take the learner's reply; returns { outcome, score, npc: { text, uzbek }, ended }
      */
-    displayFeedback(feedback, exerciseElement) {
-        // Show the feedback
-        feedback.style.display = 'block';
+    respond(reply) {
+        if (this.ended) {
+            return null;
+        }
         
-        // Ensure feedback is visible on mobile devices
-        setTimeout(() => {
-            const feedbackRect = feedback.getBoundingClientRect();
-            const viewportHeight = window.innerHeight;
-            
-            // If feedback is below viewport, scroll it into view
-            if (feedbackRect.bottom > viewportHeight) {
-                feedback.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'nearest',
-                    inline: 'nearest'
-                });
-            }
-        }, 100);
+        const node = this.getCurrentNode();
+        const outcome = this.classifyReply(reply, node);
+        const score = DialogueSimulator.TURN_SCORES[outcome];
+        this.turns.push({ nodeId: this.nodeId, prompt: node.npc, reply, outcome, score });
+        this.transcript.push({ speaker: 'learner', text: reply, outcome });
+        
+        const next = typeof node.next === 'object' && node.next !== null ? node.next : { polite: node.next };
+        let nextId = next[outcome];
+        if (!nextId && outcome !== 'polite') {
+            this.retries++;
+            // After too many tries the partner lets it go and carries on
+            nextId = this.retries > DialogueSimulator.MAX_RETRIES ? next.polite : this.nodeId;
+        }
+        
+        let npc;
+        if (nextId === this.nodeId) {
+            npc = { text: (node.responses && node.responses[outcome]) || node.npc, uzbek: '' };
+        } else {
+            this.nodeId = nextId && this.tree.nodes[nextId] ? nextId : this.findEndNode();
+            this.retries = 0;
+            npc = { text: this.getCurrentNode().npc, uzbek: this.getCurrentNode().npcUzbek || '' };
+        }
+        
+        this.addNpcLine(npc.text, npc.uzbek);
+        this.ended = !!this.getCurrentNode().end;
+        return { outcome, score, npc, ended: this.ended };
     }
 
     /**
-     * Manage focus for accessibility (Requirement 1.4)
+     * First node marked as an end, for trees whose next points nowhere
      */
-    manageFeedbackFocus(feedback) {
-        // Make feedback focusable temporarily for screen readers
-        feedback.setAttribute('tabindex', '-1');
-        
-        // Focus the feedback for screen reader announcement
-        setTimeout(() => {
-            feedback.focus();
-        }, 100);
-        
-        // Remove focus management after announcement
-        setTimeout(() => {
-            feedback.removeAttribute('tabindex');
-            feedback.blur();
-        }, 2000);
+    findEndNode() {
+        return Object.keys(this.tree.nodes).find(id => this.tree.nodes[id].end) || this.tree.start;
     }
 
     /**
-     * Update progress for completed exercise
-     * Integrates with ProgressTracker system
-     * Requirements: 4.4, 5.3
+     * Per-turn scores and the conversation score (mean of the turns)
      */
-    updateProgress(exerciseIndex, isCompleted) {
-        if (!isCompleted) return;
+    getSummary() {
+        const total = this.turns.reduce((sum, turn) => sum + turn.score, 0);
+        const score = this.turns.length > 0 ? total / this.turns.length : 0;
         
-        try {
-            // Call the global updateProgressTracking function
-            if (typeof updateProgressTracking === 'function') {
-                updateProgressTracking(exerciseIndex, isCompleted);
-            } else {
-                console.warn('updateProgressTracking function not available');
-            }
-            
-            // Update local exercise state
-            if (this.exercises[exerciseIndex]) {
-                this.exercises[exerciseIndex].completed = true;
-            }
-            
-            // Update progress display
-            this.updateProgressDisplay();
-            
-        } catch (error) {
-            console.error('Error updating progress:', error);
-        }
+        return {
+            dialogueId: this.tree.id,
+            title: this.tree.title,
+            turns: this.turns.slice(),
+            transcript: this.transcript.slice(),
+            score,
+            passed: score >= DialogueSimulator.PASS_SCORE
+        };
+    }
+
+    generateHTML() {
+        const npc = this.tree.npc || {};
+        return `
+            <div class="dialogue-sim-header">
+                <h3 class="dialogue-sim-title">${this.tree.title}</h3>
+                <p class="dialogue-sim-roles">Siz / You: ${this.tree.learnerRole || 'worker'} · Suhbatdosh / Partner: ${npc.name ? `${npc.name}, ` : ''}${npc.role || ''}</p>
+            </div>
+            <ol class="dialogue-sim-log" aria-live="polite"></ol>
+            <div class="dialogue-sim-input">
+                <input type="text" class="dialogue-sim-reply" placeholder="Javobingizni yozing... / Type your reply..." aria-label="Your reply" autocomplete="off">
+                <button type="button" class="dialogue-sim-send">Yuborish / Send</button>
+            </div>
+            <div class="dialogue-sim-summary" hidden></div>
+        `;
     }
 
     /**
-     * Dispatch exercise completion event
-     * Allows other systems to listen for exercise completion
-     * Requirements: 5.3
+     * Render the conversation into a .dialogue-sim element
      */
-    dispatchExerciseEvent(exerciseIndex, isCorrect) {
-        try {
-            const event = new CustomEvent('exerciseCompleted', {
-                detail: {
-                    exerciseIndex,
-                    isCorrect,
-                    chapterId: this.chapterId,
-                    timestamp: new Date().toISOString()
-                }
-            });
-            
-            document.dispatchEvent(event);
-            
-            // Also dispatch progress update event if correct
-            if (isCorrect) {
-                const progressEvent = new CustomEvent('progressUpdate', {
-                    detail: {
-                        exerciseIndex,
-                        chapterId: this.chapterId
-                    }
-                });
-                
-                document.dispatchEvent(progressEvent);
-            }
-            
-        } catch (error) {
-            console.error('Error dispatching exercise event:', error);
-        }
+    mount(container) {
+        dialogueSimulators.set(container, this);
+        container.innerHTML = this.generateHTML();
+        this.transcript.forEach(line => appendDialogueLine(container, line, this.tree));
+        return container;
     }
 }
 
+// Outcome labels shown next to the learner's replies and in the summary
+const DIALOGUE_OUTCOME_LABELS = {
+    polite: "Xushmuomala / Polite",
+    unclear: "Noaniq / Unclear",
+    wrong: "Mavzudan tashqari / Off topic"
+};
+
+// Words that make a workplace reply polite
+const POLITE_REPLY_PHRASES = [
+    'please', 'thank you', 'thanks', 'sorry', 'excuse me', 'could you', 'would you', 'could i',
+    'can i', 'may i', 'i would like', "i'd like", 'here you are', 'of course'
+];
+
 /**
- * Farm Work Exercise Manager
- * Specialized manager for farm-specific exercise scenarios
+ * Whether a reply uses at least one polite phrase
  */
-class FarmWorkExerciseManager {
-    constructor() {
-        this.farmScenarios = this.initializeFarmScenarios();
-        this.safetyScenarios = this.initializeSafetyScenarios();
-        this.supervisorScenarios = this.initializeSupervisorScenarios();
-    }
+function isPoliteReply(reply) {
+    const text = ` ${String(reply || '').toLowerCase().replace(/[.,!?;:]/g, ' ').replace(/\s+/g, ' ')} `;
+    return POLITE_REPLY_PHRASES.some(phrase => text.includes(` ${phrase} `));
+}
 
-    initializeFarmScenarios() {
-        return [
-            {
-                scenario: "You are picking strawberries in the field. Your supervisor asks you to move to a different row.",
-                question: "How do you respond to show you understand?",
-                correctAnswer: ["yes sir", "okay", "i understand", "which row"],
-                context: "farm"
-            },
-            {
-                scenario: "It's raining and you're working outside. Your clothes are getting wet.",
-                question: "What should you ask your supervisor?",
-                correctAnswer: ["can we go inside", "should we stop", "is there shelter"],
-                context: "weather"
-            },
-            {
-                scenario: "You finished your section early. Other workers are still busy.",
-                question: "What do you say to your supervisor?",
-                correctAnswer: ["i finished my section", "what should i do next", "can i help others"],
-                context: "farm"
-            }
-        ];
+// Simulator behind each mounted .dialogue-sim element
+const dialogueSimulators = new WeakMap();
+
+/**
+ * Add one line of the conversation to the log
+ */
+function appendDialogueLine(container, line, tree) {
+    const log = container.querySelector('.dialogue-sim-log');
+    const item = document.createElement('li');
+    item.className = `dialogue-line dialogue-line-${line.speaker}`;
+    
+    const speaker = document.createElement('span');
+    speaker.className = 'dialogue-line-speaker';
+    speaker.textContent = line.speaker === 'npc' ? `${(tree.npc && tree.npc.name) || 'Partner'}:` : 'Siz / You:';
+    const text = document.createElement('span');
+    text.className = 'dialogue-line-text';
+    text.textContent = ` ${line.text}`;
+    item.append(speaker, text);
+    
+    if (line.uzbek) {
+        const uzbek = document.createElement('span');
+        uzbek.className = 'dialogue-line-uzbek';
+        uzbek.textContent = line.uzbek;
+        item.appendChild(uzbek);
     }
+    if (line.outcome) {
+        const badge = document.createElement('span');
+        badge.className = `dialogue-turn-badge turn-${line.outcome}`;
+        badge.textContent = DIALOGUE_OUTCOME_LABELS[line.outcome];
+        item.appendChild(badge);
+    }
+    
+    log.appendChild(item);
+}
 
-    initializeSafetyScenarios() {
-        return [
-            {
-                scenario: "You see a broken tool on the ground that could hurt someone.",
-                question: "What is the first thing you should do?",
-                correctAnswer: ["report to supervisor", "tell someone", "move it away", "make it safe"],
-                context: "safety"
-            },
-            {
-                scenario: "A coworker cuts their hand while working. They are bleeding.",
-                question: "What should you do immediately?",
-                correctAnswer: ["get first aid", "call supervisor", "help stop bleeding", "get help"],
-                context: "emergency"
-            },
-            {
-                scenario: "You don't know how to use a new piece of equipment safely.",
-                question: "What should you do before using it?",
-                correctAnswer: ["ask for training", "ask supervisor", "learn how to use", "get help"],
-                context: "safety"
-            }
-        ];
-    }
+/**
+ * Turn-by-turn scores and the conversation score, with a button to start again
+ */
+function renderDialogueSummary(container, summary) {
+    const summaryElement = container.querySelector('.dialogue-sim-summary');
+    const rows = summary.turns.map((turn, index) => `
+        <tr class="turn-${turn.outcome}">
+            <td>${index + 1}</td>
+            <td>${escapeAnswerDiffText(turn.reply)}</td>
+            <td>${DIALOGUE_OUTCOME_LABELS[turn.outcome]}</td>
+            <td>${Math.round(turn.score * 100)}%</td>
+        </tr>
+    `).join('');
+    const percent = Math.round(summary.score * 100);
+    
+    summaryElement.innerHTML = `
+        <h4>Suhbat yakuni / Conversation summary</h4>
+        <table class="dialogue-summary-table">
+            <thead><tr><th>#</th><th>Javobingiz / Your reply</th><th>Baho / Result</th><th>Ball / Score</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="dialogue-summary-score">${summary.passed ? '🎉' : '💪'} Umumiy ball / Overall score: ${percent}%</p>
+        <button type="button" class="dialogue-sim-restart">Qaytadan / Try again</button>
+    `;
+    summaryElement.hidden = false;
+    
+    container.querySelectorAll('.dialogue-sim-reply, .dialogue-sim-send').forEach(element => {
+        element.disabled = true;
+    });
+    announceToScreenReaderSafely(`Suhbat tugadi. Umumiy ball ${percent}% / Conversation finished. Overall score ${percent}%`);
+}
 
-    initializeSupervisorScenarios() {
-        return [
-            {
-                scenario: "Your supervisor gives you instructions but you don't understand everything.",
-                question: "How do you politely ask for clarification?",
-                correctAnswer: ["could you repeat please", "i don't understand", "can you explain", "sorry what"],
-                context: "communication"
-            },
-            {
-                scenario: "You need to take a break but you're not sure if it's break time.",
-                question: "How do you ask your supervisor?",
-                correctAnswer: ["can i take a break", "is it break time", "may i rest", "excuse me"],
-                context: "supervisor"
-            },
-            {
-                scenario: "Your supervisor asks if you can work overtime today.",
-                question: "How do you respond if you can work extra hours?",
-                correctAnswer: ["yes i can", "okay", "how many hours", "what time"],
-                context: "supervisor"
-            }
-        ];
+/**
+ * Send the typed reply of a mounted simulator
+ */
+function sendDialogueReply(container) {
+    const simulator = dialogueSimulators.get(container);
+    const input = container.querySelector('.dialogue-sim-reply');
+    const reply = input ? input.value.trim() : '';
+    if (!simulator || !reply || simulator.ended) {
+        return null;
     }
-
-    createRandomFarmExercise(exerciseIndex = 0) {
-        const scenarios = [...this.farmScenarios, ...this.safetyScenarios, ...this.supervisorScenarios];
-        const randomScenario = scenarios[Math.floor(Math.random() * scenarios.length)];
-        
-        return new ScenarioExercise(
-            randomScenario.scenario,
-            randomScenario.question,
-            randomScenario.correctAnswer,
-            randomScenario.context,
-            '',
-            exerciseIndex
-        );
+    
+    const result = simulator.respond(reply);
+    simulator.transcript.slice(-2).forEach(line => appendDialogueLine(container, line, simulator.tree));
+    input.value = '';
+    
+    if (result.ended) {
+        const summary = simulator.getSummary();
+        renderDialogueSummary(container, summary);
+        document.dispatchEvent(new CustomEvent('dialogueCompleted', {
+            detail: { dialogueId: summary.dialogueId, score: summary.score, passed: summary.passed, turns: summary.turns.length }
+        }));
+    } else {
+        input.focus();
     }
+    
+    return result;
+}
 
-    createSafetyExercise(exerciseIndex = 0) {
-        const scenario = this.safetyScenarios[Math.floor(Math.random() * this.safetyScenarios.length)];
+/**
+ * Mount every <div class="dialogue-sim" data-dialogue="id"> on the page and handle its controls
+ */
+function setupDialogueSimulators() {
+    if (!setupDialogueSimulators.ready) {
+        setupDialogueSimulators.ready = true;
         
-        return new FarmSafetyExercise(
-            scenario.scenario,
-            scenario.question,
-            scenario.correctAnswer,
-            '',
-            exerciseIndex
-        );
-    }
-
-    createSupervisorCommunicationExercise(exerciseIndex = 0) {
-        const scenario = this.supervisorScenarios[Math.floor(Math.random() * this.supervisorScenarios.length)];
+        document.addEventListener('click', (event) => {
+            const container = event.target.closest ? event.target.closest('.dialogue-sim') : null;
+            if (!container) return;
+            
+            if (event.target.classList.contains('dialogue-sim-send')) {
+                sendDialogueReply(container);
+            } else if (event.target.classList.contains('dialogue-sim-restart')) {
+                const simulator = dialogueSimulators.get(container);
+                simulator.reset();
+                simulator.mount(container);
+            }
+        });
         
-        return new SupervisorCommunicationExercise(
-            scenario.scenario,
-            scenario.question,
-            scenario.correctAnswer,
-            '',
-            exerciseIndex
-        );
-    }
-
-    createEquipmentExercise(exerciseIndex = 0) {
-        const equipmentScenarios = [
-            {
-                scenario: "You need to use a wheelbarrow to move harvested vegetables.",
-                question: "What equipment do you need?",
-                correctAnswer: "wheelbarrow",
-                equipment: ["wheelbarrow", "cart", "trolley"]
-            },
-            {
-                scenario: "It's sunny and you'll be working outside all day.",
-                question: "What should you wear to protect yourself?",
-                correctAnswer: "hat and sunscreen",
-                equipment: ["hat", "cap", "sunscreen", "sunblock"]
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && event.target.classList.contains('dialogue-sim-reply')) {
+                event.preventDefault();
+                sendDialogueReply(event.target.closest('.dialogue-sim'));
             }
-        ];
+        });
+    }
+    
+    document.querySelectorAll('.dialogue-sim[data-dialogue]').forEach(container => {
+        if (dialogueSimulators.has(container)) return;
         
-        const scenario = equipmentScenarios[Math.floor(Math.random() * equipmentScenarios.length)];
+        DialogueSimulator.load(container.dataset.dialogue)
+            .then(simulator => simulator.mount(container))
+            .catch(error => {
+                console.warn(`Could not load dialogue ${container.dataset.dialogue}:`, error);
+                container.textContent = "Suhbatni yuklab bo'lmadi / Could not load the dialogue";
+            });
+    });
+}
+
+// Chapter quiz (?mode=quiz): questions drawn from each source; sources with too few items are topped up from the others
+const QUIZ_QUESTION_MIX = { exercise: 6, vocabulary: 2, dialogue: 2 };
+const QUIZ_CHOICE_COUNT = 4;
+const QUIZ_PASS_SCORE = 0.7;
+// Exercise types that need their own board or audio controls stay out of the quiz
+const QUIZ_EXCLUDED_TYPES = ['matching', 'sentence-order', 'listening', 'dictation', 'speaking'];
+
+/**
+ * Answer passed inline by chapters 19-24: onclick="checkAnswer('ex1', 'playing', ...)"
+ */
+function getInlineCheckAnswer(exerciseElement) {
+    const button = exerciseElement.querySelector('button[onclick*="checkAnswer"]');
+    const match = button ? button.getAttribute('onclick').match(/checkAnswer\(\s*'[^']*'\s*,\s*(['"])((?:\\.|(?!\1).)*)\1/) : null;
+    return match ? match[2].replace(/\\(.)/g, '$1').trim() : '';
+}
+
+/**
+ * Quiz questions from the chapter's typed-answer exercises, without their inputs and hints
+ */
+function getQuizExerciseQuestions(exercises) {
+    return exercises
+        .filter(exercise => !QUIZ_EXCLUDED_TYPES.includes(exercise.type))
+        .map(exercise => {
+            const input = findInputElement(exercise.element);
+            if (!input || input.type === 'radio') return null;
+            
+            // Chapter 24 keeps its answers in data-correct-answer
+            const correctAnswer = getCorrectAnswer(exercise.element, input) || exercise.element.dataset.correctAnswer ||
+                getInlineCheckAnswer(exercise.element);
+            const prompt = exercise.element.cloneNode(true);
+            prompt.querySelectorAll('.exercise-input-group, .exercise-feedback, .hint-btn, .exercise-hint, .exercise-hint-ladder, input, textarea, button')
+                .forEach(element => element.remove());
+            if (!correctAnswer || !prompt.textContent.trim()) return null;
+            
+            return {
+                kind: 'exercise',
+                exerciseIndex: exercise.index,
+                element: exercise.element,
+                promptHTML: prompt.innerHTML,
+                correctAnswer
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * English lines of the chapter dialogues with their Uzbek translation, in the { english, match } shape of vocabulary pairs
+ */
+function readDialogueLines(root = document) {
+    const lines = [];
+    
+    root.querySelectorAll('.dialog .dialog-text').forEach(textElement => {
+        const translation = textElement.nextElementSibling;
+        const english = textElement.textContent.trim();
+        if (english && translation && translation.classList.contains('dialog-translation') && translation.textContent.trim()) {
+            lines.push({ english, match: translation.textContent.trim() });
+        }
+    });
+    
+    return lines;
+}
+
+/**
+ * Multiple-choice questions asking for the Uzbek meaning; the other pairs' meanings are the wrong options
+ */
+function getQuizChoiceQuestions(pairs, kind, random = Math.random) {
+    if (pairs.length < 2) return [];
+    
+    return pairs.map(pair => {
+        const distractors = shuffleWithRandom(pairs.filter(other => other.match !== pair.match), random)
+            .slice(0, QUIZ_CHOICE_COUNT - 1)
+            .map(other => other.match);
         
-        return new FarmEquipmentExercise(
-            scenario.scenario,
-            scenario.question,
-            scenario.correctAnswer,
-            scenario.equipment,
-            '',
-            exerciseIndex
-        );
+        return {
+            kind,
+            prompt: pair.english,
+            options: shuffleWithRandom([pair.match, ...distractors], random),
+            correctAnswer: pair.match
+        };
+    });
+}
+
+/**
+ * Whether a quiz answer is right; typed answers go through the same validators as the chapter exercises
+ */
+function isQuizAnswerCorrect(question, userInput) {
+    if (!userInput) return false;
+    if (question.options) return userInput === question.correctAnswer;
+    
+    try {
+        return validateAnswer(userInput, question.correctAnswer, question.element);
+    } catch (error) {
+        console.error('Error validating quiz answer:', error);
+        return false;
     }
+}
 
-    createRolePlayingExercise(role = 'worker', exerciseIndex = 0) {
-        const rolePlayScenarios = {
-            'worker': [
-                {
-                    situation: "First day at the farm, meeting your supervisor",
-                    question: "Introduce yourself and ask what you should do first.",
-                    correctAnswer: "hello my name is... what should i do first"
-                },
-                {
-                    situation: "You don't feel well and need to go home early",
-                    question: "How do you tell your supervisor?",
-                    correctAnswer: "excuse me i don't feel well can i go home"
-                }
-            ],
-            'supervisor': [
-                {
-                    situation: "A new worker doesn't understand the task",
-                    question: "How do you explain the task clearly?",
-                    correctAnswer: "let me show you how to do this task"
-                }
-            ]
-        };
-        
-        const scenarios = rolePlayScenarios[role] || rolePlayScenarios['worker'];
-        const scenario = scenarios[Math.floor(Math.random() * scenarios.length)];
-        
-        return new RolePlayingExercise(
-            role,
-            scenario.situation,
-            scenario.question,
-            scenario.correctAnswer,
-            '',
-            exerciseIndex
-        );
+/**
+ * Elapsed quiz time as m:ss
+ */
+function formatQuizTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function getQuizQuestionHTML(question, index) {
+    let prompt = question.promptHTML;
+    if (question.kind === 'vocabulary') {
+        prompt = `<strong>"${escapeAnswerDiffText(question.prompt)}"</strong> so'zining ma'nosini tanlang / Choose the meaning`;
+    } else if (question.kind === 'dialogue') {
+        prompt = `<em>"${escapeAnswerDiffText(question.prompt)}"</em><br>Tarjimasini tanlang / Choose the translation`;
     }
+    
+    const answer = question.options ? `
+                <div class="quiz-options" role="radiogroup" aria-label="Question ${index + 1}">
+                    ${question.options.map(option => `
+                    <label class="quiz-option">
+                        <input type="radio" class="quiz-answer" name="quiz-question-${index}" value="${escapeAnswerDiffText(option)}">
+                        <span>${escapeAnswerDiffText(option)}</span>
+                    </label>`).join('')}
+                </div>` : `
+                <input type="text" class="quiz-answer" aria-label="Answer to question ${index + 1}" placeholder="Javobingizni kiriting..." autocomplete="off">`;
+    
+    return `
+            <li class="quiz-question" data-question="${index}">
+                <div class="quiz-prompt">${prompt}</div>
+                ${answer}
+                <div class="quiz-question-feedback" hidden></div>
+            </li>`;
 }
 
 /**
- * Exercise Factory for creating different exercise types
- * Updated to work with new Exercise class system and farm-specific exercises
+ * The quiz panel: timer, numbered questions without hints, and the finish button
  */
-class ExerciseFactory {
-    static farmManager = new FarmWorkExerciseManager();
+function getQuizHTML(questions, quizProgress) {
+    const best = quizProgress && quizProgress.attempts > 0 ?
+        ` · Eng yaxshi natija / Best: ${Math.round(quizProgress.bestScore * 100)}%` : '';
+    
+    return `
+            <h2 class="section-title">Bob testi / Chapter quiz</h2>
+            <p class="quiz-intro">${questions.length} ta savol, maslahatlarsiz / ${questions.length} questions, no hints${best}</p>
+            <p class="quiz-timer">⏱ <span class="quiz-time" role="timer">0:00</span></p>
+            <ol class="quiz-questions">${questions.map(getQuizQuestionHTML).join('')}
+            </ol>
+            <button type="button" class="quiz-submit">Testni yakunlash / Finish quiz</button>
+            <div class="quiz-result" aria-live="polite" hidden></div>
+    `;
+}
 
-    /**
-     * Create fill-in-the-blank exercise
-     */
-    static createFillBlankExercise(question, answer, hint = '', exerciseIndex = 0, placeholder = "Javobingizni kiriting...") {
-        return new FillInBlankExercise(question, answer, hint, exerciseIndex, placeholder);
+/**
+ * Current answer of a quiz question: the chosen option or the typed text
+ */
+function getQuizAnswer(questionElement) {
+    const chosen = questionElement.querySelector('input[type="radio"].quiz-answer:checked');
+    const typed = questionElement.querySelector('input[type="text"].quiz-answer');
+    return chosen ? chosen.value : (typed ? typed.value.trim() : '');
+}
+
+function markQuizQuestion(questionElement, isCorrect, correctAnswer) {
+    const feedback = questionElement.querySelector('.quiz-question-feedback');
+    questionElement.classList.add(isCorrect ? 'quiz-correct' : 'quiz-incorrect');
+    questionElement.querySelectorAll('.quiz-answer').forEach(input => {
+        input.disabled = true;
+    });
+    
+    feedback.innerHTML = isCorrect ? "✓ To'g'ri / Correct" :
+        `✗ To'g'ri javob / Correct answer: <strong>${escapeAnswerDiffText(correctAnswer)}</strong>`;
+    feedback.hidden = false;
+}
+
+function renderQuizResult(container, result) {
+    const percent = Math.round(result.score * 100);
+    const resultElement = container.querySelector('.quiz-result');
+    
+    resultElement.innerHTML = `
+        <p class="quiz-score">${result.score >= QUIZ_PASS_SCORE ? '🎉' : '💪'} ${result.correct}/${result.total} · ${percent}% · ⏱ ${formatQuizTime(result.durationSeconds)}</p>
+        <p>${result.score >= QUIZ_PASS_SCORE ? "Ajoyib! Bob yaxshi o'zlashtirildi. / Well done!" : "Mashqlarni takrorlab, qayta urinib ko'ring. / Review the exercises and try again."}</p>
+        <a class="quiz-retry" href="${window.location.pathname}?mode=quiz">Yangi test / New quiz</a>
+        <a class="quiz-exit" href="${window.location.pathname}">Bobga qaytish / Back to the chapter</a>
+    `;
+    resultElement.hidden = false;
+    container.querySelector('.quiz-submit').disabled = true;
+    announceToScreenReaderSafely(`Test tugadi: ${percent}% / Quiz finished: ${percent}%`);
+}
+
+class InteractiveExercises {
+    // Instance that owns the document-level exercise listeners
+    static listeningInstance = null;
+
+    constructor(chapterId) {
+        this.chapterId = chapterId;
+        this.exercises = [];
+        this.exerciseObjects = []; // Store Exercise class instances
+        this.currentExercise = null;
+        this.init();
     }
 
     /**
-     * Create multiple choice exercise
+     * Initialize the exercise system
      */
-    static createMultipleChoiceExercise(question, options, correctAnswer, hint = '', exerciseIndex = 0) {
-        return new MultipleChoiceExercise(question, options, correctAnswer, hint, exerciseIndex);
+    init() {
+        this.setupEventListeners();
+        this.loadExercises();
+        
+        // ?mode=quiz swaps the chapter for a timed quiz drawn from its content
+        if (InteractiveExercises.isQuizMode()) {
+            this.startQuiz();
+        } else {
+            this.addQuizLink();
+        }
+        
+        this.updateProgressDisplay();
+        this.setupAccessibility();
     }
 
     /**
-     * Create translation exercise
+     * Setup accessibility features
      */
-    static createTranslationExercise(sourceText, targetAnswer, direction = 'en-uz', hint = '', exerciseIndex = 0) {
-        return new TranslationExercise(sourceText, targetAnswer, direction, hint, exerciseIndex);
+    setupAccessibility() {
+        // Add keyboard navigation support
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Tab') {
+                this.handleTabNavigation(event);
+            }
+            
+            // Add Enter key support for buttons
+            if (event.key === 'Enter' && event.target.classList.contains('check-answer-btn')) {
+                event.preventDefault();
+                event.target.click();
+            }
+            
+            // Add Space key support for radio buttons
+            if (event.key === ' ' && event.target.type === 'radio') {
+                event.preventDefault();
+                event.target.checked = true;
+                event.target.dispatchEvent(new Event('change'));
+            }
+        });
+
+        // Add focus management
+        const exerciseInputs = document.querySelectorAll('.exercise-input');
+        exerciseInputs.forEach(input => {
+            input.addEventListener('focus', () => {
+                input.parentElement.parentElement.classList.add('focused');
+                // Announce exercise to screen readers
+                this.announceExercise(input);
+            });
+            
+            input.addEventListener('blur', () => {
+                input.parentElement.parentElement.classList.remove('focused');
+            });
+        });
+
+        // Add ARIA live region for announcements
+        this.createAriaLiveRegion();
     }
 
     /**
-     * Create scenario exercise for farm work
+     * Create ARIA live region for screen reader announcements
      */
-    static createScenarioExercise(scenario, question, correctAnswer, context = 'farm', hint = '', exerciseIndex = 0) {
-        return new ScenarioExercise(scenario, question, correctAnswer, context, hint, exerciseIndex);
+    createAriaLiveRegion() {
+        if (!document.getElementById('aria-live-region')) {
+            const liveRegion = document.createElement('div');
+            liveRegion.id = 'aria-live-region';
+            liveRegion.className = 'sr-only';
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(liveRegion);
+        }
     }
 
     /**
-     * Create farm safety exercise
+     * Announce exercise information to screen readers
      */
-    static createSafetyExercise(scenario, question, correctAnswer, hint = '', exerciseIndex = 0) {
-        return new FarmSafetyExercise(scenario, question, correctAnswer, hint, exerciseIndex);
+    announceExercise(inputElement) {
+        const exerciseIndex = parseInt(inputElement.dataset.exercise);
+        const exercise = this.exercises[exerciseIndex];
+        
+        if (exercise) {
+            const announcement = `Exercise ${exerciseIndex + 1}. ${exercise.question}`;
+            this.announceToScreenReader(announcement);
+        }
     }
 
     /**
-     * Create supervisor communication exercise
+     * Announce message to screen readers
      */
-    static createSupervisorExercise(scenario, question, correctAnswer, hint = '', exerciseIndex = 0) {
-        return new SupervisorCommunicationExercise(scenario, question, correctAnswer, hint, exerciseIndex);
+    announceToScreenReader(message) {
+        const liveRegion = document.getElementById('aria-live-region');
+        if (liveRegion) {
+            liveRegion.textContent = message;
+            // Clear after announcement
+            setTimeout(() => {
+                liveRegion.textContent = '';
+            }, 1000);
+        }
     }
 
     /**
-     * Create farm equipment exercise
+     * Setup event listeners for exercise interactions
      */
-    static createEquipmentExercise(scenario, question, correctAnswer, equipment, hint = '', exerciseIndex = 0) {
-        return new FarmEquipmentExercise(scenario, question, correctAnswer, equipment, hint, exerciseIndex);
+    setupEventListeners() {
+        // Chapter pages build the system twice (exerciseSystem and interactiveExercises);
+        // only the first instance listens so each check is handled and recorded once
+        if (InteractiveExercises.listeningInstance) {
+            return;
+        }
+        InteractiveExercises.listeningInstance = this;
+
+        // Listen for check answer button clicks
+        document.addEventListener('click', (event) => {
+            if (event.target.classList.contains('check-answer-btn')) {
+                const exerciseIndex = parseInt(event.target.dataset.exercise);
+                this.checkAnswer(exerciseIndex);
+            } else if (event.target.classList.contains('hint-btn') && event.target.dataset.exercise !== undefined) {
+                this.showHint(parseInt(event.target.dataset.exercise));
+            }
+        });
+
+        // Listen for Enter key in input fields
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && event.target.classList.contains('exercise-input')) {
+                const exerciseIndex = parseInt(event.target.dataset.exercise);
+                this.checkAnswer(exerciseIndex);
+            }
+        });
+
+        // Listen for progress updates
+        document.addEventListener('progressUpdate', () => {
+            this.updateProgressDisplay();
+        });
+    }
+
+    /**
+     * Load exercises from the page
+     */
+    loadExercises() {
+        const exerciseElements = document.querySelectorAll('.exercise');
+        exerciseElements.forEach((element, index) => {
+            const exercise = this.parseExerciseElement(element, index);
+            if (exercise) {
+                this.exercises.push(exercise);
+                
+                // Create corresponding Exercise class instance
+                const exerciseObject = this.createExerciseObject(exercise);
+                if (exerciseObject) {
+                    exerciseObject.element = element;
+                    this.exerciseObjects.push(exerciseObject);
+                }
+            }
+        });
+    }
+
+    /**
+     * Parse exercise element to extract exercise data
+     */
+    parseExerciseElement(element, index) {
+        const type = element.dataset.type || 'fill-blank';
+        const question = element.querySelector('.exercise-question')?.textContent || '';
+        const correctAnswer = element.dataset.answer || '';
+        const hint = element.dataset.hint || '';
+        
+        return {
+            index,
+            type,
+            question,
+            correctAnswer: correctAnswer.toLowerCase().trim(),
+            hint,
+            // Matching exercises list pairs in data-answer or take them from the vocab tables
+            pairs: type === 'matching' ? getMatchingPairsFromElement(element) : null,
+            element,
+            completed: false,
+            attempts: 0
+        };
+    }
+
+    /**
+     * Create Exercise class instance based on exercise data
+     */
+    createExerciseObject(exerciseData) {
+        const { type, question, correctAnswer, hint, index } = exerciseData;
+        
+        switch (type) {
+            case 'fill-blank':
+                return new FillInBlankExercise(question, correctAnswer, hint, index);
+            
+            case 'multiple-choice':
+                // Extract options from the element
+                const options = Array.from(exerciseData.element.querySelectorAll('.exercise-option span'))
+                    .map(span => span.textContent.trim());
+                return new MultipleChoiceExercise(question, options, correctAnswer, hint, index);
+            
+            case 'translation':
+                // Extract source text from question
+                const sourceMatch = question.match(/Tarjima qiling \/ Translate:\s*(.+)/);
+                const sourceText = sourceMatch ? sourceMatch[1] : question;
+                return new TranslationExercise(sourceText, correctAnswer, 'en-uz', hint, index);
+            
+            case 'scenario':
+                // Extract scenario from element
+                const scenarioElement = exerciseData.element.querySelector('.exercise-scenario');
+                const scenario = scenarioElement ? scenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
+                const context = exerciseData.element.dataset.context || 'farm';
+                return new ScenarioExercise(scenario, question, correctAnswer, context, hint, index);
+            
+            case 'supervisor-communication':
+                const supervisorScenarioElement = exerciseData.element.querySelector('.exercise-scenario');
+                const supervisorScenario = supervisorScenarioElement ? supervisorScenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
+                return new SupervisorCommunicationExercise(supervisorScenario, question, correctAnswer, hint, index);
+            
+            case 'farm-safety':
+                const safetyScenarioElement = exerciseData.element.querySelector('.exercise-scenario');
+                const safetyScenario = safetyScenarioElement ? safetyScenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
+                return new FarmSafetyExercise(safetyScenario, question, correctAnswer, hint, index);
+            
+            case 'farm-equipment':
+                const equipmentScenarioElement = exerciseData.element.querySelector('.exercise-scenario');
+                const equipmentScenario = equipmentScenarioElement ? equipmentScenarioElement.textContent.replace(/Vaziyat \/ Scenario:\s*/, '').trim() : '';
+                const equipment = exerciseData.element.dataset.equipment ? exerciseData.element.dataset.equipment.split(',') : [];
+                return new FarmEquipmentExercise(equipmentScenario, question, correctAnswer, equipment, hint, index);
+            
+            case 'sentence-order':
+                // data-answer keeps the capitalisation the tiles show
+                const orderExercise = new SentenceOrderExercise(question, exerciseData.element.dataset.answer || correctAnswer, hint, index);
+                orderExercise.mountTiles(exerciseData.element);
+                return orderExercise;
+            
+            case 'listening':
+            case 'dictation':
+                // data-audio keeps the capitalisation and punctuation the voice reads
+                const listeningElement = exerciseData.element;
+                const audioText = listeningElement.dataset.audio || listeningElement.dataset.answer || correctAnswer;
+                const maxPlays = parseInt(listeningElement.dataset.maxPlays, 10) || LISTENING_MAX_PLAYS;
+                const listeningExercise = type === 'dictation' ?
+                    new DictationExercise(audioText, hint, index, maxPlays, question) :
+                    new ListeningExercise(question, audioText, correctAnswer,
+                        Array.from(listeningElement.querySelectorAll('.exercise-option span')).map(span => span.textContent.trim()),
+                        hint, index, maxPlays);
+                listeningExercise.mountControls(listeningElement);
+                return listeningExercise;
+            
+            case 'matching':
+                const matchingExercise = new MatchingExercise(question, exerciseData.pairs || [], hint, index, exerciseData.element.dataset.target || 'uzbek');
+                matchingExercise.mountBoard(exerciseData.element);
+                return matchingExercise;
+            
+            case 'speaking':
+                const speakingElement = exerciseData.element;
+                const speakingSituationElement = speakingElement.querySelector('.exercise-situation, .exercise-scenario');
+                const speakingSituation = speakingSituationElement ?
+                    speakingSituationElement.textContent.replace(/Vaziyat \/ (Situation|Scenario):\s*/, '').trim() : '';
+                const speakingExercise = new SpeakingExercise(speakingElement.dataset.role || 'worker', speakingSituation,
+                    question, correctAnswer, hint, index, speakingElement.dataset.validator || 'role-playing');
+                speakingExercise.mountControls(speakingElement);
+                return speakingExercise;
+            
+            case 'role-playing':
+                const roleElement = exerciseData.element.querySelector('.exercise-role');
+                const situationElement = exerciseData.element.querySelector('.exercise-situation');
+                const role = exerciseData.element.dataset.role || 'worker';
+                const situation = situationElement ? situationElement.textContent.replace(/Vaziyat \/ Situation:\s*/, '').trim() : '';
+                return new RolePlayingExercise(role, situation, question, correctAnswer, hint, index);
+            
+            default:
+                return new Exercise(question, correctAnswer, hint, index);
+        }
+    }
+
+    /**
+     * Check answer for specific exercise
+     */
+    checkAnswer(exerciseIndex) {
+        const exercise = this.exercises[exerciseIndex];
+        const exerciseObject = this.exerciseObjects[exerciseIndex];
+        
+        if (!exercise || !exerciseObject) {
+            console.error(`Exercise ${exerciseIndex} not found`);
+            return;
+        }
+
+        const userInput = this.getUserInput(exercise);
+        
+        // Earlier visits count towards the attempt number, so the stored score matches the chapter-page path
+        if (exerciseObject.attempts === 0) {
+            try {
+                exerciseObject.attempts = getPreviousExerciseAttempts(this.chapterId, exerciseIndex);
+            } catch (error) {
+                console.warn('Could not read earlier attempts:', error);
+            }
+        }
+        
+        // Use the Exercise class method for validation and feedback
+        const result = exerciseObject.checkAnswer(userInput);
+
+        // Keep a per-attempt record like the chapter-page path does (Requirement 1.5)
+        const inputElement = exercise.element.querySelector('.exercise-input');
+        recordExerciseAttempt(this.chapterId, exerciseIndex, userInput, result.isCorrect, exercise.element, inputElement, result.score);
+        if (!result.isCorrect) {
+            const reviewAnswer = Array.isArray(exerciseObject.correctAnswer) ? exerciseObject.correctAnswer.join('|') : exerciseObject.correctAnswer;
+            scheduleExerciseReview(this.chapterId, exerciseIndex, exercise.element, reviewAnswer);
+        }
+
+        // Update local exercise data
+        exercise.attempts = exerciseObject.attempts;
+        exercise.completed = exerciseObject.completed;
+        
+        // Update UI with feedback
+        this.showFeedback(exercise, result.isCorrect, userInput, result.feedback);
+        
+        // Update progress if correct
+        if (result.isCorrect && result.completed) {
+            this.updateProgress(exerciseIndex, true);
+        }
+        
+        // Dispatch completion event
+        this.dispatchExerciseEvent(exerciseIndex, result.isCorrect);
+        
+        return result;
+    }
+
+    /**
+     * Show the next step of an exercise's hint ladder
+     */
+    showHint(exerciseIndex) {
+        const exercise = this.exercises[exerciseIndex];
+        const exerciseObject = this.exerciseObjects[exerciseIndex];
+        
+        if (!exercise || !exerciseObject) {
+            console.error(`Exercise ${exerciseIndex} not found`);
+            return;
+        }
+        
+        const step = exerciseObject.takeHint();
+        if (step) {
+            renderHintStep(exercise.element, step);
+            recordExerciseHint(this.chapterId, exerciseIndex, step.level, exercise.element, exerciseObject.correctAnswer);
+        }
+    }
+
+    /**
+     * Whether the chapter was opened as a quiz (?mode=quiz)
+     */
+    static isQuizMode() {
+        return new URLSearchParams(window.location.search).get('mode') === 'quiz';
+    }
+
+    /**
+     * Link to the chapter quiz under the exercises heading
+     */
+    addQuizLink() {
+        const title = document.querySelector('.exercises-section .section-title');
+        if (!title || document.querySelector('.quiz-start-link')) return;
+        
+        const link = document.createElement('a');
+        link.className = 'quiz-start-link';
+        link.href = '?mode=quiz';
+        link.textContent = 'Bob testini boshlash / Take the chapter quiz';
+        title.insertAdjacentElement('afterend', link);
+    }
+
+    /**
+     * Draw a shuffled quiz from the chapter's exercises, vocabulary table and dialogues
+     */
+    buildQuizQuestions(random = Math.random, mix = QUIZ_QUESTION_MIX) {
+        const pools = {
+            exercise: shuffleWithRandom(getQuizExerciseQuestions(this.exercises), random),
+            vocabulary: shuffleWithRandom(getQuizChoiceQuestions(readVocabularyPairs(document, 'uzbek'), 'vocabulary', random), random),
+            dialogue: shuffleWithRandom(getQuizChoiceQuestions(readDialogueLines(document), 'dialogue', random), random)
+        };
+        const length = Object.values(mix).reduce((sum, count) => sum + count, 0);
+        
+        const questions = [];
+        Object.keys(mix).forEach(kind => {
+            questions.push(...(pools[kind] || []).splice(0, mix[kind]));
+        });
+        const leftovers = shuffleWithRandom([].concat(...Object.values(pools)), random);
+        questions.push(...leftovers.slice(0, length - questions.length));
+        
+        return shuffleWithRandom(questions, random);
+    }
+
+    /**
+     * Replace the chapter with a timed quiz; ?seed= repeats the same draw
+     */
+    startQuiz() {
+        // Each InteractiveExercises instance on the page runs init, but the page gets one quiz
+        if (document.querySelector('.chapter-quiz')) return null;
+        
+        const params = new URLSearchParams(window.location.search);
+        const random = params.has('seed') ? createSeededRandom(params.get('seed')) : Math.random;
+        const questions = this.buildQuizQuestions(random);
+        if (questions.length === 0) {
+            console.warn(`Chapter ${this.chapterId} has nothing to quiz on`);
+            return null;
+        }
+        
+        const quizProgress = typeof ProgressTracker !== 'undefined' ? ProgressTracker.getQuizProgress(this.chapterId) : null;
+        const container = document.createElement('section');
+        container.className = 'section chapter-quiz';
+        container.innerHTML = getQuizHTML(questions, quizProgress);
+        
+        const exercisesSection = document.querySelector('.exercises-section');
+        if (exercisesSection) {
+            exercisesSection.before(container);
+        } else {
+            (document.querySelector('main') || document.body).appendChild(container);
+        }
+        document.body.classList.add('quiz-mode');
+        
+        this.quiz = { questions, container, startedAt: Date.now(), finished: false };
+        this.quiz.timer = setInterval(() => {
+            container.querySelector('.quiz-time').textContent = formatQuizTime(Math.round((Date.now() - this.quiz.startedAt) / 1000));
+        }, 1000);
+        container.querySelector('.quiz-submit').addEventListener('click', () => this.finishQuiz());
+        
+        return this.quiz;
+    }
+
+    /**
+     * Mark every question, then save the score and time apart from exercise completion
+     */
+    finishQuiz() {
+        const quiz = this.quiz;
+        if (!quiz || quiz.finished) return null;
+        
+        quiz.finished = true;
+        clearInterval(quiz.timer);
+        
+        const durationSeconds = Math.round((Date.now() - quiz.startedAt) / 1000);
+        const answers = quiz.questions.map((question, index) => {
+            const questionElement = quiz.container.querySelector(`.quiz-question[data-question="${index}"]`);
+            const userInput = getQuizAnswer(questionElement);
+            const isCorrect = isQuizAnswerCorrect(question, userInput);
+            markQuizQuestion(questionElement, isCorrect, question.correctAnswer);
+            return { kind: question.kind, userInput, isCorrect };
+        });
+        
+        const correct = answers.filter(answer => answer.isCorrect).length;
+        const result = { chapterId: this.chapterId, score: correct / answers.length, correct, total: answers.length, durationSeconds, answers };
+        
+        if (typeof ProgressTracker !== 'undefined') {
+            ProgressTracker.recordQuizResult(this.chapterId, result.score, durationSeconds);
+        }
+        renderQuizResult(quiz.container, result);
+        document.dispatchEvent(new CustomEvent('quizCompleted', {
+            detail: { chapterId: this.chapterId, score: result.score, correct, total: result.total, durationSeconds }
+        }));
+        
+        return result;
     }
 
-    /**
-     * Create role playing exercise
-     */
-    static createRolePlayingExercise(role, situation, question, correctAnswer, hint = '', exerciseIndex = 0) {
-        return new RolePlayingExercise(role, situation, question, correctAnswer, hint, exerciseIndex);
-    }
+    /**
+     * Get user input from exercise
+     */
+    getUserInput(exercise) {
+        const inputElement = exercise.element.querySelector('.exercise-input');
+        if (!inputElement) return '';
+        
+        switch (exercise.type) {
+            case 'fill-blank':
+            case 'translation':
+                return inputElement.value.toLowerCase().trim();
+            
+            case 'multiple-choice':
+            case 'listening':
+                const selectedOption = exercise.element.querySelector('input[type="radio"]:checked');
+                if (selectedOption || exercise.type === 'multiple-choice') {
+                    return selectedOption ? selectedOption.value.toLowerCase().trim() : '';
+                }
+                return inputElement.value.toLowerCase().trim();
+            
+            default:
+                return inputElement.value.toLowerCase().trim();
+        }
+    }
+
+    /**
+     * Handle tab navigation for accessibility
+     */
+    handleTabNavigation(event) {
+        const focusableElements = document.querySelectorAll(
+            '.exercise-input, .check-answer-btn, input[type="radio"]'
+        );
+        
+        const currentIndex = Array.from(focusableElements).indexOf(document.activeElement);
+        
+        if (event.shiftKey) {
+            // Shift+Tab - go backwards
+            if (currentIndex === 0) {
+                event.preventDefault();
+                focusableElements[focusableElements.length - 1].focus();
+            }
+        } else {
+            // Tab - go forwards
+            if (currentIndex === focusableElements.length - 1) {
+                event.preventDefault();
+                focusableElements[0].focus();
+            }
+        }
+    }
+
+    /**
+     * Add exercise to the system programmatically
+     */
+    addExercise(exerciseObject) {
+        const index = this.exercises.length;
+        exerciseObject.exerciseIndex = index;
+        
+        // Create HTML and add to page
+        const exerciseHTML = exerciseObject.generateHTML();
+        const container = document.querySelector('.exercises-container') || document.body;
+        container.insertAdjacentHTML('beforeend', exerciseHTML);
+        
+        // Get the newly created element
+        const element = container.lastElementChild;
+        exerciseObject.element = element;
+        
+        // Add to arrays
+        this.exerciseObjects.push(exerciseObject);
+        this.exercises.push({
+            index,
+            type: exerciseObject.type,
+            question: exerciseObject.question,
+            correctAnswer: exerciseObject.correctAnswer,
+            hint: exerciseObject.hint,
+            element,
+            completed: false,
+            attempts: 0
+        });
+        
+        return index;
+    }
+
+    /**
+     * Enhanced showFeedback method with consistent styling and accessibility
+     * Requirements: 1.3, 1.4, 2.3
+     */
+    showFeedback(exercise, isCorrect, userInput, feedbackData = null) {
+        const feedbackElement = exercise.element.querySelector('.exercise-feedback') || 
+                               this.createFeedbackElement(exercise.element);
+        
+        // Clear previous feedback
+        feedbackElement.innerHTML = '';
+        feedbackElement.className = 'exercise-feedback';
+        
+        // Use feedbackData from Exercise class if available, with fallback
+        const feedback = feedbackData || {
+            type: isCorrect ? 'success' : 'error',
+            icon: isCorrect ? '✓' : '✗',
+            message: isCorrect ? "To'g'ri! (Correct!)" : `Noto'g'ri. To'g'ri javob: <strong>${exercise.correctAnswer}</strong>`,
+            class: isCorrect ? 'correct' : 'incorrect'
+        };
+        
+        // Apply consistent styling across all chapters (Requirement 1.3)
+        this.applyFeedbackStyling(feedbackElement, feedback);
+        
+        // Create accessible feedback content (Requirement 1.4, 2.3)
+        this.createFeedbackContent(feedbackElement, feedback);
+        
+        // Show feedback with proper positioning for mobile (Requirement 2.3)
+        this.displayFeedback(feedbackElement, exercise.element);
+        
+        // Handle accessibility announcements (Requirement 1.4)
+        this.announceToScreenReader(isCorrect ? 
+            "Correct answer! Well done." : 
+            getIncorrectAnswerAnnouncement(userInput, exercise.correctAnswer));
+        
+        if (isCorrect) {
+            // Disable input after correct answer
+            const inputElement = exercise.element.querySelector('.exercise-input');
+            if (inputElement) {
+                inputElement.disabled = true;
+                inputElement.classList.add('completed');
+                inputElement.setAttribute('aria-label', 'Exercise completed successfully');
+            }
+            
+            // Disable check button
+            const checkButton = exercise.element.querySelector('.check-answer-btn');
+            if (checkButton) {
+                checkButton.disabled = true;
+                checkButton.textContent = 'Completed';
+                checkButton.setAttribute('aria-label', 'Exercise completed');
+            }
+        }
+        
+        // Manage focus for accessibility (Requirement 1.4)
+        this.manageFeedbackFocus(feedbackElement);
+    }
+
+    /**
+     * Create feedback element if missing (Requirement 2.1, 2.2)
+     */
+    createFeedbackElement(exerciseElement) {
+        try {
+            const feedback = document.createElement('div');
+            feedback.className = 'exercise-feedback';
+            feedback.style.display = 'none';
+            feedback.setAttribute('aria-live', 'polite');
+            feedback.setAttribute('aria-atomic', 'true');
+            feedback.setAttribute('role', 'status');
+            
+            // Find the best insertion point
+            const insertionPoint = this.findFeedbackInsertionPoint(exerciseElement);
+            
+            if (insertionPoint.parent && insertionPoint.reference) {
+                insertionPoint.parent.insertBefore(feedback, insertionPoint.reference);
+            } else {
+                // Fallback: append to exercise container
+                exerciseElement.appendChild(feedback);
+            }
+            
+            return feedback;
+        } catch (error) {
+            console.warn('Error creating feedback element:', error);
+            // Create minimal fallback element (Requirement 2.1, 2.2)
+            const fallback = document.createElement('div');
+            fallback.className = 'exercise-feedback';
+            fallback.setAttribute('aria-live', 'polite');
+            exerciseElement.appendChild(fallback);
+            return fallback;
+        }
+    }
+
+    /**
+     * Find optimal insertion point for feedback element
+     */
+    findFeedbackInsertionPoint(exerciseElement) {
+        // Try to insert after input group
+        const inputGroup = exerciseElement.querySelector('.exercise-input-group');
+        if (inputGroup) {
+            return {
+                parent: inputGroup.parentNode,
+                reference: inputGroup.nextSibling
+            };
+        }
+        
+        // Try to insert after last input element
+        const lastInput = exerciseElement.querySelector('input:last-of-type, textarea:last-of-type, select:last-of-type');
+        if (lastInput) {
+            return {
+                parent: lastInput.parentNode,
+                reference: lastInput.nextSibling
+            };
+        }
+        
+        // Try to insert after check button
+        const checkButton = exerciseElement.querySelector('.check-answer-btn, button[onclick*="checkAnswer"]');
+        if (checkButton) {
+            return {
+                parent: checkButton.parentNode,
+                reference: checkButton.nextSibling
+            };
+        }
+        
+        // Fallback to end of container
+        return {
+            parent: exerciseElement,
+            reference: null
+        };
+    }
+
+    /**
+     * Apply consistent feedback styling across all chapters (Requirement 1.3)
+     */
+    applyFeedbackStyling(feedback, feedbackData) {
+        // Base classes for consistent styling
+        feedback.classList.add('exercise-feedback', feedbackData.class);
+        
+        // Add type-specific classes
+        if (feedbackData.type === 'success') {
+            feedback.classList.add('feedback-success');
+        } else if (feedbackData.type === 'error') {
+            feedback.classList.add('feedback-error');
+        } else if (feedbackData.type === 'warning') {
+            feedback.classList.add('feedback-warning');
+        }
+        
+        // Ensure mobile-friendly styling (Requirement 2.3)
+        feedback.style.cssText = `
+            display: block;
+            margin-top: 12px;
+            padding: 12px 16px;
+            border-radius: 8px;
+            font-size: 14px;
+            line-height: 1.4;
+            word-wrap: break-word;
+            max-width: 100%;
+            box-sizing: border-box;
+        `;
+        
+        // Apply color scheme based on feedback type
+        if (feedbackData.type === 'success') {
+            feedback.style.backgroundColor = '#e8f5e8';
+            feedback.style.color = '#2e7d32';
+            feedback.style.border = '1px solid #4caf50';
+        } else if (feedbackData.type === 'error') {
+            feedback.style.backgroundColor = '#ffebee';
+            feedback.style.color = '#d32f2f';
+            feedback.style.border = '1px solid #f44336';
+        } else if (feedbackData.type === 'warning') {
+            feedback.style.backgroundColor = '#fff3e0';
+            feedback.style.color = '#f57c00';
+            feedback.style.border = '1px solid #ff9800';
+        }
+    }
+
+    /**
+     * Create accessible feedback content (Requirement 1.4)
+     */
+    createFeedbackContent(feedback, feedbackData) {
+        // Create main feedback container
+        const feedbackContent = document.createElement('div');
+        feedbackContent.className = 'feedback-content';
+        feedbackContent.style.display = 'flex';
+        feedbackContent.style.alignItems = 'flex-start';
+        feedbackContent.style.gap = '8px';
+        
+        // Create icon element
+        const iconElement = document.createElement('span');
+        iconElement.className = 'feedback-icon';
+        iconElement.setAttribute('aria-hidden', 'true');
+        iconElement.textContent = feedbackData.icon;
+        iconElement.style.cssText = `
+            font-size: 16px;
+            font-weight: bold;
+            flex-shrink: 0;
+            margin-top: 2px;
+        `;
+        
+        // Create message element
+        const messageElement = document.createElement('span');
+        messageElement.className = 'feedback-text';
+        messageElement.innerHTML = feedbackData.message;
+        messageElement.style.flex = '1';
+        
+        feedbackContent.appendChild(iconElement);
+        feedbackContent.appendChild(messageElement);
+        feedback.appendChild(feedbackContent);
+        
+        // Add hint if available
+        if (feedbackData.hint) {
+            const hintElement = document.createElement('div');
+            hintElement.className = 'exercise-hint';
+            hintElement.textContent = feedbackData.hint;
+            hintElement.style.cssText = `
+                margin-top: 8px;
+                font-size: 12px;
+                font-style: italic;
+                opacity: 0.8;
+            `;
+            feedback.appendChild(hintElement);
+        }
+    }
+
+    /**
+     * Display feedback with proper positioning for mobile (Requirement 2.3)
+     */
+    displayFeedback(feedback, exerciseElement) {
+        // Show the feedback
+        feedback.style.display = 'block';
+        
+        // Ensure feedback is visible on mobile devices
+        setTimeout(() => {
+            const feedbackRect = feedback.getBoundingClientRect();
+            const viewportHeight = window.innerHeight;
+            
+            // If feedback is below viewport, scroll it into view
+            if (feedbackRect.bottom > viewportHeight) {
+                feedback.scrollIntoView({ 
+                    behavior: 'smooth', 
+                    block: 'nearest',
+                    inline: 'nearest'
+                });
+            }
+        }, 100);
+    }
+
+    /**
+     * Manage focus for accessibility (Requirement 1.4)
+     */
+    manageFeedbackFocus(feedback) {
+        // Make feedback focusable temporarily for screen readers
+        feedback.setAttribute('tabindex', '-1');
+        
+        // Focus the feedback for screen reader announcement
+        setTimeout(() => {
+            feedback.focus();
+        }, 100);
+        
+        // Remove focus management after announcement
+        setTimeout(() => {
+            feedback.removeAttribute('tabindex');
+            feedback.blur();
+        }, 2000);
+    }
+
+    /**
+     * Update progress for completed exercise
+     * Integrates with ProgressTracker system
+     * Requirements: 4.4, 5.3
+     */
+    updateProgress(exerciseIndex, isCompleted) {
+        if (!isCompleted) return;
+        
+        try {
+            // Call the global updateProgressTracking function
+            if (typeof updateProgressTracking === 'function') {
+                updateProgressTracking(exerciseIndex, isCompleted);
+            } else {
+                console.warn('updateProgressTracking function not available');
+            }
+            
+            // Update local exercise state
+            if (this.exercises[exerciseIndex]) {
+                this.exercises[exerciseIndex].completed = true;
+            }
+            
+            // Update progress display
+            this.updateProgressDisplay();
+            
+        } catch (error) {
+            console.error('Error updating progress:', error);
+        }
+    }
+
+    /**
+     * Dispatch exercise completion event
+     * Allows other systems to listen for exercise completion
+     * Requirements: 5.3
+     */
+    dispatchExerciseEvent(exerciseIndex, isCorrect) {
+        try {
+            const event = new CustomEvent('exerciseCompleted', {
+                detail: {
+                    exerciseIndex,
+                    isCorrect,
+                    chapterId: this.chapterId,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            
+            document.dispatchEvent(event);
+            
+            // Also dispatch progress update event if correct
+            if (isCorrect) {
+                const progressEvent = new CustomEvent('progressUpdate', {
+                    detail: {
+                        exerciseIndex,
+                        chapterId: this.chapterId
+                    }
+                });
+                
+                document.dispatchEvent(progressEvent);
+            }
+            
+        } catch (error) {
+            console.error('Error dispatching exercise event:', error);
+        }
+    }
+}
+
+/**
+ * Farm Work Exercise Manager
+ * Specialized manager for farm-specific exercise scenarios, loaded from per-workplace JSON packs
+ * in scenarios/ and tagged by chapter, CEFR level and skill
+ */
+class FarmWorkExerciseManager {
+    static SCENARIO_PACKS = ['strawberry-picking', 'packhouse', 'greenhouse', 'poultry'];
+    static SCENARIO_PACK_PATH = 'scenarios/';
+    static CATEGORIES = ['farm', 'safety', 'supervisor', 'equipment', 'role-play'];
+    // Order of a shift: instructions, work, equipment, safety, a request, wrapping up
+    static SHIFT_PLAN = ['supervisor', 'farm', 'equipment', 'farm', 'safety', 'role-play', 'supervisor', 'farm', 'safety', 'role-play'];
+
+    /**
+     * options: { seed } - the same seed picks the same scenarios, so a session can be replayed
+     */
+    constructor(options = {}) {
+        this.packs = {};
+        this.scenarios = [];
+        this.setSeed(options.seed !== undefined ? options.seed : Date.now());
+        this.addScenarioPack(this.initializeBuiltInPack());
+    }
+
+    /**
+     * Restart the random sequence; returns the seed so it can be stored with the session
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = createSeededRandom(seed);
+        return seed;
+    }
+
+    /**
+     * Scenarios that ship with the code, so exercises work before (or without) the JSON packs
+     */
+    initializeBuiltInPack() {
+        const tags = { chapters: [13, 14], level: 'A1', skill: 'spoken-interaction' };
+        const scenarios = [
+            {
+                category: 'farm',
+                scenario: "You are picking strawberries in the field. Your supervisor asks you to move to a different row.",
+                question: "How do you respond to show you understand?",
+                correctAnswer: ["yes sir", "okay", "i understand", "which row"],
+                context: "farm"
+            },
+            {
+                category: 'farm',
+                scenario: "It's raining and you're working outside. Your clothes are getting wet.",
+                question: "What should you ask your supervisor?",
+                correctAnswer: ["can we go inside", "should we stop", "is there shelter"],
+                context: "weather"
+            },
+            {
+                category: 'farm',
+                scenario: "You finished your section early. Other workers are still busy.",
+                question: "What do you say to your supervisor?",
+                correctAnswer: ["i finished my section", "what should i do next", "can i help others"],
+                context: "farm"
+            },
+            {
+                category: 'safety',
+                scenario: "You see a broken tool on the ground that could hurt someone.",
+                question: "What is the first thing you should do?",
+                correctAnswer: ["report to supervisor", "tell someone", "move it away", "make it safe"],
+                context: "safety"
+            },
+            {
+                category: 'safety',
+                scenario: "A coworker cuts their hand while working. They are bleeding.",
+                question: "What should you do immediately?",
+                correctAnswer: ["get first aid", "call supervisor", "help stop bleeding", "get help"],
+                context: "emergency"
+            },
+            {
+                category: 'safety',
+                scenario: "You don't know how to use a new piece of equipment safely.",
+                question: "What should you do before using it?",
+                correctAnswer: ["ask for training", "ask supervisor", "learn how to use", "get help"],
+                context: "safety"
+            },
+            {
+                category: 'supervisor',
+                scenario: "Your supervisor gives you instructions but you don't understand everything.",
+                question: "How do you politely ask for clarification?",
+                correctAnswer: ["could you repeat please", "i don't understand", "can you explain", "sorry what"],
+                context: "communication"
+            },
+            {
+                category: 'supervisor',
+                scenario: "You need to take a break but you're not sure if it's break time.",
+                question: "How do you ask your supervisor?",
+                correctAnswer: ["can i take a break", "is it break time", "may i rest", "excuse me"],
+                context: "supervisor"
+            },
+            {
+                category: 'supervisor',
+                scenario: "Your supervisor asks if you can work overtime today.",
+                question: "How do you respond if you can work extra hours?",
+                correctAnswer: ["yes i can", "okay", "how many hours", "what time"],
+                context: "supervisor"
+            },
+            {
+                category: 'equipment',
+                scenario: "You need to use a wheelbarrow to move harvested vegetables.",
+                question: "What equipment do you need?",
+                correctAnswer: "wheelbarrow",
+                equipment: ["wheelbarrow", "cart", "trolley"]
+            },
+            {
+                category: 'equipment',
+                scenario: "It's sunny and you'll be working outside all day.",
+                question: "What should you wear to protect yourself?",
+                correctAnswer: "hat and sunscreen",
+                equipment: ["hat", "cap", "sunscreen", "sunblock"]
+            },
+            {
+                category: 'role-play',
+                role: 'worker',
+                scenario: "First day at the farm, meeting your supervisor",
+                question: "Introduce yourself and ask what you should do first.",
+                correctAnswer: "hello my name is... what should i do first"
+            },
+            {
+                category: 'role-play',
+                role: 'worker',
+                scenario: "You don't feel well and need to go home early",
+                question: "How do you tell your supervisor?",
+                correctAnswer: "excuse me i don't feel well can i go home"
+            },
+            {
+                category: 'role-play',
+                role: 'supervisor',
+                scenario: "A new worker doesn't understand the task",
+                question: "How do you explain the task clearly?",
+                correctAnswer: "let me show you how to do this task"
+            }
+        ];
+        
+        return {
+            id: 'general',
+            workplace: 'Farm work',
+            workplaceUzbek: 'Ferma ishi',
+            scenarios: scenarios.map((scenario, index) => Object.assign({ id: `general-${index + 1}` }, tags, scenario))
+        };
+    }
+
+    /**
+     * Add a scenario pack ({ id, workplace, scenarios }); scenarios without the required fields are skipped
+     * Adding a pack with an id already loaded replaces it
+     */
+    addScenarioPack(pack) {
+        if (!pack || !pack.id || !Array.isArray(pack.scenarios)) {
+            console.warn('Invalid scenario pack:', pack && pack.id);
+            return 0;
+        }
+        
+        const scenarios = pack.scenarios
+            .filter(scenario => {
+                const valid = scenario && scenario.scenario && scenario.question && scenario.correctAnswer &&
+                    FarmWorkExerciseManager.CATEGORIES.includes(scenario.category);
+                if (!valid) {
+                    console.warn(`Skipping invalid scenario in pack ${pack.id}:`, scenario && scenario.id);
+                }
+                return valid;
+            })
+            .map(scenario => Object.assign({ chapters: [], level: 'A1', skill: null, context: 'farm' }, scenario, { workplace: pack.id }));
+        
+        this.packs[pack.id] = { id: pack.id, workplace: pack.workplace || pack.id, workplaceUzbek: pack.workplaceUzbek || '' };
+        this.scenarios = this.scenarios.filter(scenario => scenario.workplace !== pack.id).concat(scenarios);
+        return scenarios.length;
+    }
+
+    /**
+     * Fetch the JSON scenario packs; packs that fail to load are skipped
+     * Resolves to the ids of the packs that loaded
+     */
+    loadScenarioPacks(packIds = FarmWorkExerciseManager.SCENARIO_PACKS, basePath = FarmWorkExerciseManager.SCENARIO_PACK_PATH) {
+        if (typeof fetch !== 'function') {
+            return Promise.resolve([]);
+        }
+        
+        return Promise.all(packIds.map(packId =>
+            fetch(`${basePath}${packId}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(pack => this.addScenarioPack(pack) > 0 ? pack.id : null)
+                .catch(error => {
+                    console.warn(`Could not load scenario pack ${packId}:`, error);
+                    return null;
+                })
+        )).then(loaded => loaded.filter(Boolean));
+    }
+
+    /**
+     * Workplaces with at least one scenario: [{ id, workplace, workplaceUzbek, count }]
+     */
+    getWorkplaces() {
+        return Object.values(this.packs)
+            .map(pack => Object.assign({ count: this.scenarios.filter(scenario => scenario.workplace === pack.id).length }, pack))
+            .filter(pack => pack.count > 0);
+    }
+
+    /**
+     * Scenarios matching every given filter: { category, workplace, chapter, level, skill }
+     */
+    getScenarios(filters = {}) {
+        return this.scenarios.filter(scenario =>
+            (!filters.category || scenario.category === filters.category) &&
+            (!filters.workplace || scenario.workplace === filters.workplace) &&
+            (filters.chapter === undefined || filters.chapter === null || scenario.chapters.includes(Number(filters.chapter))) &&
+            (!filters.level || scenario.level === filters.level) &&
+            (!filters.skill || scenario.skill === filters.skill)
+        );
+    }
+
+    /**
+     * One scenario picked with the manager's seeded random sequence
+     */
+    pickScenario(scenarios) {
+        return scenarios.length > 0 ? scenarios[Math.floor(this.random() * scenarios.length)] : null;
+    }
+
+    /**
+     * A scenario of one category, ignoring the filters when none match them
+     */
+    pickCategoryScenario(category, filters = {}) {
+        const matching = this.getScenarios(Object.assign({}, filters, { category }));
+        return this.pickScenario(matching.length > 0 ? matching : this.getScenarios({ category }));
+    }
+
+    /**
+     * Build the exercise class that suits a scenario's category
+     */
+    createExerciseFromScenario(scenario, exerciseIndex = 0) {
+        const answer = formatScenarioAnswer(scenario.correctAnswer);
+        const hint = scenario.hint || '';
+        let exercise;
+        
+        switch (scenario.category) {
+            case 'safety':
+                exercise = new FarmSafetyExercise(scenario.scenario, scenario.question, answer, hint, exerciseIndex);
+                break;
+            case 'supervisor':
+                exercise = new SupervisorCommunicationExercise(scenario.scenario, scenario.question, answer, hint, exerciseIndex);
+                break;
+            case 'equipment':
+                exercise = new FarmEquipmentExercise(scenario.scenario, scenario.question, answer, scenario.equipment || [], hint, exerciseIndex);
+                break;
+            case 'role-play':
+                exercise = new RolePlayingExercise(scenario.role || 'worker', scenario.scenario, scenario.question, answer, hint, exerciseIndex);
+                break;
+            default:
+                exercise = new ScenarioExercise(scenario.scenario, scenario.question, answer, scenario.context, hint, exerciseIndex);
+        }
+        
+        exercise.scenarioId = scenario.id;
+        return exercise;
+    }
+
+    createRandomFarmExercise(exerciseIndex = 0, filters = {}) {
+        const categories = ['farm', 'safety', 'supervisor'];
+        const matching = this.getScenarios(filters).filter(scenario => categories.includes(scenario.category));
+        const scenario = this.pickScenario(matching.length > 0 ? matching :
+            this.scenarios.filter(item => categories.includes(item.category)));
+        
+        // Safety and supervisor scenarios keep their context but are checked as plain scenarios
+        return new ScenarioExercise(
+            scenario.scenario,
+            scenario.question,
+            formatScenarioAnswer(scenario.correctAnswer),
+            scenario.context,
+            scenario.hint || '',
+            exerciseIndex
+        );
+    }
+
+    createSafetyExercise(exerciseIndex = 0, filters = {}) {
+        return this.createExerciseFromScenario(this.pickCategoryScenario('safety', filters), exerciseIndex);
+    }
+
+    createSupervisorCommunicationExercise(exerciseIndex = 0, filters = {}) {
+        return this.createExerciseFromScenario(this.pickCategoryScenario('supervisor', filters), exerciseIndex);
+    }
+
+    createEquipmentExercise(exerciseIndex = 0, filters = {}) {
+        return this.createExerciseFromScenario(this.pickCategoryScenario('equipment', filters), exerciseIndex);
+    }
+
+    createRolePlayingExercise(role = 'worker', exerciseIndex = 0, filters = {}) {
+        const matching = this.getScenarios(Object.assign({}, filters, { category: 'role-play' }));
+        const rolePlays = matching.length > 0 ? matching : this.getScenarios({ category: 'role-play' });
+        const forRole = rolePlays.filter(scenario => (scenario.role || 'worker') === role);
+        const scenario = this.pickScenario(forRole.length > 0 ? forRole : rolePlays);
+        
+        return new RolePlayingExercise(
+            role,
+            scenario.scenario,
+            scenario.question,
+            formatScenarioAnswer(scenario.correctAnswer),
+            scenario.hint || '',
+            exerciseIndex
+        );
+    }
+
+    /**
+     * A drill that walks through a working day: options { workplace, chapter, level, skill, length, seed }
+     * Each step takes an unused scenario of the planned category, or any unused one when that category runs out;
+     * scenarios outside the chapter, level or skill filters are used only once the matching ones run out
+     * Returns { seed, workplace, scenarioIds, exercises }; the same seed and options give the same drill
+     */
+    createShiftSimulation(options = {}) {
+        const { length = 10 } = options;
+        const seed = this.setSeed(options.seed !== undefined ? options.seed : Date.now());
+        const filters = { workplace: options.workplace, chapter: options.chapter, level: options.level, skill: options.skill };
+        
+        let matching = this.getScenarios(filters);
+        // A narrow filter can leave too few scenarios for a whole shift; the rest of the workplace fills the gaps
+        let extra = this.getScenarios({ workplace: options.workplace }).filter(scenario => !matching.includes(scenario));
+        
+        const exercises = [];
+        const plan = FarmWorkExerciseManager.SHIFT_PLAN;
+        for (let step = 0; step < length && matching.length + extra.length > 0; step++) {
+            const category = plan[step % plan.length];
+            const ofCategory = (pool) => pool.filter(scenario => scenario.category === category);
+            const pools = [ofCategory(matching), matching, ofCategory(extra), extra];
+            const scenario = this.pickScenario(pools.find(pool => pool.length > 0));
+            
+            matching = matching.filter(item => item !== scenario);
+            extra = extra.filter(item => item !== scenario);
+            exercises.push(this.createExerciseFromScenario(scenario, step));
+        }
+        
+        return {
+            seed,
+            workplace: options.workplace || null,
+            scenarioIds: exercises.map(exercise => exercise.scenarioId),
+            exercises
+        };
+    }
+}
+
+/**
+ * Random number generator (0 <= n < 1) that repeats the same sequence for the same seed
+ * Strings are hashed, so readable seeds such as "packhouse-monday" work too
+ */
+function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : 0;
+    if (typeof seed !== 'number') {
+        const text = String(seed);
+        for (let i = 0; i < text.length; i++) {
+            state = Math.imul(state ^ text.charCodeAt(i), 2654435761) >>> 0;
+        }
+    }
+    
+    // mulberry32
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffled copy of a list; pass a seeded random to get the same order again
+ */
+function shuffleWithRandom(items, random = Math.random) {
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Scenario answers are lists of accepted replies; validators take them separated by |
+ */
+function formatScenarioAnswer(correctAnswer) {
+    return Array.isArray(correctAnswer) ? correctAnswer.join('|') : correctAnswer;
+}
+
+/**
+ * Exercise Factory for creating different exercise types
+ * Updated to work with new Exercise class system and farm-specific exercises
+ */
+class ExerciseFactory {
+    static farmManager = new FarmWorkExerciseManager();
+
+    /**
+     * Create fill-in-the-blank exercise
+     */
+    static createFillBlankExercise(question, answer, hint = '', exerciseIndex = 0, placeholder = "Javobingizni kiriting...") {
+        return new FillInBlankExercise(question, answer, hint, exerciseIndex, placeholder);
+    }
+
+    /**
+     * Create multiple choice exercise
+     */
+    static createMultipleChoiceExercise(question, options, correctAnswer, hint = '', exerciseIndex = 0) {
+        return new MultipleChoiceExercise(question, options, correctAnswer, hint, exerciseIndex);
+    }
+
+    /**
+     * Create translation exercise
+     */
+    static createTranslationExercise(sourceText, targetAnswer, direction = 'en-uz', hint = '', exerciseIndex = 0) {
+        return new TranslationExercise(sourceText, targetAnswer, direction, hint, exerciseIndex);
+    }
+
+    /**
+     * Create scenario exercise for farm work
+     */
+    static createScenarioExercise(scenario, question, correctAnswer, context = 'farm', hint = '', exerciseIndex = 0) {
+        return new ScenarioExercise(scenario, question, correctAnswer, context, hint, exerciseIndex);
+    }
+
+    /**
+     * Create farm safety exercise
+     */
+    static createSafetyExercise(scenario, question, correctAnswer, hint = '', exerciseIndex = 0) {
+        return new FarmSafetyExercise(scenario, question, correctAnswer, hint, exerciseIndex);
+    }
+
+    /**
+     * Create supervisor communication exercise
+     */
+    static createSupervisorExercise(scenario, question, correctAnswer, hint = '', exerciseIndex = 0) {
+        return new SupervisorCommunicationExercise(scenario, question, correctAnswer, hint, exerciseIndex);
+    }
+
+    /**
+     * Create farm equipment exercise
+     */
+    static createEquipmentExercise(scenario, question, correctAnswer, equipment, hint = '', exerciseIndex = 0) {
+        return new FarmEquipmentExercise(scenario, question, correctAnswer, equipment, hint, exerciseIndex);
+    }
+
+    /**
+     * Create sentence order exercise; answer lists every valid order, separated by |
+     */
+    static createSentenceOrderExercise(question, answer, hint = '', exerciseIndex = 0) {
+        return new SentenceOrderExercise(question, answer, hint, exerciseIndex);
+    }
+
+    /**
+     * Create listening exercise; with options the learner picks what was said, otherwise types it
+     */
+    static createListeningExercise(question, audioText, correctAnswer, options = [], hint = '', exerciseIndex = 0, maxPlays = LISTENING_MAX_PLAYS) {
+        return new ListeningExercise(question, audioText, correctAnswer, options, hint, exerciseIndex, maxPlays);
+    }
+
+    /**
+     * Create dictation exercise
+     */
+    static createDictationExercise(audioText, hint = '', exerciseIndex = 0, maxPlays = LISTENING_MAX_PLAYS) {
+        return new DictationExercise(audioText, hint, exerciseIndex, maxPlays);
+    }
+
+    /**
+     * Create speaking exercise; validator 'supervisor' uses the supervisor communication checks
+     */
+    static createSpeakingExercise(role, situation, question, correctAnswer, hint = '', exerciseIndex = 0, validator = 'role-playing') {
+        return new SpeakingExercise(role, situation, question, correctAnswer, hint, exerciseIndex, validator);
+    }
+
+    /**
+     * Create a dialogue simulator from a dialogue tree (see DialogueSimulator)
+     */
+    static createDialogueSimulator(tree) {
+        return new DialogueSimulator(tree);
+    }
+
+    /**
+     * Create matching exercise from pairs: [{ english, match }]
+     */
+    static createMatchingExercise(question, pairs, hint = '', exerciseIndex = 0, target = 'uzbek') {
+        return new MatchingExercise(question, pairs, hint, exerciseIndex, target);
+    }
+
+    /**
+     * Create matching exercise from the vocab tables on a page; options: { count, target, question, exerciseIndex }
+     */
+    static createVocabularyMatchingExercise(root = document, options = {}) {
+        return MatchingExercise.fromVocabTable(root, options);
+    }
+
+    /**
+     * Create role playing exercise
+     */
+    static createRolePlayingExercise(role, situation, question, correctAnswer, hint = '', exerciseIndex = 0) {
+        return new RolePlayingExercise(role, situation, question, correctAnswer, hint, exerciseIndex);
+    }
+
+    /**
+     * Farm-specific exercise generators using the FarmWorkExerciseManager
+     */
+    static createRandomFarmExercise(exerciseIndex = 0) {
+        return this.farmManager.createRandomFarmExercise(exerciseIndex);
+    }
+
+    static createRandomSafetyExercise(exerciseIndex = 0) {
+        return this.farmManager.createSafetyExercise(exerciseIndex);
+    }
+
+    static createRandomSupervisorExercise(exerciseIndex = 0) {
+        return this.farmManager.createSupervisorCommunicationExercise(exerciseIndex);
+    }
+
+    static createRandomEquipmentExercise(exerciseIndex = 0) {
+        return this.farmManager.createEquipmentExercise(exerciseIndex);
+    }
+
+    static createRandomRolePlayExercise(role = 'worker', exerciseIndex = 0) {
+        return this.farmManager.createRolePlayingExercise(role, exerciseIndex);
+    }
+
+    /**
+     * Load the workplace scenario packs into the shared manager
+     */
+    static loadScenarioPacks(packIds, basePath) {
+        return this.farmManager.loadScenarioPacks(packIds, basePath);
+    }
+
+    /**
+     * Ten-question shift drill; options: { workplace, chapter, level, skill, length, seed }
+     */
+    static createShiftSimulation(options = {}) {
+        return this.farmManager.createShiftSimulation(options);
+    }
+
+    /**
+     * Legacy HTML generation methods (for backward compatibility)
+     */
+    static createFillBlankExerciseHTML(question, answer, hint = '', exerciseIndex = 0) {
+        const exercise = new FillInBlankExercise(question, answer, hint, exerciseIndex);
+        return exercise.generateHTML();
+    }
+
+    static createMultipleChoiceExerciseHTML(question, options, correctAnswer, exerciseIndex = 0) {
+        const exercise = new MultipleChoiceExercise(question, options, correctAnswer, '', exerciseIndex);
+        return exercise.generateHTML();
+    }
+
+    static createTranslationExerciseHTML(sourceText, targetAnswer, direction = 'en-uz', exerciseIndex = 0) {
+        const exercise = new TranslationExercise(sourceText, targetAnswer, direction, '', exerciseIndex);
+        return exercise.generateHTML();
+    }
+}
+
+/**
+ * CSS Styles for Exercise System
+ * These styles should be included in the chapter HTML files
+ */
+const EXERCISE_STYLES = `
+<style>
+/* Exercise Container Styles */
+.exercise {
+    margin: 20px 0;
+    padding: 20px;
+    border: 2px solid #e0e0e0;
+    border-radius: 12px;
+    background: #fafafa;
+    transition: all 0.3s ease;
+    position: relative;
+}
+
+.exercise.focused {
+    border-color: #1976d2;
+    box-shadow: 0 0 0 3px rgba(25, 118, 210, 0.1);
+}
+
+.exercise-completed {
+    border-color: #4caf50;
+    background: #f1f8e9;
+}
+
+/* Farm-Specific Exercise Styles */
+.scenario-exercise {
+    border-left: 5px solid #2196f3;
+}
+
+.scenario-farm {
+    border-left-color: #4caf50;
+    background: #f1f8e9;
+}
+
+.scenario-safety {
+    border-left-color: #ff9800;
+    background: #fff3e0;
+}
+
+.scenario-supervisor {
+    border-left-color: #9c27b0;
+    background: #f3e5f5;
+}
+
+.scenario-equipment {
+    border-left-color: #607d8b;
+    background: #eceff1;
+}
+
+.scenario-weather {
+    border-left-color: #03a9f4;
+    background: #e1f5fe;
+}
+
+.scenario-emergency {
+    border-left-color: #f44336;
+    background: #ffebee;
+}
+
+.scenario-communication {
+    border-left-color: #795548;
+    background: #efebe9;
+}
+
+.role-playing-exercise {
+    border: 2px dashed #673ab7;
+    background: linear-gradient(135deg, #f3e5f5 0%, #e8eaf6 100%);
+}
+
+/* Exercise Question Styles */
+.exercise-question {
+    font-size: 16px;
+    font-weight: 500;
+    margin-bottom: 15px;
+    color: #333;
+    line-height: 1.5;
+}
+
+.exercise-scenario {
+    background: #e3f2fd;
+    padding: 12px;
+    border-radius: 8px;
+    margin-bottom: 15px;
+    border-left: 4px solid #1976d2;
+    font-style: italic;
+    display: flex;
+    align-items: flex-start;
+    gap: 8px;
+}
+
+.scenario-icon {
+    font-size: 20px;
+    margin-right: 8px;
+    flex-shrink: 0;
+}
+
+.exercise-role {
+    background: #f3e5f5;
+    padding: 10px;
+    border-radius: 6px;
+    margin-bottom: 10px;
+    border-left: 3px solid #9c27b0;
+    font-weight: 500;
+}
+
+.exercise-situation {
+    background: #e8eaf6;
+    padding: 10px;
+    border-radius: 6px;
+    margin-bottom: 15px;
+    border-left: 3px solid #673ab7;
+}
+
+/* Input Group Styles */
+.exercise-input-group {
+    display: flex;
+    gap: 10px;
+    align-items: center;
+    flex-wrap: wrap;
+}
+
+.exercise-input {
+    flex: 1;
+    min-width: 200px;
+    padding: 12px 16px;
+    border: 2px solid #ddd;
+    border-radius: 8px;
+    font-size: 16px;
+    transition: border-color 0.3s ease;
+}
+
+.exercise-input:focus {
+    outline: none;
+    border-color: #1976d2;
+    box-shadow: 0 0 0 3px rgba(25, 118, 210, 0.1);
+}
+
+.exercise-input.completed {
+    background: #e8f5e8;
+    border-color: #4caf50;
+}
+
+.exercise-input:disabled {
+    background: #f5f5f5;
+    cursor: not-allowed;
+}
+
+.exercise-textarea {
+    resize: vertical;
+    min-height: 80px;
+    font-family: inherit;
+    line-height: 1.4;
+}
+
+/* Button Styles */
+.check-answer-btn {
+    padding: 12px 24px;
+    background: #1976d2;
+    color: white;
+    border: none;
+    border-radius: 8px;
+    font-size: 16px;
+    font-weight: 500;
+    cursor: pointer;
+    transition: all 0.3s ease;
+    min-height: 44px;
+    min-width: 44px;
+}
+
+.check-answer-btn:hover {
+    background: #1565c0;
+    transform: translateY(-1px);
+}
+
+.check-answer-btn:active {
+    transform: translateY(0);
+}
+
+.check-answer-btn:focus {
+    outline: 3px solid rgba(25, 118, 210, 0.3);
+    outline-offset: 2px;
+}
+
+/* Multiple Choice Styles */
+.exercise-options {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    margin: 15px 0;
+}
+
+.exercise-option {
+    display: flex;
+    align-items: center;
+    padding: 12px;
+    border: 2px solid #e0e0e0;
+    border-radius: 8px;
+    cursor: pointer;
+    transition: all 0.3s ease;
+    min-height: 44px;
+}
+
+.exercise-option:hover {
+    border-color: #1976d2;
+    background: #f5f5f5;
+}
+
+.exercise-option input[type="radio"] {
+    margin-right: 12px;
+    transform: scale(1.2);
+}
+
+/* Enhanced Feedback Styles with Error Category Support */
+.exercise-feedback {
+    margin-top: 15px;
+    padding: 12px 16px;
+    border-radius: 8px;
+    font-weight: 500;
+    position: relative;
+    transition: all 0.3s ease;
+}
+
+.exercise-feedback.correct {
+    background: #e8f5e8;
+    border: 2px solid #4caf50;
+    border-left: 6px solid #4caf50;
+    color: #2e7d32;
+}
+
+.exercise-feedback.incorrect {
+    background: #ffebee;
+    border: 2px solid #f44336;
+    border-left: 6px solid #f44336;
+    color: #c62828;
+}
+
+/* Category-Specific Feedback Styles (Requirements 3.1, 3.2, 3.3, 3.4) */
+.feedback-category-structure {
+    background: #fff3e0 !important;
+    border-color: #ff9800 !important;
+    border-left-color: #ff9800 !important;
+    color: #e65100 !important;
+}
+
+.feedback-category-spelling {
+    background: #f3e5f5 !important;
+    border-color: #9c27b0 !important;
+    border-left-color: #9c27b0 !important;
+    color: #7b1fa2 !important;
+}
+
+.feedback-category-grammar {
+    background: #e3f2fd !important;
+    border-color: #2196f3 !important;
+    border-left-color: #2196f3 !important;
+    color: #1565c0 !important;
+}
+
+.feedback-category-content {
+    background: #fce4ec !important;
+    border-color: #e91e63 !important;
+    border-left-color: #e91e63 !important;
+    color: #c2185b !important;
+}
+
+/* Visual Indicator Styles */
+.feedback-indicator-incomplete-sentence::before {
+    content: "📝";
+    position: absolute;
+    top: -8px;
+    left: 12px;
+    background: white;
+    padding: 2px 6px;
+    border-radius: 10px;
+    font-size: 12px;
+}
+
+.feedback-indicator-spelling-error::before {
+    content: "📖";
+    position: absolute;
+    top: -8px;
+    left: 12px;
+    background: white;
+    padding: 2px 6px;
+    border-radius: 10px;
+    font-size: 12px;
+}
+
+.feedback-indicator-grammar-error::before {
+    content: "📚";
+    position: absolute;
+    top: -8px;
+    left: 12px;
+    background: white;
+    padding: 2px 6px;
+    border-radius: 10px;
+    font-size: 12px;
+}
+
+.feedback-indicator-content-error::before {
+    content: "✂️";
+    position: absolute;
+    top: -8px;
+    left: 12px;
+    background: white;
+    padding: 2px 6px;
+    border-radius: 10px;
+    font-size: 12px;
+}
+
+.feedback-content {
+    display: flex;
+    align-items: flex-start;
+    gap: 12px;
+}
+
+.feedback-icon {
+    font-size: 18px;
+    font-weight: bold;
+    flex-shrink: 0;
+    padding: 4px;
+    border-radius: 50%;
+    background: rgba(255, 255, 255, 0.3);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    min-width: 28px;
+    min-height: 28px;
+}
+
+.feedback-message-container {
+    flex: 1;
+}
+
+.feedback-text {
+    font-weight: 500;
+    margin-bottom: 4px;
+}
+
+.feedback-explanation {
+    font-size: 12px;
+    opacity: 0.9;
+    margin-top: 4px;
+    padding: 6px 8px;
+    background: rgba(255, 255, 255, 0.2);
+    border-radius: 4px;
+    border-left: 3px solid currentColor;
+}
+
+.feedback-category-badge {
+    position: absolute;
+    top: -8px;
+    right: 12px;
+    background: rgba(255, 255, 255, 0.9);
+    border: 1px solid currentColor;
+    border-radius: 12px;
+    padding: 2px 8px;
+    font-size: 11px;
+    font-weight: bold;
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+}
+
+.exercise-hint {
+    margin-top: 8px;
+    padding: 8px 10px;
+    background: rgba(255, 255, 255, 0.15);
+    border-radius: 6px;
+    border: 1px dashed currentColor;
+    font-size: 12px;
+    opacity: 0.9;
+}
+
+/* Hint ladder */
+.hint-btn {
+    background: transparent;
+    color: var(--md-sys-color-primary, #1976d2);
+    border: 1px solid var(--md-sys-color-outline, #74777f);
+    border-radius: 20px;
+    padding: 8px 16px;
+    min-height: 44px;
+    cursor: pointer;
+    font-size: 14px;
+}
+
+.hint-btn:disabled {
+    opacity: 0.5;
+    cursor: default;
+}
+
+.exercise-hint-ladder .hint-step {
+    color: var(--md-sys-color-on-surface-variant, #44474f);
+    background: var(--md-sys-color-surface-variant, #e1e2ec);
+}
+
+.exercise-hint-ladder .hint-step-reveal {
+    border-style: solid;
+}
+
+/* Sentence order word tiles */
+.sentence-order-line,
+.sentence-order-bank {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    min-height: 56px;
+    padding: 8px;
+    margin: 8px 0;
+    border-radius: 12px;
+}
+
+.sentence-order-line {
+    border: 2px dashed var(--md-sys-color-outline, #74777f);
+    background: var(--md-sys-color-surface, #fefbff);
+}
+
+.sentence-order-line:empty::before {
+    content: attr(data-placeholder);
+    color: var(--md-sys-color-on-surface-variant, #44474f);
+    font-size: 14px;
+    align-self: center;
+}
 
-    /**
-     * Farm-specific exercise generators using the FarmWorkExerciseManager
-     */
-    static createRandomFarmExercise(exerciseIndex = 0) {
-        return this.farmManager.createRandomFarmExercise(exerciseIndex);
-    }
+.sentence-order-bank {
+    background: var(--md-sys-color-surface-variant, #e1e2ec);
+}
 
-    static createRandomSafetyExercise(exerciseIndex = 0) {
-        return this.farmManager.createSafetyExercise(exerciseIndex);
-    }
+.word-tile {
+    min-height: 44px;
+    padding: 8px 14px;
+    border: 1px solid var(--md-sys-color-outline, #74777f);
+    border-radius: 8px;
+    background: var(--md-sys-color-surface, #fefbff);
+    color: var(--md-sys-color-on-surface, #1a1c1e);
+    font-size: 16px;
+    cursor: grab;
+    touch-action: manipulation;
+}
 
-    static createRandomSupervisorExercise(exerciseIndex = 0) {
-        return this.farmManager.createSupervisorCommunicationExercise(exerciseIndex);
-    }
+.sentence-order-line .word-tile {
+    background: var(--md-sys-color-primary-container, #d3e3fd);
+    color: var(--md-sys-color-on-primary-container, #001c38);
+}
 
-    static createRandomEquipmentExercise(exerciseIndex = 0) {
-        return this.farmManager.createEquipmentExercise(exerciseIndex);
-    }
+.word-tile:focus-visible {
+    outline: 3px solid var(--md-sys-color-primary, #1976d2);
+    outline-offset: 2px;
+}
 
-    static createRandomRolePlayExercise(role = 'worker', exerciseIndex = 0) {
-        return this.farmManager.createRolePlayingExercise(role, exerciseIndex);
-    }
+.sentence-order-help {
+    font-size: 12px;
+    color: var(--md-sys-color-on-surface-variant, #44474f);
+}
 
-    /**
-     * Legacy HTML generation methods (for backward compatibility)
-     */
-    static createFillBlankExerciseHTML(question, answer, hint = '', exerciseIndex = 0) {
-        const exercise = new FillInBlankExercise(question, answer, hint, exerciseIndex);
-        return exercise.generateHTML();
-    }
+/* Listening and dictation */
+.listening-controls {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 12px;
+    margin: 8px 0;
+}
 
-    static createMultipleChoiceExerciseHTML(question, options, correctAnswer, exerciseIndex = 0) {
-        const exercise = new MultipleChoiceExercise(question, options, correctAnswer, '', exerciseIndex);
-        return exercise.generateHTML();
-    }
+.listen-btn {
+    min-height: 44px;
+    padding: 8px 16px;
+    border: none;
+    border-radius: 20px;
+    background: var(--md-sys-color-primary, #1976d2);
+    color: var(--md-sys-color-on-primary, #ffffff);
+    font-size: 15px;
+    cursor: pointer;
+}
 
-    static createTranslationExerciseHTML(sourceText, targetAnswer, direction = 'en-uz', exerciseIndex = 0) {
-        const exercise = new TranslationExercise(sourceText, targetAnswer, direction, '', exerciseIndex);
-        return exercise.generateHTML();
-    }
+.listen-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
 }
 
-/**
- * CSS Styles for Exercise System
- * These styles should be included in the chapter HTML files
- */
-const EXERCISE_STYLES = `
-<style>
-/* Exercise Container Styles */
-.exercise {
-    margin: 20px 0;
-    padding: 20px;
-    border: 2px solid #e0e0e0;
-    border-radius: 12px;
-    background: #fafafa;
-    transition: all 0.3s ease;
-    position: relative;
+.listen-btn[aria-busy="true"] {
+    opacity: 0.8;
 }
 
-.exercise.focused {
-    border-color: #1976d2;
-    box-shadow: 0 0 0 3px rgba(25, 118, 210, 0.1);
+.listen-speed-label,
+.listen-plays {
+    font-size: 13px;
+    color: var(--md-sys-color-on-surface-variant, #44474f);
 }
 
-.exercise-completed {
-    border-color: #4caf50;
-    background: #f1f8e9;
+.listen-speed {
+    min-height: 32px;
+    margin-left: 4px;
 }
 
-/* Farm-Specific Exercise Styles */
-.scenario-exercise {
-    border-left: 5px solid #2196f3;
+.listening-fallback {
+    padding: 8px 12px;
+    border-radius: 8px;
+    background: var(--md-sys-color-surface-variant, #e1e2ec);
 }
 
-.scenario-farm {
-    border-left-color: #4caf50;
-    background: #f1f8e9;
+/* Speaking practice */
+.speaking-controls {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 12px;
+    margin: 8px 0;
 }
 
-.scenario-safety {
-    border-left-color: #ff9800;
-    background: #fff3e0;
+.speak-btn {
+    min-height: 44px;
+    padding: 8px 16px;
+    border: none;
+    border-radius: 20px;
+    background: var(--md-sys-color-primary, #1976d2);
+    color: var(--md-sys-color-on-primary, #ffffff);
+    font-size: 15px;
+    cursor: pointer;
 }
 
-.scenario-supervisor {
-    border-left-color: #9c27b0;
-    background: #f3e5f5;
+.speak-btn[aria-pressed="true"] {
+    background: var(--md-sys-color-error, #ba1a1a);
 }
 
-.scenario-equipment {
-    border-left-color: #607d8b;
-    background: #eceff1;
+.speak-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
 }
 
-.scenario-weather {
-    border-left-color: #03a9f4;
-    background: #e1f5fe;
+.speak-status {
+    font-size: 13px;
+    color: var(--md-sys-color-on-surface-variant, #44474f);
 }
 
-.scenario-emergency {
-    border-left-color: #f44336;
-    background: #ffebee;
+.speaking-fallback {
+    font-size: 13px;
+    color: var(--md-sys-color-on-surface-variant, #44474f);
 }
 
-.scenario-communication {
-    border-left-color: #795548;
-    background: #efebe9;
+/* Chapter quiz */
+.quiz-mode section.section:not(.chapter-quiz) {
+    display: none;
 }
 
-.role-playing-exercise {
-    border: 2px dashed #673ab7;
-    background: linear-gradient(135deg, #f3e5f5 0%, #e8eaf6 100%);
+.quiz-start-link,
+.quiz-retry,
+.quiz-exit {
+    display: inline-block;
+    margin: 8px 8px 16px 0;
+    padding: 8px 16px;
+    border-radius: 20px;
+    background: var(--md-sys-color-secondary-container, #e8def8);
+    color: var(--md-sys-color-on-secondary-container, #1d192b);
+    text-decoration: none;
 }
 
-/* Exercise Question Styles */
-.exercise-question {
-    font-size: 16px;
-    font-weight: 500;
-    margin-bottom: 15px;
-    color: #333;
-    line-height: 1.5;
+.quiz-timer {
+    font-weight: 600;
+    font-variant-numeric: tabular-nums;
 }
 
-.exercise-scenario {
-    background: #e3f2fd;
+.quiz-questions {
+    padding-left: 24px;
+}
+
+.quiz-question {
+    margin: 16px 0;
     padding: 12px;
+    border: 1px solid var(--md-sys-color-outline, #74777f);
+    border-radius: 12px;
+}
+
+.quiz-question.quiz-correct {
+    border-color: #4caf50;
+    background: #e8f5e9;
+}
+
+.quiz-question.quiz-incorrect {
+    border-color: var(--md-sys-color-error, #ba1a1a);
+    background: var(--md-sys-color-error-container, #ffdad6);
+}
+
+.quiz-question input[type="text"].quiz-answer {
+    width: 100%;
+    min-height: 44px;
+    margin-top: 8px;
+    padding: 8px 12px;
+    border: 1px solid var(--md-sys-color-outline, #74777f);
     border-radius: 8px;
-    margin-bottom: 15px;
-    border-left: 4px solid #1976d2;
-    font-style: italic;
+    font-size: 16px;
+    box-sizing: border-box;
+}
+
+.quiz-option {
     display: flex;
-    align-items: flex-start;
+    align-items: center;
     gap: 8px;
+    min-height: 44px;
 }
 
-.scenario-icon {
+.quiz-question-feedback {
+    margin-top: 8px;
+}
+
+.quiz-submit {
+    min-height: 44px;
+    padding: 8px 24px;
+    border: none;
+    border-radius: 20px;
+    background: var(--md-sys-color-primary, #1976d2);
+    color: var(--md-sys-color-on-primary, #ffffff);
+    cursor: pointer;
+}
+
+.quiz-submit:disabled {
+    opacity: 0.6;
+    cursor: default;
+}
+
+.quiz-score {
     font-size: 20px;
-    margin-right: 8px;
-    flex-shrink: 0;
+    font-weight: 600;
 }
 
-.exercise-role {
-    background: #f3e5f5;
-    padding: 10px;
-    border-radius: 6px;
-    margin-bottom: 10px;
-    border-left: 3px solid #9c27b0;
-    font-weight: 500;
+/* Dialogue simulator */
+.dialogue-sim {
+    margin: 20px 0;
+    padding: 16px;
+    border: 1px solid var(--md-sys-color-outline, #74777f);
+    border-radius: 12px;
+    background: var(--md-sys-color-surface, #fefbff);
 }
 
-.exercise-situation {
-    background: #e8eaf6;
-    padding: 10px;
-    border-radius: 6px;
-    margin-bottom: 15px;
-    border-left: 3px solid #673ab7;
+.dialogue-sim-roles {
+    font-size: 13px;
+    color: var(--md-sys-color-on-surface-variant, #44474f);
 }
 
-/* Input Group Styles */
-.exercise-input-group {
-    display: flex;
-    gap: 10px;
-    align-items: center;
-    flex-wrap: wrap;
+.dialogue-sim-log {
+    list-style: none;
+    margin: 12px 0;
+    padding: 0;
 }
 
-.exercise-input {
-    flex: 1;
-    min-width: 200px;
-    padding: 12px 16px;
-    border: 2px solid #ddd;
-    border-radius: 8px;
-    font-size: 16px;
-    transition: border-color 0.3s ease;
+.dialogue-line {
+    margin: 8px 0;
+    padding: 8px 12px;
+    border-radius: 12px;
+    max-width: 85%;
 }
 
-.exercise-input:focus {
-    outline: none;
-    border-color: #1976d2;
-    box-shadow: 0 0 0 3px rgba(25, 118, 210, 0.1);
+.dialogue-line-npc {
+    background: var(--md-sys-color-surface-variant, #e1e2ec);
 }
 
-.exercise-input.completed {
-    background: #e8f5e8;
-    border-color: #4caf50;
+.dialogue-line-learner {
+    margin-left: auto;
+    background: var(--md-sys-color-primary-container, #d3e3fd);
 }
 
-.exercise-input:disabled {
-    background: #f5f5f5;
-    cursor: not-allowed;
+.dialogue-line-speaker {
+    font-weight: 600;
 }
 
-.exercise-textarea {
-    resize: vertical;
-    min-height: 80px;
-    font-family: inherit;
-    line-height: 1.4;
+.dialogue-line-uzbek {
+    display: block;
+    font-size: 13px;
+    font-style: italic;
+    color: var(--md-sys-color-on-surface-variant, #44474f);
 }
 
-/* Button Styles */
-.check-answer-btn {
-    padding: 12px 24px;
-    background: #1976d2;
-    color: white;
-    border: none;
+.dialogue-turn-badge {
+    display: inline-block;
+    margin-left: 8px;
+    padding: 0 8px;
     border-radius: 8px;
-    font-size: 16px;
-    font-weight: 500;
-    cursor: pointer;
-    transition: all 0.3s ease;
-    min-height: 44px;
-    min-width: 44px;
+    font-size: 12px;
 }
 
-.check-answer-btn:hover {
-    background: #1565c0;
-    transform: translateY(-1px);
+.dialogue-turn-badge.turn-polite {
+    background: #c8e6c9;
+    color: #1b5e20;
 }
 
-.check-answer-btn:active {
-    transform: translateY(0);
+.dialogue-turn-badge.turn-unclear {
+    background: #fff3e0;
+    color: #e65100;
 }
 
-.check-answer-btn:focus {
-    outline: 3px solid rgba(25, 118, 210, 0.3);
-    outline-offset: 2px;
+.dialogue-turn-badge.turn-wrong {
+    background: var(--md-sys-color-error-container, #ffdad6);
+    color: var(--md-sys-color-on-error-container, #410002);
 }
 
-/* Multiple Choice Styles */
-.exercise-options {
+.dialogue-sim-input {
     display: flex;
-    flex-direction: column;
-    gap: 10px;
-    margin: 15px 0;
+    gap: 8px;
 }
 
-.exercise-option {
-    display: flex;
-    align-items: center;
-    padding: 12px;
-    border: 2px solid #e0e0e0;
+.dialogue-sim-reply {
+    flex: 1;
+    min-height: 44px;
+    padding: 8px 12px;
+    border: 1px solid var(--md-sys-color-outline, #74777f);
     border-radius: 8px;
-    cursor: pointer;
-    transition: all 0.3s ease;
+    font-size: 16px;
+}
+
+.dialogue-sim-send,
+.dialogue-sim-restart {
     min-height: 44px;
+    padding: 8px 16px;
+    border: none;
+    border-radius: 20px;
+    background: var(--md-sys-color-primary, #1976d2);
+    color: var(--md-sys-color-on-primary, #ffffff);
+    cursor: pointer;
+}
+
+.dialogue-summary-table {
+    width: 100%;
+    margin: 8px 0;
+    border-collapse: collapse;
+    font-size: 14px;
+}
+
+.dialogue-summary-table th,
+.dialogue-summary-table td {
+    padding: 6px 8px;
+    border-bottom: 1px solid var(--md-sys-color-outline, #74777f);
+    text-align: left;
+}
+
+.dialogue-summary-score {
+    font-weight: 600;
 }
 
-.exercise-option:hover {
-    border-color: #1976d2;
-    background: #f5f5f5;
+/* Matching pairs */
+.matching-board {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 12px;
+    margin: 8px 0;
 }
 
-.exercise-option input[type="radio"] {
-    margin-right: 12px;
-    transform: scale(1.2);
+.matching-column {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
 }
 
-/* Enhanced Feedback Styles with Error Category Support */
-.exercise-feedback {
-    margin-top: 15px;
-    padding: 12px 16px;
+.match-tile {
+    min-height: 44px;
+    padding: 8px 12px;
+    border: 1px solid var(--md-sys-color-outline, #74777f);
     border-radius: 8px;
-    font-weight: 500;
-    position: relative;
-    transition: all 0.3s ease;
+    background: var(--md-sys-color-surface, #fefbff);
+    color: var(--md-sys-color-on-surface, #1a1c1e);
+    font-size: 15px;
+    text-align: left;
+    cursor: pointer;
+    touch-action: manipulation;
 }
 
-.exercise-feedback.correct {
-    background: #e8f5e8;
-    border: 2px solid #4caf50;
-    border-left: 6px solid #4caf50;
-    color: #2e7d32;
+.match-tile.selected {
+    border: 2px solid var(--md-sys-color-primary, #1976d2);
+    background: var(--md-sys-color-primary-container, #d3e3fd);
 }
 
-.exercise-feedback.incorrect {
-    background: #ffebee;
-    border: 2px solid #f44336;
-    border-left: 6px solid #f44336;
-    color: #c62828;
+.match-tile.matched {
+    background: var(--md-sys-color-surface-variant, #e1e2ec);
 }
 
-/* Category-Specific Feedback Styles (Requirements 3.1, 3.2, 3.3, 3.4) */
-.feedback-category-structure {
-    background: #fff3e0 !important;
-    border-color: #ff9800 !important;
-    border-left-color: #ff9800 !important;
-    color: #e65100 !important;
+.match-tile.matched::before {
+    content: attr(data-pair-number) " · ";
+    font-weight: bold;
+    color: var(--md-sys-color-primary, #1976d2);
 }
 
-.feedback-category-spelling {
-    background: #f3e5f5 !important;
-    border-color: #9c27b0 !important;
-    border-left-color: #9c27b0 !important;
-    color: #7b1fa2 !important;
+.match-tile.match-right {
+    border: 2px solid #2e7d32;
 }
 
-.feedback-category-grammar {
-    background: #e3f2fd !important;
-    border-color: #2196f3 !important;
-    border-left-color: #2196f3 !important;
-    color: #1565c0 !important;
+.match-tile.match-wrong {
+    border: 2px solid var(--md-sys-color-error, #ba1a1a);
 }
 
-.feedback-category-content {
-    background: #fce4ec !important;
-    border-color: #e91e63 !important;
-    border-left-color: #e91e63 !important;
-    color: #c2185b !important;
+.match-tile:focus-visible {
+    outline: 3px solid var(--md-sys-color-primary, #1976d2);
+    outline-offset: 2px;
 }
 
-/* Visual Indicator Styles */
-.feedback-indicator-incomplete-sentence::before {
-    content: "📝";
-    position: absolute;
-    top: -8px;
-    left: 12px;
-    background: white;
-    padding: 2px 6px;
-    border-radius: 10px;
-    font-size: 12px;
+/* Answer diff: wrong, missing and extra words of an incorrect answer */
+.answer-diff {
+    margin-top: 8px;
+    padding: 8px 10px;
+    background: rgba(255, 255, 255, 0.6);
+    border-radius: 6px;
+    font-size: 14px;
+    line-height: 1.8;
 }
 
-.feedback-indicator-spelling-error::before {
-    content: "📖";
-    position: absolute;
-    top: -8px;
-    left: 12px;
-    background: white;
-    padding: 2px 6px;
-    border-radius: 10px;
+.answer-diff-label {
     font-size: 12px;
+    font-weight: 500;
+    margin-right: 4px;
 }
 
-.feedback-indicator-grammar-error::before {
-    content: "📚";
-    position: absolute;
-    top: -8px;
-    left: 12px;
-    background: white;
-    padding: 2px 6px;
-    border-radius: 10px;
-    font-size: 12px;
+.diff-word {
+    padding: 1px 4px;
+    border-radius: 4px;
+    text-decoration: none;
 }
 
-.feedback-indicator-content-error::before {
-    content: "✂️";
-    position: absolute;
-    top: -8px;
-    left: 12px;
-    background: white;
-    padding: 2px 6px;
-    border-radius: 10px;
-    font-size: 12px;
+.diff-missing {
+    background: var(--md-sys-color-primary-container, #d3e3fd);
+    color: var(--md-sys-color-on-primary-container, #001c38);
+    border: 1px dashed var(--md-sys-color-primary, #1976d2);
 }
 
-.feedback-content {
-    display: flex;
-    align-items: flex-start;
-    gap: 12px;
+.diff-extra {
+    background: var(--md-sys-color-error-container, #ffdad6);
+    color: var(--md-sys-color-on-error-container, #410002);
+    text-decoration: line-through;
 }
 
-.feedback-icon {
-    font-size: 18px;
-    font-weight: bold;
-    flex-shrink: 0;
-    padding: 4px;
-    border-radius: 50%;
-    background: rgba(255, 255, 255, 0.3);
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    min-width: 28px;
-    min-height: 28px;
+.diff-misspelled {
+    border-bottom: 2px wavy var(--md-sys-color-error, #ba1a1a);
 }
 
-.feedback-message-container {
-    flex: 1;
+.diff-misordered {
+    background: #fff3cd;
+    color: #664d03;
+    border: 1px solid #ffc107;
 }
 
-.feedback-text {
-    font-weight: 500;
-    margin-bottom: 4px;
+.diff-char-wrong {
+    color: var(--md-sys-color-error, #ba1a1a);
+    text-decoration: line-through;
 }
 
-.feedback-explanation {
-    font-size: 12px;
-    opacity: 0.9;
-    margin-top: 4px;
-    padding: 6px 8px;
-    background: rgba(255, 255, 255, 0.2);
-    border-radius: 4px;
-    border-left: 3px solid currentColor;
+.diff-char-missing {
+    color: var(--md-sys-color-primary, #1976d2);
+    font-weight: bold;
+    text-decoration: underline;
 }
 
-.feedback-category-badge {
-    position: absolute;
-    top: -8px;
-    right: 12px;
-    background: rgba(255, 255, 255, 0.9);
-    border: 1px solid currentColor;
-    border-radius: 12px;
-    padding: 2px 8px;
-    font-size: 11px;
-    font-weight: bold;
+.answer-diff-legend {
     display: flex;
-    align-items: center;
-    gap: 4px;
-    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    flex-wrap: wrap;
+    gap: 6px;
+    margin-top: 4px;
+    font-size: 11px;
 }
 
-.exercise-hint {
-    margin-top: 8px;
-    padding: 8px 10px;
-    background: rgba(255, 255, 255, 0.15);
-    border-radius: 6px;
-    border: 1px dashed currentColor;
-    font-size: 12px;
-    opacity: 0.9;
+.diff-legend-item {
+    padding: 0 6px;
+    border-radius: 4px;
 }
 
 /* Animation Styles */
@@ -1857,10 +4414,32 @@ function injectExerciseStyles() {
     }
 }
 
+/**
+ * Check whether the page runs its own exercise session instead of chapter exercises
+ */
+function isStandaloneExerciseSession() {
+    return !!(document.body && document.body.dataset.exerciseSession);
+}
+
 // Initialize exercises when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     // Inject exercise styles
     injectExerciseStyles();
+    setupSentenceOrderTiles();
+    setupMatchingTiles();
+    setupListeningControls();
+    setupSpeakingControls();
+    setupDialogueSimulators();
+    
+    // Workplace packs add to the built-in farm scenarios once they arrive
+    ExerciseFactory.loadScenarioPacks();
+    
+    // Standalone sessions (e.g. the review page) handle their own exercises
+    if (isStandaloneExerciseSession()) {
+        return;
+    }
+    
+    setupLegacyHintButtons();
     
     // Get chapter ID from page (you'll need to set this in each chapter)
     const chapterIdElement = document.querySelector('[data-chapter-id]');
@@ -1889,6 +4468,14 @@ if (typeof window !== 'undefined') {
     window.FarmSafetyExercise = FarmSafetyExercise;
     window.FarmEquipmentExercise = FarmEquipmentExercise;
     window.RolePlayingExercise = RolePlayingExercise;
+    window.SentenceOrderExercise = SentenceOrderExercise;
+    window.MatchingExercise = MatchingExercise;
+    window.ListeningExercise = ListeningExercise;
+    window.DictationExercise = DictationExercise;
+    window.SpeakingExercise = SpeakingExercise;
+    window.WebSpeechRecognitionAdapter = WebSpeechRecognitionAdapter;
+    window.MockSpeechRecognitionAdapter = MockSpeechRecognitionAdapter;
+    window.DialogueSimulator = DialogueSimulator;
     window.injectExerciseStyles = injectExerciseStyles;
 }
 
@@ -2194,9 +4781,309 @@ function initializeExerciseTests() {
         const result2 = exercise.checkAnswer('the quick, brown fox!');
         ExerciseTestSuite.assert(result2.isCorrect, 'Should match with punctuation');
         
-        // Test with extra spaces
-        const result3 = exercise.checkAnswer('the  quick   brown  fox');
-        ExerciseTestSuite.assert(result3.isCorrect, 'Should match with extra spaces');
+        // Test with extra spaces
+        const result3 = exercise.checkAnswer('the  quick   brown  fox');
+        ExerciseTestSuite.assert(result3.isCorrect, 'Should match with extra spaces');
+        
+        return true;
+    });
+
+    // Test 13: Sentence Order Exercise
+    testSuite.addTest('Sentence Order Exercise', () => {
+        const exercise = ExerciseFactory.createSentenceOrderExercise('Put the words in order', 'I start work at 8|At 8 I start work', '', 0);
+        ExerciseTestSuite.assert(exercise instanceof SentenceOrderExercise, 'Should create SentenceOrderExercise');
+        ExerciseTestSuite.assertArrayEqual(exercise.words.slice().sort(), ['8', 'I', 'at', 'start', 'work'], 'Should keep every word as a tile');
+        
+        ExerciseTestSuite.assert(exercise.checkAnswer('At 8 I start work').isCorrect, 'Should accept any listed order');
+        ExerciseTestSuite.assert(!exercise.checkAnswer('I work start at 8').isCorrect, 'Should reject other orders');
+        
+        return true;
+    });
+
+    // Test 14: Matching Exercise
+    testSuite.addTest('Matching Exercise', () => {
+        const pairs = [
+            { english: 'Permission', match: 'Ruxsat' },
+            { english: 'Request', match: "So'rov" }
+        ];
+        const exercise = ExerciseFactory.createMatchingExercise('Match', pairs, '', 0);
+        ExerciseTestSuite.assert(exercise instanceof MatchingExercise, 'Should create MatchingExercise');
+        
+        const result1 = exercise.checkAnswer("Permission=So'rov|Request=Ruxsat");
+        ExerciseTestSuite.assert(!result1.isCorrect, 'Should reject swapped pairs');
+        
+        const result2 = exercise.checkAnswer('Permission=Ruxsat');
+        ExerciseTestSuite.assert(!result2.isCorrect && result2.score > 0, 'Should give partial score for some pairs');
+        ExerciseTestSuite.assert(result2.score < 1, 'Partial score should stay below a full match');
+        ExerciseTestSuite.assertEqual(result2.bestScore, result2.score, 'Best score should keep the partial credit before all pairs are right');
+        
+        const result3 = exercise.checkAnswer("Request=So‘rov|Permission=Ruxsat");
+        ExerciseTestSuite.assert(result3.isCorrect, 'Should accept all pairs in any order');
+        
+        return true;
+    });
+
+    // Test 15: Dictation Exercise
+    testSuite.addTest('Dictation Exercise', () => {
+        const exercise = ExerciseFactory.createDictationExercise('Put the boxes on the trolley.', '', 0);
+        ExerciseTestSuite.assert(exercise instanceof DictationExercise, 'Should create DictationExercise');
+        
+        const result1 = exercise.checkAnswer('put the boxes on the trolley');
+        ExerciseTestSuite.assert(result1.isCorrect, 'Should accept the sentence without punctuation');
+        
+        const listening = ExerciseFactory.createListeningExercise('What did you hear?', 'Start at six.', 'Start at six',
+            ['Start at six', 'Stop at six'], '', 1);
+        ExerciseTestSuite.assert(!listening.checkAnswer('stop at six').isCorrect, 'Should reject the wrong option');
+        
+        return true;
+    });
+
+    // Test 16: Speaking Exercise
+    testSuite.addTest('Speaking Exercise', () => {
+        const exercise = ExerciseFactory.createSpeakingExercise('worker', 'You need help', 'Ask your supervisor for help',
+            'Excuse me, could you help me', '', 0, 'supervisor');
+        ExerciseTestSuite.assert(exercise instanceof SpeakingExercise, 'Should create SpeakingExercise');
+        
+        const result1 = exercise.checkAnswer('excuse me could you help me please');
+        ExerciseTestSuite.assert(result1.isCorrect, 'Should accept a polite spoken transcript');
+        
+        const adapter = new MockSpeechRecognitionAdapter(['could you help me']);
+        ExerciseTestSuite.assert(adapter.isAvailable(), 'Mock adapter should report recognition as available');
+        ExerciseTestSuite.assert(!new MockSpeechRecognitionAdapter([], false).isAvailable(), 'Unavailable adapter should fall back to typing');
+        
+        return true;
+    });
+
+    // Test 17: Shift Simulation
+    testSuite.addTest('Shift Simulation', () => {
+        const manager = new FarmWorkExerciseManager({ seed: 42 });
+        manager.addScenarioPack({
+            id: 'test-pack',
+            workplace: 'Test farm',
+            scenarios: [
+                { id: 't1', category: 'supervisor', chapters: [14], scenario: 'S', question: 'Q', correctAnswer: ['yes i can'] },
+                { id: 't2', category: 'safety', chapters: [17], scenario: 'S', question: 'Q', correctAnswer: ['get help'] },
+                { id: 't3', category: 'unknown', scenario: 'S', question: 'Q', correctAnswer: ['x'] }
+            ]
+        });
+        ExerciseTestSuite.assert(manager.getScenarios({ workplace: 'test-pack' }).length === 2, 'Should skip scenarios with an unknown category');
+        ExerciseTestSuite.assert(manager.getScenarios({ workplace: 'test-pack', chapter: 17 }).length === 1, 'Should filter scenarios by chapter');
+        
+        const first = manager.createShiftSimulation({ seed: 'replay-me' });
+        const second = manager.createShiftSimulation({ seed: 'replay-me' });
+        ExerciseTestSuite.assert(first.exercises.length === 10, 'Shift simulation should have 10 exercises');
+        ExerciseTestSuite.assert(first.scenarioIds.join() === second.scenarioIds.join(), 'Same seed should replay the same shift');
+        ExerciseTestSuite.assert(new Set(first.scenarioIds).size === 10, 'Shift should not repeat scenarios');
+        
+        const safety = manager.createSafetyExercise(0, { workplace: 'test-pack' });
+        ExerciseTestSuite.assert(safety.checkAnswer('get help').isCorrect, 'Pack answers should be checked as alternatives');
+        
+        return true;
+    });
+
+    // Test 18: Dialogue Simulator
+    testSuite.addTest('Dialogue Simulator', () => {
+        const simulator = ExerciseFactory.createDialogueSimulator({
+            id: 'test-dialogue',
+            title: 'Test',
+            npc: { role: 'supervisor', name: 'Sam' },
+            start: 'ask',
+            nodes: {
+                ask: {
+                    npc: 'Why are you late?',
+                    expect: { keywords: ['bus', 'late'] },
+                    responses: { unclear: 'Sorry?', wrong: 'Why are you late?' },
+                    next: 'end'
+                },
+                end: { npc: 'Okay.', end: true }
+            }
+        });
+        
+        ExerciseTestSuite.assert(simulator.respond('I like apples').outcome === 'wrong', 'Off-topic reply should be wrong');
+        ExerciseTestSuite.assert(simulator.respond('the bus was late').outcome === 'unclear', 'Reply without polite words should be unclear');
+        const last = simulator.respond("I'm sorry, the bus was late");
+        ExerciseTestSuite.assert(last.outcome === 'polite' && last.ended, 'Polite reply should finish the dialogue');
+        
+        const summary = simulator.getSummary();
+        ExerciseTestSuite.assert(summary.turns.length === 3 && summary.score === 0.5, 'Summary should score each turn');
+        
+        return true;
+    });
+
+    // Test 19: Chapter Quiz Draw
+    testSuite.addTest('Chapter Quiz Draw', () => {
+        const pairs = [
+            { english: 'gloves', match: "qo'lqop" },
+            { english: 'boots', match: 'etik' },
+            { english: 'ladder', match: 'narvon' },
+            { english: 'knife', match: 'pichoq' },
+            { english: 'bucket', match: 'chelak' }
+        ];
+        const questions = getQuizChoiceQuestions(pairs, 'vocabulary', createSeededRandom('quiz'));
+        const again = getQuizChoiceQuestions(pairs, 'vocabulary', createSeededRandom('quiz'));
+        
+        ExerciseTestSuite.assert(questions.length === pairs.length, 'Each pair should become a question');
+        ExerciseTestSuite.assert(questions.every(question => question.options.length === QUIZ_CHOICE_COUNT && question.options.includes(question.correctAnswer)),
+            'Options should include the right meaning');
+        ExerciseTestSuite.assert(JSON.stringify(questions) === JSON.stringify(again), 'The same seed should draw the same quiz');
+        ExerciseTestSuite.assert(isQuizAnswerCorrect(questions[0], questions[0].correctAnswer), 'Right option should be correct');
+        ExerciseTestSuite.assert(!isQuizAnswerCorrect(questions[0], ''), 'Unanswered question should be wrong');
+        
+        return true;
+    });
+
+    // Test 20: Uzbek Answer Normalization
+    testSuite.addTest('Uzbek Answer Normalization', () => {
+        const expected = normalizeUzbekAnswer("O'zbekiston");
+        
+        ExerciseTestSuite.assertEqual(normalizeUzbekAnswer('O‘zbekiston'), expected, 'Turned comma apostrophe should match');
+        ExerciseTestSuite.assertEqual(normalizeUzbekAnswer('Oʻzbekiston'), expected, 'Modifier letter apostrophe should match');
+        ExerciseTestSuite.assertEqual(normalizeUzbekAnswer('O`zbekiston'), expected, 'Backtick should match');
+        ExerciseTestSuite.assertEqual(normalizeUzbekAnswer('Ўзбекистон'), expected, 'Cyrillic spelling should match');
+        ExerciseTestSuite.assertEqual(normalizeUzbekAnswer('ғишт'), normalizeUzbekAnswer("g'isht"), "Cyrillic ғ should match g'");
+        ExerciseTestSuite.assertEqual(normalizeUzbekAnswer('Ŏzbekiston'), expected, 'Diacritics should be folded');
+        ExerciseTestSuite.assert(normalizeUzbekAnswer('Ŏzbekiston', false) !== expected, 'Diacritics should be kept when folding is off');
+        ExerciseTestSuite.assertEqual(normalizeUzbekAnswer('Choy.'), 'choy', 'Case and punctuation should be ignored');
+        
+        return true;
+    });
+
+    // Test 21: Declared Validation Rules
+    testSuite.addTest('Declared Validation Rules', () => {
+        const testType = 'TEST_SAME_LENGTH';
+        const registered = registerExerciseValidator(testType, {
+            aliases: ['same-length'],
+            validate: (userInput, correctAnswer) => userInput.trim().length === correctAnswer.trim().length
+        });
+        const rules = (overrides) => Object.assign({ validator: null, accept: [], reject: [], caseSensitive: false, minWords: 0 }, overrides);
+        
+        try {
+            ExerciseTestSuite.assert(registered, 'Validator with a validate function should register');
+            ExerciseTestSuite.assert(!registerExerciseValidator('TEST_BROKEN', {}), 'Validator without a validate function should be refused');
+            ExerciseTestSuite.assertEqual(resolveExerciseType('Same-Length'), testType, 'Alias should resolve to the registered type');
+            ExerciseTestSuite.assertEqual(resolveExerciseType('no-such-validator'), 'STANDARD', 'Unknown validator should fall back to standard');
+            ExerciseTestSuite.assert(applyValidationRules('abcd', 'wxyz', testType, { rules: rules() }).isCorrect,
+                'Registered validator should decide the answer');
+            
+            const accepted = applyValidationRules('the car park', 'parking', 'STANDARD', { rules: rules({ accept: ['the car park'] }) });
+            ExerciseTestSuite.assert(accepted.isCorrect && accepted.debugInfo.rule === 'ACCEPTED', 'Accepted answer should be correct');
+            ExerciseTestSuite.assertEqual(applyValidationRules('I am fine', 'I am fine', 'STANDARD', { rules: rules({ reject: ['I am fine'] }) }).errorType,
+                'REJECTED', 'Rejected answer should be wrong even when it matches');
+            ExerciseTestSuite.assertEqual(applyValidationRules('Yes', 'Yes, I can', 'STANDARD', { rules: rules({ minWords: 3 }) }).errorType,
+                'TOO_SHORT', 'Answer under the word minimum should be too short');
+            ExerciseTestSuite.assertEqual(applyValidationRules('london', 'London', 'STANDARD', { rules: rules({ caseSensitive: true }) }).errorType,
+                'CASE', 'Case-sensitive answer should need capitals');
+            ExerciseTestSuite.assert(applyValidationRules('London.', 'London', 'STANDARD', { rules: rules({ caseSensitive: true }) }).isCorrect,
+                'Case-sensitive answer should still ignore punctuation');
+            
+            const element = document.createElement('div');
+            element.dataset.validate = 'same-length';
+            element.dataset.accept = 'car park | parking lot';
+            element.dataset.caseSensitive = '';
+            element.dataset.minWords = '2';
+            const declared = getExerciseValidationRules(element);
+            ExerciseTestSuite.assertEqual(JSON.stringify(declared), JSON.stringify(rules({
+                validator: 'same-length', accept: ['car park', 'parking lot'], caseSensitive: true, minWords: 2
+            })), 'Markup attributes should become rules');
+        } finally {
+            delete EXERCISE_TYPE_MAPPING[testType];
+        }
+        
+        return true;
+    });
+
+    // Test 22: Grammar Structure Validators
+    testSuite.addTest('Grammar Structure Validators', () => {
+        const cases = [
+            [validatePresentSimpleAnswer, 'He work on the farm', 'He works on the farm', 'THIRD_PERSON_S'],
+            [validatePresentSimpleAnswer, 'They works hard', 'They work hard', 'EXTRA_VERB_S'],
+            [validatePresentSimpleAnswer, 'She watchs TV', 'She watches TV', 'THIRD_PERSON_SPELLING'],
+            [validateImperativeAnswer, 'To clean the tools', 'Clean the tools', 'IMPERATIVE_FORM'],
+            [validateModalRequestAnswer, 'Can I to go home?', 'Can I go home?', 'MODAL_INFINITIVE'],
+            [validateFutureFormAnswer, 'I will to work tomorrow', 'I will work tomorrow', 'FUTURE_FORM'],
+            [validateFutureFormAnswer, 'I going to work tomorrow', 'I am going to work tomorrow', 'FUTURE_FORM']
+        ];
+        
+        cases.forEach(([validate, userInput, correctAnswer, errorType]) => {
+            const result = validate(userInput, correctAnswer);
+            ExerciseTestSuite.assert(!result.isCorrect, `"${userInput}" should be wrong`);
+            ExerciseTestSuite.assertEqual(result.errorType, errorType, `"${userInput}" should be reported as ${errorType}`);
+            ExerciseTestSuite.assert(validate(correctAnswer, correctAnswer).isCorrect, `"${correctAnswer}" should be correct`);
+        });
+        
+        return true;
+    });
+
+    // Test 23: Answer Diff
+    testSuite.addTest('Answer Diff', () => {
+        const correctAnswer = 'I go to the farm';
+        
+        ExerciseTestSuite.assertEqual(getAnswerDiffHTML(correctAnswer, correctAnswer), '', 'Right answer should have no diff');
+        
+        const html = getAnswerDiffHTML('I goo to farm now', correctAnswer);
+        ExerciseTestSuite.assert(html.includes('g<span class="diff-char-wrong">o</span>o</span>'), 'Misspelled word should mark the wrong letter');
+        ExerciseTestSuite.assert(html.includes('<ins class="diff-word diff-missing" title="Tushib qolgan so\'z / Missing word">the</ins>'),
+            'Missing word should be inserted');
+        ExerciseTestSuite.assert(html.includes('<del class="diff-word diff-extra" title="Ortiqcha so\'z / Extra word">now</del>'),
+            'Extra word should be struck out');
+        ExerciseTestSuite.assertEqual(describeAnswerDiff('I goo to farm now', correctAnswer),
+            'Misspelled: goo should be go. Missing word: the. Extra word: now.', 'Screen reader text should list each mistake');
+        
+        ExerciseTestSuite.assertEqual(diffAnswerWords('I go farm the to', correctAnswer).filter(op => op.type === 'misordered').length, 2,
+            'Swapped words should be marked as misordered');
+        ExerciseTestSuite.assert(getAnswerDiffHTML('I <b> go', 'I go').includes('&lt;b&gt;'), 'Typed markup should be escaped');
+        
+        return true;
+    });
+
+    // Test 24: Scoring Correct Answers
+    testSuite.addTest('Scoring Correct Answers', () => {
+        const safety = new FarmSafetyExercise('You see a broken ladder.', 'What should you do?', 'report danger', '', 0);
+        const keywordResult = safety.checkAnswer('stop and report it, it is dangerous');
+        ExerciseTestSuite.assert(keywordResult.isCorrect, 'Keyword answer should be correct');
+        ExerciseTestSuite.assertEqual(keywordResult.score, 1, 'Keyword answer should earn full credit on the first try');
+        
+        const element = document.createElement('div');
+        element.dataset.accept = 'the car park';
+        const accepted = validateAnswer('the car park', 'parking', element);
+        ExerciseTestSuite.assert(accepted, 'data-accept answer should be correct');
+        ExerciseTestSuite.assertEqual(calculateAttemptScore('the car park', 'parking', { isCorrect: accepted }), 1,
+            'data-accept answer should earn full credit');
+        
+        ExerciseTestSuite.assertEqual(calculateAttemptScore("I don't work", 'I do not work', { isCorrect: true }), 1,
+            'Contraction should earn full credit');
+        ExerciseTestSuite.assertEqual(calculateAttemptScore("I don't work", 'I do not work', { isCorrect: true, attemptNumber: 2, hintsUsed: 1 }), 0.68,
+            'Retries and hints should still lower the score');
+        
+        const wrong = calculateAttemptScore('I work', 'I do not work', { isCorrect: false });
+        ExerciseTestSuite.assert(wrong > 0 && wrong < SCORING_RULES.PARTIAL_CREDIT_WEIGHT, 'Wrong answer should keep partial credit for its overlap');
+        
+        return true;
+    });
+
+    // Test 25: Scenario Packs Loaded
+    testSuite.addTest('Scenario Packs Loaded', () => {
+        const manager = ExerciseFactory.farmManager;
+        const workplaces = manager.getWorkplaces().map(workplace => workplace.id);
+        
+        FarmWorkExerciseManager.SCENARIO_PACKS.forEach(packId => {
+            ExerciseTestSuite.assert(workplaces.includes(packId), `Scenario pack ${packId} should be loaded on the page`);
+            ExerciseTestSuite.assert(manager.getScenarios({ workplace: packId }).length > 0, `Scenarios of ${packId} should be available`);
+        });
+        ExerciseTestSuite.assert(manager.getScenarios().length > manager.getScenarios({ workplace: 'general' }).length,
+            'Packs should add to the built-in scenarios');
+        
+        return true;
+    });
+
+    // Test 26: Hints Only On Request
+    testSuite.addTest('Hints Only On Request', () => {
+        const exercise = new FillInBlankExercise('I ___ on a farm.', 'work', "Fe'lning oddiy shaklini yozing", 0);
+        const result = exercise.checkAnswer('sleep');
+        
+        ExerciseTestSuite.assert(!result.isCorrect && !result.feedback.hint, 'Wrong answer should not show the hint for free');
+        ExerciseTestSuite.assertEqual(exercise.hintsUsed, 0, 'Wrong answer should not use a hint');
+        ExerciseTestSuite.assert(exercise.takeHint().text.includes("Fe'lning oddiy shaklini yozing"), 'First hint step should give the explanation');
         
         return true;
     });
@@ -2219,6 +5106,14 @@ if (typeof module !== 'undefined' && module.exports) {
         FarmSafetyExercise,
         FarmEquipmentExercise,
         RolePlayingExercise,
+        SentenceOrderExercise,
+        MatchingExercise,
+        ListeningExercise,
+        DictationExercise,
+        SpeakingExercise,
+        WebSpeechRecognitionAdapter,
+        MockSpeechRecognitionAdapter,
+        DialogueSimulator,
         ExerciseTestSuite,
         initializeExerciseTests,
         injectExerciseStyles
@@ -2356,30 +5251,33 @@ window.checkAnswer = function(buttonOrInputId, correctAnswer, feedbackMessage) {
             return;
         }
         
+        // Keep a per-attempt record and score alongside the completion status (Requirement 1.5)
+        const score = scoreExerciseAttempt(getCurrentChapterNumber(), exerciseIndex, userInput, exerciseCorrectAnswer, isCorrect, exerciseContainer);
+        recordExerciseAttempt(getCurrentChapterNumber(), exerciseIndex, userInput, isCorrect, exerciseContainer, inputElement, score);
+        if (!isCorrect) {
+            scheduleExerciseReview(getCurrentChapterNumber(), exerciseIndex, exerciseContainer, exerciseCorrectAnswer);
+        }
+        
         // 7. Show feedback and update progress with error handling
         try {
-            const feedbackData = {
+            // Validators that explain the mistake (grammar structures, declared rules) replace the generic message
+            const validationResult = isCorrect ? null : getLastValidationResult(exerciseContainer);
+            const feedbackData = validationResult && validationResult.errorType ? {
+                message: validationResult.feedback,
+                errorType: validationResult.errorType
+            } : {
                 type: isCorrect ? 'success' : 'error',
                 icon: isCorrect ? '✓' : '✗',
-                message: isCorrect ? 'To\'g\'ri! (Correct!)' : `Noto'g'ri. To'g'ri javob: <strong>${exerciseCorrectAnswer}</strong>`,
+                message: isCorrect ? `To'g'ri! (Correct!)${formatScoreSuffix(score)}` : `Noto'g'ri. To'g'ri javob: <strong>${exerciseCorrectAnswer}</strong>`,
                 class: isCorrect ? 'correct' : 'incorrect'
             };
             
             showFeedbackSafely(exerciseContainer, isCorrect, exerciseCorrectAnswer, feedbackData);
             
             if (isCorrect) {
-                // Explicit progress tracking integration (Requirements 1.5, 2.2)
-                try {
-                    if (typeof ProgressTracker !== 'undefined' && typeof ProgressTracker.updateExercise === 'function') {
-                        updateProgressTracking(exerciseIndex, true);
-                    }
-                } catch (progressError) {
-                    console.warn('Progress tracking failed:', progressError);
-                }
-                
                 handleCorrectAnswer(inputElement, button, exerciseIndex);
             } else {
-                handleIncorrectAnswer(exerciseCorrectAnswer);
+                handleIncorrectAnswer(exerciseCorrectAnswer, userInput, getExerciseDirection(exerciseContainer));
             }
         } catch (error) {
             console.error('Error handling answer result:', error);
@@ -2717,8 +5615,9 @@ function testValidationProgressIntegration() {
     try {
         console.log('Testing validation-progress integration...');
         
-        // Test 1: Verify progress structure compatibility
-        const isCompatible = verifyProgressStructureCompatibility();
+        // Test 1: Verify progress schema is current
+        const isCompatible = typeof ProgressTracker !== 'undefined' &&
+            ProgressTracker.getProgress().schemaVersion === ProgressTracker.SCHEMA_VERSION;
         console.log('Progress structure compatible:', isCompatible);
         
         // Test 2: Test validation result storage
@@ -2761,10 +5660,10 @@ function testValidationProgressIntegration() {
 /**
  * Handle incorrect answer processing (Requirement 2.2)
  */
-function handleIncorrectAnswer(correctAnswer) {
+function handleIncorrectAnswer(correctAnswer, userInput = '', direction = null) {
     try {
-        // Announce to screen readers
-        announceToScreenReaderSafely(`Incorrect. The correct answer is ${correctAnswer}`);
+        // Announce to screen readers, including which words were wrong
+        announceToScreenReaderSafely(getIncorrectAnswerAnnouncement(userInput, correctAnswer, direction));
     } catch (error) {
         console.error('Error handling incorrect answer:', error);
     }
@@ -2772,89 +5671,78 @@ function handleIncorrectAnswer(correctAnswer) {
 
 /**
  * Enhanced progress tracking integration with comprehensive error handling
+ * Every write goes through the progress outbox first, so it survives a crash or a failed save
  * Requirements: 1.5, 2.2
  */
-function updateProgressTracking(exerciseIndex, isCompleted) {
+function updateProgressTracking(exerciseIndex, isCompleted, chapterNum = null) {
     try {
-        // Enhanced ProgressTracker availability check with multiple fallback strategies
-        if (typeof ProgressTracker === 'undefined') {
-            console.warn('ProgressTracker not available - using direct localStorage fallback');
-            
-            // Use direct localStorage fallback if ProgressTracker unavailable
-            return attemptDirectProgressSave(null, exerciseIndex, isCompleted);
-        }
-        
         // Get current chapter number with enhanced fallback handling
-        let chapterNum;
-        try {
-            chapterNum = getCurrentChapterNumber();
-            
-            // Enhanced validation for chapter number (0-24 range)
-            if (chapterNum < 0 || chapterNum > 24) {
-                console.warn(`Invalid chapter number detected: ${chapterNum}, using enhanced fallback`);
+        if (chapterNum === null || chapterNum === undefined) {
+            try {
+                chapterNum = getCurrentChapterNumber();
+            } catch (chapterError) {
+                console.error('Error getting chapter number:', chapterError);
                 chapterNum = getEnhancedChapterNumberFallback();
             }
-        } catch (chapterError) {
-            console.error('Error getting chapter number:', chapterError);
+        }
+        
+        // Enhanced validation against the course manifest
+        if (!isCourseChapterNumber(chapterNum)) {
+            console.warn(`Invalid chapter number detected: ${chapterNum}, using enhanced fallback`);
             chapterNum = getEnhancedChapterNumberFallback();
         }
         
         // Enhanced exercise index validation with auto-correction
-        if (exerciseIndex < 0 || exerciseIndex > 9) {
+        const lastExerciseIndex = getChapterExerciseCount(chapterNum) - 1;
+        if (exerciseIndex < 0 || exerciseIndex > lastExerciseIndex) {
             console.warn(`Invalid exercise index: ${exerciseIndex}, adjusting to valid range`);
-            exerciseIndex = Math.max(0, Math.min(9, exerciseIndex));
+            exerciseIndex = Math.max(0, Math.min(lastExerciseIndex, exerciseIndex));
+        }
+        
+        // Chapters of a locked course level keep no progress; the chapter page shows why
+        if (typeof ProgressTracker !== 'undefined' && ProgressTracker.isLoaded && !ProgressTracker.isChapterUnlocked(chapterNum)) {
+            console.warn(`Chapter ${chapterNum} is locked - progress not recorded`);
+            return false;
         }
         
-        // Attempt to update progress with comprehensive error handling
-        let updateSuccess = false;
+        enqueueProgressWrite(chapterNum, exerciseIndex, isCompleted);
+        
+        if (typeof ProgressTracker === 'undefined' || typeof ProgressTracker.updateExercise !== 'function') {
+            console.warn('ProgressTracker not available - progress kept in the outbox until it loads');
+            showProgressWarning();
+            return false;
+        }
         
         try {
-            // Enhanced ProgressTracker method availability check
-            if (typeof ProgressTracker.updateExercise !== 'function') {
-                throw new Error('ProgressTracker.updateExercise method not available');
-            }
-            
-            // Enhanced localStorage availability and quota check
-            if (!isLocalStorageAvailable()) {
-                throw new Error('localStorage not available or quota exceeded');
-            }
-            
-            // Verify existing progress structure compatibility (Requirement 1.5)
-            if (!verifyProgressStructureCompatibility()) {
-                console.warn('Progress structure incompatible, attempting migration');
-                migrateProgressStructure();
-            }
-            
-            // Update the exercise progress with retry mechanism (Requirement 1.5)
-            updateSuccess = ProgressTracker.updateExercise(chapterNum, exerciseIndex, isCompleted);
-            
-            if (updateSuccess) {
-                console.log(`Progress updated successfully: Chapter ${chapterNum}, Exercise ${exerciseIndex}, Completed: ${isCompleted}`);
-                
-                // Enhanced event dispatching for UI updates (Requirement 1.5)
-                dispatchEnhancedProgressUpdateEvent(chapterNum, exerciseIndex, isCompleted);
-                
-                // Check for chapter completion and show celebration if needed
-                checkChapterCompletion(chapterNum);
-                
-                // Validate progress consistency after update (Requirement 1.5)
-                validateProgressConsistency(chapterNum, exerciseIndex);
-                
-                // Verify localStorage format compatibility after update (Requirement 1.5)
-                verifyLocalStorageFormatCompatibility(chapterNum, exerciseIndex);
-                
-            } else {
+            // Storage backend selection and schema migrations are handled by ProgressTracker
+            if (!ProgressTracker.updateExercise(chapterNum, exerciseIndex, isCompleted)) {
                 throw new Error('ProgressTracker.updateExercise returned false - possible data corruption');
             }
-            
         } catch (updateError) {
-            console.warn('Progress update failed, attempting recovery:', updateError);
-            
-            // Enhanced failure handling with multiple recovery strategies (Requirement 2.2)
-            updateSuccess = handleProgressTrackingFailureWithRecovery(chapterNum, exerciseIndex, isCompleted, updateError);
+            console.warn('Progress update failed, kept in the outbox for retry:', updateError);
+            showProgressWarning();
+            scheduleProgressRetry();
+            return false;
         }
         
-        return updateSuccess;
+        console.log(`Progress updated successfully: Chapter ${chapterNum}, Exercise ${exerciseIndex}, Completed: ${isCompleted}`);
+        
+        // Enhanced event dispatching for UI updates (Requirement 1.5)
+        dispatchEnhancedProgressUpdateEvent(chapterNum, exerciseIndex, isCompleted);
+        
+        // Check for chapter completion and show celebration if needed
+        checkChapterCompletion(chapterNum);
+        
+        // Validate progress consistency after update (Requirement 1.5)
+        validateProgressConsistency(chapterNum, exerciseIndex);
+        
+        // Verify localStorage format compatibility after update (Requirement 1.5)
+        verifyLocalStorageFormatCompatibility(chapterNum, exerciseIndex);
+        
+        // Clear the outbox entry once the write is confirmed in storage
+        flushProgressOutbox();
+        
+        return true;
         
     } catch (error) {
         console.error('Critical error in progress tracking:', error);
@@ -2864,6 +5752,165 @@ function updateProgressTracking(exerciseIndex, isCompleted) {
     }
 }
 
+/**
+ * When each answer input was first focused, or last checked
+ * Used to measure time-to-answer for the learning history log
+ */
+const exerciseAnswerStartTimes = new WeakMap();
+
+function trackExerciseAnswerStart(event) {
+    const target = event.target;
+    if (target && target.matches && target.matches('input, textarea, select') && !exerciseAnswerStartTimes.has(target)) {
+        exerciseAnswerStartTimes.set(target, Date.now());
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('focusin', trackExerciseAnswerStart);
+}
+
+/**
+ * Get milliseconds since the learner started on this input and restart the timer
+ */
+function takeTimeToAnswer(inputElement) {
+    if (!inputElement || !exerciseAnswerStartTimes.has(inputElement)) {
+        return null;
+    }
+    
+    const now = Date.now();
+    const elapsed = now - exerciseAnswerStartTimes.get(inputElement);
+    exerciseAnswerStartTimes.set(inputElement, now);
+    return elapsed;
+}
+
+/**
+ * Read the detailed result validateAnswer left on the exercise, if any
+ */
+function getLastValidationResult(exerciseContainer) {
+    if (!exerciseContainer || !exerciseContainer.dataset || !exerciseContainer.dataset.lastValidationResult) {
+        return null;
+    }
+    
+    try {
+        return JSON.parse(exerciseContainer.dataset.lastValidationResult);
+    } catch (error) {
+        return null;
+    }
+}
+
+function getLastValidationErrorType(exerciseContainer) {
+    const result = getLastValidationResult(exerciseContainer);
+    return result ? result.errorType || null : null;
+}
+
+/**
+ * Validator message and explanation for the last wrong answer, for pages that render their own feedback
+ */
+function getValidationFeedbackHTML(exerciseContainer) {
+    const result = getLastValidationResult(exerciseContainer);
+    if (!result || result.isCorrect || !result.errorType) {
+        return '';
+    }
+    
+    const message = result.feedback && typeof result.feedback === 'object' ? result.feedback.message : result.feedback;
+    return `<div class="feedback-explanation">${message ? `<p>${message}</p>` : ''}${getErrorTypeExplanation(result.errorType)}</div>`;
+}
+
+/**
+ * Record a single answer attempt through ProgressTracker
+ * Failures are logged only so exercise checking is never blocked
+ * Requirements: 1.5
+ */
+function recordExerciseAttempt(chapterNum, exerciseIndex, userInput, isCorrect, exerciseContainer = null, inputElement = null, score = null) {
+    try {
+        if (typeof ProgressTracker === 'undefined' || typeof ProgressTracker.recordAttempt !== 'function') {
+            return;
+        }
+        
+        if (isNaN(exerciseIndex) || exerciseIndex < 0) {
+            console.warn('Skipping attempt record for invalid exercise index:', exerciseIndex);
+            return;
+        }
+        
+        ProgressTracker.recordAttempt(chapterNum, exerciseIndex, isCorrect, userInput, {
+            exerciseId: exerciseContainer && exerciseContainer.dataset ? exerciseContainer.dataset.exerciseId : null,
+            errorType: getLastValidationErrorType(exerciseContainer),
+            timeToAnswerMs: takeTimeToAnswer(inputElement),
+            score,
+            hintsUsed: exerciseContainer && exerciseContainer.dataset ? parseInt(exerciseContainer.dataset.hintsUsed, 10) || 0 : 0,
+            audioPlays: exerciseContainer && exerciseContainer.dataset ? parseInt(exerciseContainer.dataset.audioPlays, 10) || 0 : 0
+        });
+    } catch (error) {
+        console.warn('Could not record exercise attempt:', error);
+    }
+}
+
+/**
+ * Record a hint ladder step in progress and queue the exercise for review
+ */
+function recordExerciseHint(chapterNum, exerciseIndex, hintLevel, exerciseContainer = null, correctAnswer = '') {
+    try {
+        if (isNaN(exerciseIndex) || exerciseIndex < 0) {
+            return;
+        }
+        
+        if (typeof ProgressTracker !== 'undefined' && typeof ProgressTracker.recordHintUse === 'function') {
+            ProgressTracker.recordHintUse(chapterNum, exerciseIndex, hintLevel);
+        }
+        
+        if (typeof ReviewScheduler !== 'undefined') {
+            const answer = Array.isArray(correctAnswer) ? correctAnswer.join('|') : correctAnswer;
+            ReviewScheduler.addHintedExercise(chapterNum, exerciseIndex, exerciseContainer, answer, hintLevel);
+        }
+    } catch (error) {
+        console.warn('Could not record hint use:', error);
+    }
+}
+
+/**
+ * Number of earlier attempts at an exercise kept in progress
+ */
+function getPreviousExerciseAttempts(chapterNum, exerciseIndex) {
+    if (typeof ProgressTracker === 'undefined' || isNaN(exerciseIndex) || exerciseIndex < 0) {
+        return 0;
+    }
+    
+    const attempts = ProgressTracker.getChapterProgress(chapterNum).attempts || [];
+    return attempts[exerciseIndex] || 0;
+}
+
+/**
+ * Score an attempt on a chapter page; earlier attempts come from progress, hints from data-hints-used
+ */
+function scoreExerciseAttempt(chapterNum, exerciseIndex, userInput, correctAnswer, isCorrect, exerciseContainer = null) {
+    try {
+        return calculateAttemptScore(userInput, correctAnswer, {
+            isCorrect,
+            attemptNumber: getPreviousExerciseAttempts(chapterNum, exerciseIndex) + 1,
+            hintsUsed: exerciseContainer && exerciseContainer.dataset ? parseInt(exerciseContainer.dataset.hintsUsed, 10) || 0 : 0,
+            direction: getExerciseDirection(exerciseContainer)
+        });
+    } catch (error) {
+        console.warn('Could not score exercise attempt:', error);
+        return null;
+    }
+}
+
+/**
+ * Add a missed exercise to the spaced-repetition review queue
+ */
+function scheduleExerciseReview(chapterNum, exerciseIndex, exerciseContainer, correctAnswer) {
+    try {
+        if (typeof ReviewScheduler === 'undefined' || isNaN(exerciseIndex) || exerciseIndex < 0) {
+            return;
+        }
+        
+        ReviewScheduler.addMissedExercise(chapterNum, exerciseIndex, exerciseContainer, correctAnswer);
+    } catch (error) {
+        console.warn('Could not schedule exercise review:', error);
+    }
+}
+
 /**
  * Fallback method to determine chapter number when primary methods fail
  */
@@ -2872,16 +5919,17 @@ function getChapterNumberFallback() {
         // Try to extract from filename in URL
         const pathname = window.location.pathname;
         
-        // Handle special case for Chapter 0 (English_for_Uzbek_Seasonal_Workers.html)
-        if (pathname.includes('English_for_Uzbek_Seasonal_Workers.html')) {
-            return 0;
+        // Pages listed in the course manifest (Chapter 1 has no number in its file name)
+        const manifestChapter = getManifestChapterNumber();
+        if (manifestChapter !== null) {
+            return manifestChapter;
         }
         
         // Try to match any number in the filename
         const numberMatch = pathname.match(/(\d+)/);
         if (numberMatch) {
             const num = parseInt(numberMatch[1]);
-            if (num >= 0 && num <= 24) {
+            if (isCourseChapterNumber(num)) {
                 return num;
             }
         }
@@ -2890,7 +5938,7 @@ function getChapterNumberFallback() {
         const chapterMeta = document.querySelector('meta[name="chapter"]');
         if (chapterMeta && chapterMeta.content) {
             const metaNum = parseInt(chapterMeta.content);
-            if (!isNaN(metaNum) && metaNum >= 0 && metaNum <= 24) {
+            if (isCourseChapterNumber(metaNum)) {
                 return metaNum;
             }
         }
@@ -2965,8 +6013,9 @@ function checkChapterCompletion(chapterNum) {
                 // Chapter completed - show celebration
                 showChapterCompletionCelebration(chapterNum);
                 
-                // Check for course completion
-                if (typeof ProgressTracker.isCourseCompleted === 'function' && ProgressTracker.isCourseCompleted()) {
+                // Check for completion of the chapter's course level
+                const levelId = CourseManifest.getChapterLevel(chapterNum);
+                if (typeof ProgressTracker.isCourseCompleted === 'function' && ProgressTracker.isCourseCompleted(levelId)) {
                     showCourseCompletionCelebration();
                 }
             }
@@ -3088,56 +6137,6 @@ function showCourseCompletionCelebration() {
     }
 }
 
-/**
- * Handle progress tracking failures gracefully
- */
-function handleProgressTrackingFailure(chapterNum, exerciseIndex, isCompleted, error) {
-    try {
-        console.error('Progress tracking failed:', {
-            chapter: chapterNum,
-            exercise: exerciseIndex,
-            completed: isCompleted,
-            error: error
-        });
-        
-        // Store failed update for retry later
-        storeFailedProgressUpdate(chapterNum, exerciseIndex, isCompleted);
-        
-        // Show user-friendly warning (non-blocking)
-        showProgressWarning();
-        
-        // Try to recover by checking if we can still save to localStorage directly
-        attemptDirectProgressSave(chapterNum, exerciseIndex, isCompleted);
-        
-    } catch (handlingError) {
-        console.error('Error handling progress tracking failure:', handlingError);
-    }
-}
-
-/**
- * Store failed progress update for retry later
- */
-function storeFailedProgressUpdate(chapterNum, exerciseIndex, isCompleted) {
-    try {
-        const failedUpdates = JSON.parse(sessionStorage.getItem('failedProgressUpdates') || '[]');
-        failedUpdates.push({
-            chapter: chapterNum,
-            exercise: exerciseIndex,
-            completed: isCompleted,
-            timestamp: new Date().toISOString()
-        });
-        
-        // Keep only last 50 failed updates to prevent storage bloat
-        if (failedUpdates.length > 50) {
-            failedUpdates.splice(0, failedUpdates.length - 50);
-        }
-        
-        sessionStorage.setItem('failedProgressUpdates', JSON.stringify(failedUpdates));
-    } catch (error) {
-        console.warn('Could not store failed progress update:', error);
-    }
-}
-
 /**
  * Show non-blocking progress warning to user
  */
@@ -3188,41 +6187,6 @@ function showProgressWarning() {
     }
 }
 
-/**
- * Attempt direct progress save as fallback
- */
-function attemptDirectProgressSave(chapterNum, exerciseIndex, isCompleted) {
-    try {
-        if (!isLocalStorageAvailable()) {
-            return false;
-        }
-        
-        // Try to save directly to localStorage using the same format as ProgressTracker
-        const storageKey = 'uzbek-textbook-progress';
-        const existingData = localStorage.getItem(storageKey);
-        
-        if (existingData) {
-            const progress = JSON.parse(existingData);
-            
-            if (progress.chapters && progress.chapters[chapterNum]) {
-                progress.chapters[chapterNum].exercises[exerciseIndex] = isCompleted;
-                progress.chapters[chapterNum].completed = progress.chapters[chapterNum].exercises.filter(Boolean).length;
-                progress.lastAccessed = new Date().toISOString();
-                
-                localStorage.setItem(storageKey, JSON.stringify(progress));
-                console.log('Direct progress save successful as fallback');
-                return true;
-            }
-        }
-        
-        return false;
-        
-    } catch (error) {
-        console.warn('Direct progress save failed:', error);
-        return false;
-    }
-}
-
 /**
  * Safe wrapper for showFeedback function (Requirement 2.1, 2.2)
  */
@@ -3239,7 +6203,12 @@ function showFeedbackSafely(exerciseContainer, isCorrect, correctAnswer, feedbac
                 feedback.className = 'exercise-feedback';
                 exerciseContainer.appendChild(feedback);
             }
-            feedback.innerHTML = `<span style="color: ${isCorrect ? 'green' : 'red'};">${feedbackData.icon} ${feedbackData.message}</span>`;
+            // Validator results carry their message as an object ({ message, icon, ... })
+            const message = feedbackData.message && typeof feedbackData.message === 'object' ? feedbackData.message : feedbackData;
+            feedback.innerHTML = `<span style="color: ${isCorrect ? 'green' : 'red'};">${message.icon || (isCorrect ? '✓' : '✗')} ${message.message}</span>`;
+            if (!isCorrect) {
+                appendAnswerDiff(feedback, exerciseContainer, correctAnswer);
+            }
             feedback.style.display = 'block';
         } catch (fallbackError) {
             console.error('Fallback feedback also failed:', fallbackError);
@@ -3636,195 +6605,165 @@ function getCorrectAnswer(exerciseContainer, inputElement) {
         }
         
         // Priority 3: Check for data-correct on any input within the container
-        try {
-            const inputWithCorrect = exerciseContainer.querySelector('[data-correct]');
-            if (inputWithCorrect && inputWithCorrect.dataset && inputWithCorrect.dataset.correct) {
-                const answer = inputWithCorrect.dataset.correct.trim();
-                if (answer) {
-                    return answer;
-                }
-            }
-        } catch (error) {
-            console.warn('Error finding input with data-correct:', error);
-        }
-        
-        // Priority 4: Check for data-answer on any element within the container
-        try {
-            const elementWithAnswer = exerciseContainer.querySelector('[data-answer]');
-            if (elementWithAnswer && elementWithAnswer.dataset && elementWithAnswer.dataset.answer) {
-                const answer = elementWithAnswer.dataset.answer.trim();
-                if (answer) {
-                    return answer;
-                }
-            }
-        } catch (error) {
-            console.warn('Error finding element with data-answer:', error);
-        }
-        
-        // Priority 5: Check for answer in exercise configuration (if using class-based system)
-        try {
-            const exerciseId = exerciseContainer.dataset.exerciseId || exerciseContainer.id;
-            if (exerciseId && window.exerciseAnswers && window.exerciseAnswers[exerciseId]) {
-                return window.exerciseAnswers[exerciseId];
-            }
-        } catch (error) {
-            console.warn('Error checking global exercise answers:', error);
-        }
-        
-        console.warn('getCorrectAnswer: No correct answer found in any expected location');
-        return '';
-        
-    } catch (error) {
-        console.error('Critical error in getCorrectAnswer:', error);
-        return '';
-    }
-}
-
-/**
- * Exercise Type Detection System for Passive Voice Validation Fix
- * Detects exercise types based on context and applies appropriate validation
- */
-
-/**
- * Detect exercise type from context information
- * Requirements: 4.1, 4.2, 4.3
- */
-function detectExerciseType(exerciseContext) {
-    if (!exerciseContext) {
-        return 'STANDARD';
-    }
-    
-    // Convert context to lowercase for case-insensitive matching
-    const contextText = exerciseContext.toLowerCase();
-    
-    // Passive voice indicators to look for
-    const passiveIndicators = [
-        'vaziyat: talk about an official process, passive voice',
-        'passive voice',
-        'passiv nisbat',
-        'official process',
-        'rasmiy jarayon',
-        'majhul nisbat',
-        'write your sentence using passive voice',
-        'using passive voice',
-        'passive voice formation',
-        'active to passive voice',
-        'past passive voice'
-    ];
-    
-    // Check if any passive voice indicator is present
-    for (const indicator of passiveIndicators) {
-        if (contextText.includes(indicator)) {
-            return 'PASSIVE_VOICE';
-        }
-    }
-    
-    return 'STANDARD';
-}
-
-/**
- * Extract exercise context from exercise element
- * Scans exercise containers for passive voice indicators
- * Requirements: 4.1, 4.2
- */
-function extractExerciseContext(exerciseElement) {
-    if (!exerciseElement) {
-        return '';
-    }
-    
-    let contextText = '';
-    
-    // Get text from exercise question
-    const questionElement = exerciseElement.querySelector('.exercise-question');
-    if (questionElement) {
-        contextText += questionElement.textContent + ' ';
-    }
-    
-    // Get text from scenario elements (for scenario exercises)
-    const scenarioElement = exerciseElement.querySelector('.exercise-scenario');
-    if (scenarioElement) {
-        contextText += scenarioElement.textContent + ' ';
-    }
-    
-    // Get text from any paragraph elements within the exercise
-    // This is crucial for passive voice exercises which have "Vaziyat:" in <p> elements
-    const paragraphs = exerciseElement.querySelectorAll('p');
-    paragraphs.forEach(p => {
-        contextText += p.textContent + ' ';
-    });
-    
-    // Get text from data attributes that might contain context
-    const contextData = exerciseElement.dataset.context || '';
-    const hintData = exerciseElement.dataset.hint || '';
-    contextText += contextData + ' ' + hintData;
-    
-    // Enhanced: Look for specific passive voice context patterns
-    // Check for "Vaziyat:" followed by passive voice indicators
-    const vaziyatElements = exerciseElement.querySelectorAll('p strong');
-    vaziyatElements.forEach(strong => {
-        if (strong.textContent.toLowerCase().includes('vaziyat')) {
-            // Get the full paragraph containing the Vaziyat
-            const paragraph = strong.closest('p');
-            if (paragraph) {
-                contextText += paragraph.textContent + ' ';
+        try {
+            const inputWithCorrect = exerciseContainer.querySelector('[data-correct]');
+            if (inputWithCorrect && inputWithCorrect.dataset && inputWithCorrect.dataset.correct) {
+                const answer = inputWithCorrect.dataset.correct.trim();
+                if (answer) {
+                    return answer;
+                }
             }
+        } catch (error) {
+            console.warn('Error finding input with data-correct:', error);
         }
-    });
-    
-    // Also check parent elements for broader context (like section headers)
-    let parentElement = exerciseElement.parentElement;
-    let searchDepth = 0;
-    while (parentElement && searchDepth < 3) {
-        // Look for grammar section headers or context information
-        const grammarHeaders = parentElement.querySelectorAll('h3, h4, .grammar-intro');
-        grammarHeaders.forEach(header => {
-            if (header.textContent.toLowerCase().includes('passive') || 
-                header.textContent.toLowerCase().includes('majhul')) {
-                contextText += header.textContent + ' ';
-            }
-        });
         
-        // Also check for any Vaziyat elements in parent containers
-        const parentVaziyatElements = parentElement.querySelectorAll('p strong');
-        parentVaziyatElements.forEach(strong => {
-            if (strong.textContent.toLowerCase().includes('vaziyat')) {
-                const paragraph = strong.closest('p');
-                if (paragraph) {
-                    contextText += paragraph.textContent + ' ';
+        // Priority 4: Check for data-answer on any element within the container
+        try {
+            const elementWithAnswer = exerciseContainer.querySelector('[data-answer]');
+            if (elementWithAnswer && elementWithAnswer.dataset && elementWithAnswer.dataset.answer) {
+                const answer = elementWithAnswer.dataset.answer.trim();
+                if (answer) {
+                    return answer;
                 }
             }
-        });
+        } catch (error) {
+            console.warn('Error finding element with data-answer:', error);
+        }
+        
+        // Priority 5: Check for answer in exercise configuration (if using class-based system)
+        try {
+            const exerciseId = exerciseContainer.dataset.exerciseId || exerciseContainer.id;
+            if (exerciseId && window.exerciseAnswers && window.exerciseAnswers[exerciseId]) {
+                return window.exerciseAnswers[exerciseId];
+            }
+        } catch (error) {
+            console.warn('Error checking global exercise answers:', error);
+        }
+        
+        console.warn('getCorrectAnswer: No correct answer found in any expected location');
+        return '';
         
-        parentElement = parentElement.parentElement;
-        searchDepth++;
+    } catch (error) {
+        console.error('Critical error in getCorrectAnswer:', error);
+        return '';
     }
-    
-    return contextText.trim();
 }
 
 /**
- * Create mapping system for different exercise types
+ * Validator registry for exercise types
+ * Exercise markup picks a validator with data-validate="<alias>"; undeclared exercises use STANDARD
+ * validate(userInput, correctAnswer, options) returns a boolean or { isCorrect, errorType, feedback, debugInfo }
  * Requirements: 4.3
  */
 const EXERCISE_TYPE_MAPPING = {
     'PASSIVE_VOICE': {
         name: 'Passive Voice Exercise',
         description: 'Exercises focusing on passive voice grammar structure',
+        aliases: ['passive'],
         validationMethod: 'validatePassiveVoiceAnswer',
+        validate: (userInput, correctAnswer) => validatePassiveVoiceAnswer(userInput, correctAnswer),
         strictValidation: true,
         requiresCompletesentence: true,
         requiresPassiveStructure: true
     },
+    'PRESENT_SIMPLE': {
+        name: 'Present Simple Exercise',
+        description: 'Third person -s in present simple (Chapter 4)',
+        aliases: ['present-simple'],
+        validationMethod: 'validatePresentSimpleAnswer',
+        validate: (userInput, correctAnswer, options) => validatePresentSimpleAnswer(userInput, correctAnswer, options.direction),
+        strictValidation: false
+    },
+    'IMPERATIVE': {
+        name: 'Imperative Exercise',
+        description: 'Instructions with the base form of the verb (Chapter 14)',
+        aliases: ['imperative'],
+        validationMethod: 'validateImperativeAnswer',
+        validate: (userInput, correctAnswer, options) => validateImperativeAnswer(userInput, correctAnswer, options.direction),
+        strictValidation: false
+    },
+    'MODAL_REQUEST': {
+        name: 'Modal Verb Exercise',
+        description: 'can/could/may requests and must/should rules with a bare infinitive (Chapters 14, 15)',
+        aliases: ['modal', 'request'],
+        validationMethod: 'validateModalRequestAnswer',
+        validate: (userInput, correctAnswer, options) => validateModalRequestAnswer(userInput, correctAnswer, options.direction),
+        strictValidation: false
+    },
+    'FUTURE': {
+        name: 'Future Forms Exercise',
+        description: 'will and going to futures (Chapter 24)',
+        aliases: ['future'],
+        validationMethod: 'validateFutureFormAnswer',
+        validate: (userInput, correctAnswer, options) => validateFutureFormAnswer(userInput, correctAnswer, options.direction),
+        strictValidation: false
+    },
+    'SENTENCE_ORDER': {
+        name: 'Sentence Order Exercise',
+        description: 'Word tiles in one of the valid orders listed in data-answer',
+        aliases: ['sentence-order', 'order'],
+        validationMethod: 'validateSentenceOrderAnswer',
+        validate: (userInput, correctAnswer) => validateSentenceOrderAnswer(userInput, correctAnswer),
+        strictValidation: false
+    },
+    'MATCHING': {
+        name: 'Matching Exercise',
+        description: 'Every english=match pair listed in data-answer, in any order',
+        aliases: ['matching', 'match'],
+        validationMethod: 'validateMatchingAnswer',
+        validate: (userInput, correctAnswer) => validateMatchingAnswer(userInput, correctAnswer),
+        strictValidation: false
+    },
     'STANDARD': {
         name: 'Standard Exercise',
         description: 'Regular exercises with standard validation',
+        aliases: ['standard'],
         validationMethod: 'validateStandardAnswer',
+        validate: (userInput, correctAnswer, options) => validateStandardAnswer(userInput, correctAnswer, options.direction),
         strictValidation: false,
         requiresCompletesentence: false,
         requiresPassiveStructure: false
     }
 };
 
+/**
+ * Add a validator to the registry so markup can select it with data-validate
+ * Requirements: 4.3
+ */
+function registerExerciseValidator(exerciseType, config) {
+    if (!exerciseType || !config || typeof config.validate !== 'function') {
+        console.error(`Cannot register validator "${exerciseType}": a validate function is required`);
+        return false;
+    }
+    
+    EXERCISE_TYPE_MAPPING[exerciseType] = Object.assign({
+        name: exerciseType,
+        description: '',
+        aliases: [],
+        strictValidation: false
+    }, config);
+    return true;
+}
+
+/**
+ * Find the registered exercise type for a data-validate value (type name or alias)
+ */
+function resolveExerciseType(validatorName) {
+    if (!validatorName) {
+        return 'STANDARD';
+    }
+    
+    const name = validatorName.trim().toLowerCase();
+    const exerciseType = Object.keys(EXERCISE_TYPE_MAPPING).find(type =>
+        type.toLowerCase() === name || (EXERCISE_TYPE_MAPPING[type].aliases || []).includes(name));
+    
+    if (!exerciseType) {
+        console.warn(`Unknown validator "${validatorName}", using standard validation`);
+        return 'STANDARD';
+    }
+    return exerciseType;
+}
+
 /**
  * Get exercise type configuration
  * Requirements: 4.3
@@ -3833,6 +6772,69 @@ function getExerciseTypeConfig(exerciseType) {
     return EXERCISE_TYPE_MAPPING[exerciseType] || EXERCISE_TYPE_MAPPING['STANDARD'];
 }
 
+/**
+ * Read the validation rules an exercise declares in its markup
+ * data-validate, data-accept / data-reject (pipe-separated), data-case-sensitive, data-min-words
+ */
+function getExerciseValidationRules(exerciseElement) {
+    const data = (exerciseElement && exerciseElement.dataset) || {};
+    const splitList = (value) => (value ? value.split('|').map(item => item.trim()).filter(Boolean) : []);
+    
+    return {
+        validator: data.validate || null,
+        accept: splitList(data.accept),
+        reject: splitList(data.reject),
+        caseSensitive: data.caseSensitive !== undefined && data.caseSensitive !== 'false',
+        minWords: parseInt(data.minWords, 10) || 0
+    };
+}
+
+/**
+ * Apply declared rules around the selected validator
+ * Returns { isCorrect, errorType, feedback, debugInfo }
+ */
+function applyValidationRules(userInput, correctAnswer, exerciseType, options) {
+    const { rules } = options;
+    const normalize = options.direction === 'en-uz' ? normalizeUzbekAnswer : normalizeAnswer;
+    const normalizedInput = normalize(userInput);
+    const ruleFailure = (errorType, feedback) => ({
+        isCorrect: false,
+        errorType,
+        feedback,
+        debugInfo: { exerciseType, rule: errorType }
+    });
+    
+    const wordCount = userInput.trim().split(/\s+/).filter(Boolean).length;
+    if (rules.minWords && wordCount < rules.minWords) {
+        return ruleFailure('TOO_SHORT', `Kamida ${rules.minWords} ta so'z yozing / Write at least ${rules.minWords} words`);
+    }
+    
+    if (rules.reject.some(answer => normalize(answer) === normalizedInput)) {
+        return ruleFailure('REJECTED', "Bu javob bu mashq uchun to'g'ri emas / This answer is not accepted here");
+    }
+    
+    let result;
+    if (rules.accept.some(answer => normalize(answer) === normalizedInput)) {
+        result = { isCorrect: true, errorType: null, feedback: null, debugInfo: { exerciseType, rule: 'ACCEPTED' } };
+    } else {
+        const validated = getExerciseTypeConfig(exerciseType).validate(userInput, correctAnswer, options);
+        result = typeof validated === 'object' && validated !== null ?
+            validated :
+            { isCorrect: Boolean(validated), errorType: null, feedback: null, debugInfo: { exerciseType } };
+    }
+    
+    // Case-sensitive answers (names, places) must match one accepted spelling letter for letter
+    if (result.isCorrect && rules.caseSensitive) {
+        const stripPunctuation = (str) => str.replace(/[.,!?;:"]/g, '').replace(/\s+/g, ' ').trim();
+        const spellings = correctAnswer.split(/[|\/]/).concat(rules.accept).map(stripPunctuation);
+        if (!spellings.includes(stripPunctuation(userInput))) {
+            return ruleFailure('CASE', "Katta-kichik harflarga e'tibor bering / Check capital letters");
+        }
+    }
+    
+    return result;
+}
+
 /**
  * Validation logging system for debugging and monitoring
  * Provides detailed logging for each validation step with performance timing
@@ -3994,11 +6996,12 @@ const ValidationLogger = {
 };
 
 /**
- * Enhanced answer validation with exercise type detection and comprehensive logging
- * Main entry point that routes to appropriate validation method
+ * Answer validation with declarative rules and comprehensive logging
+ * Main entry point: routes to the validator the exercise declares with data-validate
+ * direction: translation direction ('en-uz', 'uz-en'); read from data-direction when not given
  * Requirements: 4.1, 4.2, 4.4
  */
-function validateAnswer(userInput, correctAnswer, exerciseElement = null) {
+function validateAnswer(userInput, correctAnswer, exerciseElement = null, direction = null) {
     ValidationLogger.startTiming('total_validation');
     ValidationLogger.log('DEBUG', 'Starting validation', { 
         userInput, 
@@ -4012,54 +7015,36 @@ function validateAnswer(userInput, correctAnswer, exerciseElement = null) {
         return false;
     }
     
-    // Extract exercise context and detect type
-    ValidationLogger.startTiming('exercise_type_detection');
-    let exerciseType = 'STANDARD';
-    let exerciseContext = '';
-    
-    if (exerciseElement) {
-        exerciseContext = extractExerciseContext(exerciseElement);
-        exerciseType = detectExerciseType(exerciseContext);
-        
-        ValidationLogger.logStep('exercise_type_detection', true, {
-            exerciseType,
-            contextLength: exerciseContext.length,
-            contextPreview: exerciseContext.substring(0, 100) + '...'
-        });
-    }
-    ValidationLogger.endTiming('exercise_type_detection');
+    // Rules declared on the exercise markup select the validator
+    const rules = getExerciseValidationRules(exerciseElement);
+    const exerciseType = resolveExerciseType(rules.validator);
+    ValidationLogger.logStep('exercise_type_detection', true, { exerciseType, rules });
     
-    // Route to appropriate validation method based on exercise type
     ValidationLogger.startTiming('validation_routing');
     const config = getExerciseTypeConfig(exerciseType);
-    let result;
+    ValidationLogger.log('INFO', `Routing to ${config.name}`);
     
-    if (exerciseType === 'PASSIVE_VOICE') {
-        ValidationLogger.log('INFO', 'Routing to passive voice validation');
-        const validationResult = validatePassiveVoiceAnswer(userInput, correctAnswer);
-        
-        // Store detailed validation result for potential use by calling code
-        if (exerciseElement) {
+    const validationResult = applyValidationRules(userInput, correctAnswer, exerciseType, {
+        direction: direction || getExerciseDirection(exerciseElement),
+        rules,
+        exerciseElement
+    });
+    const result = validationResult.isCorrect;
+    
+    // Keep the detailed result of strict validators and rule failures for feedback and progress logs
+    if (exerciseElement) {
+        if (config.strictValidation || validationResult.errorType) {
             exerciseElement.dataset.lastValidationResult = JSON.stringify(validationResult);
-        }
-        
-        result = validationResult.isCorrect;
-        
-        if (result) {
-            ValidationLogger.logSuccess('PASSIVE_VOICE', userInput, correctAnswer, validationResult);
         } else {
-            ValidationLogger.logFailure('passive_voice_validation', userInput, correctAnswer, 
-                validationResult.errorType, validationResult);
+            delete exerciseElement.dataset.lastValidationResult;
         }
+    }
+    
+    if (result) {
+        ValidationLogger.logSuccess(exerciseType, userInput, correctAnswer, validationResult);
     } else {
-        ValidationLogger.log('INFO', 'Routing to standard validation');
-        result = validateStandardAnswer(userInput, correctAnswer);
-        
-        if (result) {
-            ValidationLogger.logSuccess('STANDARD', userInput, correctAnswer);
-        } else {
-            ValidationLogger.logFailure('standard_validation', userInput, correctAnswer, 'Standard validation failed');
-        }
+        ValidationLogger.logFailure(`${exerciseType.toLowerCase()}_validation`, userInput, correctAnswer,
+            validationResult.errorType || 'Validation failed', validationResult);
     }
     
     ValidationLogger.endTiming('validation_routing');
@@ -4074,17 +7059,26 @@ function validateAnswer(userInput, correctAnswer, exerciseElement = null) {
     return result;
 }
 
+/**
+ * Translation direction of an exercise from its data-direction attribute, or null
+ */
+function getExerciseDirection(exerciseElement) {
+    const directed = exerciseElement && exerciseElement.closest ? exerciseElement.closest('[data-direction]') : null;
+    return directed ? directed.dataset.direction : null;
+}
+
 /**
  * Standard answer validation (existing logic)
- * Used for non-passive voice exercises
+ * Used for non-passive voice exercises; answers in Uzbek (direction 'en-uz') use the Uzbek normalizer
  * Requirements: 4.2, 4.4
  */
-function validateStandardAnswer(userInput, correctAnswer) {
+function validateStandardAnswer(userInput, correctAnswer, direction = null) {
     if (!userInput || !correctAnswer) return false;
     
     // Normalize both answers with comprehensive cleaning
-    const normalizedUser = normalizeAnswer(userInput);
-    const normalizedCorrect = normalizeAnswer(correctAnswer);
+    const normalize = direction === 'en-uz' ? normalizeUzbekAnswer : normalizeAnswer;
+    const normalizedUser = normalize(userInput);
+    const normalizedCorrect = normalize(correctAnswer);
     
     // Handle multiple correct answers separated by delimiters
     const correctAnswers = parseMultipleAnswers(normalizedCorrect);
@@ -4698,37 +7692,346 @@ function validatePassiveVoiceAnswer(userInput, correctAnswer) {
         validation.debugInfo.systemError = error.message;
     }
     
-    ValidationLogger.endTiming('passive_voice_validation');
-    return validation;
+    ValidationLogger.endTiming('passive_voice_validation');
+    return validation;
+}
+
+/**
+ * Check if user answer matches expected answer with allowed variations
+ * For passive voice exercises, requires exact match with no extra words
+ * Requirements: 2.4, 3.5
+ */
+function matchesExpectedAnswer(userAnswer, correctAnswer) {
+    if (!userAnswer || !correctAnswer) {
+        return false;
+    }
+
+    const userNormalized = normalizeForComparison(userAnswer);
+    const correctNormalized = normalizeForComparison(correctAnswer);
+    
+    // For passive voice exercises, require exact match (no extra words)
+    return userNormalized === correctNormalized;
+}
+
+/**
+ * Normalize text for comparison by removing punctuation and normalizing whitespace
+ * Used for content matching validation
+ */
+function normalizeForComparison(text) {
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/[.,!?;:]/g, '') // Remove punctuation
+        .replace(/\s+/g, ' '); // Normalize whitespace
+}
+
+/**
+ * Grammar-aware validators for the A1 structures taught in Chapters 4, 14, 15 and 24
+ * Each looks for the structure's typical learner mistake before the standard comparison,
+ * so "He work" or "Can I to go" get a specific explanation instead of a fuzzy match or a generic wrong
+ */
+const MODAL_VERBS = ['can', 'could', 'may', 'might', 'must', 'should', 'would', 'will', 'shall'];
+const SUBJECT_PRONOUNS = ['i', 'you', 'he', 'she', 'it', 'we', 'they'];
+const FREQUENCY_ADVERBS = ['always', 'usually', 'often', 'sometimes', 'never', 'also', 'really', 'just'];
+const BE_FORMS = ['am', 'is', 'are', 'was', 'were', 'be', 'im', 'youre', 'hes', 'shes', 'its', 'theyre'];
+
+const GrammarStructureErrorMessages = {
+    THIRD_PERSON_S: {
+        uzbek: "Noto'g'ri - He/She/It bilan fe'lga -s qo'shiladi",
+        english: "Incorrect - Verbs after he/she/it take -s",
+        icon: "📚",
+        type: "error",
+        category: "grammar",
+        hint: "He works, She carries, It opens - lekin I/you/we/they work"
+    },
+    EXTRA_VERB_S: {
+        uzbek: "Noto'g'ri - I/you/we/they, does/doesn't va modal fe'llardan keyin fe'lga -s qo'shilmaydi",
+        english: "Incorrect - Verbs after I/you/we/they, does/doesn't and modal verbs take no -s",
+        icon: "📚",
+        type: "error",
+        category: "grammar",
+        hint: "They work, We pick, Does he work? - 'They works' emas"
+    },
+    THIRD_PERSON_SPELLING: {
+        uzbek: "Noto'g'ri - -s/-es qo'shimchasi noto'g'ri yozilgan",
+        english: "Incorrect - The -s/-es ending is spelled wrong",
+        icon: "📚",
+        type: "error",
+        category: "grammar",
+        hint: "watch → watches, carry → carries, go → goes, have → has"
+    },
+    IMPERATIVE_FORM: {
+        uzbek: "Noto'g'ri - Buyruq gap fe'lning asosiy shakli bilan boshlanadi",
+        english: "Incorrect - Instructions start with the base form of the verb",
+        icon: "📚",
+        type: "error",
+        category: "grammar",
+        hint: "Clean the tools / Don't touch the machine - 'to', 'you' yoki -ing kerak emas"
+    },
+    MODAL_INFINITIVE: {
+        uzbek: "Noto'g'ri - Modal fe'ldan keyin 'to'siz asosiy fe'l keladi",
+        english: "Incorrect - Modal verbs are followed by the base verb without 'to'",
+        icon: "📚",
+        type: "error",
+        category: "grammar",
+        hint: "Can I go...? / Could you help...? / You must wear... - 'to go', 'goes' emas"
+    },
+    FUTURE_FORM: {
+        uzbek: "Noto'g'ri - Kelasi zamon shakli noto'g'ri tuzilgan",
+        english: "Incorrect - The future form is not built correctly",
+        icon: "📚",
+        type: "error",
+        category: "grammar",
+        hint: "will + fe'l (I will find) yoki am/is/are + going to + fe'l (I am going to start)"
+    }
+};
+
+/**
+ * Get formatted error message for a grammar structure error, in the passive voice message shape
+ */
+function getGrammarStructureErrorMessage(errorType) {
+    const messageData = GrammarStructureErrorMessages[errorType];
+    if (!messageData) {
+        return getPassiveVoiceErrorMessage(errorType);
+    }
+    
+    return {
+        message: `${messageData.uzbek} (${messageData.english})<br><small><em>Maslahat:</em> ${messageData.hint}</small>`,
+        icon: messageData.icon,
+        type: messageData.type,
+        category: messageData.category,
+        class: 'incorrect'
+    };
+}
+
+/**
+ * Split an answer into normalized words; apostrophes are dropped, so "don't" becomes "dont"
+ */
+function tokenizeAnswer(text) {
+    return normalizeAnswer(String(text || '').replace(/[‘’]/g, "'")).split(' ').filter(Boolean);
+}
+
+/**
+ * Third person singular form of a base verb: work → works, carry → carries, go → goes
+ */
+const THIRD_PERSON_IRREGULAR = { have: 'has', do: 'does', go: 'goes', be: 'is', dont: 'doesnt' };
+
+function addThirdPersonS(verb) {
+    if (THIRD_PERSON_IRREGULAR[verb]) return THIRD_PERSON_IRREGULAR[verb];
+    if (/(s|sh|ch|x|z|o)$/.test(verb)) return `${verb}es`;
+    if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies`;
+    return `${verb}s`;
+}
+
+/**
+ * True when one word is the other with a wrong or missing third person -s
+ */
+function isThirdPersonPair(word, otherWord) {
+    return word !== otherWord && (addThirdPersonS(word) === otherWord || addThirdPersonS(otherWord) === word);
+}
+
+/**
+ * True when a word is a wrongly spelled -s form of an expected third person verb: watchs, carrys, gos, haves
+ */
+function isThirdPersonMisspelling(word, expectedWord) {
+    if (word === expectedWord || !/s$/.test(expectedWord)) return false;
+    
+    const bases = [expectedWord.replace(/ies$/, 'y'), expectedWord.replace(/es$/, ''), expectedWord.replace(/s$/, '')]
+        .concat(Object.keys(THIRD_PERSON_IRREGULAR).filter(base => THIRD_PERSON_IRREGULAR[base] === expectedWord))
+        .filter(base => base !== expectedWord && addThirdPersonS(base) === expectedWord);
+    return bases.some(base => [`${base}s`, `${base}es`, `${base.replace(/y$/, '')}ies`].includes(word));
+}
+
+/**
+ * Error type for a verb that differs from the expected one only in its -s ending, or null
+ */
+function getThirdPersonErrorType(word, expectedWord) {
+    if (isThirdPersonMisspelling(word, expectedWord)) return 'THIRD_PERSON_SPELLING';
+    if (!isThirdPersonPair(word, expectedWord)) return null;
+    return addThirdPersonS(word) === expectedWord ? 'THIRD_PERSON_S' : 'EXTRA_VERB_S';
+}
+
+/**
+ * Other forms learners use where the base verb belongs: -s, -ing, -ed
+ */
+function isInflectedFormOf(word, baseVerb) {
+    const stem = baseVerb.replace(/e$/, '');
+    return word !== baseVerb &&
+        [addThirdPersonS(baseVerb), `${stem}ing`, `${baseVerb}ing`, `${stem}ed`, `${baseVerb}d`].includes(word);
+}
+
+/**
+ * Present simple: "He work", "They works" or "She watchs" against the expected verb form
+ * Returns THIRD_PERSON_S, EXTRA_VERB_S or THIRD_PERSON_SPELLING, or null when the -s endings are right
+ */
+function findThirdPersonError(words, expectedWords) {
+    // Same blanks, one verb with the -s added, left off or misspelled
+    if (words.length === expectedWords.length) {
+        for (let i = 0; i < words.length; i++) {
+            const errorType = getThirdPersonErrorType(words[i], expectedWords[i]);
+            if (errorType) return errorType;
+        }
+    }
+    
+    // he/she/it + base verb, or I/you/we/they + -s verb, wherever the verb sits
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        if (!SUBJECT_PRONOUNS.includes(word) || MODAL_VERBS.includes(words[i - 1]) ||
+            ['do', 'does', 'did', 'dont', 'doesnt', 'didnt'].includes(words[i - 1])) {
+            continue;
+        }
+        
+        let j = i + 1;
+        while (FREQUENCY_ADVERBS.includes(words[j])) j++;
+        const verb = words[j];
+        if (!verb || expectedWords.includes(verb)) continue;
+        
+        for (const expected of expectedWords) {
+            const errorType = getThirdPersonErrorType(verb, expected);
+            if (errorType) return errorType;
+        }
+        if (['he', 'she', 'it'].includes(word) && ['dont', 'have', 'do'].includes(verb)) {
+            return 'THIRD_PERSON_S';
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Imperatives: "To clean the tools", "You clean the tools", "Cleaning the tools", "Not touch"
+ */
+function findImperativeError(words, expectedWords) {
+    const userStart = words[0] === 'please' ? 1 : 0;
+    const expectedStart = expectedWords[0] === 'please' ? 1 : 0;
+    const verb = words[userStart];
+    const expectedVerb = expectedWords[expectedStart];
+    if (!verb || !expectedVerb || (verb === expectedVerb && words[userStart + 1] !== 'to')) {
+        return false;
+    }
+    
+    if (['to', 'you'].includes(verb) && words[userStart + 1] === expectedVerb) {
+        return true;
+    }
+    
+    if (expectedVerb === 'dont') {
+        return ['not', 'no'].includes(verb) || (verb === 'dont' && words[userStart + 1] === 'to');
+    }
+    
+    return isInflectedFormOf(verb, expectedVerb);
+}
+
+/**
+ * Modals: "Can I to go", "You must to wear", "Could you helps"
+ */
+function findModalVerbError(words, expectedWords, modals = MODAL_VERBS) {
+    return words.some((word, i) => {
+        if (!modals.includes(word)) return false;
+        
+        // Questions put the subject between the modal and the verb: "Can I go"
+        let j = i + 1;
+        if (SUBJECT_PRONOUNS.includes(words[j])) j++;
+        while (FREQUENCY_ADVERBS.includes(words[j]) || ['not', 'please'].includes(words[j])) j++;
+        const verb = words[j];
+        if (!verb) return false;
+        
+        return verb === 'to' ||
+            expectedWords.some(expected => isInflectedFormOf(verb, expected));
+    });
+}
+
+/**
+ * Futures: "will to find", "will going to", "I going to start", "going to starts"
+ */
+function findFutureFormError(words, expectedWords) {
+    if (findModalVerbError(words, expectedWords, ['will', 'shall'])) {
+        return true;
+    }
+    
+    if (words.some((word, i) => word === 'will' && words[i + 1] === 'going')) {
+        return true;
+    }
+    
+    // going to needs am/is/are in front of it whenever the expected answer has one
+    const expectsBe = expectedWords.some((word, i) => word === 'going' && BE_FORMS.includes(expectedWords[i - 1]));
+    const missingBe = words.some((word, i) => word === 'going' && !BE_FORMS.includes(words[i - 1]));
+    if (expectsBe && missingBe) {
+        return true;
+    }
+    
+    // Same blanks with one future marker swapped: "will" for "going", "go" for "going"
+    const futureMarkers = ['will', 'going', 'go', 'gonna'];
+    return words.length === expectedWords.length && words.some((word, i) =>
+        word !== expectedWords[i] && futureMarkers.includes(word) && futureMarkers.includes(expectedWords[i]));
 }
 
 /**
- * Check if user answer matches expected answer with allowed variations
- * For passive voice exercises, requires exact match with no extra words
- * Requirements: 2.4, 3.5
+ * Shared pipeline for the grammar structure validators
+ * Layer 1: the structure's typical mistake, against every accepted answer
+ * Layer 2: standard comparison for everything else
+ * Returns { isCorrect, errorType, feedback, debugInfo }
  */
-function matchesExpectedAnswer(userAnswer, correctAnswer) {
-    if (!userAnswer || !correctAnswer) {
-        return false;
+function validateGrammarStructureAnswer(userInput, correctAnswer, exerciseType, errorType, findError, direction = null) {
+    const validation = {
+        isCorrect: false,
+        errorType: null,
+        feedback: null,
+        debugInfo: { exerciseType, validationSteps: [] }
+    };
+    
+    if (!userInput || !correctAnswer) {
+        return validation;
+    }
+    
+    const words = tokenizeAnswer(userInput);
+    // Finders return true for the validator's error type, or a more specific error type of their own
+    const structureError = parseMultipleAnswers(correctAnswer)
+        .map(answer => findError(words, tokenizeAnswer(answer)))
+        .find(Boolean);
+    const hasStructureError = Boolean(structureError);
+    if (typeof structureError === 'string') {
+        errorType = structureError;
+    }
+    validation.debugInfo.validationSteps.push({
+        step: 'grammar_structure',
+        passed: !hasStructureError,
+        details: hasStructureError ? `Answer shows a ${errorType} mistake` : 'No structure mistake found'
+    });
+    
+    if (hasStructureError) {
+        validation.errorType = errorType;
+        validation.feedback = getGrammarStructureErrorMessage(errorType);
+        ValidationLogger.logFailure('grammar_structure', userInput, correctAnswer, errorType, { exerciseType });
+        return validation;
     }
-
-    const userNormalized = normalizeForComparison(userAnswer);
-    const correctNormalized = normalizeForComparison(correctAnswer);
     
-    // For passive voice exercises, require exact match (no extra words)
-    return userNormalized === correctNormalized;
+    validation.isCorrect = validateStandardAnswer(userInput, correctAnswer, direction);
+    validation.debugInfo.validationSteps.push({
+        step: 'content_matching',
+        passed: validation.isCorrect,
+        details: validation.isCorrect ? 'Answer matches expected content' : 'Answer does not match expected content'
+    });
+    if (validation.isCorrect) {
+        validation.feedback = getPassiveVoiceErrorMessage('SUCCESS');
+    }
+    
+    return validation;
 }
 
-/**
- * Normalize text for comparison by removing punctuation and normalizing whitespace
- * Used for content matching validation
- */
-function normalizeForComparison(text) {
-    return text
-        .toLowerCase()
-        .trim()
-        .replace(/[.,!?;:]/g, '') // Remove punctuation
-        .replace(/\s+/g, ' '); // Normalize whitespace
+function validatePresentSimpleAnswer(userInput, correctAnswer, direction = null) {
+    return validateGrammarStructureAnswer(userInput, correctAnswer, 'PRESENT_SIMPLE', 'THIRD_PERSON_S', findThirdPersonError, direction);
+}
+
+function validateImperativeAnswer(userInput, correctAnswer, direction = null) {
+    return validateGrammarStructureAnswer(userInput, correctAnswer, 'IMPERATIVE', 'IMPERATIVE_FORM', findImperativeError, direction);
+}
+
+function validateModalRequestAnswer(userInput, correctAnswer, direction = null) {
+    return validateGrammarStructureAnswer(userInput, correctAnswer, 'MODAL_REQUEST', 'MODAL_INFINITIVE', findModalVerbError, direction);
+}
+
+function validateFutureFormAnswer(userInput, correctAnswer, direction = null) {
+    return validateGrammarStructureAnswer(userInput, correctAnswer, 'FUTURE', 'FUTURE_FORM', findFutureFormError, direction);
 }
 
 /**
@@ -4864,6 +8167,58 @@ function normalizeAnswer(answer) {
         .trim();                               // Final trim after filler word removal
 }
 
+/**
+ * Uzbek Cyrillic letters in the Latin alphabet (е is handled in transliterateUzbekCyrillic)
+ */
+const UZBEK_CYRILLIC_TO_LATIN = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ғ': "g'", 'д': 'd', 'ё': 'yo', 'ж': 'j',
+    'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'қ': 'q', 'л': 'l', 'м': 'm', 'н': 'n',
+    'о': 'o', 'ў': "o'", 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f',
+    'х': 'x', 'ҳ': 'h', 'ц': 's', 'ч': 'ch', 'ш': 'sh', 'щ': 'sh', 'ъ': "'", 'ь': '',
+    'ы': 'i', 'э': 'e', 'ю': 'yu', 'я': 'ya'
+};
+
+// Apostrophe look-alikes learners type for o‘/g‘ and the tutuq belgisi (ʼ)
+const UZBEK_APOSTROPHE_VARIANTS = /[\u2018\u2019\u02BB\u02BC\u02B9\u0060\u00B4\u2032]/g;
+
+/**
+ * Convert Uzbek Cyrillic text to Latin; е is "ye" at the start of a word and after a vowel
+ */
+function transliterateUzbekCyrillic(text) {
+    return text.replace(/[а-яёўқғҳ]/g, (letter, offset) => {
+        if (letter === 'е') {
+            const previous = text[offset - 1];
+            return !previous || /[^а-яёўқғҳ]|[аеёиоуўэюя]/.test(previous) ? 'ye' : 'e';
+        }
+        return letter in UZBEK_CYRILLIC_TO_LATIN ? UZBEK_CYRILLIC_TO_LATIN[letter] : letter;
+    });
+}
+
+/**
+ * Fold letters with diacritics that stand in for o' and g' (ŏ, õ, ğ), then drop other accents
+ */
+function foldUzbekDiacritics(text) {
+    return text
+        .replace(/[ŏõôó]/g, "o'")
+        .replace(/[ğĝǵ]/g, "g'")
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Normalize an answer written in Uzbek: apostrophe variants, Cyrillic and optionally diacritics
+ */
+function normalizeUzbekAnswer(answer, foldDiacritics = true) {
+    if (!answer) return '';
+    
+    let latin = transliterateUzbekCyrillic(answer.toLowerCase().replace(UZBEK_APOSTROPHE_VARIANTS, "'"));
+    if (foldDiacritics) {
+        latin = foldUzbekDiacritics(latin);
+    }
+    
+    return normalizeAnswer(latin);
+}
+
 /**
  * Parse multiple correct answers from various delimiter formats with enhanced support
  */
@@ -4980,6 +8335,7 @@ function expandContractions(text) {
 
 /**
  * Check partial word matching for multi-word answers with improved logic
+ * Accepted partial answers count as correct (see calculateAttemptScore)
  */
 function checkPartialWordMatch(userAnswer, correctAnswer) {
     const userWords = userAnswer.split(' ').filter(word => word.length > 0);
@@ -5010,56 +8366,554 @@ function checkPartialWordMatch(userAnswer, correctAnswer) {
 }
 
 /**
- * Check for common spelling variations and typos
+ * Scoring rules: every attempt earns a 0-1 score so progress shows mastery, not just completion
+ * Correct answers earn full credit, reduced for retries and hints;
+ * wrong answers keep partial credit for their word overlap with the closest accepted answer
+ */
+const SCORING_RULES = {
+    RETRY_PENALTY: 0.2,           // per attempt after the first
+    MIN_RETRY_FACTOR: 0.4,
+    HINT_PENALTY: 0.15,           // per hint shown before the attempt
+    MIN_HINT_FACTOR: 0.4,
+    PARTIAL_CREDIT_WEIGHT: 0.5,   // wrong answers earn at most half of their overlap
+    MIN_WORD_SIMILARITY: 0.75,    // closer than this counts as the same word with a typo
+    MAX_SCORE_AFTER_REVEAL: 0.3   // once the hint ladder has shown the answer
+};
+
+/**
+ * Word-level overlap (0-1) between an answer and the closest accepted answer
+ * Articles and contractions are ignored; typos count in proportion to how close the word is
+ */
+function calculateWordOverlap(userInput, correctAnswer, direction = null) {
+    const normalize = direction === 'en-uz' ? normalizeUzbekAnswer : normalizeAnswer;
+    const toWords = (text) => expandContractions(normalize(text))
+        .replace(/\b(a|an|the)\b/g, '')
+        .split(' ')
+        .filter(Boolean);
+    
+    const userWords = toWords(userInput || '');
+    if (userWords.length === 0) return 0;
+    
+    const overlaps = parseMultipleAnswers(correctAnswer || '').map(answer => {
+        const correctWords = toWords(answer);
+        if (correctWords.length === 0) return 0;
+        
+        const unused = userWords.slice();
+        const credit = correctWords.reduce((sum, correctWord) => {
+            let bestIndex = -1;
+            let bestSimilarity = 0;
+            unused.forEach((userWord, index) => {
+                const longer = Math.max(userWord.length, correctWord.length);
+                const similarity = userWord === correctWord ? 1 :
+                    1 - calculateLevenshteinDistance(userWord, correctWord) / longer;
+                if (similarity > bestSimilarity) {
+                    bestSimilarity = similarity;
+                    bestIndex = index;
+                }
+            });
+            
+            if (bestIndex === -1 || bestSimilarity < SCORING_RULES.MIN_WORD_SIMILARITY) return sum;
+            unused.splice(bestIndex, 1);
+            return sum + bestSimilarity;
+        }, 0);
+        
+        // Missing and extra words both lower the overlap
+        return credit / Math.max(correctWords.length, userWords.length);
+    });
+    
+    return Math.max(0, ...overlaps);
+}
+
+/**
+ * Score one attempt from 0 to 1
+ * options: { isCorrect, attemptNumber (1 = first try), hintsUsed, direction, credit }
+ * credit: 0-1 share the exercise works out itself (e.g. matched pairs) instead of word overlap
+ */
+function calculateAttemptScore(userInput, correctAnswer, options = {}) {
+    const { isCorrect = false, attemptNumber = 1, hintsUsed = 0, direction = null, credit: exerciseCredit = null } = options;
+    
+    const retryFactor = Math.max(SCORING_RULES.MIN_RETRY_FACTOR, 1 - SCORING_RULES.RETRY_PENALTY * Math.max(0, attemptNumber - 1));
+    const hintFactor = Math.max(SCORING_RULES.MIN_HINT_FACTOR, 1 - SCORING_RULES.HINT_PENALTY * Math.max(0, hintsUsed));
+    let credit = exerciseCredit;
+    if (credit === null) {
+        // Validators also accept keywords, data-accept answers and contractions, which share few words with correctAnswer
+        credit = isCorrect ? 1 : calculateWordOverlap(userInput, correctAnswer, direction) * SCORING_RULES.PARTIAL_CREDIT_WEIGHT;
+    }
+    const score = credit * retryFactor * hintFactor;
+    const maxScore = hintsUsed >= HINT_LADDER_STEPS ? SCORING_RULES.MAX_SCORE_AFTER_REVEAL : 1;
+    
+    return Math.round(Math.min(score, maxScore) * 100) / 100;
+}
+
+/**
+ * Hint ladder: 1 = Uzbek explanation, 2 = first letter and word count, 3 = the answer itself
+ * Every step lowers the score of later attempts; the last one caps it at MAX_SCORE_AFTER_REVEAL
+ */
+const HINT_LADDER_STEPS = 3;
+
+const HINT_LADDER_EXPLANATIONS = {
+    'fill-blank': "Gapni boshidan oxirigacha o'qing va bo'sh joyga mos keladigan so'zni o'ylang.",
+    'translation': "So'zma-so'z emas, gapning ma'nosini tarjima qiling. Avval asosiy fe'lni toping.",
+    'scenario': "Vaziyatni tasavvur qiling: ishda bu holatda nima deysiz? Qisqa va xushmuomala javob bering.",
+    'role-playing': "Rolingizga mos, xushmuomala so'zlardan foydalaning: please, could you, thank you.",
+    'sentence-order': "Ingliz gapida avval ega (I, he, the worker), keyin fe'l, keyin qolgan so'zlar keladi.",
+    'matching': "Avval o'zingiz aniq biladigan so'zlarni juftlang, keyin qolganlarini tanlang.",
+    'listening': "Sekin tezlikda qayta tinglang va fe'l hamda raqamlarga e'tibor bering.",
+    'speaking': "Avval javobni ichingizda ayting, keyin sekin va aniq gapiring. Xushmuomala so'zlarni unutmang.",
+    'dictation': "Gapni bo'laklab yozing: avval ega va fe'lni, keyin qolgan so'zlarni. Sekin tezlikdan foydalaning.",
+    'default': "Savolni diqqat bilan qayta o'qing va kalit so'zlarga e'tibor bering."
+};
+
+/**
+ * One step of the hint ladder: { level, text, isReveal }
+ * explanation: the exercise's own Uzbek hint, used for the first step when there is one
+ */
+function getHintLadderStep(level, correctAnswer, explanation = '', exerciseType = 'default') {
+    const answer = String(Array.isArray(correctAnswer) ? correctAnswer[0] : correctAnswer || '').split('|')[0].trim();
+    
+    if (level <= 1) {
+        return {
+            level: 1,
+            text: explanation || HINT_LADDER_EXPLANATIONS[exerciseType] || HINT_LADDER_EXPLANATIONS.default,
+            isReveal: false
+        };
+    }
+    
+    if (level === 2) {
+        const wordCount = answer.split(/\s+/).filter(Boolean).length;
+        const firstLetter = answer.charAt(0).toUpperCase();
+        return {
+            level: 2,
+            text: `Javob "${firstLetter}" harfi bilan boshlanadi, ${wordCount} ta so'z (Starts with "${firstLetter}", ${wordCount} ${wordCount === 1 ? 'word' : 'words'})`,
+            isReveal: false
+        };
+    }
+    
+    return {
+        level: HINT_LADDER_STEPS,
+        text: `Javob / Answer: "${answer}" (ball kamayadi / reduced score)`,
+        isReveal: true
+    };
+}
+
+/**
+ * Show a hint ladder step inside an exercise and keep data-hints-used in step for scoring
+ */
+function renderHintStep(exerciseElement, step) {
+    if (!exerciseElement || !step) return;
+    
+    let ladder = exerciseElement.querySelector('.exercise-hint-ladder');
+    if (!ladder) {
+        ladder = document.createElement('div');
+        ladder.className = 'exercise-hint-ladder';
+        ladder.setAttribute('aria-live', 'polite');
+        const feedback = exerciseElement.querySelector('.exercise-feedback');
+        exerciseElement.insertBefore(ladder, feedback || null);
+    }
+    
+    if (!ladder.querySelector(`.hint-step-${step.level}`)) {
+        const stepElement = document.createElement('div');
+        stepElement.className = `exercise-hint hint-step hint-step-${step.level}${step.isReveal ? ' hint-step-reveal' : ''}`;
+        stepElement.innerHTML = `<strong>💡 Maslahat ${step.level}/${HINT_LADDER_STEPS}:</strong> ${step.text}`;
+        ladder.appendChild(stepElement);
+    }
+    
+    exerciseElement.dataset.hintsUsed = Math.max(parseInt(exerciseElement.dataset.hintsUsed, 10) || 0, step.level);
+    
+    const hintButton = exerciseElement.querySelector('.hint-btn');
+    if (hintButton && step.level >= HINT_LADDER_STEPS) {
+        hintButton.disabled = true;
+        hintButton.setAttribute('aria-label', 'All hints shown');
+    }
+    
+    announceToScreenReaderSafely(`Hint ${step.level} of ${HINT_LADDER_STEPS}: ${step.text}`);
+}
+
+/**
+ * Hint button for exercises generated by the exercise classes
+ */
+function getHintButtonHTML(exerciseIndex) {
+    return `<button class="hint-btn" data-exercise="${exerciseIndex}" type="button" aria-label="Show the next hint">💡 Maslahat / Hint</button>`;
+}
+
+/**
+ * Exercise index the chapter-page check records under: the inline checkAnswer('exN', ...) id, else data-exercise-id or position
+ */
+function getLegacyExerciseIndex(checkButton) {
+    const inlineMatch = (checkButton.getAttribute('onclick') || '').match(/checkAnswer\(\s*['"]ex(\d+)['"]/);
+    return inlineMatch ? parseInt(inlineMatch[1], 10) - 1 : autoDetectExerciseIndex(checkButton);
+}
+
+/**
+ * Show the next hint ladder step of a chapter-page exercise checked by the global checkAnswer
+ */
+function showLegacyHint(hintButton) {
+    try {
+        const exerciseContainer = findExerciseContainer(hintButton);
+        if (!exerciseContainer) return;
+        
+        const inputElement = findInputElement(exerciseContainer);
+        if (inputElement && inputElement.disabled) return;
+        
+        const correctAnswer = getCorrectAnswer(exerciseContainer, inputElement) || exerciseContainer.dataset.correctAnswer ||
+            getInlineCheckAnswer(exerciseContainer);
+        const level = (parseInt(exerciseContainer.dataset.hintsUsed, 10) || 0) + 1;
+        if (!correctAnswer || level > HINT_LADDER_STEPS) return;
+        
+        const explanation = (exerciseContainer.dataset.hint || '').replace(/^Maslahat:\s*/, '');
+        const step = getHintLadderStep(level, correctAnswer, explanation, exerciseContainer.dataset.type || 'default');
+        renderHintStep(exerciseContainer, step);
+        
+        const checkButton = exerciseContainer.querySelector('.check-answer-btn');
+        if (checkButton) {
+            recordExerciseHint(getCurrentChapterNumber(), getLegacyExerciseIndex(checkButton), step.level, exerciseContainer, correctAnswer);
+        }
+    } catch (error) {
+        console.warn('Could not show hint:', error);
+    }
+}
+
+/**
+ * Give chapter-page exercises the hint ladder button that class-rendered exercises get from generateHTML
+ */
+function setupLegacyHintButtons() {
+    if (setupLegacyHintButtons.ready) return;
+    setupLegacyHintButtons.ready = true;
+    
+    document.querySelectorAll('.exercise .check-answer-btn:not([data-exercise])').forEach(checkButton => {
+        const exerciseContainer = findExerciseContainer(checkButton);
+        if (exerciseContainer && !exerciseContainer.querySelector('.hint-btn')) {
+            checkButton.insertAdjacentHTML('afterend',
+                '<button class="hint-btn" data-legacy-hint type="button" aria-label="Show the next hint">💡 Maslahat / Hint</button>');
+        }
+    });
+    
+    document.addEventListener('click', (event) => {
+        if (event.target.matches && event.target.matches('.hint-btn[data-legacy-hint]')) {
+            showLegacyHint(event.target);
+        }
+    });
+}
+
+/**
+ * " · Ball / Score: 80%" for correct answers that did not earn full marks
+ */
+function formatScoreSuffix(score) {
+    return typeof score === 'number' && score < 1 ? ` · Ball / Score: ${Math.round(score * 100)}%` : '';
+}
+
+/**
+ * Check for common spelling variations and typos
+ */
+function checkSpellingVariations(userAnswer, correctAnswer) {
+    // Only check for single-word answers to avoid false positives
+    if (userAnswer.includes(' ') || correctAnswer.includes(' ')) return false;
+    
+    // Skip very short words
+    if (userAnswer.length < 3 || correctAnswer.length < 3) return false;
+    
+    // Calculate Levenshtein distance (edit distance)
+    const distance = calculateLevenshteinDistance(userAnswer, correctAnswer);
+    
+    // Allow 1 character difference for words up to 5 characters
+    // Allow 2 character differences for longer words
+    const maxDistance = correctAnswer.length <= 5 ? 1 : 2;
+    
+    return distance <= maxDistance;
+}
+
+/**
+ * Calculate Levenshtein distance between two strings
+ */
+function calculateLevenshteinDistance(str1, str2) {
+    return buildLevenshteinMatrix(str1, str2)[str2.length][str1.length];
+}
+
+/**
+ * Edit-distance matrix: rows follow str2, columns follow str1
+ */
+function buildLevenshteinMatrix(str1, str2) {
+    const matrix = [];
+    
+    // Create matrix
+    for (let i = 0; i <= str2.length; i++) {
+        matrix[i] = [i];
+    }
+    
+    for (let j = 0; j <= str1.length; j++) {
+        matrix[0][j] = j;
+    }
+    
+    // Fill matrix
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1, // substitution
+                    matrix[i][j - 1] + 1,     // insertion
+                    matrix[i - 1][j] + 1      // deletion
+                );
+            }
+        }
+    }
+    
+    return matrix;
+}
+
+/**
+ * Answer diff: which words of a wrong answer were missing, extra, misspelled or out of order
+ * Alternatives in the correct answer are pipe-separated; the closest one is compared
+ */
+const ANSWER_DIFF_LABELS = {
+    misspelled: { uzbek: "Imlo xatosi", english: "Misspelled" },
+    misordered: { uzbek: "Joyi noto'g'ri", english: "Wrong position" },
+    extra: { uzbek: "Ortiqcha so'z", english: "Extra word" },
+    missing: { uzbek: "Tushib qolgan so'z", english: "Missing word" }
+};
+
+/**
+ * A typo rather than a different word: 1 wrong letter up to 5 letters, 2 for longer words
+ */
+function isMisspellingOf(userWord, expectedWord) {
+    if (!userWord || !expectedWord || userWord === expectedWord) return false;
+    const maxDistance = expectedWord.length <= 5 ? 1 : 2;
+    return calculateLevenshteinDistance(userWord, expectedWord) <= maxDistance;
+}
+
+/**
+ * Character-level diff of a misspelled word: [{ type: 'same' | 'wrong' | 'missing', char }]
+ */
+function diffAnswerCharacters(userWord, expectedWord) {
+    const matrix = buildLevenshteinMatrix(userWord.toLowerCase(), expectedWord.toLowerCase());
+    const chars = [];
+    let i = expectedWord.length;
+    let j = userWord.length;
+    
+    while (i > 0 || j > 0) {
+        const current = matrix[i][j];
+        if (i > 0 && j > 0 && expectedWord.charAt(i - 1).toLowerCase() === userWord.charAt(j - 1).toLowerCase() && current === matrix[i - 1][j - 1]) {
+            chars.unshift({ type: 'same', char: userWord.charAt(j - 1) });
+            i--;
+            j--;
+        } else if (i > 0 && j > 0 && current === matrix[i - 1][j - 1] + 1) {
+            chars.unshift({ type: 'wrong', char: userWord.charAt(j - 1) }, { type: 'missing', char: expectedWord.charAt(i - 1) });
+            i--;
+            j--;
+        } else if (j > 0 && current === matrix[i][j - 1] + 1) {
+            chars.unshift({ type: 'wrong', char: userWord.charAt(j - 1) });
+            j--;
+        } else {
+            chars.unshift({ type: 'missing', char: expectedWord.charAt(i - 1) });
+            i--;
+        }
+    }
+    
+    return chars;
+}
+
+/**
+ * Word-level diff against one accepted answer, in the learner's reading order
+ * Returns [{ type: 'correct' | 'misspelled' | 'misordered' | 'extra' | 'missing', user, expected }]
+ */
+function diffAnswerAgainst(userInput, expectedAnswer, direction = null) {
+    const normalize = direction === 'en-uz' ? normalizeUzbekAnswer : normalizeAnswer;
+    const toTokens = (text) => String(text || '').trim().split(/\s+/)
+        .map(word => ({ text: word.replace(/^[.,!?;:"]+|[.,!?;:"]+$/g, ''), key: normalize(word) }))
+        .filter(token => token.key);
+    
+    const userTokens = toTokens(userInput);
+    const expectedTokens = toTokens(expectedAnswer);
+    
+    // Longest common subsequence of words anchors the parts that are right and in place
+    const lcs = userTokens.map(() => new Array(expectedTokens.length + 1).fill(0));
+    lcs.push(new Array(expectedTokens.length + 1).fill(0));
+    for (let u = userTokens.length - 1; u >= 0; u--) {
+        for (let e = expectedTokens.length - 1; e >= 0; e--) {
+            lcs[u][e] = userTokens[u].key === expectedTokens[e].key ?
+                lcs[u + 1][e + 1] + 1 :
+                Math.max(lcs[u + 1][e], lcs[u][e + 1]);
+        }
+    }
+    
+    // Gap n holds the unmatched words between the nth and n+1th anchor
+    const userOps = new Array(userTokens.length).fill(null);
+    const userGaps = [];
+    const expectedGaps = [];
+    const unmatchedExpected = [];
+    let u = 0;
+    let e = 0;
+    let gap = 0;
+    while (u < userTokens.length || e < expectedTokens.length) {
+        if (u < userTokens.length && e < expectedTokens.length && userTokens[u].key === expectedTokens[e].key) {
+            userOps[u] = { type: 'correct', user: userTokens[u].text, expected: expectedTokens[e].text };
+            u++;
+            e++;
+            gap++;
+        } else if (e >= expectedTokens.length || (u < userTokens.length && lcs[u + 1][e] >= lcs[u][e + 1])) {
+            userGaps[u++] = gap;
+        } else {
+            expectedGaps[e] = gap;
+            unmatchedExpected.push(e++);
+        }
+    }
+    
+    const unmatchedUser = userOps.map((op, index) => op ? null : index).filter(index => index !== null);
+    const takeExpected = (predicate) => {
+        const position = unmatchedExpected.findIndex(predicate);
+        return position === -1 ? null : unmatchedExpected.splice(position, 1)[0];
+    };
+    
+    // Right word in the wrong place
+    unmatchedUser.forEach(index => {
+        const match = takeExpected(expected => expectedTokens[expected].key === userTokens[index].key);
+        if (match !== null) {
+            userOps[index] = { type: 'misordered', user: userTokens[index].text, expected: expectedTokens[match].text };
+        }
+    });
+    
+    // Close enough to the word expected in the same place
+    unmatchedUser.filter(index => !userOps[index]).forEach(index => {
+        const match = takeExpected(expected => expectedGaps[expected] === userGaps[index] &&
+            isMisspellingOf(userTokens[index].key, expectedTokens[expected].key));
+        userOps[index] = match !== null ?
+            { type: 'misspelled', user: userTokens[index].text, expected: expectedTokens[match].text } :
+            { type: 'extra', user: userTokens[index].text, expected: null };
+    });
+    
+    // Missing words go at the end of their gap, before the next word that was right
+    const ops = [];
+    let nextGap = 0;
+    const flushMissing = (upToGap) => {
+        for (; nextGap <= upToGap; nextGap++) {
+            unmatchedExpected.filter(expected => expectedGaps[expected] === nextGap).forEach(expected => {
+                ops.push({ type: 'missing', user: null, expected: expectedTokens[expected].text });
+            });
+        }
+    };
+    
+    let anchors = 0;
+    userOps.forEach(op => {
+        if (op.type === 'correct') {
+            flushMissing(anchors);
+            anchors++;
+        }
+        ops.push(op);
+    });
+    flushMissing(anchors);
+    
+    return ops;
+}
+
+/**
+ * Word-level diff against the closest accepted answer
+ */
+function diffAnswerWords(userInput, correctAnswer, direction = null) {
+    const alternatives = String(correctAnswer || '').split('|').map(answer => answer.trim()).filter(Boolean);
+    const cost = (ops) => ops.filter(op => op.type !== 'correct').length;
+    
+    return alternatives
+        .map(answer => diffAnswerAgainst(userInput, answer, direction))
+        .reduce((best, ops) => best === null || cost(ops) < cost(best) ? ops : best, null) || [];
+}
+
+function escapeAnswerDiffText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Inline diff markup for a wrong answer, or '' when there is nothing useful to mark
+ * Hidden from screen readers, which get describeAnswerDiff() instead
  */
-function checkSpellingVariations(userAnswer, correctAnswer) {
-    // Only check for single-word answers to avoid false positives
-    if (userAnswer.includes(' ') || correctAnswer.includes(' ')) return false;
+function getAnswerDiffHTML(userInput, correctAnswer, direction = null) {
+    const ops = diffAnswerWords(userInput, correctAnswer, direction);
+    if (ops.length === 0 || ops.every(op => op.type === 'correct')) {
+        return '';
+    }
     
-    // Skip very short words
-    if (userAnswer.length < 3 || correctAnswer.length < 3) return false;
+    const title = (type, expected = null) => {
+        const label = ANSWER_DIFF_LABELS[type];
+        return escapeAnswerDiffText(`${label.uzbek} / ${label.english}${expected ? `: ${expected}` : ''}`);
+    };
     
-    // Calculate Levenshtein distance (edit distance)
-    const distance = calculateLevenshteinDistance(userAnswer, correctAnswer);
+    const words = ops.map(op => {
+        switch (op.type) {
+            case 'misspelled':
+                return `<span class="diff-word diff-misspelled" title="${title('misspelled', op.expected)}">` +
+                    diffAnswerCharacters(op.user, op.expected).map(part => part.type === 'same' ?
+                        escapeAnswerDiffText(part.char) :
+                        `<span class="diff-char-${part.type}">${escapeAnswerDiffText(part.char)}</span>`).join('') +
+                    '</span>';
+            case 'misordered':
+                return `<span class="diff-word diff-misordered" title="${title('misordered')}">${escapeAnswerDiffText(op.user)}</span>`;
+            case 'extra':
+                return `<del class="diff-word diff-extra" title="${title('extra')}">${escapeAnswerDiffText(op.user)}</del>`;
+            case 'missing':
+                return `<ins class="diff-word diff-missing" title="${title('missing')}">${escapeAnswerDiffText(op.expected)}</ins>`;
+            default:
+                return `<span class="diff-word">${escapeAnswerDiffText(op.user)}</span>`;
+        }
+    });
     
-    // Allow 1 character difference for words up to 5 characters
-    // Allow 2 character differences for longer words
-    const maxDistance = correctAnswer.length <= 5 ? 1 : 2;
+    const legend = ['missing', 'extra', 'misspelled', 'misordered']
+        .filter(type => ops.some(op => op.type === type))
+        .map(type => `<span class="diff-legend-item diff-${type}">${ANSWER_DIFF_LABELS[type].uzbek} / ${ANSWER_DIFF_LABELS[type].english}</span>`)
+        .join(' ');
     
-    return distance <= maxDistance;
+    return `<div class="answer-diff" aria-hidden="true">
+        <span class="answer-diff-label">Sizning javobingiz / Your answer:</span>
+        <span class="answer-diff-words">${words.join(' ')}</span>
+        <div class="answer-diff-legend">${legend}</div>
+    </div>`;
 }
 
 /**
- * Calculate Levenshtein distance between two strings
+ * Plain-text version of the answer diff for screen readers
  */
-function calculateLevenshteinDistance(str1, str2) {
-    const matrix = [];
-    
-    // Create matrix
-    for (let i = 0; i <= str2.length; i++) {
-        matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-        matrix[0][j] = j;
-    }
-    
-    // Fill matrix
-    for (let i = 1; i <= str2.length; i++) {
-        for (let j = 1; j <= str1.length; j++) {
-            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                matrix[i][j] = matrix[i - 1][j - 1];
-            } else {
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j - 1] + 1, // substitution
-                    matrix[i][j - 1] + 1,     // insertion
-                    matrix[i - 1][j] + 1      // deletion
-                );
-            }
-        }
+function describeAnswerDiff(userInput, correctAnswer, direction = null) {
+    return diffAnswerWords(userInput, correctAnswer, direction)
+        .filter(op => op.type !== 'correct')
+        .map(op => {
+            switch (op.type) {
+                case 'misspelled':
+                    return `Misspelled: ${op.user} should be ${op.expected}.`;
+                case 'misordered':
+                    return `Wrong position: ${op.user}.`;
+                case 'extra':
+                    return `Extra word: ${op.user}.`;
+                default:
+                    return `Missing word: ${op.expected}.`;
+            }
+        })
+        .join(' ');
+}
+
+/**
+ * Screen reader text for a wrong answer, with what was wrong in it
+ */
+function getIncorrectAnswerAnnouncement(userInput, correctAnswer, direction = null) {
+    const details = userInput ? describeAnswerDiff(userInput, correctAnswer, direction) : '';
+    return `Incorrect. The correct answer is ${correctAnswer}.${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Add the answer diff to a feedback element, using the answer typed in the exercise
+ */
+function appendAnswerDiff(feedbackElement, exerciseContainer, correctAnswer) {
+    try {
+        const input = exerciseContainer && exerciseContainer.querySelector('.exercise-input, input[type="text"], textarea');
+        const userInput = input ? input.value.trim() : '';
+        if (!userInput || typeof correctAnswer !== 'string') return;
+        
+        const diffHTML = getAnswerDiffHTML(userInput, correctAnswer, getExerciseDirection(exerciseContainer));
+        if (!diffHTML) return;
+        
+        const container = feedbackElement.querySelector('.feedback-message-container') || feedbackElement;
+        container.insertAdjacentHTML('beforeend', diffHTML);
+    } catch (error) {
+        console.warn('Error showing answer diff:', error);
     }
-    
-    return matrix[str2.length][str1.length];
 }
 
 /**
@@ -5087,6 +8941,11 @@ function showFeedback(exerciseContainer, isCorrect, correctAnswer, feedbackData)
     // Create accessible feedback content (Requirement 1.4, 2.3)
     createFeedbackContent(feedback, normalizedFeedback);
     
+    // Mark the wrong, missing and extra words of the learner's answer
+    if (!isCorrect) {
+        appendAnswerDiff(feedback, exerciseContainer, correctAnswer);
+    }
+    
     // Show feedback with proper positioning for mobile (Requirement 2.3)
     displayFeedback(feedback, exerciseContainer);
     
@@ -5203,6 +9062,12 @@ function normalizeFeedbackData(feedbackData, isCorrect, correctAnswer) {
             'SPELLING': { category: 'spelling', visualIndicator: 'spelling-error' },
             'GRAMMAR': { category: 'grammar', visualIndicator: 'grammar-error' },
             'CONTENT': { category: 'content', visualIndicator: 'content-error' },
+            'THIRD_PERSON_S': { category: 'grammar', visualIndicator: 'grammar-error' },
+            'EXTRA_VERB_S': { category: 'grammar', visualIndicator: 'grammar-error' },
+            'THIRD_PERSON_SPELLING': { category: 'grammar', visualIndicator: 'grammar-error' },
+            'IMPERATIVE_FORM': { category: 'grammar', visualIndicator: 'grammar-error' },
+            'MODAL_INFINITIVE': { category: 'grammar', visualIndicator: 'grammar-error' },
+            'FUTURE_FORM': { category: 'grammar', visualIndicator: 'grammar-error' },
             'SUCCESS': { category: 'success', visualIndicator: 'success' }
         };
         
@@ -5414,6 +9279,42 @@ function addErrorTypeVisualIndicator(feedback, feedbackData) {
             label: 'Ortiqcha so\'z', 
             color: '#e91e63',
             description: 'Keraksiz so\'zlar mavjud'
+        },
+        'THIRD_PERSON_S': { 
+            icon: '📚', 
+            label: 'Grammatika', 
+            color: '#2196f3',
+            description: 'He/She/It + fe\'l-s'
+        },
+        'EXTRA_VERB_S': { 
+            icon: '📚', 
+            label: 'Grammatika', 
+            color: '#2196f3',
+            description: 'I/you/we/they + fe\'l (-s siz)'
+        },
+        'THIRD_PERSON_SPELLING': { 
+            icon: '📚', 
+            label: 'Imlo', 
+            color: '#2196f3',
+            description: '-s/-es imlosi noto\'g\'ri'
+        },
+        'IMPERATIVE_FORM': { 
+            icon: '📚', 
+            label: 'Grammatika', 
+            color: '#2196f3',
+            description: 'Buyruq gap shakli noto\'g\'ri'
+        },
+        'MODAL_INFINITIVE': { 
+            icon: '📚', 
+            label: 'Grammatika', 
+            color: '#2196f3',
+            description: 'Modal fe\'l + asosiy fe\'l'
+        },
+        'FUTURE_FORM': { 
+            icon: '📚', 
+            label: 'Grammatika', 
+            color: '#2196f3',
+            description: 'Kelasi zamon shakli noto\'g\'ri'
         }
     };
     
@@ -5615,6 +9516,48 @@ function getErrorTypeExplanation(errorType) {
                 <strong>✅ Qanday tuzatish:</strong> Faqat kerakli so'zlarni qoldiring<br>
                 <strong>📝 Misol:</strong> "The forms are required" (to'g'ri) vs "The forms are required and done" (ortiqcha)
             </div>
+        `,
+        'THIRD_PERSON_S': `
+            <div class="error-explanation-section">
+                <strong>🔍 Nima noto'g'ri:</strong> Hozirgi oddiy zamonda fe'l shakli egaga mos emas<br>
+                <strong>✅ Qanday tuzatish:</strong> He/She/It bilan fe'lga -s/-es qo'shing; I/you/we/they va does/doesn't dan keyin -s qo'shilmaydi<br>
+                <strong>📝 Misol:</strong> "He works" (to'g'ri) vs "He work" (noto'g'ri)
+            </div>
+        `,
+        'EXTRA_VERB_S': `
+            <div class="error-explanation-section">
+                <strong>🔍 Nima noto'g'ri:</strong> Fe'lga keraksiz -s qo'shilgan<br>
+                <strong>✅ Qanday tuzatish:</strong> I/you/we/they bilan, does/doesn't va modal fe'llardan keyin fe'lning asosiy shaklini yozing<br>
+                <strong>📝 Misol:</strong> "They work hard" (to'g'ri) vs "They works hard" (noto'g'ri)
+            </div>
+        `,
+        'THIRD_PERSON_SPELLING': `
+            <div class="error-explanation-section">
+                <strong>🔍 Nima noto'g'ri:</strong> -s/-es qo'shimchasi noto'g'ri yozilgan<br>
+                <strong>✅ Qanday tuzatish:</strong> -s, -sh, -ch, -x, -o bilan tugasa -es; undosh + y bo'lsa -ies; have → has<br>
+                <strong>📝 Misol:</strong> "She watches TV" (to'g'ri) vs "She watchs TV" (noto'g'ri)
+            </div>
+        `,
+        'IMPERATIVE_FORM': `
+            <div class="error-explanation-section">
+                <strong>🔍 Nima noto'g'ri:</strong> Buyruq gap fe'lning asosiy shakli bilan boshlanmagan<br>
+                <strong>✅ Qanday tuzatish:</strong> Gapni fe'lning o'zi bilan boshlang; inkor uchun "Don't" + fe'l<br>
+                <strong>📝 Misol:</strong> "Clean the tools" (to'g'ri) vs "To clean the tools" (noto'g'ri)
+            </div>
+        `,
+        'MODAL_INFINITIVE': `
+            <div class="error-explanation-section">
+                <strong>🔍 Nima noto'g'ri:</strong> Modal fe'ldan (can, could, may, must, should) keyin noto'g'ri fe'l shakli<br>
+                <strong>✅ Qanday tuzatish:</strong> Modal fe'ldan keyin "to"siz, -s/-ing siz asosiy fe'l ishlating<br>
+                <strong>📝 Misol:</strong> "Can I go home?" (to'g'ri) vs "Can I to go home?" (noto'g'ri)
+            </div>
+        `,
+        'FUTURE_FORM': `
+            <div class="error-explanation-section">
+                <strong>🔍 Nima noto'g'ri:</strong> Kelasi zamon noto'g'ri tuzilgan<br>
+                <strong>✅ Qanday tuzatish:</strong> will + asosiy fe'l yoki am/is/are + going to + asosiy fe'l<br>
+                <strong>📝 Misol:</strong> "I will find" / "I am going to start" (to'g'ri) vs "I will to find" / "I going to start" (noto'g'ri)
+            </div>
         `
     };
     
@@ -6239,21 +10182,42 @@ function checkAnswerFlexible(userAnswer, correctAnswer) {
     return validateAnswer(userAnswer, correctAnswer);
 }
 
+/**
+ * Chapter number of the current page from its file name in the course manifest, or null
+ */
+function getManifestChapterNumber() {
+    const fileName = decodeURIComponent(window.location.pathname.split('/').pop());
+    const chapter = CourseManifest.getChapters().find(entry => entry.file === fileName);
+    return chapter ? chapter.id : null;
+}
+
+/**
+ * Whether a number is a chapter in the course manifest
+ */
+function isCourseChapterNumber(chapterNum) {
+    return CourseManifest.hasChapter(chapterNum);
+}
+
+function getChapterExerciseCount(chapterNum) {
+    return CourseManifest.getExerciseCount(chapterNum);
+}
+
 // Get current chapter number from URL or page
 function getCurrentChapterNumber() {
     try {
         // Enhanced chapter number detection with better fallback handling
         
-        // Special case for Chapter 0 (English_for_Uzbek_Seasonal_Workers.html)
-        if (window.location.pathname.includes('English_for_Uzbek_Seasonal_Workers.html')) {
-            return 0;
+        // Pages listed in the course manifest (Chapter 1 has no number in its file name)
+        const manifestChapter = getManifestChapterNumber();
+        if (manifestChapter !== null) {
+            return manifestChapter;
         }
         
         // Try to get from URL pattern Chapter_X
         const urlMatch = window.location.pathname.match(/Chapter_(\d+)/);
         if (urlMatch) {
             const chapterNum = parseInt(urlMatch[1]);
-            if (chapterNum >= 0 && chapterNum <= 24) {
+            if (isCourseChapterNumber(chapterNum)) {
                 return chapterNum;
             }
         }
@@ -6262,7 +10226,7 @@ function getCurrentChapterNumber() {
         const titleMatch = document.title.match(/Chapter (\d+)/);
         if (titleMatch) {
             const chapterNum = parseInt(titleMatch[1]);
-            if (chapterNum >= 0 && chapterNum <= 24) {
+            if (isCourseChapterNumber(chapterNum)) {
                 return chapterNum;
             }
         }
@@ -6273,7 +10237,7 @@ function getCurrentChapterNumber() {
             const headingMatch = heading.textContent.match(/Chapter (\d+)/);
             if (headingMatch) {
                 const chapterNum = parseInt(headingMatch[1]);
-                if (chapterNum >= 0 && chapterNum <= 24) {
+                if (isCourseChapterNumber(chapterNum)) {
                     return chapterNum;
                 }
             }
@@ -6283,7 +10247,7 @@ function getCurrentChapterNumber() {
         const chapterMeta = document.querySelector('meta[name="chapter"]');
         if (chapterMeta && chapterMeta.content) {
             const chapterNum = parseInt(chapterMeta.content);
-            if (!isNaN(chapterNum) && chapterNum >= 0 && chapterNum <= 24) {
+            if (isCourseChapterNumber(chapterNum)) {
                 return chapterNum;
             }
         }
@@ -6404,7 +10368,7 @@ function announceToScreenReader(message) {
 // Initialize global functions when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize InteractiveExercises if not already done
-    if (typeof window.interactiveExercises === 'undefined') {
+    if (typeof window.interactiveExercises === 'undefined' && !isStandaloneExerciseSession()) {
         const chapterNum = getCurrentChapterNumber();
         window.interactiveExercises = new InteractiveExercises(chapterNum);
     }
@@ -6425,19 +10389,8 @@ function initializeProgressTrackingIntegration() {
         if (typeof ProgressTracker !== 'undefined') {
             console.log('ProgressTracker is available');
             
-            // Retry any failed progress updates
-            retryFailedProgressUpdates();
-            
-            // Verify progress structure compatibility
-            if (!verifyProgressStructureCompatibility()) {
-                console.log('Progress structure needs migration');
-                migrateProgressStructure();
-            }
-            
-            // Set up periodic retry of failed updates
-            setInterval(() => {
-                retryFailedProgressUpdates();
-            }, 30000); // Retry every 30 seconds
+            // Replay writes left in the outbox by this or an earlier (crashed) page
+            flushProgressOutbox();
             
         } else {
             console.warn('ProgressTracker not available during initialization');
@@ -6486,13 +10439,17 @@ function setupProgressTrackingEventListeners() {
             console.log('Enhanced progress update event received:', event.detail);
         });
         
-        // Listen for page visibility changes to retry failed updates
+        // Listen for page visibility changes to replay the progress outbox
         document.addEventListener('visibilitychange', function() {
             if (!document.hidden && typeof ProgressTracker !== 'undefined') {
-                // Page became visible and ProgressTracker is available, retry failed updates
-                setTimeout(() => {
-                    retryFailedProgressUpdates();
-                }, 1000);
+                flushProgressOutbox();
+            }
+        });
+        
+        // Writes made under another learner profile replay once it is active again
+        document.addEventListener('profileChanged', function(event) {
+            if (event.detail.action === 'switch') {
+                flushProgressOutbox();
             }
         });
         
@@ -6553,6 +10510,14 @@ function handleLegacyCheckAnswer(inputId, correctAnswer, feedbackMessage) {
         const isCorrect = validateAnswer(userInput, correctAnswer, exerciseContainer);
         console.log('Answer validation result:', isCorrect);
         
+        // Keep a per-attempt record and score alongside the completion status
+        const exerciseIndex = parseInt(inputId.replace('ex', '')) - 1;
+        const score = scoreExerciseAttempt(getCurrentChapterNumber(), exerciseIndex, userInput, correctAnswer, isCorrect, exerciseContainer);
+        recordExerciseAttempt(getCurrentChapterNumber(), exerciseIndex, userInput, isCorrect, exerciseContainer, inputElement, score);
+        if (!isCorrect) {
+            scheduleExerciseReview(getCurrentChapterNumber(), exerciseIndex, exerciseContainer, correctAnswer);
+        }
+        
         // Find feedback element (should be next sibling or nearby)
         const feedbackId = inputId.replace('ex', 'feedback');
         let feedbackElement = document.getElementById(feedbackId);
@@ -6568,7 +10533,7 @@ function handleLegacyCheckAnswer(inputId, correctAnswer, feedbackMessage) {
         // Show feedback
         if (feedbackElement) {
             if (isCorrect) {
-                feedbackElement.innerHTML = '<span style="color: green;">✓ To\'g\'ri! (Correct!)</span>';
+                feedbackElement.innerHTML = `<span style="color: green;">✓ To'g'ri! (Correct!)${formatScoreSuffix(score)}</span>`;
                 feedbackElement.className = 'exercise-feedback correct';
                 feedbackElement.style.backgroundColor = '#e8f5e8';
                 feedbackElement.style.border = '1px solid #2e7d32';
@@ -6588,10 +10553,14 @@ function handleLegacyCheckAnswer(inputId, correctAnswer, feedbackMessage) {
                 }
                 
             } else {
-                feedbackElement.innerHTML = `<span style="color: red;">✗ Noto'g'ri. To'g'ri javob: <strong>${correctAnswer}</strong></span>`;
+                const direction = getExerciseDirection(exerciseContainer);
+                feedbackElement.innerHTML = `<span style="color: red;">✗ Noto'g'ri. To'g'ri javob: <strong>${correctAnswer}</strong></span>` +
+                    getAnswerDiffHTML(userInput, correctAnswer, direction) +
+                    getValidationFeedbackHTML(exerciseContainer);
                 feedbackElement.className = 'exercise-feedback incorrect';
                 feedbackElement.style.backgroundColor = '#ffebee';
                 feedbackElement.style.border = '1px solid #d32f2f';
+                announceToScreenReaderSafely(getIncorrectAnswerAnnouncement(userInput, correctAnswer, direction));
             }
             feedbackElement.style.display = 'block';
         } else {
@@ -6726,404 +10695,176 @@ if (document.readyState === 'loading') {
 }
 
 /**
- * Retry failed progress updates when system recovers
- */
-function retryFailedProgressUpdates() {
-    try {
-        const failedUpdates = JSON.parse(sessionStorage.getItem('failedProgressUpdates') || '[]');
-        
-        if (failedUpdates.length === 0) {
-            return;
-        }
-        
-        console.log(`Attempting to retry ${failedUpdates.length} failed progress updates`);
-        
-        const successfulRetries = [];
-        const stillFailed = [];
-        
-        for (const update of failedUpdates) {
-            try {
-                if (typeof ProgressTracker !== 'undefined' && 
-                    typeof ProgressTracker.updateExercise === 'function' &&
-                    isLocalStorageAvailable()) {
-                    
-                    const success = ProgressTracker.updateExercise(
-                        update.chapter, 
-                        update.exercise, 
-                        update.completed
-                    );
-                    
-                    if (success) {
-                        successfulRetries.push(update);
-                        console.log(`Successfully retried progress update: Chapter ${update.chapter}, Exercise ${update.exercise}`);
-                    } else {
-                        stillFailed.push(update);
-                    }
-                } else {
-                    stillFailed.push(update);
-                }
-            } catch (error) {
-                console.warn('Retry failed for update:', update, error);
-                stillFailed.push(update);
-            }
-        }
-        
-        // Update the failed updates list
-        sessionStorage.setItem('failedProgressUpdates', JSON.stringify(stillFailed));
-        
-        if (successfulRetries.length > 0) {
-            console.log(`Successfully retried ${successfulRetries.length} progress updates`);
-            
-            // Dispatch events for successful retries
-            successfulRetries.forEach(update => {
-                dispatchProgressUpdateEvent(update.chapter, update.exercise, update.completed);
-            });
-        }
-        
-        if (stillFailed.length > 0) {
-            console.warn(`${stillFailed.length} progress updates still failed after retry`);
-        }
-        
-    } catch (error) {
-        console.error('Error retrying failed progress updates:', error);
-    }
-}
-
-/**
- * Initialize progress tracking recovery system
- */
-function initializeProgressRecovery() {
-    // Retry failed updates when page loads
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(retryFailedProgressUpdates, 1000); // Wait 1 second after page load
-        });
-    } else {
-        setTimeout(retryFailedProgressUpdates, 1000);
-    }
-    
-    // Retry failed updates when ProgressTracker becomes available
-    if (typeof ProgressTracker === 'undefined') {
-        const checkForProgressTracker = setInterval(() => {
-            if (typeof ProgressTracker !== 'undefined') {
-                clearInterval(checkForProgressTracker);
-                setTimeout(retryFailedProgressUpdates, 500);
-            }
-        }, 100);
-        
-        // Stop checking after 10 seconds
-        setTimeout(() => {
-            clearInterval(checkForProgressTracker);
-        }, 10000);
-    }
-    
-    // Retry failed updates when localStorage becomes available
-    window.addEventListener('storage', (event) => {
-        if (event.key === 'uzbek-textbook-progress') {
-            setTimeout(retryFailedProgressUpdates, 500);
-        }
-    });
-    
-    // Retry failed updates when page becomes visible (user returns to tab)
-    document.addEventListener('visibilitychange', () => {
-        if (!document.hidden) {
-            setTimeout(retryFailedProgressUpdates, 1000);
-        }
-    });
-}
-
-// Initialize progress recovery system
-initializeProgressRecovery();
-
-/**
- * Enhanced helper functions for improved progress tracking integration
- * Requirements: 1.5, 2.2
- */
-
-/**
- * Attempt to load ProgressTracker if script exists but not loaded
+ * Progress outbox: every exercise write is stored here before ProgressTracker saves it,
+ * and removed only once the stored progress document confirms it
+ * Requirements: 2.2
  */
-function attemptProgressTrackerLoad() {
-    try {
-        // Check if progress-tracker.js script exists in the page
-        const progressScript = document.querySelector('script[src*="progress-tracker"]');
-        if (progressScript && typeof ProgressTracker === 'undefined') {
-            console.log('ProgressTracker script found but not loaded, attempting dynamic load');
-            
-            // Try to reload the script
-            const newScript = document.createElement('script');
-            newScript.src = progressScript.src;
-            newScript.onload = () => {
-                console.log('ProgressTracker loaded successfully');
-            };
-            newScript.onerror = () => {
-                console.warn('Failed to load ProgressTracker script');
-            };
-            document.head.appendChild(newScript);
-            
-            // Give it a moment to load
-            return new Promise(resolve => {
-                setTimeout(() => {
-                    resolve(typeof ProgressTracker !== 'undefined');
-                }, 100);
-            });
-        }
-        
-        return false;
-    } catch (error) {
-        console.warn('Error attempting to load ProgressTracker:', error);
-        return false;
-    }
-}
+const PROGRESS_OUTBOX_KEY = 'uzbek-textbook-progress-outbox';
+const LEGACY_FAILED_UPDATE_KEYS = ['failedProgressUpdates', 'failed-progress-updates'];
+let progressOutboxMemory = [];
+let progressOutboxFlush = Promise.resolve(true);
 
 /**
- * Enhanced chapter number fallback with more detection methods
+ * Read pending writes from localStorage and from memory, where writes land after a quota error;
+ * for the same exercise and profile only the newest write is kept
  */
-function getEnhancedChapterNumberFallback() {
+function readProgressOutbox() {
+    let stored = [];
     try {
-        // Try multiple methods to determine chapter number
-        
-        // Method 1: Check URL pathname
-        const pathname = window.location.pathname;
-        
-        // Handle special case for Chapter 0 (English_for_Uzbek_Seasonal_Workers.html)
-        if (pathname.includes('English_for_Uzbek_Seasonal_Workers.html')) {
-            return 0;
-        }
-        
-        // Method 2: Extract from Chapter_X_ pattern
-        const chapterMatch = pathname.match(/Chapter_(\d+)_/);
-        if (chapterMatch) {
-            const num = parseInt(chapterMatch[1]);
-            if (num >= 0 && num <= 24) {
-                return num;
-            }
-        }
-        
-        // Method 3: Try to match any number in the filename
-        const numberMatch = pathname.match(/(\d+)/);
-        if (numberMatch) {
-            const num = parseInt(numberMatch[1]);
-            if (num >= 0 && num <= 24) {
-                return num;
-            }
-        }
-        
-        // Method 4: Check meta tags
-        const chapterMeta = document.querySelector('meta[name="chapter"]');
-        if (chapterMeta && chapterMeta.content) {
-            const metaNum = parseInt(chapterMeta.content);
-            if (!isNaN(metaNum) && metaNum >= 0 && metaNum <= 24) {
-                return metaNum;
-            }
-        }
-        
-        // Method 5: Check page title
-        const title = document.title;
-        const titleMatch = title.match(/Chapter\s*(\d+)/i);
-        if (titleMatch) {
-            const num = parseInt(titleMatch[1]);
-            if (num >= 0 && num <= 24) {
-                return num;
-            }
-        }
-        
-        // Method 6: Check for chapter-specific elements
-        const chapterElement = document.querySelector('[data-chapter]');
-        if (chapterElement && chapterElement.dataset.chapter) {
-            const elemNum = parseInt(chapterElement.dataset.chapter);
-            if (!isNaN(elemNum) && elemNum >= 0 && elemNum <= 24) {
-                return elemNum;
-            }
-        }
-        
-        // Method 7: Check body class for chapter indicator
-        const bodyClasses = document.body.className;
-        const classMatch = bodyClasses.match(/chapter-(\d+)/);
-        if (classMatch) {
-            const num = parseInt(classMatch[1]);
-            if (num >= 0 && num <= 24) {
-                return num;
-            }
-        }
-        
-        // Last resort - return 1 as default
-        console.warn('Could not determine chapter number using enhanced methods, defaulting to 1');
-        return 1;
-        
+        stored = JSON.parse(localStorage.getItem(PROGRESS_OUTBOX_KEY) || '[]');
     } catch (error) {
-        console.error('Error in enhanced chapter number fallback:', error);
-        return 1;
-    }
-}
-
-/**
- * Verify progress structure compatibility with current format
- */
-function verifyProgressStructureCompatibility() {
-    try {
-        if (!isLocalStorageAvailable()) {
-            return false;
-        }
-        
-        const stored = localStorage.getItem('uzbek-textbook-progress');
-        if (!stored) {
-            return true; // No existing data, so compatible
-        }
-        
-        const progress = JSON.parse(stored);
-        
-        // Check required structure
-        if (!progress.chapters || typeof progress.chapters !== 'object') {
-            return false;
+        console.warn('Could not read progress outbox:', error);
+    }
+    
+    const newest = new Map();
+    stored.concat(progressOutboxMemory).forEach(entry => {
+        const key = `${entry.profileId}:${entry.chapterNum}:${entry.exerciseIndex}`;
+        const existing = newest.get(key);
+        if (!existing || String(entry.timestamp) >= String(existing.timestamp)) {
+            newest.set(key, entry);
         }
-        
-        // Check if all chapters 0-24 exist with proper structure
-        for (let i = 0; i <= 24; i++) {
-            const chapter = progress.chapters[i];
-            if (!chapter || 
-                typeof chapter.completed !== 'number' ||
-                typeof chapter.total !== 'number' ||
-                !Array.isArray(chapter.exercises) ||
-                chapter.exercises.length !== 10) {
-                return false;
-            }
+    });
+    return Array.from(newest.values());
+}
+
+function writeProgressOutbox(entries) {
+    try {
+        if (entries.length > 0) {
+            localStorage.setItem(PROGRESS_OUTBOX_KEY, JSON.stringify(entries));
+        } else {
+            localStorage.removeItem(PROGRESS_OUTBOX_KEY);
         }
-        
-        return true;
-        
+        progressOutboxMemory = [];
     } catch (error) {
-        console.warn('Error verifying progress structure compatibility:', error);
-        return false;
+        console.warn('Progress outbox kept in memory only:', error);
+        progressOutboxMemory = entries;
     }
 }
 
 /**
- * Migrate progress structure to current format
+ * Add a write to the outbox; a newer write for the same exercise replaces the older one
  */
-function migrateProgressStructure() {
-    try {
-        if (!isLocalStorageAvailable()) {
-            return false;
+function enqueueProgressWrite(chapterNum, exerciseIndex, isCompleted, profileId = getActiveProfileId(), timestamp = new Date().toISOString()) {
+    const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        profileId,
+        chapterNum,
+        exerciseIndex,
+        isCompleted,
+        timestamp
+    };
+    
+    const entries = readProgressOutbox().filter(existing => !(existing.profileId === profileId &&
+        existing.chapterNum === chapterNum && existing.exerciseIndex === exerciseIndex));
+    entries.push(entry);
+    writeProgressOutbox(entries);
+    
+    return entry;
+}
+
+/**
+ * Drop confirmed entries by id, so a newer write for the same exercise stays queued
+ */
+function removeProgressOutboxEntries(confirmed) {
+    const confirmedIds = new Set(confirmed.map(entry => entry.id));
+    writeProgressOutbox(readProgressOutbox().filter(entry => !confirmedIds.has(entry.id)));
+}
+
+/**
+ * Replay the active profile's outbox in order; replays run one at a time
+ */
+function flushProgressOutbox() {
+    progressOutboxFlush = progressOutboxFlush.then(replayProgressOutbox, replayProgressOutbox);
+    return progressOutboxFlush;
+}
+
+function replayProgressOutbox() {
+    if (typeof ProgressTracker === 'undefined' || typeof StorageAdapter === 'undefined') {
+        return false;
+    }
+    
+    return ProgressTracker.ready.then(() => {
+        const profileId = ProgressTracker.getActiveProfile().id;
+        const profiles = ProgressTracker.getProfiles();
+        // A write queued before any profile was known can only be attributed when there is a single learner
+        const fallbackProfileId = profiles.length === 1 ? profiles[0].id : null;
+        const queued = readProgressOutbox();
+        
+        const unresolved = queued.filter(entry => !entry.profileId && !fallbackProfileId);
+        if (unresolved.length > 0) {
+            console.warn('Dropping progress writes whose learner profile is unknown:', unresolved);
+            removeProgressOutboxEntries(unresolved);
         }
         
-        const stored = localStorage.getItem('uzbek-textbook-progress');
-        if (!stored) {
-            // No existing data, create new structure
-            const defaultProgress = {
-                chapters: {},
-                overallProgress: 0,
-                completionDate: null,
-                studentName: "",
-                certificateGenerated: false,
-                lastAccessed: new Date().toISOString()
-            };
-            
-            // Initialize all chapters
-            for (let i = 0; i <= 24; i++) {
-                defaultProgress.chapters[i] = {
-                    completed: 0,
-                    total: 10,
-                    exercises: new Array(10).fill(false),
-                    lastAccessed: null
-                };
-            }
-            
-            localStorage.setItem('uzbek-textbook-progress', JSON.stringify(defaultProgress));
+        const entries = queued.filter(entry => (entry.profileId || fallbackProfileId) === profileId);
+        
+        if (entries.length === 0) {
             return true;
         }
         
-        const progress = JSON.parse(stored);
-        let migrated = false;
-        
-        // Ensure chapters object exists
-        if (!progress.chapters || typeof progress.chapters !== 'object') {
-            progress.chapters = {};
-            migrated = true;
+        // Unchanged exercises are a no-op in updateExercise, so replaying is safe
+        const rejected = entries.filter(entry => !ProgressTracker.updateExercise(entry.chapterNum, entry.exerciseIndex, entry.isCompleted));
+        if (rejected.length > 0) {
+            console.warn('Dropping invalid progress writes from the outbox:', rejected);
         }
         
-        // Ensure all chapters 0-24 exist
-        for (let i = 0; i <= 24; i++) {
-            if (!progress.chapters[i]) {
-                progress.chapters[i] = {
-                    completed: 0,
-                    total: 10,
-                    exercises: new Array(10).fill(false),
-                    lastAccessed: null
-                };
-                migrated = true;
-            } else {
-                // Fix existing chapter structure
-                const chapter = progress.chapters[i];
+        return ProgressTracker.flushPendingSave()
+            .then(() => StorageAdapter.read(ProgressTracker.getStorageKey()))
+            .then(stored => {
+                const confirmed = StorageAdapter.isPersistent() ? entries.filter(entry => {
+                    const chapter = stored && stored.chapters && stored.chapters[entry.chapterNum];
+                    return chapter && chapter.exercises[entry.exerciseIndex] === entry.isCompleted;
+                }) : [];
                 
-                if (typeof chapter.completed !== 'number') {
-                    chapter.completed = 0;
-                    migrated = true;
-                }
-                
-                if (typeof chapter.total !== 'number') {
-                    chapter.total = 10;
-                    migrated = true;
-                }
+                removeProgressOutboxEntries(confirmed.concat(rejected));
                 
-                if (!Array.isArray(chapter.exercises)) {
-                    chapter.exercises = new Array(10).fill(false);
-                    migrated = true;
-                } else if (chapter.exercises.length !== 10) {
-                    // Resize array to 10 elements
-                    const newExercises = new Array(10).fill(false);
-                    for (let j = 0; j < Math.min(chapter.exercises.length, 10); j++) {
-                        newExercises[j] = Boolean(chapter.exercises[j]);
-                    }
-                    chapter.exercises = newExercises;
-                    migrated = true;
+                if (confirmed.length + rejected.length < entries.length) {
+                    scheduleProgressRetry();
+                    return false;
                 }
                 
-                // Recalculate completed count
-                const actualCompleted = chapter.exercises.filter(Boolean).length;
-                if (chapter.completed !== actualCompleted) {
-                    chapter.completed = actualCompleted;
-                    migrated = true;
+                if (confirmed.length > 0) {
+                    console.log(`Progress outbox: ${confirmed.length} write(s) confirmed in storage`);
                 }
-            }
-        }
-        
-        // Ensure other required fields exist
-        if (typeof progress.overallProgress !== 'number') {
-            progress.overallProgress = 0;
-            migrated = true;
-        }
-        
-        if (!progress.lastAccessed) {
-            progress.lastAccessed = new Date().toISOString();
-            migrated = true;
-        }
-        
-        // Recalculate overall progress
-        let totalCompleted = 0;
-        Object.values(progress.chapters).forEach(chapter => {
-            totalCompleted += chapter.completed || 0;
+                return true;
+            });
+    }).catch(error => {
+        console.error('Error replaying progress outbox:', error);
+        scheduleProgressRetry();
+        return false;
+    });
+}
+
+/**
+ * Move writes queued by older versions in sessionStorage into the outbox
+ */
+function importLegacyFailedUpdates() {
+    try {
+        LEGACY_FAILED_UPDATE_KEYS.forEach(key => {
+            const updates = JSON.parse(sessionStorage.getItem(key) || '[]');
+            updates.forEach(update => {
+                const chapterNum = update.chapterNum !== undefined ? update.chapterNum : update.chapter;
+                const exerciseIndex = update.exerciseIndex !== undefined ? update.exerciseIndex : update.exercise;
+                const isCompleted = update.isCompleted !== undefined ? update.isCompleted : update.completed;
+                enqueueProgressWrite(chapterNum, exerciseIndex, isCompleted, update.profileId || null, update.timestamp);
+            });
+            sessionStorage.removeItem(key);
         });
-        const newOverallProgress = Math.round((totalCompleted / 250) * 100);
-        
-        if (progress.overallProgress !== newOverallProgress) {
-            progress.overallProgress = newOverallProgress;
-            migrated = true;
-        }
-        
-        if (migrated) {
-            localStorage.setItem('uzbek-textbook-progress', JSON.stringify(progress));
-            console.log('Progress structure migrated successfully');
-        }
-        
-        return true;
-        
     } catch (error) {
-        console.error('Error migrating progress structure:', error);
-        return false;
+        console.warn('Could not import earlier failed progress updates:', error);
     }
 }
 
+importLegacyFailedUpdates();
+
+// Replay on its own listener so a failing exercise setup cannot block recovery
+document.addEventListener('DOMContentLoaded', flushProgressOutbox);
+
+/**
+ * Enhanced helper functions for improved progress tracking integration
+ * Requirements: 1.5, 2.2
+ */
+
 /**
  * Enhanced event dispatching with additional event types
  */
@@ -7179,7 +10920,7 @@ function validateProgressConsistency(chapterNum, exerciseIndex) {
         }
         
         // Validate exercise array length
-        if (!Array.isArray(chapterProgress.exercises) || chapterProgress.exercises.length !== 10) {
+        if (!Array.isArray(chapterProgress.exercises) || chapterProgress.exercises.length !== getChapterExerciseCount(chapterNum)) {
             console.warn(`Chapter ${chapterNum} has invalid exercises array length: ${chapterProgress.exercises?.length}`);
             return false;
         }
@@ -7206,69 +10947,6 @@ function validateProgressConsistency(chapterNum, exerciseIndex) {
     }
 }
 
-/**
- * Enhanced failure handling with multiple recovery strategies
- */
-function handleProgressTrackingFailureWithRecovery(chapterNum, exerciseIndex, isCompleted, error) {
-    try {
-        console.warn('Attempting progress tracking recovery strategies');
-        
-        // Strategy 1: Try direct localStorage save
-        if (attemptDirectProgressSave(chapterNum, exerciseIndex, isCompleted)) {
-            console.log('Recovery successful using direct localStorage save');
-            return true;
-        }
-        
-        // Strategy 2: Try to reinitialize ProgressTracker
-        if (typeof ProgressTracker !== 'undefined') {
-            try {
-                // Force cache invalidation if method exists
-                if (typeof ProgressTracker.invalidateCache === 'function') {
-                    ProgressTracker.invalidateCache();
-                }
-                
-                // Retry the update
-                if (typeof ProgressTracker.updateExercise === 'function') {
-                    const retrySuccess = ProgressTracker.updateExercise(chapterNum, exerciseIndex, isCompleted);
-                    if (retrySuccess) {
-                        console.log('Recovery successful after cache invalidation');
-                        return true;
-                    }
-                }
-            } catch (retryError) {
-                console.warn('Retry after cache invalidation failed:', retryError);
-            }
-        }
-        
-        // Strategy 3: Store for later retry
-        storeFailedProgressUpdate(chapterNum, exerciseIndex, isCompleted);
-        
-        // Strategy 4: Use session storage as temporary backup
-        try {
-            const sessionKey = `temp-progress-${chapterNum}-${exerciseIndex}`;
-            const tempData = {
-                chapter: chapterNum,
-                exercise: exerciseIndex,
-                completed: isCompleted,
-                timestamp: new Date().toISOString()
-            };
-            sessionStorage.setItem(sessionKey, JSON.stringify(tempData));
-            console.log('Stored progress update in session storage for recovery');
-        } catch (sessionError) {
-            console.warn('Session storage backup also failed:', sessionError);
-        }
-        
-        // Show user-friendly warning
-        showProgressWarning();
-        
-        return false;
-        
-    } catch (recoveryError) {
-        console.error('All recovery strategies failed:', recoveryError);
-        return false;
-    }
-}
-
 /**
  * Handle critical progress tracking failures while ensuring exercise functionality continues
  */
@@ -7385,108 +11063,6 @@ function isLocalStorageAvailable() {
     }
 }
 
-/**
- * Enhanced direct progress save with better error handling
- */
-function attemptDirectProgressSave(chapterNum, exerciseIndex, isCompleted) {
-    try {
-        if (!isLocalStorageAvailable()) {
-            return false;
-        }
-        
-        // If chapterNum is null, try to determine it
-        if (chapterNum === null || chapterNum === undefined) {
-            chapterNum = getEnhancedChapterNumberFallback();
-        }
-        
-        const storageKey = 'uzbek-textbook-progress';
-        let progress;
-        
-        // Get existing progress or create new
-        const existingData = localStorage.getItem(storageKey);
-        if (existingData) {
-            try {
-                progress = JSON.parse(existingData);
-            } catch (parseError) {
-                console.warn('Corrupted progress data, creating new:', parseError);
-                progress = null;
-            }
-        }
-        
-        // Create default structure if needed
-        if (!progress || !progress.chapters) {
-            progress = {
-                chapters: {},
-                overallProgress: 0,
-                completionDate: null,
-                studentName: "",
-                certificateGenerated: false,
-                lastAccessed: new Date().toISOString()
-            };
-            
-            // Initialize all chapters
-            for (let i = 0; i <= 24; i++) {
-                progress.chapters[i] = {
-                    completed: 0,
-                    total: 10,
-                    exercises: new Array(10).fill(false),
-                    lastAccessed: null
-                };
-            }
-        }
-        
-        // Ensure chapter exists
-        if (!progress.chapters[chapterNum]) {
-            progress.chapters[chapterNum] = {
-                completed: 0,
-                total: 10,
-                exercises: new Array(10).fill(false),
-                lastAccessed: null
-            };
-        }
-        
-        // Update exercise
-        const chapter = progress.chapters[chapterNum];
-        if (exerciseIndex >= 0 && exerciseIndex < 10) {
-            chapter.exercises[exerciseIndex] = isCompleted;
-            chapter.completed = chapter.exercises.filter(Boolean).length;
-            chapter.lastAccessed = new Date().toISOString();
-            
-            // Recalculate overall progress
-            let totalCompleted = 0;
-            Object.values(progress.chapters).forEach(ch => {
-                totalCompleted += ch.completed || 0;
-            });
-            progress.overallProgress = Math.round((totalCompleted / 250) * 100);
-            progress.lastAccessed = new Date().toISOString();
-            
-            // Check for course completion
-            if (progress.overallProgress === 100 && !progress.completionDate) {
-                progress.completionDate = new Date().toISOString();
-            }
-            
-            // Save to localStorage
-            localStorage.setItem(storageKey, JSON.stringify(progress));
-            
-            console.log('Direct progress save successful:', {
-                chapter: chapterNum,
-                exercise: exerciseIndex,
-                completed: isCompleted
-            });
-            
-            // Dispatch events
-            dispatchEnhancedProgressUpdateEvent(chapterNum, exerciseIndex, isCompleted);
-            
-            return true;
-        }
-        
-        return false;
-        
-    } catch (error) {
-        console.warn('Direct progress save failed:', error);
-        return false;
-    }
-}
 /**
 
  * Verify localStorage format compatibility with existing progress structure
@@ -7515,24 +11091,25 @@ function verifyLocalStorageFormatCompatibility(chapterNum, exerciseIndex) {
         }
         
         // Verify exercise array structure
-        if (!Array.isArray(chapter.exercises) || chapter.exercises.length !== 10) {
+        const exerciseCount = getChapterExerciseCount(chapterNum);
+        if (!Array.isArray(chapter.exercises) || chapter.exercises.length !== exerciseCount) {
             console.warn(`Chapter ${chapterNum} exercises array is invalid: length ${chapter.exercises?.length}`);
             return false;
         }
         
         // Verify exercise index is within bounds
-        if (exerciseIndex < 0 || exerciseIndex >= 10) {
+        if (exerciseIndex < 0 || exerciseIndex >= exerciseCount) {
             console.warn(`Exercise index ${exerciseIndex} is out of bounds for chapter ${chapterNum}`);
             return false;
         }
         
-        // Verify overall progress calculation
+        // Verify overall progress calculation (only chapters that count toward completion)
         let totalCompleted = 0;
-        Object.values(progress.chapters).forEach(ch => {
-            totalCompleted += ch.completed || 0;
+        CourseManifest.getCompletionChapters().forEach(({ id }) => {
+            totalCompleted += (progress.chapters[id] && progress.chapters[id].completed) || 0;
         });
         
-        const expectedOverallProgress = Math.round((totalCompleted / 250) * 100);
+        const expectedOverallProgress = Math.round((totalCompleted / ProgressTracker.TOTAL_EXERCISES) * 100);
         if (Math.abs(progress.overallProgress - expectedOverallProgress) > 1) {
             console.warn(`Overall progress calculation mismatch: stored=${progress.overallProgress}, calculated=${expectedOverallProgress}`);
             // Auto-correct the overall progress
@@ -7625,17 +11202,18 @@ function getEnhancedChapterNumberFallback() {
         // Strategy 1: Try URL pathname analysis
         const pathname = window.location.pathname;
         
-        // Handle special case for Chapter 0 (English_for_Uzbek_Seasonal_Workers.html)
-        if (pathname.includes('English_for_Uzbek_Seasonal_Workers.html')) {
-            console.log('Detected Chapter 0 from filename');
-            return 0;
+        // Pages listed in the course manifest (Chapter 1 has no number in its file name)
+        const manifestChapter = getManifestChapterNumber();
+        if (manifestChapter !== null) {
+            console.log(`Detected Chapter ${manifestChapter} from the course manifest`);
+            return manifestChapter;
         }
         
         // Try to match Chapter_X pattern
         const chapterMatch = pathname.match(/Chapter_(\d+)/i);
         if (chapterMatch) {
             const num = parseInt(chapterMatch[1]);
-            if (num >= 0 && num <= 24) {
+            if (isCourseChapterNumber(num)) {
                 console.log(`Detected Chapter ${num} from URL pattern`);
                 return num;
             }
@@ -7646,7 +11224,7 @@ function getEnhancedChapterNumberFallback() {
         const titleMatch = title.match(/Chapter\s*(\d+)/i);
         if (titleMatch) {
             const num = parseInt(titleMatch[1]);
-            if (num >= 0 && num <= 24) {
+            if (isCourseChapterNumber(num)) {
                 console.log(`Detected Chapter ${num} from document title`);
                 return num;
             }
@@ -7658,7 +11236,7 @@ function getEnhancedChapterNumberFallback() {
             const headingMatch = heading.textContent.match(/Chapter\s*(\d+)/i);
             if (headingMatch) {
                 const num = parseInt(headingMatch[1]);
-                if (num >= 0 && num <= 24) {
+                if (isCourseChapterNumber(num)) {
                     console.log(`Detected Chapter ${num} from heading`);
                     return num;
                 }
@@ -7669,7 +11247,7 @@ function getEnhancedChapterNumberFallback() {
         const chapterMeta = document.querySelector('meta[name="chapter"], meta[property="chapter"]');
         if (chapterMeta && chapterMeta.content) {
             const metaNum = parseInt(chapterMeta.content);
-            if (!isNaN(metaNum) && metaNum >= 0 && metaNum <= 24) {
+            if (isCourseChapterNumber(metaNum)) {
                 console.log(`Detected Chapter ${metaNum} from meta tag`);
                 return metaNum;
             }
@@ -7681,7 +11259,7 @@ function getEnhancedChapterNumberFallback() {
             const dataChapter = chapterElement.dataset.chapter || chapterElement.dataset.chapterId;
             if (dataChapter) {
                 const dataNum = parseInt(dataChapter);
-                if (!isNaN(dataNum) && dataNum >= 0 && dataNum <= 24) {
+                if (isCourseChapterNumber(dataNum)) {
                     console.log(`Detected Chapter ${dataNum} from data attribute`);
                     return dataNum;
                 }
@@ -7693,7 +11271,7 @@ function getEnhancedChapterNumberFallback() {
         const classMatch = bodyClasses.match(/chapter-(\d+)/i);
         if (classMatch) {
             const num = parseInt(classMatch[1]);
-            if (num >= 0 && num <= 24) {
+            if (isCourseChapterNumber(num)) {
                 console.log(`Detected Chapter ${num} from body class`);
                 return num;
             }
@@ -7710,110 +11288,27 @@ function getEnhancedChapterNumberFallback() {
 }
 
 /**
- * Attempt to load ProgressTracker if not available
- * Requirements: 2.2
+ * Get the active learner profile id; while ProgressTracker is still loading it comes from the
+ * stored profile registry or the last page's progress mirror, and null means it is unknown
  */
-function attemptProgressTrackerLoad() {
+function getActiveProfileId() {
     try {
-        // Check if ProgressTracker script is already loaded but not initialized
-        if (typeof ProgressTracker !== 'undefined') {
-            return true;
+        if (typeof ProgressTracker === 'undefined') {
+            return null;
         }
-        
-        // Check if progress-tracker.js script exists in the page
-        const existingScript = document.querySelector('script[src*="progress-tracker"]');
-        if (existingScript) {
-            console.log('ProgressTracker script found but not loaded, waiting for initialization');
-            
-            // Wait a short time for script to initialize
-            return new Promise((resolve) => {
-                let attempts = 0;
-                const checkInterval = setInterval(() => {
-                    attempts++;
-                    if (typeof ProgressTracker !== 'undefined') {
-                        clearInterval(checkInterval);
-                        console.log('ProgressTracker loaded successfully');
-                        resolve(true);
-                    } else if (attempts >= 10) { // Wait max 1 second
-                        clearInterval(checkInterval);
-                        console.warn('ProgressTracker failed to load after waiting');
-                        resolve(false);
-                    }
-                }, 100);
-            });
+        if (ProgressTracker.isLoaded) {
+            return ProgressTracker.getActiveProfile().id;
         }
         
-        // Try to dynamically load the script if not present
-        const scriptPath = 'progress-tracker.js';
-        const script = document.createElement('script');
-        script.src = scriptPath;
-        script.async = true;
-        
-        return new Promise((resolve) => {
-            script.onload = () => {
-                console.log('ProgressTracker script loaded dynamically');
-                // Wait for initialization
-                setTimeout(() => {
-                    resolve(typeof ProgressTracker !== 'undefined');
-                }, 100);
-            };
-            
-            script.onerror = () => {
-                console.warn('Failed to load ProgressTracker script dynamically');
-                resolve(false);
-            };
-            
-            document.head.appendChild(script);
-            
-            // Timeout after 3 seconds
-            setTimeout(() => {
-                console.warn('ProgressTracker loading timeout');
-                resolve(false);
-            }, 3000);
-        });
-        
-    } catch (error) {
-        console.error('Error attempting to load ProgressTracker:', error);
-        return false;
-    }
-}
-
-/**
- * Store failed progress updates for later retry
- * Requirements: 2.2
- */
-function storeFailedProgressUpdate(chapterNum, exerciseIndex, isCompleted) {
-    try {
-        const failedUpdates = JSON.parse(sessionStorage.getItem('failed-progress-updates') || '[]');
-        
-        const update = {
-            chapterNum,
-            exerciseIndex,
-            isCompleted,
-            timestamp: new Date().toISOString(),
-            retryCount: 0
-        };
-        
-        failedUpdates.push(update);
-        
-        // Keep only the last 50 failed updates to prevent storage bloat
-        if (failedUpdates.length > 50) {
-            failedUpdates.splice(0, failedUpdates.length - 50);
+        const registry = typeof StorageAdapter !== 'undefined' ? StorageAdapter.readLegacy(ProgressTracker.PROFILES_KEY) : null;
+        if (registry && registry.activeProfileId) {
+            return registry.activeProfileId;
         }
-        
-        sessionStorage.setItem('failed-progress-updates', JSON.stringify(failedUpdates));
-        
-        console.log(`Stored failed progress update: Chapter ${chapterNum}, Exercise ${exerciseIndex}`);
-        
-        // Schedule retry attempt
-        scheduleProgressRetry();
-        
-        return true;
-        
+        return ProgressTracker.getMirroredProfileId();
     } catch (error) {
-        console.error('Error storing failed progress update:', error);
-        return false;
+        console.warn('Could not determine active learner profile:', error);
     }
+    return null;
 }
 
 /**
@@ -7830,140 +11325,11 @@ function scheduleProgressRetry() {
     
     // Retry after 5 seconds
     setTimeout(() => {
-        retryFailedProgressUpdates();
         window.progressRetryScheduled = false;
+        flushProgressOutbox();
     }, 5000);
 }
 
-/**
- * Retry failed progress updates
- * Requirements: 2.2
- */
-function retryFailedProgressUpdates() {
-    try {
-        if (typeof ProgressTracker === 'undefined') {
-            console.log('ProgressTracker still not available, will retry later');
-            return;
-        }
-        
-        const failedUpdates = JSON.parse(sessionStorage.getItem('failed-progress-updates') || '[]');
-        
-        if (failedUpdates.length === 0) {
-            return;
-        }
-        
-        console.log(`Retrying ${failedUpdates.length} failed progress updates`);
-        
-        const successfulUpdates = [];
-        const stillFailedUpdates = [];
-        
-        failedUpdates.forEach((update, index) => {
-            try {
-                const success = ProgressTracker.updateExercise(
-                    update.chapterNum, 
-                    update.exerciseIndex, 
-                    update.isCompleted
-                );
-                
-                if (success) {
-                    successfulUpdates.push(update);
-                    console.log(`Successfully retried: Chapter ${update.chapterNum}, Exercise ${update.exerciseIndex}`);
-                } else {
-                    update.retryCount = (update.retryCount || 0) + 1;
-                    if (update.retryCount < 3) {
-                        stillFailedUpdates.push(update);
-                    } else {
-                        console.warn(`Giving up on failed update after 3 retries: Chapter ${update.chapterNum}, Exercise ${update.exerciseIndex}`);
-                    }
-                }
-            } catch (retryError) {
-                console.warn(`Retry failed for Chapter ${update.chapterNum}, Exercise ${update.exerciseIndex}:`, retryError);
-                update.retryCount = (update.retryCount || 0) + 1;
-                if (update.retryCount < 3) {
-                    stillFailedUpdates.push(update);
-                }
-            }
-        });
-        
-        // Update the failed updates list
-        sessionStorage.setItem('failed-progress-updates', JSON.stringify(stillFailedUpdates));
-        
-        if (successfulUpdates.length > 0) {
-            console.log(`Successfully retried ${successfulUpdates.length} progress updates`);
-            
-            // Dispatch events for successful retries
-            successfulUpdates.forEach(update => {
-                dispatchEnhancedProgressUpdateEvent(update.chapterNum, update.exerciseIndex, update.isCompleted);
-            });
-        }
-        
-        // Schedule another retry if there are still failed updates
-        if (stillFailedUpdates.length > 0) {
-            scheduleProgressRetry();
-        }
-        
-    } catch (error) {
-        console.error('Error retrying failed progress updates:', error);
-    }
-}
-
-/**
- * Retry failed progress updates
- * Requirements: 2.2
- */
-function retryFailedProgressUpdates() {
-    try {
-        const failedUpdates = JSON.parse(sessionStorage.getItem('failed-progress-updates') || '[]');
-        
-        if (failedUpdates.length === 0) {
-            return;
-        }
-        
-        console.log(`Retrying ${failedUpdates.length} failed progress updates`);
-        
-        const remainingUpdates = [];
-        
-        for (const update of failedUpdates) {
-            update.retryCount = (update.retryCount || 0) + 1;
-            
-            // Skip updates that have been retried too many times
-            if (update.retryCount > 3) {
-                console.warn('Abandoning progress update after 3 retry attempts:', update);
-                continue;
-            }
-            
-            // Try to update progress
-            if (typeof ProgressTracker !== 'undefined' && typeof ProgressTracker.updateExercise === 'function') {
-                try {
-                    const success = ProgressTracker.updateExercise(update.chapterNum, update.exerciseIndex, update.isCompleted);
-                    if (success) {
-                        console.log('Successfully retried progress update:', update);
-                        continue; // Don't add to remaining updates
-                    }
-                } catch (retryError) {
-                    console.warn('Retry attempt failed:', retryError);
-                }
-            }
-            
-            // Add to remaining updates if retry failed
-            remainingUpdates.push(update);
-        }
-        
-        // Update session storage with remaining failed updates
-        sessionStorage.setItem('failed-progress-updates', JSON.stringify(remainingUpdates));
-        
-        // Schedule another retry if there are still failed updates
-        if (remainingUpdates.length > 0) {
-            setTimeout(() => {
-                retryFailedProgressUpdates();
-            }, 10000); // Retry again after 10 seconds
-        }
-        
-    } catch (error) {
-        console.error('Error retrying failed progress updates:', error);
-    }
-}
-
 /**
  * Show user-friendly progress warning
  * Requirements: 2.2
@@ -8498,14 +11864,14 @@ const ValidationDebugHelpers = {
                 answer: exerciseElement.dataset.answer || 'unknown',
                 hint: exerciseElement.dataset.hint || 'none',
                 exerciseIndex: exerciseElement.dataset.exercise || 'unknown',
-                context: extractExerciseContext(exerciseElement),
-                detectedType: detectExerciseType(extractExerciseContext(exerciseElement)),
+                rules: getExerciseValidationRules(exerciseElement),
+                validatorType: resolveExerciseType(exerciseElement.dataset.validate),
                 element: exerciseElement
             };
             
             console.log('Exercise data:', analysis);
-            console.log('Context preview:', analysis.context.substring(0, 200) + '...');
-            console.log('Detected type:', analysis.detectedType);
+            console.log('Declared rules:', analysis.rules);
+            console.log('Validator:', analysis.validatorType);
             
             return analysis;
             
@@ -8772,21 +12138,31 @@ const ValidationDebugUtils = {
             
             // Standard tests
             { input: 'hello', expected: 'hello', type: 'STANDARD' },
-            { input: 'Hello World', expected: 'hello world', type: 'STANDARD' }
+            { input: 'Hello World', expected: 'hello world', type: 'STANDARD' },
+            
+            // Uzbek answers: apostrophe variants and Cyrillic
+            { input: 'o‘g‘il', expected: "o'g'il", type: 'STANDARD', direction: 'en-uz' },
+            { input: 'ўғил', expected: "o'g'il", type: 'STANDARD', direction: 'en-uz' },
+            
+            // Grammar structure tests
+            { input: 'He work on the farm', expected: 'He works on the farm', type: 'PRESENT_SIMPLE' },
+            { input: 'Can I to go home?', expected: 'Can I go home?', type: 'MODAL_REQUEST' },
+            { input: 'To clean the tools', expected: 'Clean the tools', type: 'IMPERATIVE' },
+            { input: 'I will to find a job', expected: 'I will find a job', type: 'FUTURE' }
         ];
         
         testCases.forEach((testCase, index) => {
             console.group(`Test ${index + 1}: "${testCase.input}"`);
             
-            if (testCase.type === 'PASSIVE_VOICE') {
-                const result = validatePassiveVoiceAnswer(testCase.input, testCase.expected);
+            if (testCase.type !== 'STANDARD') {
+                const result = getExerciseTypeConfig(testCase.type).validate(testCase.input, testCase.expected, {});
                 console.log('Result:', result.isCorrect ? 'PASS' : 'FAIL');
                 if (!result.isCorrect) {
                     console.log('Error Type:', result.errorType);
                     console.log('Feedback:', result.feedback);
                 }
             } else {
-                const result = validateStandardAnswer(testCase.input, testCase.expected);
+                const result = validateStandardAnswer(testCase.input, testCase.expected, testCase.direction);
                 console.log('Result:', result ? 'PASS' : 'FAIL');
             }
             
@@ -0,0 +1,197 @@
+/**
+ * Placement Test for English for Uzbek Seasonal Workers
+ * Adaptive test that samples exercises from the chapter pages, narrows down the
+ * highest chapter a learner already masters and recommends where to start.
+ * Needs interactive-exercises.js (quiz item helpers) and course-manifest.js
+ */
+
+class PlacementTest {
+    // Questions asked per chapter; a split result gets one tie-break question
+    static ITEMS_PER_CHAPTER = 2;
+    static MAX_QUESTIONS = 15;
+
+    /**
+     * Estimated level by the highest chapter passed (-1 when none)
+     */
+    static LEVELS = [
+        { id: 'A0', upToChapter: 0, title: "A0 - mutlaq boshlang'ich", description: "Total beginner: start with the alphabet and numbers" },
+        { id: 'A0+', upToChapter: 8, title: "A0+ - boshlang'ich", description: "Knows some basics: everyday words and simple sentences" },
+        { id: 'A1-', upToChapter: 17, title: "A1- - o'rta boshlang'ich", description: "Can handle everyday and work situations with help" },
+        { id: 'A1', upToChapter: Infinity, title: "A1 - boshlang'ich daraja", description: "Ready for the last chapters and the course review" }
+    ];
+
+    static itemCache = new Map();
+
+    /**
+     * options: { chapters, loadItems(chapter) -> Promise<items>, random }
+     */
+    constructor(options = {}) {
+        this.chapters = options.chapters || CourseManifest.getLevelChapters(CourseManifest.DEFAULT_LEVEL);
+        this.loadItems = options.loadItems || (chapter => PlacementTest.loadChapterItems(chapter));
+        this.random = options.random || Math.random;
+
+        // Indexes into chapters: highest passed so far and lowest failed so far
+        this.passedIndex = -1;
+        this.failedIndex = this.chapters.length;
+        this.skipped = new Set();
+        this.probe = null;
+        this.answers = [];
+        this.finished = false;
+    }
+
+    /**
+     * Typed-answer exercises of a chapter page, fetched once and kept for the session
+     */
+    static loadChapterItems(chapter) {
+        if (!this.itemCache.has(chapter.id)) {
+            const items = fetch(chapter.file)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(html => {
+                    const page = new DOMParser().parseFromString(html, 'text/html');
+                    const exercises = Array.from(page.querySelectorAll('.exercise')).map((element, index) => ({
+                        index,
+                        type: element.dataset.type || 'fill-blank',
+                        element
+                    }));
+                    return getQuizExerciseQuestions(exercises);
+                })
+                .catch(error => {
+                    console.warn(`Could not load placement items from chapter ${chapter.id}:`, error);
+                    return [];
+                });
+            this.itemCache.set(chapter.id, items);
+        }
+
+        return this.itemCache.get(chapter.id);
+    }
+
+    /**
+     * Chapters between the passed and failed bounds, closest to their middle first, without chapters that have no items
+     */
+    getProbeCandidates() {
+        const middle = (this.passedIndex + this.failedIndex) / 2;
+        const candidates = [];
+        for (let index = this.passedIndex + 1; index < this.failedIndex; index++) {
+            if (!this.skipped.has(index)) {
+                candidates.push(index);
+            }
+        }
+        return candidates.sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle) || a - b);
+    }
+
+    /**
+     * Start probing the next chapter; resolves to false when nothing is left to probe
+     */
+    startProbe() {
+        const candidates = this.getProbeCandidates();
+        if (candidates.length === 0) {
+            return Promise.resolve(false);
+        }
+
+        const index = candidates[0];
+        return this.loadItems(this.chapters[index]).then(items => {
+            if (!items || items.length === 0) {
+                this.skipped.add(index);
+                return this.startProbe();
+            }
+
+            this.probe = {
+                index,
+                items: shuffleWithRandom(items, this.random).slice(0, PlacementTest.ITEMS_PER_CHAPTER + 1),
+                asked: 0,
+                correct: 0
+            };
+            return true;
+        });
+    }
+
+    /**
+     * Resolves to the next question { chapterId, number, item }, or null when the test is over
+     */
+    nextQuestion() {
+        if (this.finished) {
+            return Promise.resolve(null);
+        }
+
+        const ready = this.probe ? Promise.resolve(true) : this.startProbe();
+        return ready.then(hasProbe => {
+            if (!hasProbe || this.answers.length >= PlacementTest.MAX_QUESTIONS) {
+                this.finished = true;
+                return null;
+            }
+
+            return {
+                chapterId: this.chapters[this.probe.index].id,
+                number: this.answers.length + 1,
+                item: this.probe.items[this.probe.asked]
+            };
+        });
+    }
+
+    /**
+     * Check an answer to the current question and move the bounds once the chapter is decided
+     */
+    answer(userInput) {
+        const probe = this.probe;
+        if (!probe || this.finished) {
+            return null;
+        }
+
+        const item = probe.items[probe.asked];
+        const isCorrect = isQuizAnswerCorrect(item, String(userInput || '').trim());
+        probe.asked++;
+        if (isCorrect) probe.correct++;
+        this.answers.push({ chapterId: this.chapters[probe.index].id, isCorrect });
+
+        const wrong = probe.asked - probe.correct;
+        const needed = PlacementTest.ITEMS_PER_CHAPTER;
+        // 2 of 2 passes, 0 of 2 fails, 1 of 2 goes to a tie-break question when the chapter has one
+        const decided = probe.correct >= needed || wrong >= needed || probe.asked >= probe.items.length;
+        if (decided) {
+            if (probe.correct > wrong) {
+                this.passedIndex = probe.index;
+            } else {
+                this.failedIndex = probe.index;
+            }
+            this.probe = null;
+        }
+
+        return { isCorrect, chapterDecided: decided };
+    }
+
+    /**
+     * Estimated level, the chapter to start from and the chapters the learner may skip
+     */
+    getResult() {
+        const highestPassed = this.passedIndex >= 0 ? this.chapters[this.passedIndex] : null;
+        const recommendedIndex = Math.min(this.passedIndex + 1, this.chapters.length - 1);
+        const highestPassedChapter = highestPassed ? highestPassed.id : -1;
+        const level = PlacementTest.LEVELS.find(band => highestPassedChapter <= band.upToChapter);
+
+        return {
+            level: level.id,
+            levelTitle: level.title,
+            levelDescription: level.description,
+            highestPassedChapter: highestPassed ? highestPassed.id : null,
+            recommendedChapter: this.chapters[recommendedIndex].id,
+            testedOutChapters: this.chapters.slice(0, recommendedIndex).map(chapter => chapter.id),
+            correct: this.answers.filter(answer => answer.isCorrect).length,
+            answered: this.answers.length
+        };
+    }
+}
+
+// Make PlacementTest available globally
+if (typeof window !== 'undefined') {
+    window.PlacementTest = PlacementTest;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlacementTest;
+}
@@ -1,324 +1,2071 @@
 /**
  * Progress Tracker System for English for Uzbek Seasonal Workers
- * Manages learning progress across all 24 chapters and 240 exercises
+ * Manages learning progress across the chapters listed in the course manifest
  */
 
 class ProgressTracker {
     static STORAGE_KEY = 'uzbek-textbook-progress';
-    static TOTAL_CHAPTERS = 24;
-    static EXERCISES_PER_CHAPTER = 10;
-    static TOTAL_EXERCISES = 240;
+    static PROFILES_KEY = 'uzbek-textbook-profiles';
+    static MIRROR_KEY = 'uzbek-textbook-progress-mirror';
+    static DEFAULT_PROFILE_ID = 'default';
+    static DEFAULT_PROFILE_NAME = "O'quvchi 1";
+    static SCHEMA_VERSION = 8;
+    static EXPORT_FORMAT = 'uzbek-textbook-progress-backup';
+    static EXPORT_FORMAT_VERSION = 1;
+    static MAX_ATTEMPT_INPUT_LENGTH = 200;
+    static DEFAULT_WEEKLY_GOAL = 20;
+    static MAX_WEEKLY_GOAL = 500;
+    static STREAK_GRACE_DAYS = 1;
+    static STREAK_MIN_SECONDS = 60;
+    static MAX_ACTIVITY_DAYS = 400;
+    static STUDY_FLUSH_INTERVAL = 60000;
+    static studyTimer = null;
+    static SYNC_CHANNEL = 'uzbek-textbook-sync';
+    static TAB_ID = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    static syncChannel = null;
+    static lastRevision = 0;
+    static lastStoredProgress = null;
     static saveTimeout = null;
     static cachedProgress = null;
-    static cacheTimestamp = 0;
-    static CACHE_DURATION = 5000; // Cache for 5 seconds
+    static isLoaded = false;
+    static pendingUpdates = [];
+    static storageWarningShown = false;
+    static profileRegistry = null;
+    static ready = Promise.resolve();
+
+    /**
+     * A1 course totals come from the course manifest; other levels use getCompletionStats(levelId)
+     */
+    static get TOTAL_CHAPTERS() {
+        return CourseManifest.getTotalChapters();
+    }
+
+    static get TOTAL_EXERCISES() {
+        return CourseManifest.getTotalExercises();
+    }
+
+    /**
+     * Ordered schema migrations, each upgrading progress to its version
+     */
+    static MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Normalize legacy localStorage progress structure',
+            migrate: (progress) => ProgressTracker.migrateToV1(progress)
+        },
+        {
+            version: 2,
+            description: 'Add per-exercise attempt counters',
+            migrate: (progress) => ProgressTracker.migrateToV2(progress)
+        },
+        {
+            version: 3,
+            description: 'Add study time, daily activity and weekly goal',
+            migrate: (progress) => ProgressTracker.migrateToV3(progress)
+        },
+        {
+            version: 4,
+            description: 'Add per-level progress for CEFR course levels',
+            migrate: (progress) => ProgressTracker.migrateToV4(progress)
+        },
+        {
+            version: 5,
+            description: 'Add best score per exercise',
+            migrate: (progress) => ProgressTracker.migrateToV5(progress)
+        },
+        {
+            version: 6,
+            description: 'Add hints used per exercise',
+            migrate: (progress) => ProgressTracker.migrateToV6(progress)
+        },
+        {
+            version: 7,
+            description: 'Add chapter quiz scores',
+            migrate: (progress) => ProgressTracker.migrateToV7(progress)
+        },
+        {
+            version: 8,
+            description: 'Add placement test result and tested-out chapters',
+            migrate: (progress) => ProgressTracker.migrateToV8(progress)
+        }
+    ];
+
+    /**
+     * Create an empty progress record for one chapter
+     */
+    static createChapterProgress(chapterId) {
+        const exerciseCount = CourseManifest.getExerciseCount(chapterId);
+        return {
+            completed: 0,
+            total: exerciseCount,
+            exercises: new Array(exerciseCount).fill(false),
+            attempts: new Array(exerciseCount).fill(0),
+            scores: new Array(exerciseCount).fill(0),
+            hints: new Array(exerciseCount).fill(0),
+            quiz: this.createQuizProgress(),
+            testedOut: false,
+            studySeconds: 0,
+            lastAccessed: null
+        };
+    }
+
+    /**
+     * Create an empty chapter quiz record; quiz scores never change exercise completion
+     */
+    static createQuizProgress() {
+        return {
+            attempts: 0,
+            bestScore: 0,
+            lastScore: null,
+            lastDurationSeconds: null,
+            lastTakenAt: null
+        };
+    }
+
+    /**
+     * Create empty study statistics: activity per local day and the weekly goal
+     */
+    static createStudyProgress() {
+        return {
+            dailyActivity: {},
+            weeklyGoal: this.DEFAULT_WEEKLY_GOAL
+        };
+    }
+
+    /**
+     * Create empty progress for one course level
+     */
+    static createLevelProgress() {
+        return {
+            overallProgress: 0,
+            completionDate: null,
+            certificateGenerated: false
+        };
+    }
 
     /**
      * Initialize default progress structure
+     * Top-level overallProgress, completionDate and certificateGenerated mirror the A1 level
      */
     static getDefaultProgress() {
         const defaultProgress = {
+            schemaVersion: this.SCHEMA_VERSION,
             chapters: {},
             overallProgress: 0,
             completionDate: null,
             studentName: "",
             certificateGenerated: false,
+            levels: {},
+            placement: null,
+            study: this.createStudyProgress(),
             lastAccessed: new Date().toISOString()
         };
 
-        // Initialize all 24 chapters (Chapter 1 through Chapter 24)
-        for (let i = 1; i <= 24; i++) {
-            defaultProgress.chapters[i] = {
-                completed: 0,
-                total: this.EXERCISES_PER_CHAPTER,
-                exercises: new Array(this.EXERCISES_PER_CHAPTER).fill(false),
-                lastAccessed: null
-            };
-        }
-        
-        // Initialize Chapter 0 as a special foundation chapter (not counted in main progress)
-        defaultProgress.chapters[0] = {
-            completed: 0,
-            total: this.EXERCISES_PER_CHAPTER,
-            exercises: new Array(this.EXERCISES_PER_CHAPTER).fill(false),
-            lastAccessed: null
-        };
+        CourseManifest.getLevels().forEach(({ id }) => {
+            defaultProgress.levels[id] = this.createLevelProgress();
+        });
+
+        // Every chapter in the manifest, including ones that do not count toward completion
+        CourseManifest.getChapterIds().forEach(chapterId => {
+            defaultProgress.chapters[chapterId] = this.createChapterProgress(chapterId);
+        });
 
         return defaultProgress;
     }
 
     /**
-     * Get current progress from localStorage with caching for performance
+     * Schema v1: ensure every chapter exists with boolean exercises and consistent counts
      */
-    static getProgress() {
-        try {
-            // Check if we have a valid cached version
-            const now = Date.now();
-            if (this.cachedProgress && (now - this.cacheTimestamp) < this.CACHE_DURATION) {
-                return this.cachedProgress;
-            }
+    static migrateToV1(progress) {
+        this.alignWithManifest(progress);
 
-            const stored = localStorage.getItem(this.STORAGE_KEY);
-            if (!stored) {
-                const defaultProgress = this.getDefaultProgress();
-                this.cachedProgress = defaultProgress;
-                this.cacheTimestamp = now;
-                return defaultProgress;
-            }
+        progress.completionDate = progress.completionDate || null;
+        progress.studentName = progress.studentName || "";
+        progress.certificateGenerated = Boolean(progress.certificateGenerated);
+        progress.lastAccessed = progress.lastAccessed || new Date().toISOString();
+        this.calculateOverallProgress(progress);
+    }
 
-            const progress = JSON.parse(stored);
-            
-            // Ensure all chapters exist (for backward compatibility)
-            for (let i = 1; i <= 24; i++) {
-                if (!progress.chapters[i]) {
-                    progress.chapters[i] = {
-                        completed: 0,
-                        total: this.EXERCISES_PER_CHAPTER,
-                        exercises: new Array(this.EXERCISES_PER_CHAPTER).fill(false),
-                        lastAccessed: null
-                    };
-                }
-            }
-            
-            // Ensure Chapter 0 exists (foundation chapter, not counted in main progress)
-            if (!progress.chapters[0]) {
-                progress.chapters[0] = {
-                    completed: 0,
-                    total: this.EXERCISES_PER_CHAPTER,
-                    exercises: new Array(this.EXERCISES_PER_CHAPTER).fill(false),
-                    lastAccessed: null
-                };
+    /**
+     * Schema v2: track attempt counts per exercise (detailed records live in StorageAdapter)
+     */
+    static migrateToV2(progress) {
+        Object.values(progress.chapters).forEach(chapter => {
+            if (!Array.isArray(chapter.attempts)) {
+                // Completed exercises needed at least one attempt
+                chapter.attempts = chapter.exercises.map(completed => (completed ? 1 : 0));
             }
+        });
+    }
 
-            // Cache the result
-            this.cachedProgress = progress;
-            this.cacheTimestamp = now;
+    /**
+     * Schema v3: study time per chapter plus daily activity for streaks and weekly goals
+     */
+    static migrateToV3(progress) {
+        Object.values(progress.chapters).forEach(chapter => {
+            chapter.studySeconds = chapter.studySeconds || 0;
+        });
 
-            return progress;
-        } catch (error) {
-            console.error('Error loading progress:', error);
-            const defaultProgress = this.getDefaultProgress();
-            this.cachedProgress = defaultProgress;
-            this.cacheTimestamp = Date.now();
-            return defaultProgress;
+        if (!progress.study || typeof progress.study !== 'object') {
+            progress.study = this.createStudyProgress();
         }
     }
 
     /**
-     * Invalidate cache when progress is updated
+     * Schema v4: completion and certificate state per course level, starting from the A1 fields
      */
-    static invalidateCache() {
-        this.cachedProgress = null;
-        this.cacheTimestamp = 0;
+    static migrateToV4(progress) {
+        this.alignWithManifest(progress);
     }
 
     /**
-     * Save progress to localStorage with debouncing for performance
+     * Schema v5: best score (0-1) per exercise; exercises completed before scoring count as full marks
      */
-    static saveProgress(progressData) {
-        try {
-            progressData.lastAccessed = new Date().toISOString();
-            
-            // Use debounced save to prevent excessive localStorage writes
-            if (this.saveTimeout) {
-                clearTimeout(this.saveTimeout);
+    static migrateToV5(progress) {
+        Object.values(progress.chapters).forEach(chapter => {
+            if (!Array.isArray(chapter.scores)) {
+                chapter.scores = chapter.exercises.map(completed => (completed ? 1 : 0));
             }
-            
-            this.saveTimeout = setTimeout(() => {
-                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(progressData));
-                this.saveTimeout = null;
-            }, 100); // Debounce for 100ms
-            
-            return true;
-        } catch (error) {
-            console.error('Error saving progress:', error);
-            this.showStorageError();
-            return false;
-        }
+        });
     }
 
     /**
-     * Immediate save for critical operations (like completion)
+     * Schema v6: highest hint ladder step used per exercise (0 = no hints)
      */
-    static saveProgressImmediate(progressData) {
-        try {
-            progressData.lastAccessed = new Date().toISOString();
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(progressData));
-            return true;
-        } catch (error) {
-            console.error('Error saving progress:', error);
-            this.showStorageError();
-            return false;
-        }
+    static migrateToV6(progress) {
+        Object.values(progress.chapters).forEach(chapter => {
+            if (!Array.isArray(chapter.hints)) {
+                chapter.hints = new Array(chapter.exercises.length).fill(0);
+            }
+        });
     }
 
     /**
-     * Update exercise completion status with performance optimization
+     * Schema v7: best and latest chapter quiz result per chapter
      */
-    static updateExercise(chapterId, exerciseIndex, isCompleted) {
-        // Validate chapter ID (0 is allowed as foundation chapter, 1-24 are main chapters)
-        if (chapterId < 0 || chapterId > 24) {
-            console.error(`Invalid chapter ID: ${chapterId}. Must be between 0 and 24.`);
-            return false;
-        }
-        
-        // Validate exercise index
-        if (exerciseIndex < 0 || exerciseIndex >= this.EXERCISES_PER_CHAPTER) {
-            console.error(`Invalid exercise index: ${exerciseIndex}. Must be between 0 and ${this.EXERCISES_PER_CHAPTER - 1}.`);
-            return false;
-        }
-        
-        const progress = this.getProgress();
-        
-        if (!progress.chapters[chapterId]) {
-            console.error(`Chapter ${chapterId} not found`);
-            return false;
+    static migrateToV7(progress) {
+        Object.values(progress.chapters).forEach(chapter => {
+            if (!chapter.quiz || typeof chapter.quiz !== 'object') {
+                chapter.quiz = this.createQuizProgress();
+            }
+        });
+    }
+
+    /**
+     * Schema v8: placement test result, and chapters the learner tested out of
+     */
+    static migrateToV8(progress) {
+        Object.values(progress.chapters).forEach(chapter => {
+            chapter.testedOut = Boolean(chapter.testedOut);
+        });
+        progress.placement = progress.placement || null;
+    }
+
+    /**
+     * Give every manifest level and chapter a record, chapters sized to their exercise count
+     * Runs after migrations on every load, so manifest changes need no schema bump
+     */
+    static alignWithManifest(progress) {
+        if (!progress.chapters || typeof progress.chapters !== 'object') {
+            progress.chapters = {};
         }
 
-        const chapter = progress.chapters[chapterId];
-        const wasCompleted = chapter.exercises[exerciseIndex];
-        
-        // Only update if status actually changed
-        if (wasCompleted === isCompleted) {
-            return true; // No change needed
+        if (!progress.levels || typeof progress.levels !== 'object') {
+            // Progress from before levels existed: its completion fields belong to A1
+            progress.levels = {
+                [CourseManifest.DEFAULT_LEVEL]: {
+                    completionDate: progress.completionDate || null,
+                    certificateGenerated: Boolean(progress.certificateGenerated)
+                }
+            };
         }
-        
-        // Update exercise status
-        chapter.exercises[exerciseIndex] = isCompleted;
-        
-        // Recalculate chapter completion
-        chapter.completed = chapter.exercises.filter(Boolean).length;
-        chapter.lastAccessed = new Date().toISOString();
-        
-        // Update overall progress
+
+        CourseManifest.getLevels().forEach(({ id }) => {
+            progress.levels[id] = Object.assign(this.createLevelProgress(), progress.levels[id]);
+        });
+
+        CourseManifest.getChapterIds().forEach(chapterId => {
+            const chapter = progress.chapters[chapterId];
+            if (!chapter) {
+                progress.chapters[chapterId] = this.createChapterProgress(chapterId);
+                return;
+            }
+
+            const exerciseCount = CourseManifest.getExerciseCount(chapterId);
+            const stored = Array.isArray(chapter.exercises) ? chapter.exercises : [];
+            chapter.exercises = Array.from({ length: exerciseCount }, (value, index) => Boolean(stored[index]));
+
+            if (Array.isArray(chapter.attempts)) {
+                chapter.attempts = Array.from({ length: exerciseCount }, (value, index) => chapter.attempts[index] || 0);
+            }
+
+            if (Array.isArray(chapter.scores)) {
+                chapter.scores = Array.from({ length: exerciseCount }, (value, index) => chapter.scores[index] || 0);
+            }
+
+            if (Array.isArray(chapter.hints)) {
+                chapter.hints = Array.from({ length: exerciseCount }, (value, index) => chapter.hints[index] || 0);
+            }
+
+            chapter.total = exerciseCount;
+            chapter.completed = chapter.exercises.filter(Boolean).length;
+            chapter.lastAccessed = chapter.lastAccessed || null;
+        });
+
+        return progress;
+    }
+
+    /**
+     * Run every migration newer than the stored schema version, in order
+     */
+    static migrate(progress) {
+        let version = typeof progress.schemaVersion === 'number' ? progress.schemaVersion : 0;
+
+        this.MIGRATIONS.forEach(migration => {
+            if (migration.version > version) {
+                migration.migrate(progress);
+                version = migration.version;
+                console.log(`Progress migrated to schema v${version}: ${migration.description}`);
+            }
+        });
+
+        progress.schemaVersion = version;
+        this.alignWithManifest(progress);
         this.calculateOverallProgress(progress);
-        
-        // Check for course completion
-        const wasCourseCompleted = progress.completionDate !== null;
-        if (progress.overallProgress === 100 && !progress.completionDate) {
-            progress.completionDate = new Date().toISOString();
+        return progress;
+    }
+
+    /**
+     * Create the profile registry used before any profile was added
+     * The default profile keeps the original storage key so existing progress is preserved
+     */
+    static getDefaultProfileRegistry() {
+        return {
+            activeProfileId: this.DEFAULT_PROFILE_ID,
+            profiles: [
+                {
+                    id: this.DEFAULT_PROFILE_ID,
+                    name: this.DEFAULT_PROFILE_NAME,
+                    createdAt: new Date().toISOString()
+                }
+            ]
+        };
+    }
+
+    /**
+     * Get the in-memory profile registry
+     */
+    static getProfileRegistry() {
+        if (!this.profileRegistry) {
+            this.profileRegistry = this.getDefaultProfileRegistry();
         }
-        
-        // Invalidate cache since we're updating
-        this.invalidateCache();
-        
-        // Use immediate save for completion or important milestones
-        const isImportant = isCompleted || progress.overallProgress === 100 || !wasCourseCompleted;
-        const saved = isImportant ? 
-            this.saveProgressImmediate(progress) : 
-            this.saveProgress(progress);
-        
-        if (saved) {
-            // Dispatch custom event for UI updates
-            this.dispatchProgressEvent(chapterId, exerciseIndex, isCompleted, wasCompleted);
+        return this.profileRegistry;
+    }
+
+    /**
+     * Load the profile registry from the storage adapter
+     */
+    static loadProfiles() {
+        return StorageAdapter.read(this.PROFILES_KEY)
+            .then(stored => {
+                const isValid = stored && Array.isArray(stored.profiles) && stored.profiles.length > 0;
+                this.profileRegistry = isValid ? stored : this.getDefaultProfileRegistry();
+
+                if (!this.profileRegistry.profiles.some(profile => profile.id === this.profileRegistry.activeProfileId)) {
+                    this.profileRegistry.activeProfileId = this.profileRegistry.profiles[0].id;
+                }
+            })
+            .catch(error => {
+                console.error('Error loading learner profiles:', error);
+                this.profileRegistry = this.getDefaultProfileRegistry();
+            });
+    }
+
+    /**
+     * Persist the profile registry
+     */
+    static saveProfiles() {
+        if (typeof StorageAdapter === 'undefined') {
+            return Promise.resolve(false);
         }
-        
-        return saved;
+
+        return StorageAdapter.write(this.PROFILES_KEY, this.getProfileRegistry())
+            .then(() => {
+                this.broadcastChange({ type: 'profiles' });
+                return true;
+            })
+            .catch(error => {
+                console.error('Error saving learner profiles:', error);
+                this.showStorageError();
+                return false;
+            });
     }
 
     /**
-     * Calculate overall progress percentage
+     * Get all learner profiles on this device
      */
-    static calculateOverallProgress(progress) {
-        let totalCompleted = 0;
-        
-        // Only count chapters 1-24 for overall progress (Chapter 0 is foundation, not counted)
-        for (let i = 1; i <= 24; i++) {
-            if (progress.chapters[i]) {
-                totalCompleted += progress.chapters[i].completed || 0;
-            }
+    static getProfiles() {
+        return this.getProfileRegistry().profiles.slice();
+    }
+
+    /**
+     * Get the profile whose progress is currently loaded
+     */
+    static getActiveProfile() {
+        const registry = this.getProfileRegistry();
+        return registry.profiles.find(profile => profile.id === registry.activeProfileId) || registry.profiles[0];
+    }
+
+    /**
+     * Storage key holding progress for a profile (defaults to the active one)
+     */
+    static getStorageKey(profileId = this.getActiveProfile().id) {
+        return profileId === this.DEFAULT_PROFILE_ID ? this.STORAGE_KEY : `${this.STORAGE_KEY}-${profileId}`;
+    }
+
+    /**
+     * Validate a profile name, returning an error message or null
+     */
+    static validateProfileName(name, ignoreProfileId = null) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+        if (trimmedName.length < 1 || trimmedName.length > 50) {
+            return "Ism 1 dan 50 gacha belgidan iborat bo'lishi kerak.";
         }
-        
-        progress.overallProgress = Math.round((totalCompleted / this.TOTAL_EXERCISES) * 100);
-        return progress.overallProgress;
+
+        const isDuplicate = this.getProfiles().some(profile =>
+            profile.id !== ignoreProfileId && profile.name.toLowerCase() === trimmedName.toLowerCase()
+        );
+        if (isDuplicate) {
+            return 'Bu nomli profil allaqachon mavjud.';
+        }
+
+        return null;
     }
 
     /**
-     * Get chapter progress
+     * Create a new learner profile (does not switch to it)
      */
-    static getChapterProgress(chapterId) {
-        const progress = this.getProgress();
-        return progress.chapters[chapterId] || {
-            completed: 0,
-            total: this.EXERCISES_PER_CHAPTER,
-            exercises: new Array(this.EXERCISES_PER_CHAPTER).fill(false),
-            lastAccessed: null
+    static createProfile(name) {
+        const error = this.validateProfileName(name);
+        if (error) {
+            console.warn('Invalid profile name:', error);
+            return null;
+        }
+
+        const profile = {
+            id: `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            createdAt: new Date().toISOString()
         };
+
+        this.getProfileRegistry().profiles.push(profile);
+        this.saveProfiles();
+        this.dispatchProfileEvent('create', profile.id);
+
+        return profile;
     }
 
     /**
-     * Check if course is completed (all 250 exercises)
+     * Rename an existing learner profile
      */
-    static isCourseCompleted() {
-        const progress = this.getProgress();
-        return progress.overallProgress === 100;
+    static renameProfile(profileId, name) {
+        const profile = this.getProfileRegistry().profiles.find(item => item.id === profileId);
+        if (!profile) {
+            console.error(`Profile not found: ${profileId}`);
+            return false;
+        }
+
+        const error = this.validateProfileName(name, profileId);
+        if (error) {
+            console.warn('Invalid profile name:', error);
+            return false;
+        }
+
+        profile.name = name.trim();
+        this.saveProfiles();
+        this.dispatchProfileEvent('rename', profileId);
+
+        return true;
     }
 
     /**
-     * Get completion statistics
+     * Switch the active profile and load its progress
      */
-    static getCompletionStats() {
-        const progress = this.getProgress();
-        let totalCompleted = 0;
-        let completedChapters = 0;
-        
-        // Only count chapters 1-24 for completion stats (Chapter 0 is foundation, not counted)
-        for (let i = 1; i <= 24; i++) {
-            if (progress.chapters[i]) {
-                totalCompleted += progress.chapters[i].completed || 0;
-                if (progress.chapters[i].completed === progress.chapters[i].total) {
-                    completedChapters++;
-                }
-            }
+    static switchProfile(profileId) {
+        const registry = this.getProfileRegistry();
+
+        if (!registry.profiles.some(profile => profile.id === profileId)) {
+            console.error(`Profile not found: ${profileId}`);
+            return Promise.resolve(false);
         }
-        
-        return {
-            totalExercises: this.TOTAL_EXERCISES,
-            completedExercises: totalCompleted,
-            totalChapters: this.TOTAL_CHAPTERS,
-            completedChapters: completedChapters,
-            overallProgress: progress.overallProgress,
-            completionDate: progress.completionDate,
-            canGenerateCertificate: this.isCourseCompleted() && !progress.certificateGenerated
-        };
+
+        if (registry.activeProfileId === profileId) {
+            return Promise.resolve(true);
+        }
+
+        // Write out the current profile before its progress leaves memory
+        this.flushStudyTime();
+        return this.flushPendingSave().then(() => {
+            registry.activeProfileId = profileId;
+            this.cachedProgress = null;
+            this.pendingUpdates = [];
+
+            return this.saveProfiles();
+        }).then(() => this.load()).then(() => {
+            this.dispatchProfileEvent('switch', profileId);
+            return true;
+        });
+    }
+
+    /**
+     * Delete a learner profile with its progress and attempt records
+     * The last remaining profile cannot be deleted
+     */
+    static deleteProfile(profileId) {
+        const registry = this.getProfileRegistry();
+
+        if (!registry.profiles.some(profile => profile.id === profileId)) {
+            console.error(`Profile not found: ${profileId}`);
+            return Promise.resolve(false);
+        }
+
+        if (registry.profiles.length === 1) {
+            console.warn('Cannot delete the only learner profile');
+            return Promise.resolve(false);
+        }
+
+        const storageKey = this.getStorageKey(profileId);
+        const wasActive = registry.activeProfileId === profileId;
+        const switched = wasActive ?
+            this.switchProfile(registry.profiles.find(profile => profile.id !== profileId).id) :
+            Promise.resolve(true);
+
+        return switched.then(() => {
+            // Switching reloads the registry, so update the current copy
+            const currentRegistry = this.getProfileRegistry();
+            currentRegistry.profiles = currentRegistry.profiles.filter(profile => profile.id !== profileId);
+
+            StorageAdapter.remove(storageKey);
+            StorageAdapter.removeAttempts(record => this.getAttemptProfileId(record) === profileId);
+
+            return this.saveProfiles();
+        }).then(() => {
+            this.dispatchProfileEvent('delete', profileId);
+            return true;
+        });
+    }
+
+    /**
+     * Profile an attempt record belongs to (records from before profiles existed use the default)
+     */
+    static getAttemptProfileId(record) {
+        return record.profileId || this.DEFAULT_PROFILE_ID;
+    }
+
+    /**
+     * Dispatch profile change event so pages can re-render
+     */
+    static dispatchProfileEvent(action, profileId) {
+        const event = new CustomEvent('profileChanged', {
+            detail: {
+                action,
+                profileId,
+                activeProfileId: this.getActiveProfile().id,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Load progress from the storage adapter, migrating and replaying early updates
+     */
+    static load() {
+        if (typeof StorageAdapter === 'undefined') {
+            console.error('StorageAdapter not loaded - progress will not be saved');
+            this.isLoaded = true;
+            return this.ready;
+        }
+
+        this.isLoaded = false;
+        this.ready = this.loadProfiles()
+            .then(() => StorageAdapter.read(this.getStorageKey()))
+            .then(stored => {
+                const legacy = stored ? null : StorageAdapter.readLegacy(this.getStorageKey());
+                const source = stored || legacy;
+                const needsMigration = !source || source.schemaVersion !== this.SCHEMA_VERSION;
+                const progress = this.migrate(source || this.getDefaultProgress());
+                this.lastRevision = stored ? stored.revision || 0 : 0;
+                this.lastStoredProgress = this.cloneProgress(progress);
+
+                // Replay updates made while storage was still loading
+                const replayed = this.pendingUpdates.length > 0;
+                this.pendingUpdates.forEach(update => update(progress));
+                this.pendingUpdates = [];
+
+                this.cachedProgress = progress;
+                this.isLoaded = true;
+                this.writeMirror(progress);
+
+                if (legacy || needsMigration || replayed) {
+                    return this.persist(progress).then(() => {
+                        if (legacy) {
+                            return StorageAdapter.clearLegacy(this.getStorageKey());
+                        }
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error loading progress:', error);
+                this.isLoaded = true;
+            })
+            .then(() => {
+                this.dispatchProgressEvent('load', null, false, false);
+            });
+
+        return this.ready;
+    }
+
+    /**
+     * Get current progress from memory (kept in sync with the storage adapter)
+     */
+    static getProgress() {
+        if (!this.cachedProgress) {
+            try {
+                // Synchronous snapshot for first paint until the adapter finishes loading;
+                // the legacy key is cleared once IndexedDB holds the data, the mirror summary is not
+                const mirror = this.readMirror();
+                const legacy = !mirror && typeof StorageAdapter !== 'undefined' ?
+                    StorageAdapter.readLegacy(this.getStorageKey()) : null;
+                const progress = this.migrate(legacy || this.getDefaultProgress());
+                if (mirror) {
+                    this.applyMirror(progress, mirror);
+                }
+                this.cachedProgress = progress;
+            } catch (error) {
+                console.error('Error loading progress:', error);
+                this.cachedProgress = this.getDefaultProgress();
+            }
+        }
+
+        return this.cachedProgress;
+    }
+
+    /**
+     * Keep a small synchronous summary of the active profile's progress for the next page's first paint
+     * Only completion state is mirrored; attempts, scores and study logs stay in the storage adapter
+     */
+    static writeMirror(progress) {
+        try {
+            const chapters = {};
+            Object.entries(progress.chapters).forEach(([chapterId, chapter]) => {
+                chapters[chapterId] = {
+                    completed: chapter.completed,
+                    total: chapter.total,
+                    exercises: chapter.exercises,
+                    testedOut: chapter.testedOut
+                };
+            });
+
+            localStorage.setItem(this.MIRROR_KEY, JSON.stringify({
+                profileId: this.getActiveProfile().id,
+                overallProgress: progress.overallProgress,
+                levels: progress.levels,
+                chapters
+            }));
+        } catch (error) {
+            // A mirror that missed this write would paint old progress, so drop it
+            console.warn('Could not update the progress mirror:', error);
+            this.clearMirror();
+        }
+    }
+
+    /**
+     * Remove the first-paint summary
+     */
+    static clearMirror() {
+        try {
+            localStorage.removeItem(this.MIRROR_KEY);
+        } catch (error) {
+            console.warn('Could not clear the progress mirror:', error);
+        }
+    }
+
+    /**
+     * Copy a mirrored summary onto progress built from defaults
+     */
+    static applyMirror(progress, mirror) {
+        Object.entries(mirror.chapters).forEach(([chapterId, summary]) => {
+            if (progress.chapters[chapterId]) {
+                Object.assign(progress.chapters[chapterId], summary);
+            }
+        });
+        Object.entries(mirror.levels || {}).forEach(([levelId, level]) => {
+            if (progress.levels[levelId]) {
+                Object.assign(progress.levels[levelId], level);
+            }
+        });
+        progress.overallProgress = mirror.overallProgress || 0;
+    }
+
+    /**
+     * Last mirrored { profileId, overallProgress, levels, chapters }, or null
+     */
+    static readMirror() {
+        try {
+            const stored = localStorage.getItem(this.MIRROR_KEY);
+            const mirror = stored ? JSON.parse(stored) : null;
+            return mirror && mirror.profileId && mirror.chapters ? mirror : null;
+        } catch (error) {
+            console.warn('Could not read the progress mirror:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Profile the last page had active, known before the profile registry has loaded
+     */
+    static getMirroredProfileId() {
+        const mirror = this.readMirror();
+        return mirror ? mirror.profileId : null;
+    }
+
+    /**
+     * Reload progress from storage (e.g. after another component wrote to it)
+     */
+    static invalidateCache() {
+        if (this.isLoaded) {
+            this.load();
+        }
+    }
+
+    /**
+     * Persist progress through the storage adapter under the active profile's key
+     * If another tab saved since this tab last read, both tabs' exercises are merged
+     * unless overwrite is set (backup replace)
+     */
+    static persist(progressData, storageKey = this.getStorageKey(), overwrite = false) {
+        if (typeof StorageAdapter === 'undefined') {
+            return Promise.resolve(false);
+        }
+
+        const profileId = this.getActiveProfile().id;
+        let mergedRemote = false;
+        let resetRemote = false;
+
+        return StorageAdapter.update(storageKey, stored => {
+            const storedRevision = stored ? stored.revision || 0 : 0;
+            let next = progressData;
+
+            if (!overwrite && storedRevision > this.lastRevision) {
+                // Another tab reset this profile: its reset wins over this tab's older progress
+                resetRemote = this.isNewerReset(stored);
+                next = resetRemote ? this.migrate(stored) : this.mergeProgress(progressData, this.migrate(stored), this.lastStoredProgress);
+                mergedRemote = true;
+            }
+
+            next.revision = Math.max(storedRevision, this.lastRevision) + 1;
+            return next;
+        })
+            .then(saved => {
+                this.lastRevision = saved.revision;
+                this.lastStoredProgress = this.cloneProgress(saved);
+                if (storageKey === this.getStorageKey()) {
+                    this.writeMirror(saved);
+                }
+
+                if (mergedRemote) {
+                    this.cachedProgress = saved;
+                    this.dispatchProgressEvent(resetRemote ? 'reset' : 'sync', null, false, false);
+                }
+
+                this.broadcastChange({ type: 'progress', action: overwrite ? 'replace' : 'save', profileId });
+
+                if (!StorageAdapter.isPersistent()) {
+                    this.showStorageError();
+                }
+                return true;
+            })
+            .catch(error => {
+                console.error('Error saving progress:', error);
+                this.showStorageError();
+                return false;
+            });
+    }
+
+    /**
+     * Write a pending debounced save immediately
+     */
+    static flushPendingSave() {
+        if (!this.saveTimeout) {
+            return Promise.resolve(true);
+        }
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        return this.isLoaded ? this.persist(this.cachedProgress) : Promise.resolve(true);
+    }
+
+    /**
+     * Save progress with debouncing for performance
+     */
+    static saveProgress(progressData) {
+        try {
+            progressData.lastAccessed = new Date().toISOString();
+            this.cachedProgress = progressData;
+            
+            // Use debounced save to prevent excessive storage writes
+            if (this.saveTimeout) {
+                clearTimeout(this.saveTimeout);
+            }
+            
+            this.saveTimeout = setTimeout(() => {
+                this.saveTimeout = null;
+                if (this.isLoaded) {
+                    this.persist(this.cachedProgress);
+                }
+            }, 100); // Debounce for 100ms
+            
+            return true;
+        } catch (error) {
+            console.error('Error saving progress:', error);
+            this.showStorageError();
+            return false;
+        }
+    }
+
+    /**
+     * Immediate save for critical operations (like completion)
+     * The write is queued in the storage adapter; failures fall back to the next backend
+     */
+    static saveProgressImmediate(progressData, overwrite = false) {
+        try {
+            progressData.lastAccessed = new Date().toISOString();
+            this.cachedProgress = progressData;
+
+            if (this.saveTimeout) {
+                clearTimeout(this.saveTimeout);
+                this.saveTimeout = null;
+            }
+
+            if (this.isLoaded) {
+                this.persist(progressData, this.getStorageKey(), overwrite);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error saving progress:', error);
+            this.showStorageError();
+            return false;
+        }
+    }
+
+    /**
+     * Apply an exercise status change to a progress object
+     * Returns the previous status, or null if the chapter does not exist
+     */
+    static applyExerciseUpdate(progress, chapterId, exerciseIndex, isCompleted) {
+        const chapter = progress.chapters[chapterId];
+        if (!chapter) {
+            return null;
+        }
+
+        const wasCompleted = chapter.exercises[exerciseIndex];
+        chapter.exercises[exerciseIndex] = isCompleted;
+
+        if (isCompleted && !wasCompleted) {
+            this.addDailyActivity(progress, { exercises: 1 });
+        }
+        
+        // Recalculate chapter completion
+        chapter.completed = chapter.exercises.filter(Boolean).length;
+        chapter.lastAccessed = new Date().toISOString();
+        
+        // Update overall progress and level completion dates
+        this.calculateOverallProgress(progress);
+
+        return wasCompleted;
+    }
+
+    /**
+     * Update exercise completion status with performance optimization
+     */
+    static updateExercise(chapterId, exerciseIndex, isCompleted) {
+        // Validate chapter ID against the course manifest
+        if (!CourseManifest.hasChapter(chapterId)) {
+            console.error(`Invalid chapter ID: ${chapterId}. Not in the course manifest.`);
+            return false;
+        }
+
+        // Chapters of a locked level keep no progress until the previous level is completed
+        if (this.isLoaded && !this.isChapterUnlocked(chapterId)) {
+            console.warn(`Chapter ${chapterId} is locked until ${this.getRequiredLevel(chapterId)} is completed.`);
+            return false;
+        }
+        
+        // Validate exercise index
+        const exerciseCount = CourseManifest.getExerciseCount(chapterId);
+        if (exerciseIndex < 0 || exerciseIndex >= exerciseCount) {
+            console.error(`Invalid exercise index: ${exerciseIndex}. Must be between 0 and ${exerciseCount - 1}.`);
+            return false;
+        }
+        
+        const progress = this.getProgress();
+        
+        if (!progress.chapters[chapterId]) {
+            console.error(`Chapter ${chapterId} not found`);
+            return false;
+        }
+
+        // Only update if status actually changed
+        const wasCompleted = progress.chapters[chapterId].exercises[exerciseIndex];
+        if (wasCompleted === isCompleted) {
+            return true; // No change needed
+        }
+        
+        const wasCourseCompleted = progress.completionDate !== null;
+        this.applyExerciseUpdate(progress, chapterId, exerciseIndex, isCompleted);
+
+        // Storage still loading: keep the change so it survives the load
+        if (!this.isLoaded) {
+            this.pendingUpdates.push(loaded => this.applyExerciseUpdate(loaded, chapterId, exerciseIndex, isCompleted));
+        }
+        
+        // Use immediate save for completion or important milestones
+        const isImportant = isCompleted || progress.overallProgress === 100 || !wasCourseCompleted;
+        const saved = isImportant ? 
+            this.saveProgressImmediate(progress) : 
+            this.saveProgress(progress);
+        
+        if (saved) {
+            // Dispatch custom event for UI updates
+            this.dispatchProgressEvent(chapterId, exerciseIndex, isCompleted, wasCompleted);
+        }
+        
+        return saved;
+    }
+
+    /**
+     * Record a single answer attempt for an exercise in the learning history log
+     * details: { exerciseId, errorType, timeToAnswerMs, score, hintsUsed, audioPlays }
+     * score (0-1) keeps the exercise's best score; attempts without one leave it unchanged
+     */
+    static recordAttempt(chapterId, exerciseIndex, isCorrect, userInput = '', details = {}) {
+        const score = this.normalizeScore(details.score);
+        const incrementAttempts = (progress) => {
+            const chapter = progress.chapters[chapterId];
+            if (chapter && Array.isArray(chapter.attempts) && exerciseIndex >= 0 && exerciseIndex < chapter.attempts.length) {
+                chapter.attempts[exerciseIndex] = (chapter.attempts[exerciseIndex] || 0) + 1;
+                if (score !== null && Array.isArray(chapter.scores)) {
+                    chapter.scores[exerciseIndex] = Math.max(chapter.scores[exerciseIndex] || 0, score);
+                }
+                this.addDailyActivity(progress, { attempts: 1 });
+            }
+        };
+
+        const progress = this.getProgress();
+        incrementAttempts(progress);
+
+        if (this.isLoaded) {
+            this.saveProgress(progress);
+        } else {
+            this.pendingUpdates.push(incrementAttempts);
+        }
+
+        if (typeof StorageAdapter === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        const timeToAnswerMs = Number(details.timeToAnswerMs);
+        const record = {
+            profileId: this.getActiveProfile().id,
+            chapterId,
+            exerciseIndex,
+            exerciseId: details.exerciseId || this.getExerciseId(chapterId, exerciseIndex),
+            isCorrect: Boolean(isCorrect),
+            userInput: String(userInput || '').slice(0, this.MAX_ATTEMPT_INPUT_LENGTH),
+            errorType: isCorrect ? null : (details.errorType || null),
+            score,
+            hintsUsed: Math.max(0, parseInt(details.hintsUsed, 10) || 0),
+            audioPlays: Math.max(0, parseInt(details.audioPlays, 10) || 0),
+            timestamp: new Date().toISOString(),
+            timeToAnswerMs: Number.isFinite(timeToAnswerMs) && timeToAnswerMs >= 0 ? Math.round(timeToAnswerMs) : null
+        };
+
+        return StorageAdapter.addAttempt(record).catch(error => {
+            console.warn('Could not store attempt record:', error);
+            return null;
+        });
+    }
+
+    /**
+     * Save a chapter quiz result: score (0-1) and how long the attempt took
+     * Kept apart from exercise completion, so a quiz never completes or resets exercises
+     */
+    static recordQuizResult(chapterId, score, durationSeconds) {
+        if (!CourseManifest.hasChapter(chapterId)) {
+            console.error(`Invalid chapter ID: ${chapterId}. Not in the course manifest.`);
+            return false;
+        }
+
+        const quizScore = this.normalizeScore(score) || 0;
+        const takenAt = new Date().toISOString();
+        const updateQuiz = (progress) => {
+            const chapter = progress.chapters[chapterId];
+            if (!chapter) return;
+
+            const quiz = chapter.quiz || (chapter.quiz = this.createQuizProgress());
+            quiz.attempts++;
+            quiz.bestScore = Math.max(quiz.bestScore || 0, quizScore);
+            quiz.lastScore = quizScore;
+            quiz.lastDurationSeconds = Math.max(0, Math.round(Number(durationSeconds) || 0));
+            quiz.lastTakenAt = takenAt;
+        };
+
+        const progress = this.getProgress();
+        updateQuiz(progress);
+
+        if (!this.isLoaded) {
+            this.pendingUpdates.push(updateQuiz);
+        }
+        return this.saveProgressImmediate(progress);
+    }
+
+    /**
+     * Best and latest quiz result of a chapter
+     */
+    static getQuizProgress(chapterId) {
+        return Object.assign(this.createQuizProgress(), this.getChapterProgress(chapterId).quiz);
+    }
+
+    /**
+     * Save a placement test result: { level, highestPassedChapter, recommendedChapter, testedOutChapters, correct, answered }
+     * With markTestedOut the chapters before the recommended one are marked as tested out;
+     * their exercises stay unanswered, so completion and certificates still need the real work
+     * Resolves once the result is stored, so the page can move on to the recommended chapter
+     */
+    static savePlacementResult(result, markTestedOut = false) {
+        if (!CourseManifest.hasChapter(result.recommendedChapter)) {
+            console.error(`Invalid recommended chapter: ${result.recommendedChapter}. Not in the course manifest.`);
+            return Promise.resolve(false);
+        }
+
+        const testedOutChapters = markTestedOut ? (result.testedOutChapters || []) : [];
+        const placement = {
+            level: result.level,
+            highestPassedChapter: result.highestPassedChapter,
+            recommendedChapter: result.recommendedChapter,
+            correct: result.correct,
+            answered: result.answered,
+            testedOut: Boolean(markTestedOut),
+            takenAt: new Date().toISOString()
+        };
+
+        return this.ready.then(() => {
+            const progress = this.getProgress();
+            progress.placement = placement;
+            testedOutChapters.forEach(chapterId => {
+                if (progress.chapters[chapterId]) {
+                    progress.chapters[chapterId].testedOut = true;
+                }
+            });
+
+            progress.lastAccessed = new Date().toISOString();
+            this.cachedProgress = progress;
+            return this.persist(progress);
+        }).then(saved => {
+            if (saved) {
+                this.dispatchProgressEvent('placement', null, false, false);
+            }
+            return saved;
+        });
+    }
+
+    /**
+     * The latest placement test result, or null before the learner took one
+     */
+    static getPlacement() {
+        return this.getProgress().placement || null;
+    }
+
+    static isChapterTestedOut(chapterId) {
+        return Boolean(this.getChapterProgress(chapterId).testedOut);
+    }
+
+    /**
+     * Where a learner should begin: the placement recommendation, otherwise the first chapter
+     */
+    static getStartChapter() {
+        const placement = this.getPlacement();
+        if (placement && CourseManifest.hasChapter(placement.recommendedChapter)) {
+            return CourseManifest.getChapter(placement.recommendedChapter);
+        }
+        return CourseManifest.getChapters()[0];
+    }
+
+    /**
+     * Whether the learner has answered anything yet, used to offer the placement test to new arrivals
+     */
+    static hasStarted() {
+        const progress = this.getProgress();
+        return Boolean(progress.placement) || Object.values(progress.chapters).some(chapter =>
+            chapter.completed > 0 || (Array.isArray(chapter.attempts) && chapter.attempts.some(count => count > 0)));
+    }
+
+    /**
+     * Remember the highest hint ladder step the learner opened for an exercise
+     */
+    static recordHintUse(chapterId, exerciseIndex, hintLevel) {
+        const level = Math.max(0, parseInt(hintLevel, 10) || 0);
+        const updateHints = (progress) => {
+            const chapter = progress.chapters[chapterId];
+            if (chapter && Array.isArray(chapter.hints) && exerciseIndex >= 0 && exerciseIndex < chapter.hints.length) {
+                chapter.hints[exerciseIndex] = Math.max(chapter.hints[exerciseIndex] || 0, level);
+            }
+        };
+
+        const progress = this.getProgress();
+        updateHints(progress);
+
+        if (this.isLoaded) {
+            this.saveProgress(progress);
+        } else {
+            this.pendingUpdates.push(updateHints);
+        }
+    }
+
+    /**
+     * Get the active profile's attempt records, optionally for a single chapter
+     */
+    static getAttempts(chapterId = null) {
+        if (typeof StorageAdapter === 'undefined') {
+            return Promise.resolve([]);
+        }
+
+        const profileId = this.getActiveProfile().id;
+        return StorageAdapter.getAttempts(chapterId)
+            .then(records => records.filter(record => this.getAttemptProfileId(record) === profileId));
+    }
+
+    /**
+     * Build the exercise id shown to learners, e.g. "13-4" for chapter 13, exercise 4
+     */
+    static getExerciseId(chapterId, exerciseIndex) {
+        return `${chapterId}-${exerciseIndex + 1}`;
+    }
+
+    /**
+     * Clamp an attempt score to 0-1 with two decimals, or null when there is none
+     */
+    static normalizeScore(score) {
+        const value = Number(score);
+        if (score === null || score === undefined || !Number.isFinite(value)) {
+            return null;
+        }
+        return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+    }
+
+    /**
+     * Mastery of a chapter: average best score over all its exercises, as a percentage
+     */
+    static getChapterScore(chapterId) {
+        const chapter = this.getChapterProgress(chapterId);
+        const scores = Array.isArray(chapter.scores) ? chapter.scores : [];
+        if (!chapter.total) return 0;
+        return Math.round((scores.reduce((sum, score) => sum + (score || 0), 0) / chapter.total) * 100);
+    }
+
+    /**
+     * Query the learning history log, newest first
+     * filters: { chapterId, exerciseId, isCorrect, since, limit }
+     */
+    static getAttemptHistory(filters = {}) {
+        const { chapterId = null, exerciseId = null, isCorrect = null, since = null, limit = null } = filters;
+        const sinceTime = since ? new Date(since).getTime() : null;
+
+        return this.getAttempts(chapterId).then(records => {
+            const history = records
+                .filter(record => exerciseId === null || (record.exerciseId || this.getExerciseId(record.chapterId, record.exerciseIndex)) === exerciseId)
+                .filter(record => isCorrect === null || record.isCorrect === isCorrect)
+                .filter(record => sinceTime === null || new Date(record.timestamp).getTime() >= sinceTime)
+                .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime() || (b.id || 0) - (a.id || 0));
+
+            return limit ? history.slice(0, limit) : history;
+        });
+    }
+
+    /**
+     * Summarize attempts per exercise, most-missed first
+     */
+    static getMostMissedExercises(limit = 5) {
+        return this.getAttemptHistory().then(history => {
+            const summaries = new Map();
+            const progress = this.getProgress();
+
+            // History is newest first, so the first record seen per exercise is the latest
+            history.forEach(record => {
+                const exerciseId = record.exerciseId || this.getExerciseId(record.chapterId, record.exerciseIndex);
+                let summary = summaries.get(exerciseId);
+
+                if (!summary) {
+                    const chapter = progress.chapters[record.chapterId];
+                    summary = {
+                        exerciseId,
+                        chapterId: record.chapterId,
+                        exerciseIndex: record.exerciseIndex,
+                        attempts: 0,
+                        incorrect: 0,
+                        lastAttempt: record.timestamp,
+                        lastIncorrectInput: null,
+                        lastErrorType: null,
+                        completed: !!(chapter && chapter.exercises[record.exerciseIndex])
+                    };
+                    summaries.set(exerciseId, summary);
+                }
+
+                summary.attempts++;
+                if (!record.isCorrect) {
+                    summary.incorrect++;
+                    if (summary.lastIncorrectInput === null) {
+                        summary.lastIncorrectInput = record.userInput;
+                        summary.lastErrorType = record.errorType || null;
+                    }
+                }
+            });
+
+            return Array.from(summaries.values())
+                .filter(summary => summary.incorrect > 0)
+                .sort((a, b) => b.incorrect - a.incorrect || new Date(b.lastAttempt).getTime() - new Date(a.lastAttempt).getTime())
+                .slice(0, limit);
+        });
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD, so days roll over at local midnight
+     */
+    static toDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return this.toDateKey(new Date(year, month - 1, day + days));
+    }
+
+    /**
+     * Whole calendar days from one date key to another
+     */
+    static daysBetween(fromKey, toKey) {
+        const toUTC = key => {
+            const [year, month, day] = key.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(toKey) - toUTC(fromKey)) / 86400000);
+    }
+
+    /**
+     * Monday of the week containing the given date
+     */
+    static getWeekStart(dateKey = this.toDateKey()) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const weekday = (new Date(year, month - 1, day).getDay() + 6) % 7;
+        return this.addDays(dateKey, -weekday);
+    }
+
+    /**
+     * Add to today's activity counters (exercises, attempts, seconds)
+     */
+    static addDailyActivity(progress, changes) {
+        if (!progress.study) {
+            progress.study = this.createStudyProgress();
+        }
+
+        const activity = progress.study.dailyActivity;
+        const today = this.toDateKey();
+        const day = activity[today] || (activity[today] = { exercises: 0, attempts: 0, seconds: 0 });
+
+        Object.keys(changes).forEach(field => {
+            day[field] = (day[field] || 0) + changes[field];
+        });
+
+        // Keep roughly a year of history
+        const oldest = this.addDays(today, -this.MAX_ACTIVITY_DAYS);
+        Object.keys(activity).forEach(dateKey => {
+            if (dateKey < oldest) {
+                delete activity[dateKey];
+            }
+        });
+    }
+
+    /**
+     * A day counts towards the streak after any exercise attempt or a minute of study
+     */
+    static isActiveDay(day) {
+        return !!day && ((day.attempts || 0) > 0 || (day.exercises || 0) > 0 || (day.seconds || 0) >= this.STREAK_MIN_SECONDS);
+    }
+
+    /**
+     * Daily streak where one missed day in a row is forgiven (shift workers have days off)
+     */
+    static getStreak() {
+        const activity = (this.getProgress().study || {}).dailyActivity || {};
+        const activeDays = Object.keys(activity).filter(dateKey => this.isActiveDay(activity[dateKey])).sort();
+        const maxGap = this.STREAK_GRACE_DAYS + 1;
+        const today = this.toDateKey();
+
+        let run = 0;
+        let longest = 0;
+        activeDays.forEach((dateKey, index) => {
+            run = index > 0 && this.daysBetween(activeDays[index - 1], dateKey) <= maxGap ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        });
+
+        const lastActiveDate = activeDays.length > 0 ? activeDays[activeDays.length - 1] : null;
+        const daysSinceActive = lastActiveDate ? this.daysBetween(lastActiveDate, today) : null;
+        const current = lastActiveDate && daysSinceActive <= maxGap ? run : 0;
+
+        return {
+            current,
+            longest,
+            lastActiveDate,
+            activeToday: lastActiveDate === today,
+            // Studying today is needed to keep the streak going
+            inGracePeriod: current > 0 && daysSinceActive === maxGap
+        };
+    }
+
+    /**
+     * Exercises completed since Monday against the weekly goal
+     */
+    static getWeeklyGoalProgress() {
+        const study = this.getProgress().study || this.createStudyProgress();
+        const weekStart = this.getWeekStart();
+        const completed = Object.keys(study.dailyActivity)
+            .filter(dateKey => dateKey >= weekStart)
+            .reduce((sum, dateKey) => sum + (study.dailyActivity[dateKey].exercises || 0), 0);
+
+        return {
+            goal: study.weeklyGoal,
+            completed,
+            percent: Math.min(100, Math.round((completed / study.weeklyGoal) * 100)),
+            achieved: completed >= study.weeklyGoal,
+            weekStart
+        };
+    }
+
+    /**
+     * Set the weekly exercise goal for the active profile
+     */
+    static setWeeklyGoal(goal) {
+        const value = parseInt(goal, 10);
+        if (isNaN(value) || value < 1 || value > this.MAX_WEEKLY_GOAL) {
+            console.error(`Invalid weekly goal: ${goal}`);
+            return false;
+        }
+
+        const applyGoal = (progress) => {
+            if (!progress.study) {
+                progress.study = this.createStudyProgress();
+            }
+            progress.study.weeklyGoal = value;
+        };
+
+        const progress = this.getProgress();
+        applyGoal(progress);
+
+        if (!this.isLoaded) {
+            this.pendingUpdates.push(applyGoal);
+        }
+
+        this.saveProgress(progress);
+        this.dispatchProgressEvent('goal', null, false, false);
+        return true;
+    }
+
+    /**
+     * Study time totals in seconds: overall, today, this week and per chapter
+     */
+    static getStudyTime() {
+        const progress = this.getProgress();
+        const activity = (progress.study || {}).dailyActivity || {};
+        const today = this.toDateKey();
+        const weekStart = this.getWeekStart(today);
+        const chapters = {};
+        let totalSeconds = 0;
+
+        Object.keys(progress.chapters).forEach(chapterId => {
+            chapters[chapterId] = progress.chapters[chapterId].studySeconds || 0;
+            totalSeconds += chapters[chapterId];
+        });
+
+        return {
+            totalSeconds,
+            todaySeconds: activity[today] ? activity[today].seconds || 0 : 0,
+            weekSeconds: Object.keys(activity)
+                .filter(dateKey => dateKey >= weekStart)
+                .reduce((sum, dateKey) => sum + (activity[dateKey].seconds || 0), 0),
+            chapters
+        };
+    }
+
+    /**
+     * Format seconds as "1h 5m" / "12m"
+     */
+    static formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    /**
+     * Count active study time on a chapter page; paused while the tab is hidden
+     */
+    static startStudyTimer(chapterId) {
+        this.stopStudyTimer();
+
+        const timer = {
+            chapterId,
+            segmentStart: document.visibilityState === 'hidden' ? null : Date.now()
+        };
+
+        timer.pause = () => {
+            this.flushStudyTime();
+            timer.segmentStart = null;
+            this.flushPendingSave();
+        };
+
+        timer.onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                timer.pause();
+            } else if (timer.segmentStart === null) {
+                timer.segmentStart = Date.now();
+            }
+        };
+
+        timer.intervalId = setInterval(() => this.flushStudyTime(), this.STUDY_FLUSH_INTERVAL);
+        document.addEventListener('visibilitychange', timer.onVisibilityChange);
+        window.addEventListener('pagehide', timer.pause);
+
+        this.studyTimer = timer;
+    }
+
+    static stopStudyTimer() {
+        const timer = this.studyTimer;
+        if (!timer) return;
+
+        timer.pause();
+        clearInterval(timer.intervalId);
+        document.removeEventListener('visibilitychange', timer.onVisibilityChange);
+        window.removeEventListener('pagehide', timer.pause);
+        this.studyTimer = null;
+    }
+
+    /**
+     * Add time since the last flush to the chapter and today's activity
+     */
+    static flushStudyTime() {
+        const timer = this.studyTimer;
+        if (!timer || timer.segmentStart === null) {
+            return 0;
+        }
+
+        const now = Date.now();
+        // A long gap between flushes means the device slept, so cap the segment
+        const maxSeconds = (this.STUDY_FLUSH_INTERVAL / 1000) * 2;
+        const seconds = Math.min(Math.round((now - timer.segmentStart) / 1000), maxSeconds);
+        timer.segmentStart = now;
+
+        if (seconds <= 0) {
+            return 0;
+        }
+
+        const addStudyTime = (progress) => {
+            const chapter = progress.chapters[timer.chapterId];
+            if (chapter) {
+                chapter.studySeconds = (chapter.studySeconds || 0) + seconds;
+            }
+            this.addDailyActivity(progress, { seconds });
+        };
+
+        const progress = this.getProgress();
+        addStudyTime(progress);
+
+        if (this.isLoaded) {
+            this.saveProgress(progress);
+        } else {
+            this.pendingUpdates.push(addStudyTime);
+        }
+
+        return seconds;
+    }
+
+    /**
+     * Calculate each level's overall percentage and date its completion
+     * Returns the A1 percentage, which the top-level fields mirror
+     */
+    static calculateOverallProgress(progress) {
+        CourseManifest.getLevels().forEach(({ id }) => {
+            const level = progress.levels[id] || (progress.levels[id] = this.createLevelProgress());
+            const totalExercises = CourseManifest.getTotalExercises(id);
+            let totalCompleted = 0;
+
+            // Only chapters that count toward completion (Chapter 0 is foundation, not counted)
+            CourseManifest.getCompletionChapters(id).forEach(chapter => {
+                if (progress.chapters[chapter.id]) {
+                    totalCompleted += progress.chapters[chapter.id].completed || 0;
+                }
+            });
+
+            // Round down so 100% always means every exercise is done
+            level.overallProgress = totalExercises > 0 ? Math.floor((totalCompleted / totalExercises) * 100) : 0;
+
+            // Completion is kept once reached, so later unlocked levels stay open
+            if (level.overallProgress === 100 && !level.completionDate) {
+                level.completionDate = new Date().toISOString();
+            }
+        });
+
+        const defaultLevel = progress.levels[CourseManifest.DEFAULT_LEVEL];
+        progress.overallProgress = defaultLevel.overallProgress;
+        progress.completionDate = defaultLevel.completionDate;
+        progress.certificateGenerated = defaultLevel.certificateGenerated;
+        return progress.overallProgress;
+    }
+
+    /**
+     * Get chapter progress
+     */
+    static getChapterProgress(chapterId) {
+        const progress = this.getProgress();
+        return progress.chapters[chapterId] || this.createChapterProgress(chapterId);
+    }
+
+    /**
+     * Get a course level's percentage, completion date and certificate state
+     */
+    static getLevelProgress(levelId = CourseManifest.DEFAULT_LEVEL) {
+        const progress = this.getProgress();
+        return (progress.levels && progress.levels[levelId]) || this.createLevelProgress();
+    }
+
+    /**
+     * Check if a level is completed (every exercise in its completion chapters)
+     */
+    static isCourseCompleted(levelId = CourseManifest.DEFAULT_LEVEL) {
+        return this.getLevelProgress(levelId).overallProgress === 100;
+    }
+
+    /**
+     * A level is open once the level it requires has been completed
+     */
+    static isLevelUnlocked(levelId) {
+        const level = CourseManifest.getLevel(levelId);
+        if (!level) return false;
+        return !level.requires || this.getLevelProgress(level.requires).completionDate !== null;
+    }
+
+    static isChapterUnlocked(chapterId) {
+        const levelId = CourseManifest.getChapterLevel(chapterId);
+        return levelId !== null && this.isLevelUnlocked(levelId);
+    }
+
+    /**
+     * Level that has to be completed before a chapter opens, or null if it is open
+     */
+    static getRequiredLevel(chapterId) {
+        const level = CourseManifest.getLevel(CourseManifest.getChapterLevel(chapterId));
+        return level && !this.isChapterUnlocked(chapterId) ? level.requires : null;
+    }
+
+    /**
+     * Get completion statistics for a course level
+     */
+    static getCompletionStats(levelId = CourseManifest.DEFAULT_LEVEL) {
+        const levelProgress = this.getLevelProgress(levelId);
+        const progress = this.getProgress();
+        let totalCompleted = 0;
+        let completedChapters = 0;
+        let totalScore = 0;
+        
+        // Only chapters that count toward completion (Chapter 0 is foundation, not counted)
+        CourseManifest.getCompletionChapters(levelId).forEach(({ id }) => {
+            const chapter = progress.chapters[id];
+            if (chapter) {
+                totalCompleted += chapter.completed || 0;
+                totalScore += (chapter.scores || []).reduce((sum, score) => sum + (score || 0), 0);
+                if (chapter.completed === chapter.total) {
+                    completedChapters++;
+                }
+            }
+        });
+        
+        const totalExercises = CourseManifest.getTotalExercises(levelId);
+        
+        return {
+            levelId,
+            unlocked: this.isLevelUnlocked(levelId),
+            totalExercises,
+            completedExercises: totalCompleted,
+            averageScore: totalExercises > 0 ? Math.round((totalScore / totalExercises) * 100) : 0,
+            totalChapters: CourseManifest.getTotalChapters(levelId),
+            completedChapters: completedChapters,
+            overallProgress: levelProgress.overallProgress,
+            completionDate: levelProgress.completionDate,
+            canGenerateCertificate: this.isCourseCompleted(levelId) && !levelProgress.certificateGenerated
+        };
+    }
+
+    /**
+     * Mark a level's certificate as generated
+     */
+    static markCertificateGenerated(studentName, levelId = CourseManifest.DEFAULT_LEVEL) {
+        const progress = this.getProgress();
+        progress.levels[levelId].certificateGenerated = true;
+        progress.studentName = studentName;
+        this.calculateOverallProgress(progress);
+        return this.saveProgress(progress);
+    }
+
+    /**
+     * Reset the active profile's progress (for testing or fresh start)
+     */
+    static resetProgress() {
+        try {
+            const progress = this.getDefaultProgress();
+            progress.resetAt = new Date().toISOString();
+            this.cachedProgress = progress;
+            this.lastStoredProgress = this.cloneProgress(progress);
+            this.pendingUpdates = [];
+            this.writeMirror(this.cachedProgress);
+
+            if (typeof StorageAdapter !== 'undefined') {
+                const profileId = this.getActiveProfile().id;
+                const storageKey = this.getStorageKey();
+
+                // Keep the key with a newer revision so tabs that save before hearing of the reset merge into it, not over it
+                StorageAdapter.update(storageKey, stored => {
+                    progress.revision = Math.max(stored ? stored.revision || 0 : 0, this.lastRevision) + 1;
+                    return progress;
+                })
+                    .then(saved => {
+                        this.lastRevision = saved.revision;
+                        this.lastStoredProgress = this.cloneProgress(saved);
+                        return StorageAdapter.clearLegacy(storageKey);
+                    })
+                    .then(() => this.broadcastChange({ type: 'progress', action: 'reset', profileId }))
+                    .catch(error => {
+                        console.error('Error resetting stored progress:', error);
+                    });
+                StorageAdapter.removeAttempts(record => this.getAttemptProfileId(record) === profileId);
+            }
+
+            this.dispatchProgressEvent('reset', null, false, false);
+            return true;
+        } catch (error) {
+            console.error('Error resetting progress:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Export progress data with a checksum so edited files can be detected
+     */
+    static exportProgress() {
+        const progress = this.getProgress();
+        const stats = this.getCompletionStats();
+        
+        const exportData = {
+            format: this.EXPORT_FORMAT,
+            formatVersion: this.EXPORT_FORMAT_VERSION,
+            exportDate: new Date().toISOString(),
+            profileName: this.getActiveProfile().name,
+            progress: progress,
+            statistics: stats
+        };
+
+        exportData.checksum = this.calculateChecksum(exportData);
+        return exportData;
+    }
+
+    /**
+     * JSON serialization with sorted object keys so checksums are stable
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item === undefined ? null : item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Calculate FNV-1a checksum of export data (excluding the checksum field)
+     */
+    static calculateChecksum(exportData) {
+        const { checksum, ...payload } = exportData;
+        const text = this.stableStringify(payload);
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Download the active profile's progress as a .json backup file
+     */
+    static downloadProgressBackup() {
+        try {
+            const exportData = this.exportProgress();
+            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const safeName = exportData.profileName.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'progress';
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `uzbek-textbook-${safeName}-${exportData.exportDate.slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return true;
+        } catch (error) {
+            console.error('Error exporting progress:', error);
+            alert("Xatolik: Natijalarni yuklab olib bo'lmadi. / Could not export progress.");
+            return false;
+        }
+    }
+
+    /**
+     * Check that imported data is an untampered backup file
+     * Returns an error message or null
+     */
+    static validateImportData(importData) {
+        if (!importData || typeof importData !== 'object' || importData.format !== this.EXPORT_FORMAT) {
+            return "Bu fayl progress nusxasi emas. / This file is not a progress backup.";
+        }
+
+        if (importData.formatVersion > this.EXPORT_FORMAT_VERSION) {
+            return "Fayl yangiroq versiyada yaratilgan. / This backup was made by a newer version.";
+        }
+
+        if (!importData.checksum || importData.checksum !== this.calculateChecksum(importData)) {
+            return "Fayl o'zgartirilgan yoki buzilgan. / The file was edited or is corrupted.";
+        }
+
+        if (!importData.progress || typeof importData.progress.chapters !== 'object') {
+            return "Faylda progress ma'lumotlari yo'q. / The file contains no progress data.";
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether stored progress was reset after the progress this tab last read
+     */
+    static isNewerReset(stored) {
+        const lastResetAt = this.lastStoredProgress ? this.lastStoredProgress.resetAt : null;
+        return Boolean(stored && stored.resetAt) && stored.resetAt !== lastResetAt;
+    }
+
+    /**
+     * Deep copy of a progress object
+     */
+    static cloneProgress(progress) {
+        return JSON.parse(JSON.stringify(progress));
+    }
+
+    /**
+     * Merge a counter both copies kept counting from base; without a base, keep the larger one
+     */
+    static mergeCounter(current, incoming, base = null) {
+        if (base === null) {
+            return Math.max(current || 0, incoming || 0);
+        }
+        return Math.max(0, (current || 0) + (incoming || 0) - (base || 0));
+    }
+
+    /**
+     * Merge two progress objects: union of completed exercises, best scores, earliest completion date per level
+     * base: the stored progress both copies started from, so attempt, hint and activity counters add up;
+     * without one (e.g. a backup import) the larger counter wins
+     */
+    static mergeProgress(current, incoming, base = null) {
+        const merged = this.cloneProgress(current);
+
+        Object.keys(incoming.chapters).forEach(chapterId => {
+            const source = incoming.chapters[chapterId];
+            const target = merged.chapters[chapterId];
+            if (!source || !target) return;
+
+            const baseChapter = base ? (base.chapters && base.chapters[chapterId]) || this.createChapterProgress(chapterId) : null;
+            const baseCount = (field, index) => (baseChapter ? (baseChapter[field] && baseChapter[field][index]) || 0 : null);
+
+            target.exercises = target.exercises.map((completed, index) => completed || Boolean(source.exercises[index]));
+            target.attempts = target.attempts.map((count, index) =>
+                this.mergeCounter(count, source.attempts[index], baseCount('attempts', index)));
+            target.scores = target.scores.map((score, index) => Math.max(score, (source.scores && source.scores[index]) || 0));
+            target.hints = target.hints.map((hints, index) =>
+                this.mergeCounter(hints, source.hints && source.hints[index], baseCount('hints', index)));
+            target.quiz = this.mergeQuizProgress(target.quiz, source.quiz, baseChapter ? baseChapter.quiz || this.createQuizProgress() : null);
+            target.testedOut = Boolean(target.testedOut || source.testedOut);
+            target.completed = target.exercises.filter(Boolean).length;
+            target.studySeconds = this.mergeCounter(target.studySeconds, source.studySeconds, baseChapter ? baseChapter.studySeconds || 0 : null);
+
+            if (source.lastAccessed && (!target.lastAccessed || source.lastAccessed > target.lastAccessed)) {
+                target.lastAccessed = source.lastAccessed;
+            }
+        });
+
+        Object.keys(merged.levels).forEach(levelId => {
+            const source = (incoming.levels && incoming.levels[levelId]) || this.createLevelProgress();
+            const target = merged.levels[levelId];
+            const completionDates = [target.completionDate, source.completionDate].filter(Boolean).sort();
+
+            target.completionDate = completionDates.length > 0 ? completionDates[0] : null;
+            target.certificateGenerated = Boolean(target.certificateGenerated || source.certificateGenerated);
+        });
+        merged.studentName = current.studentName || incoming.studentName || "";
+
+        // The more recent placement test wins
+        if (incoming.placement && (!merged.placement || incoming.placement.takenAt > merged.placement.takenAt)) {
+            merged.placement = incoming.placement;
+        }
+
+        // Same day in both copies: add what each counted since the base rather than double counting
+        const incomingActivity = incoming.study ? incoming.study.dailyActivity : {};
+        const baseActivity = base ? (base.study && base.study.dailyActivity) || {} : null;
+        Object.keys(incomingActivity).forEach(dateKey => {
+            const source = incomingActivity[dateKey];
+            const target = merged.study.dailyActivity[dateKey] || { exercises: 0, attempts: 0, seconds: 0 };
+            const baseDay = baseActivity ? baseActivity[dateKey] || {} : null;
+            Object.keys(source).forEach(field => {
+                target[field] = this.mergeCounter(target[field], source[field], baseDay ? baseDay[field] || 0 : null);
+            });
+            merged.study.dailyActivity[dateKey] = target;
+        });
+
+        this.calculateOverallProgress(merged);
+        return merged;
+    }
+
+    /**
+     * Merge two quiz records: attempts added up since base (or the most), best score, and the latest result of the two
+     */
+    static mergeQuizProgress(current, incoming, base = null) {
+        const target = Object.assign(this.createQuizProgress(), current);
+        if (!incoming) return target;
+
+        target.attempts = this.mergeCounter(target.attempts, incoming.attempts, base ? base.attempts || 0 : null);
+        target.bestScore = Math.max(target.bestScore, incoming.bestScore || 0);
+        if (incoming.lastTakenAt && (!target.lastTakenAt || incoming.lastTakenAt > target.lastTakenAt)) {
+            target.lastScore = incoming.lastScore;
+            target.lastDurationSeconds = incoming.lastDurationSeconds;
+            target.lastTakenAt = incoming.lastTakenAt;
+        }
+        return target;
+    }
+
+    /**
+     * Import a progress backup into the active profile
+     * mode 'merge' keeps existing progress, 'replace' overwrites it
+     */
+    static importProgress(importData, mode = 'merge') {
+        try {
+            const data = typeof importData === 'string' ? JSON.parse(importData) : importData;
+
+            const error = this.validateImportData(data);
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            // Bring older backups up to the current schema
+            const incoming = this.migrate(JSON.parse(JSON.stringify(data.progress)));
+            const progress = mode === 'replace' ? incoming : this.mergeProgress(this.getProgress(), incoming);
+
+            if (!this.isLoaded) {
+                this.pendingUpdates.push(loaded => Object.assign(loaded, mode === 'replace' ? incoming : this.mergeProgress(loaded, incoming)));
+            }
+
+            this.saveProgressImmediate(progress, mode === 'replace');
+            this.dispatchProgressEvent('import', null, false, false);
+
+            return { success: true, message: "Natijalar tiklandi. / Progress imported." };
+        } catch (error) {
+            console.error('Error importing progress:', error);
+            return { success: false, message: "Faylni o'qib bo'lmadi. / Could not read the file." };
+        }
+    }
+
+    /**
+     * Read a backup file chosen in the dashboard and import it
+     */
+    static importProgressFile(file, mode = 'merge') {
+        return new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(this.importProgress(reader.result, mode));
+            reader.onerror = () => resolve({ success: false, message: "Faylni o'qib bo'lmadi. / Could not read the file." });
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Handle file selection from the dashboard import control
+     */
+    static handleImportFileSelected(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        const replaceCheckbox = document.getElementById('import-replace-mode');
+        const mode = replaceCheckbox && replaceCheckbox.checked ? 'replace' : 'merge';
+
+        if (mode === 'replace' && !confirm("Joriy natijalar o'chirilib, fayldagisi bilan almashtirilsinmi?\nReplace current progress with the backup?")) {
+            input.value = '';
+            return;
+        }
+
+        this.importProgressFile(file, mode).then(result => {
+            alert(result.message);
+            input.value = '';
+
+            if (result.success) {
+                // Re-render dashboard with imported data
+                this.showProgressDashboard();
+            }
+        });
+    }
+
+    /**
+     * Listen for changes made in other tabs (BroadcastChannel, or storage events as a fallback)
+     */
+    static setupSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(this.SYNC_CHANNEL);
+            this.syncChannel.onmessage = (event) => this.handleSyncMessage(event.data);
+            return;
+        }
+
+        window.addEventListener('storage', (event) => {
+            if (event.key !== this.SYNC_CHANNEL || !event.newValue) return;
+
+            try {
+                this.handleSyncMessage(JSON.parse(event.newValue));
+            } catch (error) {
+                console.warn('Ignoring malformed sync message:', error);
+            }
+        });
+    }
+
+    /**
+     * Tell other tabs that stored progress or profiles changed
+     */
+    static broadcastChange(message) {
+        const payload = Object.assign({ tabId: this.TAB_ID, timestamp: new Date().toISOString() }, message);
+
+        try {
+            if (this.syncChannel) {
+                this.syncChannel.postMessage(payload);
+            } else if (typeof localStorage !== 'undefined') {
+                // The nonce makes every write a change, so a storage event always fires
+                payload.nonce = Math.random();
+                localStorage.setItem(this.SYNC_CHANNEL, JSON.stringify(payload));
+            }
+        } catch (error) {
+            console.warn('Could not notify other tabs:', error);
+        }
+    }
+
+    /**
+     * Apply a change notification from another tab
+     */
+    static handleSyncMessage(message) {
+        if (!message || message.tabId === this.TAB_ID || !this.isLoaded) {
+            return Promise.resolve();
+        }
+
+        if (message.type === 'profiles') {
+            return this.syncProfiles();
+        }
+
+        if (message.type === 'progress' && message.profileId === this.getActiveProfile().id) {
+            return this.syncFromStorage(message.action);
+        }
+
+        return Promise.resolve();
     }
 
     /**
-     * Mark certificate as generated
+     * Reload stored progress written by another tab, keeping this tab's unsaved edits
      */
-    static markCertificateGenerated(studentName) {
-        const progress = this.getProgress();
-        progress.certificateGenerated = true;
-        progress.studentName = studentName;
-        return this.saveProgress(progress);
+    static syncFromStorage(action = 'save') {
+        const replace = action === 'reset' || action === 'replace';
+
+        return StorageAdapter.read(this.getStorageKey())
+            .then(stored => {
+                const storedRevision = stored ? stored.revision || 0 : 0;
+                if (!replace && storedRevision <= this.lastRevision) {
+                    return;
+                }
+
+                if ((replace || this.isNewerReset(stored)) && this.saveTimeout) {
+                    clearTimeout(this.saveTimeout);
+                    this.saveTimeout = null;
+                }
+
+                const remote = this.migrate(stored || this.getDefaultProgress());
+                this.cachedProgress = this.saveTimeout ? this.mergeProgress(this.cachedProgress, remote, this.lastStoredProgress) : remote;
+                this.lastRevision = storedRevision;
+                this.lastStoredProgress = this.cloneProgress(remote);
+
+                this.dispatchProgressEvent(action === 'reset' ? 'reset' : 'sync', null, false, false);
+            })
+            .catch(error => {
+                console.error('Error syncing progress from another tab:', error);
+            });
     }
 
     /**
-     * Reset all progress (for testing or fresh start)
+     * Reload the profile registry after another tab changed it, following a profile switch
      */
-    static resetProgress() {
-        try {
-            localStorage.removeItem(this.STORAGE_KEY);
-            this.dispatchProgressEvent('reset', null, false, false);
-            return true;
-        } catch (error) {
-            console.error('Error resetting progress:', error);
-            return false;
-        }
+    static syncProfiles() {
+        const previousProfileId = this.getActiveProfile().id;
+
+        this.flushStudyTime();
+        return this.flushPendingSave()
+            .then(() => this.loadProfiles())
+            .then(() => {
+                const activeProfileId = this.getActiveProfile().id;
+
+                if (activeProfileId === previousProfileId) {
+                    this.dispatchProfileEvent('sync', activeProfileId);
+                    return;
+                }
+
+                this.cachedProgress = null;
+                this.pendingUpdates = [];
+                return this.load().then(() => this.dispatchProfileEvent('switch', activeProfileId));
+            });
     }
 
     /**
-     * Export progress data
+     * Run a callback with the event details whenever progress changes
      */
-    static exportProgress() {
-        const progress = this.getProgress();
-        const stats = this.getCompletionStats();
-        
-        return {
-            exportDate: new Date().toISOString(),
-            progress: progress,
-            statistics: stats
-        };
+    static onProgressUpdate(callback) {
+        const listener = (event) => callback(event.detail);
+        document.addEventListener('progressUpdate', listener);
+        return () => document.removeEventListener('progressUpdate', listener);
     }
 
     /**
@@ -342,6 +2089,10 @@ class ProgressTracker {
      * Show storage error message
      */
     static showStorageError() {
+        // Only warn once per page - every later save would hit the same problem
+        if (this.storageWarningShown) return;
+        this.storageWarningShown = true;
+
         const errorMsg = "Xatolik: Ma'lumotlarni saqlashda muammo. Brauzer sozlamalarini tekshiring.";
         
         // Try to show user-friendly error
@@ -356,18 +2107,48 @@ class ProgressTracker {
      * Initialize progress tracking for a chapter page
      */
     static initializeChapterPage(chapterId) {
-        // Update last accessed time for chapter
-        const progress = this.getProgress();
-        if (progress.chapters[chapterId]) {
-            progress.chapters[chapterId].lastAccessed = new Date().toISOString();
-            this.saveProgress(progress);
-        }
-        
         // Add event listeners for exercise interactions
         this.setupExerciseListeners(chapterId);
         
         // Update UI with current progress
         this.updateChapterUI(chapterId);
+
+        // Update last accessed time for chapter once stored progress is loaded
+        this.ready.then(() => {
+            if (!this.isChapterUnlocked(chapterId)) {
+                this.showLockedChapterNotice(chapterId);
+                return;
+            }
+
+            const progress = this.getProgress();
+            if (progress.chapters[chapterId]) {
+                progress.chapters[chapterId].lastAccessed = new Date().toISOString();
+                this.saveProgress(progress);
+            }
+        });
+
+        this.startStudyTimer(chapterId);
+    }
+
+    /**
+     * Tell the learner a chapter of a locked level keeps no progress yet
+     */
+    static showLockedChapterNotice(chapterId) {
+        if (document.querySelector('.level-locked-notice')) return;
+
+        const requiredLevel = this.getRequiredLevel(chapterId);
+        const notice = document.createElement('div');
+        notice.className = 'level-locked-notice';
+        notice.setAttribute('role', 'alert');
+        notice.style.cssText = 'margin: 16px; padding: 16px; border-radius: 12px; text-align: center; ' +
+            'background: var(--md-sys-color-error-container, #ffdad6); color: var(--md-sys-color-on-error-container, #410002);';
+        notice.innerHTML = `
+            🔒 Bu bob ${requiredLevel} kursini tugatgandan keyin ochiladi. Hozircha natijalar saqlanmaydi.<br>
+            This chapter unlocks after you complete the ${requiredLevel} course. Progress is not saved yet.<br>
+            <a href="index.html">← Bosh sahifa / Home</a>
+        `;
+
+        document.body.insertBefore(notice, document.body.firstChild);
     }
 
     /**
@@ -392,11 +2173,12 @@ class ProgressTracker {
     static updateChapterUI(chapterId) {
         const chapterProgress = this.getChapterProgress(chapterId);
         const progressPercent = Math.round((chapterProgress.completed / chapterProgress.total) * 100);
+        const chapterScore = this.getChapterScore(chapterId);
         
         // Update progress indicators
         const progressElements = document.querySelectorAll('.chapter-progress');
         progressElements.forEach(element => {
-            element.textContent = `Progress: ${progressPercent}% (${chapterProgress.completed}/${chapterProgress.total})`;
+            element.textContent = `Progress: ${progressPercent}% (${chapterProgress.completed}/${chapterProgress.total}) · Score: ${chapterScore}%`;
         });
         
         // Update exercise status indicators
@@ -500,9 +2282,9 @@ class ProgressTracker {
     static updateChapterCards() {
         const progress = this.getProgress();
         
-        for (let chapterId = 1; chapterId <= 24; chapterId++) {
+        CourseManifest.getChapterIds().forEach(chapterId => {
             const chapterProgress = progress.chapters[chapterId];
-            if (!chapterProgress) continue;
+            if (!chapterProgress) return;
             
             const progressPercent = Math.round((chapterProgress.completed / chapterProgress.total) * 100);
             
@@ -531,7 +2313,7 @@ class ProgressTracker {
                     }
                 }
             }
-        }
+        });
     }
 
     /**
@@ -616,6 +2398,9 @@ class ProgressTracker {
     static createProgressDashboard() {
         const stats = this.getCompletionStats();
         const progress = this.getProgress();
+        const streak = this.getStreak();
+        const weeklyGoal = this.getWeeklyGoalProgress();
+        const studyTime = this.getStudyTime();
         
         const dashboard = document.createElement('div');
         dashboard.className = 'progress-dashboard';
@@ -623,13 +2408,16 @@ class ProgressTracker {
             <div class="dashboard-header">
                 <h3>Learning Progress Dashboard</h3>
                 <p>O'quv jarayoni statistikasi</p>
+                <p class="dashboard-profile">👤 ${this.escapeHTML(this.getActiveProfile().name)}</p>
             </div>
             
             <div class="dashboard-stats">
+                ${CourseManifest.getPublishedLevels().map(level => `
                 <div class="stat-card">
-                    <div class="stat-number">${stats.overallProgress}%</div>
-                    <div class="stat-label">Overall Progress</div>
+                    <div class="stat-number">${this.isLevelUnlocked(level.id) ? '' : '🔒 '}${this.getLevelProgress(level.id).overallProgress}%</div>
+                    <div class="stat-label">Overall Progress · ${level.id}</div>
                 </div>
+                `).join('')}
                 
                 <div class="stat-card">
                     <div class="stat-number">${stats.completedExercises}</div>
@@ -641,12 +2429,64 @@ class ProgressTracker {
                     <div class="stat-label">Chapters Completed</div>
                 </div>
                 
+                <div class="stat-card">
+                    <div class="stat-number">${stats.averageScore}%</div>
+                    <div class="stat-label">Average Score / O'rtacha ball</div>
+                    <div class="stat-detail">Birinchi urinish = to'liq ball / First try = full marks</div>
+                </div>
+                
+                <div class="stat-card ${streak.inGracePeriod ? 'stat-card-warning' : ''}">
+                    <div class="stat-number">🔥 ${streak.current}</div>
+                    <div class="stat-label">Day Streak / Kunlik seriya</div>
+                    <div class="stat-detail">${streak.inGracePeriod ?
+                        "Bugun o'qing! / Study today to keep it" :
+                        `Eng uzun / Best: ${streak.longest}`}</div>
+                </div>
+                
+                <div class="stat-card ${weeklyGoal.achieved ? 'stat-card-success' : ''}">
+                    <div class="stat-number">${weeklyGoal.completed} / ${weeklyGoal.goal}</div>
+                    <div class="stat-label">Weekly Goal / Haftalik maqsad</div>
+                    <button type="button" class="stat-action" onclick="ProgressTracker.promptWeeklyGoal()"
+                            aria-label="Change weekly goal">✏️ O'zgartirish / Change</button>
+                </div>
+                
+                <div class="stat-card">
+                    <div class="stat-number">${this.formatDuration(studyTime.weekSeconds)}</div>
+                    <div class="stat-label">Study Time This Week / Shu hafta</div>
+                    <div class="stat-detail">Jami / Total: ${this.formatDuration(studyTime.totalSeconds)}</div>
+                </div>
+                
                 <div class="stat-card">
                     <div class="stat-number">${stats.canGenerateCertificate ? 'Ready' : 'In Progress'}</div>
                     <div class="stat-label">Certificate Status</div>
                 </div>
             </div>
             
+            <div class="dashboard-most-missed">
+                <h4>Most-missed exercises / Eng ko'p xato qilingan mashqlar</h4>
+                <div class="most-missed-list">
+                    <p class="most-missed-empty">Yuklanmoqda... / Loading...</p>
+                </div>
+            </div>
+            
+            <div class="dashboard-backup">
+                <h4>Backup / Zaxira nusxa</h4>
+                <div class="backup-actions">
+                    <button type="button" class="backup-btn" onclick="ProgressTracker.downloadProgressBackup()">
+                        💾 Yuklab olish / Export
+                    </button>
+                    <label class="backup-btn" for="import-progress-file">
+                        📂 Tiklash / Import
+                    </label>
+                    <input type="file" id="import-progress-file" accept=".json,application/json" hidden
+                           onchange="ProgressTracker.handleImportFileSelected(this)">
+                    <label class="backup-replace">
+                        <input type="checkbox" id="import-replace-mode">
+                        Birlashtirmasdan almashtirish / Replace instead of merge
+                    </label>
+                </div>
+            </div>
+            
             <div class="dashboard-chapters">
                 <h4>Chapter Progress</h4>
                 <div class="chapters-progress-list">
@@ -665,30 +2505,41 @@ class ProgressTracker {
      * Generate chapter progress list HTML
      */
     static generateChapterProgressList(progress) {
+        const levels = CourseManifest.getPublishedLevels();
         let html = '';
         
-        for (let i = 1; i <= 24; i++) {
-            const chapter = progress.chapters[i];
-            const progressPercent = Math.round((chapter.completed / chapter.total) * 100);
-            
-            html += `
-                <div class="chapter-progress-item">
-                    <div class="chapter-info">
-                        <span class="chapter-number">Chapter ${i}</span>
-                        <span class="chapter-progress-text">${progressPercent}%</span>
-                    </div>
-                    <div class="chapter-progress-bar-small">
-                        <div class="chapter-progress-fill-small" style="width: ${progressPercent}%"></div>
-                    </div>
-                    <div class="chapter-exercises">
-                        ${chapter.exercises.map((completed, index) => 
-                            `<span class="exercise-dot ${completed ? 'completed' : 'not-completed'}" 
-                                   title="Exercise ${index + 1}: ${completed ? 'Completed' : 'Not completed'}"></span>`
-                        ).join('')}
+        levels.forEach(level => {
+            // Level headings only once a second level has chapters
+            if (levels.length > 1) {
+                html += `<h5 class="level-progress-heading">${level.id} · ${level.title}</h5>`;
+            }
+
+            CourseManifest.getCompletionChapters(level.id).forEach(({ id }) => {
+                const chapter = progress.chapters[id];
+                const progressPercent = Math.round((chapter.completed / chapter.total) * 100);
+                const scores = chapter.scores || [];
+                const hints = chapter.hints || [];
+                
+                html += `
+                    <div class="chapter-progress-item">
+                        <div class="chapter-info">
+                            <span class="chapter-number">Chapter ${id}</span>
+                            <span class="chapter-progress-text">${progressPercent}%</span>
+                            <span class="chapter-score-text" title="Average best score / O'rtacha eng yaxshi ball">🎯 ${this.getChapterScore(id)}%</span>
+                        </div>
+                        <div class="chapter-progress-bar-small">
+                            <div class="chapter-progress-fill-small" style="width: ${progressPercent}%"></div>
+                        </div>
+                        <div class="chapter-exercises">
+                            ${chapter.exercises.map((completed, index) => 
+                                `<span class="exercise-dot ${completed ? 'completed' : 'not-completed'}" 
+                                       title="Exercise ${index + 1}: ${completed ? 'Completed' : 'Not completed'} · Score ${Math.round((scores[index] || 0) * 100)}%${hints[index] ? ` · Hints ${hints[index]}` : ''}"></span>`
+                            ).join('')}
+                        </div>
                     </div>
-                </div>
-            `;
-        }
+                `;
+            });
+        });
         
         return html;
     }
@@ -724,6 +2575,12 @@ class ProgressTracker {
                 font-size: 0.875rem;
             }
             
+            .dashboard-header p.dashboard-profile {
+                margin-top: -16px;
+                font-weight: 500;
+                color: var(--md-sys-color-primary, #1976d2);
+            }
+            
             .dashboard-stats {
                 display: grid;
                 grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
@@ -749,6 +2606,129 @@ class ProgressTracker {
                 font-size: 0.875rem;
                 opacity: 0.8;
             }
+
+            .stat-detail {
+                font-size: 0.75rem;
+                margin-top: 4px;
+                opacity: 0.8;
+            }
+
+            .stat-card-warning {
+                background: var(--md-sys-color-tertiary-container, #ffd8e4);
+                color: var(--md-sys-color-on-tertiary-container, #31111d);
+            }
+
+            .stat-card-success {
+                background: var(--md-sys-color-secondary-container, #c8e6c9);
+                color: var(--md-sys-color-on-secondary-container, #1b5e20);
+            }
+
+            .stat-action {
+                margin-top: 8px;
+                min-height: 32px;
+                padding: 4px 12px;
+                border: none;
+                border-radius: 16px;
+                background: var(--md-sys-color-surface, #ffffff);
+                color: inherit;
+                font-size: 0.75rem;
+                cursor: pointer;
+            }
+            
+            .dashboard-most-missed {
+                margin-bottom: 32px;
+            }
+
+            .dashboard-most-missed h4 {
+                color: var(--md-sys-color-primary, #1976d2);
+                margin-bottom: 12px;
+                font-size: 1.25rem;
+                font-weight: 500;
+            }
+
+            .most-missed-item {
+                padding: 12px 16px;
+                margin-bottom: 8px;
+                border-radius: 12px;
+                background: var(--md-sys-color-error-container, #ffdad6);
+                color: var(--md-sys-color-on-error-container, #410002);
+            }
+
+            .most-missed-item.completed {
+                background: var(--md-sys-color-surface-variant, #e7e0ec);
+                color: var(--md-sys-color-on-surface-variant, #49454f);
+            }
+
+            .most-missed-info {
+                display: flex;
+                justify-content: space-between;
+                gap: 8px;
+                font-weight: 500;
+            }
+
+            .most-missed-answer {
+                margin-top: 4px;
+                font-size: 0.875rem;
+                word-break: break-word;
+            }
+
+            .most-missed-error {
+                display: inline-block;
+                margin-left: 8px;
+                padding: 0 8px;
+                border-radius: 8px;
+                font-size: 0.75rem;
+                background: var(--md-sys-color-surface, #ffffff);
+            }
+
+            .most-missed-empty {
+                color: var(--md-sys-color-on-surface-variant, #49454f);
+                font-size: 0.875rem;
+            }
+
+            .dashboard-backup {
+                margin-bottom: 32px;
+            }
+
+            .dashboard-backup h4 {
+                color: var(--md-sys-color-primary, #1976d2);
+                margin-bottom: 12px;
+                font-size: 1.25rem;
+                font-weight: 500;
+            }
+            
+            .backup-actions {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 12px;
+            }
+            
+            .backup-btn {
+                display: inline-flex;
+                align-items: center;
+                min-height: 44px;
+                padding: 8px 16px;
+                border-radius: 20px;
+                border: none;
+                background: var(--md-sys-color-secondary-container, #dae2f9);
+                color: var(--md-sys-color-on-secondary-container, #131c2b);
+                font-size: 0.875rem;
+                font-weight: 500;
+                cursor: pointer;
+            }
+            
+            .backup-btn:hover {
+                background: var(--md-sys-color-primary-container, #d3e3fd);
+            }
+            
+            .backup-replace {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                font-size: 0.875rem;
+                color: var(--md-sys-color-on-surface-variant, #44474f);
+            }
             
             .dashboard-chapters h4 {
                 color: var(--md-sys-color-primary, #1976d2);
@@ -763,6 +2743,12 @@ class ProgressTracker {
                 gap: 12px;
             }
             
+            .level-progress-heading {
+                margin: 8px 0 0;
+                color: var(--md-sys-color-primary, #1976d2);
+                font-weight: 500;
+            }
+            
             .chapter-progress-item {
                 display: grid;
                 grid-template-columns: 120px 1fr auto;
@@ -790,6 +2776,11 @@ class ProgressTracker {
                 font-weight: 600;
             }
             
+            .chapter-score-text {
+                font-size: 0.75rem;
+                color: var(--md-sys-color-on-surface-variant, #44474f);
+            }
+            
             .chapter-progress-bar-small {
                 height: 6px;
                 background: var(--md-sys-color-outline, #74777f);
@@ -910,6 +2901,9 @@ class ProgressTracker {
         
         document.body.appendChild(modal);
         
+        // Attempt history is read asynchronously, so fill it in after the modal is shown
+        this.renderMostMissedExercises(modal.querySelector('.most-missed-list'));
+        
         // Focus management for accessibility
         const closeButton = modal.querySelector('.modal-close');
         if (closeButton) {
@@ -926,6 +2920,53 @@ class ProgressTracker {
         document.addEventListener('keydown', handleEscape);
     }
 
+    /**
+     * Fill a container with the active profile's most-missed exercises
+     */
+    static renderMostMissedExercises(container) {
+        if (!container) return Promise.resolve();
+
+        return this.getMostMissedExercises().then(summaries => {
+            if (summaries.length === 0) {
+                container.innerHTML = '<p class="most-missed-empty">Hozircha xatolar yo\'q / No mistakes yet</p>';
+                return;
+            }
+
+            container.innerHTML = summaries.map(summary => `
+                <div class="most-missed-item ${summary.completed ? 'completed' : ''}">
+                    <div class="most-missed-info">
+                        <span class="most-missed-id">Exercise ${this.escapeHTML(summary.exerciseId)}</span>
+                        <span class="most-missed-count">${summary.incorrect} / ${summary.attempts} xato / wrong</span>
+                    </div>
+                    ${summary.lastIncorrectInput ? `
+                        <div class="most-missed-answer">
+                            Oxirgi javob / Last answer: "${this.escapeHTML(summary.lastIncorrectInput)}"
+                            ${summary.lastErrorType ? `<span class="most-missed-error">${this.escapeHTML(summary.lastErrorType)}</span>` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('');
+        }).catch(error => {
+            console.warn('Could not load attempt history:', error);
+            container.innerHTML = '<p class="most-missed-empty">Tarixni yuklab bo\'lmadi / Could not load history</p>';
+        });
+    }
+
+    /**
+     * Ask for a new weekly goal and refresh the open dashboard
+     */
+    static promptWeeklyGoal() {
+        const current = this.getWeeklyGoalProgress().goal;
+        const input = prompt(`Haftada nechta mashq bajarmoqchisiz? / How many exercises per week? (1-${this.MAX_WEEKLY_GOAL})`, current);
+        if (input === null) return;
+
+        if (this.setWeeklyGoal(input)) {
+            this.showProgressDashboard();
+        } else {
+            alert(`1 dan ${this.MAX_WEEKLY_GOAL} gacha son kiriting. / Enter a number from 1 to ${this.MAX_WEEKLY_GOAL}.`);
+        }
+    }
+
     /**
      * Hide progress dashboard modal
      */
@@ -1114,11 +3155,169 @@ class ProgressTracker {
         
         document.body.appendChild(button);
     }
+
+    /**
+     * Escape user-provided text (profile names) before inserting into HTML
+     */
+    static escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Render the learner profile picker into a container
+     */
+    static renderProfilePicker(container) {
+        if (!container) return;
+
+        const activeProfile = this.getActiveProfile();
+        const options = this.getProfiles().map(profile =>
+            `<option value="${this.escapeHTML(profile.id)}" ${profile.id === activeProfile.id ? 'selected' : ''}>${this.escapeHTML(profile.name)}</option>`
+        ).join('');
+
+        container.innerHTML = `
+            <div class="profile-picker" role="group" aria-label="Learner profile">
+                <label for="profile-select" class="profile-picker-label">👤 O'quvchi / Learner:</label>
+                <select id="profile-select" class="profile-select">${options}</select>
+                <button type="button" class="profile-btn" data-action="create" aria-label="Add learner profile" title="Yangi profil / New profile">➕</button>
+                <button type="button" class="profile-btn" data-action="rename" aria-label="Rename learner profile" title="Nomini o'zgartirish / Rename">✏️</button>
+                <button type="button" class="profile-btn" data-action="delete" aria-label="Delete learner profile" title="O'chirish / Delete"
+                        ${this.getProfiles().length === 1 ? 'disabled' : ''}>🗑️</button>
+            </div>
+        `;
+
+        this.addProfilePickerStyles();
+
+        container.querySelector('.profile-select').addEventListener('change', (event) => {
+            this.switchProfile(event.target.value);
+        });
+
+        container.querySelectorAll('.profile-btn').forEach(button => {
+            button.addEventListener('click', () => this.handleProfileAction(button.dataset.action));
+        });
+
+        // Keep the picker in sync with profile changes made elsewhere
+        if (!container.dataset.profileListener) {
+            container.dataset.profileListener = 'true';
+            document.addEventListener('profileChanged', () => this.renderProfilePicker(container));
+        }
+    }
+
+    /**
+     * Handle profile picker button actions
+     */
+    static handleProfileAction(action) {
+        const activeProfile = this.getActiveProfile();
+
+        if (action === 'create') {
+            const name = prompt('Yangi o\'quvchi ismini kiriting:\nEnter the new learner\'s name:');
+            if (name === null) return;
+
+            const error = this.validateProfileName(name);
+            if (error) {
+                alert(error);
+                return;
+            }
+
+            const profile = this.createProfile(name);
+            if (profile) {
+                this.switchProfile(profile.id);
+            }
+        } else if (action === 'rename') {
+            const name = prompt('Yangi ismni kiriting:\nEnter the new name:', activeProfile.name);
+            if (name === null) return;
+
+            const error = this.validateProfileName(name, activeProfile.id);
+            if (error) {
+                alert(error);
+                return;
+            }
+
+            this.renameProfile(activeProfile.id, name);
+        } else if (action === 'delete') {
+            const confirmed = confirm(
+                `"${activeProfile.name}" profili va uning barcha natijalari o'chirilsinmi?\n` +
+                `Delete the "${activeProfile.name}" profile and all its progress?`
+            );
+            if (confirmed) {
+                this.deleteProfile(activeProfile.id);
+            }
+        }
+    }
+
+    /**
+     * Add profile picker styles
+     */
+    static addProfilePickerStyles() {
+        if (document.getElementById('profile-picker-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'profile-picker-styles';
+        style.textContent = `
+            .profile-picker {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                justify-content: center;
+                gap: 8px;
+                margin-top: 16px;
+            }
+            
+            .profile-picker-label {
+                font-weight: 500;
+                color: var(--md-sys-color-on-surface, #1a1c1e);
+            }
+            
+            .profile-select {
+                min-height: 44px;
+                padding: 8px 12px;
+                border-radius: 8px;
+                border: 1px solid var(--md-sys-color-outline, #74777f);
+                background: var(--md-sys-color-surface, #fefbff);
+                color: var(--md-sys-color-on-surface, #1a1c1e);
+                font-size: 1rem;
+            }
+            
+            .profile-btn {
+                min-width: 44px;
+                min-height: 44px;
+                border-radius: 50%;
+                border: none;
+                background: var(--md-sys-color-secondary-container, #dae2f9);
+                color: var(--md-sys-color-on-secondary-container, #131c2b);
+                cursor: pointer;
+                font-size: 18px;
+                transition: background-color 0.2s ease;
+            }
+            
+            .profile-btn:hover:not(:disabled) {
+                background: var(--md-sys-color-primary-container, #d3e3fd);
+            }
+            
+            .profile-btn:focus,
+            .profile-select:focus {
+                outline: 2px solid var(--md-sys-color-primary, #1976d2);
+                outline-offset: 2px;
+            }
+            
+            .profile-btn:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
 }
 
 // Make ProgressTracker available globally
 if (typeof window !== 'undefined') {
     window.ProgressTracker = ProgressTracker;
+
+    // Start loading stored progress as early as possible
+    ProgressTracker.setupSync();
+    ProgressTracker.load();
     
     // Auto-add progress dashboard button on page load
     document.addEventListener('DOMContentLoaded', () => {
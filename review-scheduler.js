@@ -0,0 +1,321 @@
+/**
+ * Review Scheduler for English for Uzbek Seasonal Workers
+ * SM-2 style spaced repetition for missed exercises and chapter vocabulary,
+ * stored per learner profile through the storage adapter
+ */
+
+class ReviewScheduler {
+    static STORAGE_SUFFIX = 'review';
+    static QUEUE_VERSION = 1;
+    static DEFAULT_EASE = 2.5;
+    static MIN_EASE = 1.3;
+    static CORRECT_QUALITY = 4;
+    static HINTED_QUALITY = 3;
+    static INCORRECT_QUALITY = 1;
+    static SESSION_LIMIT = 20;
+    static items = null;
+    static ready = null;
+
+    /**
+     * Storage key for a profile's review queue, next to its progress document
+     */
+    static getStorageKey(profileId = ProgressTracker.getActiveProfile().id) {
+        return `${ProgressTracker.getStorageKey(profileId)}-${this.STORAGE_SUFFIX}`;
+    }
+
+    /**
+     * Load the active profile's review queue
+     */
+    static load() {
+        this.ready = ProgressTracker.ready
+            .then(() => StorageAdapter.read(this.getStorageKey()))
+            .then(stored => {
+                this.items = stored && stored.items ? stored.items : {};
+            })
+            .catch(error => {
+                console.error('Error loading review queue:', error);
+                this.items = {};
+            })
+            .then(() => this.items);
+
+        return this.ready;
+    }
+
+    static ensureLoaded() {
+        return this.ready || this.load();
+    }
+
+    static save() {
+        return StorageAdapter.write(this.getStorageKey(), {
+            version: this.QUEUE_VERSION,
+            items: this.items
+        }).catch(error => {
+            console.error('Error saving review queue:', error);
+        });
+    }
+
+    /**
+     * Create a new queue item, first due tomorrow
+     */
+    static createItem(id, type, data) {
+        return Object.assign({
+            id,
+            type,
+            easeFactor: this.DEFAULT_EASE,
+            interval: 1,
+            repetitions: 0,
+            lapses: 0,
+            hintsUsed: 0,
+            dueDate: ProgressTracker.addDays(ProgressTracker.toDateKey(), 1),
+            lastReviewed: null,
+            addedAt: new Date().toISOString()
+        }, data);
+    }
+
+    /**
+     * Apply an SM-2 grade (0-5) and compute the next due date
+     */
+    static applyGrade(item, quality) {
+        if (quality < 3) {
+            item.repetitions = 0;
+            item.interval = 1;
+            item.lapses = (item.lapses || 0) + 1;
+        } else {
+            item.repetitions++;
+            if (item.repetitions === 1) {
+                item.interval = 1;
+            } else if (item.repetitions === 2) {
+                item.interval = 6;
+            } else {
+                item.interval = Math.round(item.interval * item.easeFactor);
+            }
+        }
+
+        const easeChange = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+        item.easeFactor = Math.max(this.MIN_EASE, Math.round((item.easeFactor + easeChange) * 100) / 100);
+        item.lastReviewed = new Date().toISOString();
+        item.dueDate = ProgressTracker.addDays(ProgressTracker.toDateKey(), item.interval);
+
+        return item;
+    }
+
+    /**
+     * Queue an exercise the learner answered wrong; a repeat miss counts as a lapse
+     */
+    static addMissedExercise(chapterId, exerciseIndex, exerciseElement, correctAnswer) {
+        const exerciseId = (exerciseElement && exerciseElement.dataset && exerciseElement.dataset.exerciseId) ||
+            ProgressTracker.getExerciseId(chapterId, exerciseIndex);
+        const question = this.extractQuestionText(exerciseElement);
+
+        return this.ensureLoaded().then(() => {
+            const id = `exercise:${exerciseId}`;
+            const existing = this.items[id];
+
+            if (existing) {
+                existing.question = question || existing.question;
+                existing.answer = correctAnswer;
+                this.applyGrade(existing, this.INCORRECT_QUALITY);
+            } else {
+                this.items[id] = this.createItem(id, 'exercise', {
+                    chapterId,
+                    exerciseIndex,
+                    exerciseId,
+                    question,
+                    answer: correctAnswer
+                });
+            }
+
+            return this.save();
+        });
+    }
+
+    /**
+     * Queue an exercise the learner needed hints for; review shows the most hinted items first
+     */
+    static addHintedExercise(chapterId, exerciseIndex, exerciseElement, correctAnswer, hintsUsed) {
+        const exerciseId = (exerciseElement && exerciseElement.dataset && exerciseElement.dataset.exerciseId) ||
+            ProgressTracker.getExerciseId(chapterId, exerciseIndex);
+
+        return this.ensureLoaded().then(() => {
+            const id = `exercise:${exerciseId}`;
+            const existing = this.items[id];
+
+            if (existing) {
+                existing.hintsUsed = Math.max(existing.hintsUsed || 0, hintsUsed);
+            } else {
+                this.items[id] = this.createItem(id, 'exercise', {
+                    chapterId,
+                    exerciseIndex,
+                    exerciseId,
+                    question: this.extractQuestionText(exerciseElement),
+                    answer: correctAnswer,
+                    hintsUsed
+                });
+            }
+
+            return this.save();
+        });
+    }
+
+    /**
+     * Queue the rows of a chapter's vocabulary tables; known words keep their schedule
+     */
+    static addVocabulary(chapterId, root = document) {
+        const words = this.extractVocabulary(root);
+        if (words.length === 0) {
+            return Promise.resolve(0);
+        }
+
+        return this.ensureLoaded().then(() => {
+            let added = 0;
+
+            words.forEach(word => {
+                const id = `vocab:${chapterId}:${word.english.toLowerCase()}`;
+                if (!this.items[id]) {
+                    this.items[id] = this.createItem(id, 'vocabulary', {
+                        chapterId,
+                        english: word.english,
+                        uzbek: word.uzbek
+                    });
+                    added++;
+                }
+            });
+
+            return added > 0 ? this.save().then(() => added) : added;
+        });
+    }
+
+    /**
+     * Read English/Uzbek pairs from vocab-table rows
+     */
+    static extractVocabulary(root = document) {
+        const words = [];
+
+        root.querySelectorAll('table.vocab-table tbody tr').forEach(row => {
+            const englishCell = row.querySelector('td[data-label="English"]');
+            const uzbekCell = row.querySelector('td.uzbek');
+            const english = englishCell ? englishCell.textContent.trim() : '';
+            const uzbek = uzbekCell ? uzbekCell.textContent.trim() : '';
+
+            if (english && uzbek) {
+                words.push({ english, uzbek });
+            }
+        });
+
+        return words;
+    }
+
+    /**
+     * Plain-text question from an exercise block, without its inputs and feedback
+     */
+    static extractQuestionText(exerciseElement) {
+        if (!exerciseElement || !exerciseElement.cloneNode) {
+            return '';
+        }
+
+        const clone = exerciseElement.cloneNode(true);
+        clone.querySelectorAll('.exercise-input-group, .exercise-feedback, button, input, textarea, select, script')
+            .forEach(element => element.remove());
+        clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+
+        const blocks = Array.from(clone.children).map(child => child.textContent);
+        const text = blocks.length > 0 ? blocks.join('\n') : clone.textContent;
+
+        return text.split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Items due on or before the given date, most hinted first, then oldest first
+     */
+    static getDueItems(limit = this.SESSION_LIMIT, dateKey = ProgressTracker.toDateKey()) {
+        return this.ensureLoaded().then(items => {
+            const due = Object.values(items)
+                .filter(item => item.dueDate <= dateKey)
+                .sort((a, b) => (b.hintsUsed || 0) - (a.hintsUsed || 0) ||
+                    a.dueDate.localeCompare(b.dueDate) || a.addedAt.localeCompare(b.addedAt));
+
+            return limit ? due.slice(0, limit) : due;
+        });
+    }
+
+    static getDueCount() {
+        return this.getDueItems(null).then(due => due.length);
+    }
+
+    /**
+     * Grade a reviewed item and schedule its next review
+     * A correct answer after hints passes with a lower grade; the item keeps this review's hint count
+     */
+    static recordReview(itemId, isCorrect, hintsUsed = 0) {
+        return this.ensureLoaded().then(() => {
+            const item = this.items[itemId];
+            if (!item) {
+                console.warn(`Review item not found: ${itemId}`);
+                return null;
+            }
+
+            const correctQuality = hintsUsed > 0 ? this.HINTED_QUALITY : this.CORRECT_QUALITY;
+            item.hintsUsed = hintsUsed;
+            this.applyGrade(item, isCorrect ? correctQuality : this.INCORRECT_QUALITY);
+            return this.save().then(() => item);
+        });
+    }
+
+    /**
+     * Queue summary for the review page
+     */
+    static getStats() {
+        return this.ensureLoaded().then(items => {
+            const all = Object.values(items);
+            const today = ProgressTracker.toDateKey();
+
+            return {
+                total: all.length,
+                due: all.filter(item => item.dueDate <= today).length,
+                exercises: all.filter(item => item.type === 'exercise').length,
+                vocabulary: all.filter(item => item.type === 'vocabulary').length
+            };
+        });
+    }
+
+    /**
+     * Keep the queue in step with profile switches, deletions and resets
+     */
+    static setupListeners() {
+        document.addEventListener('profileChanged', (e) => {
+            if (e.detail.action === 'switch') {
+                this.load();
+            } else if (e.detail.action === 'delete') {
+                StorageAdapter.remove(this.getStorageKey(e.detail.profileId));
+            }
+        });
+
+        document.addEventListener('progressUpdate', (e) => {
+            if (e.detail.chapterId === 'reset') {
+                this.items = {};
+                StorageAdapter.remove(this.getStorageKey());
+            }
+        });
+    }
+}
+
+// Make ReviewScheduler available globally
+if (typeof window !== 'undefined') {
+    window.ReviewScheduler = ReviewScheduler;
+    ReviewScheduler.setupListeners();
+
+    // Chapter pages add their vocabulary to the queue once the learner has seen it
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.querySelector('table.vocab-table') && typeof getCurrentChapterNumber === 'function') {
+            ReviewScheduler.addVocabulary(getCurrentChapterNumber());
+        }
+    });
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewScheduler;
+}
@@ -0,0 +1,358 @@
+/**
+ * Speech Player for English for Uzbek Seasonal Workers
+ * Reads vocabulary rows and dialogues aloud with the browser's offline speech synthesis,
+ * so learners hear more than the Cyrillic transcription column
+ */
+
+class SpeechPlayer {
+    static NORMAL_RATE = 0.9;
+    static SLOW_RATE = 0.6;
+    // Pitches that keep speakers apart when the device has only one English voice
+    static SPEAKER_PITCHES = [1, 0.8, 1.25, 0.95];
+    static STYLE_ID = 'speech-player-styles';
+    static slow = false;
+    static playingDialog = null;
+
+    /**
+     * Whether this browser can speak text aloud
+     */
+    static isAvailable() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+            typeof window.SpeechSynthesisUtterance === 'function';
+    }
+
+    /**
+     * English voices installed on the device, British first; local voices work without a connection
+     */
+    static getEnglishVoices() {
+        const voices = window.speechSynthesis.getVoices().filter(voice => /^en[-_]/i.test(voice.lang));
+        const local = voices.filter(voice => voice.localService);
+        const candidates = local.length > 0 ? local : voices;
+
+        return candidates.slice().sort((a, b) => Number(/^en[-_]GB/i.test(b.lang)) - Number(/^en[-_]GB/i.test(a.lang)));
+    }
+
+    static getRate() {
+        return this.slow ? this.SLOW_RATE : this.NORMAL_RATE;
+    }
+
+    /**
+     * Speak English text; resolves true when it finished and false when speech failed or is unavailable
+     * options: { rate, voice, pitch }
+     */
+    static speak(text, options = {}) {
+        if (!this.isAvailable() || !text) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            try {
+                const utterance = new window.SpeechSynthesisUtterance(text);
+                const voice = options.voice !== undefined ? options.voice : (this.getEnglishVoices()[0] || null);
+                utterance.lang = voice ? voice.lang : 'en-GB';
+                utterance.voice = voice;
+                utterance.rate = options.rate || this.getRate();
+                utterance.pitch = options.pitch || 1;
+                utterance.onend = () => resolve(true);
+                utterance.onerror = (event) => {
+                    // Cancelling a line to start another one is not a failure
+                    if (event.error !== 'interrupted' && event.error !== 'canceled') {
+                        console.warn('Speech synthesis failed:', event.error);
+                    }
+                    resolve(false);
+                };
+
+                window.speechSynthesis.cancel();
+                window.speechSynthesis.speak(utterance);
+            } catch (error) {
+                console.warn('Could not speak text:', error);
+                resolve(false);
+            }
+        });
+    }
+
+    static stop() {
+        this.playingDialog = null;
+        if (this.isAvailable()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * A play button in the English cell of every vocab-table row
+     */
+    static addVocabularyButtons(root = document) {
+        root.querySelectorAll('table.vocab-table').forEach(table => {
+            if (!table.previousElementSibling || !table.previousElementSibling.classList.contains('speech-toolbar')) {
+                table.insertAdjacentHTML('beforebegin', `<div class="speech-toolbar">${this.getSlowButtonHTML()}</div>`);
+            }
+
+            table.querySelectorAll('tbody tr').forEach(row => {
+                const englishCell = row.querySelector('td[data-label="English"]');
+                if (!englishCell || englishCell.querySelector('.speech-play-btn')) {
+                    return;
+                }
+
+                // The icon comes from CSS so the cell's text stays the plain word for vocabulary readers
+                const word = ProgressTracker.escapeHTML(englishCell.textContent.trim());
+                englishCell.insertAdjacentHTML('beforeend',
+                    ` <button type="button" class="speech-play-btn" data-text="${word}" aria-label="Listen: ${word}"></button>`);
+            });
+        });
+    }
+
+    /**
+     * "Play dialogue" and slow mode controls at the top of every dialogue
+     */
+    static addDialogControls(root = document) {
+        root.querySelectorAll('.dialog').forEach(dialog => {
+            if (dialog.querySelector('.speech-toolbar') || !dialog.querySelector('.dialog-text')) {
+                return;
+            }
+
+            dialog.insertAdjacentHTML('afterbegin', `
+                <div class="speech-toolbar">
+                    <button type="button" class="speech-dialog-btn" aria-pressed="false">▶ Suhbatni tinglash / Play dialogue</button>
+                    ${this.getSlowButtonHTML()}
+                </div>
+            `);
+        });
+    }
+
+    static getSlowButtonHTML() {
+        return `<button type="button" class="speech-slow-btn" aria-pressed="${this.slow}">🐢 Sekin / Slow</button>`;
+    }
+
+    /**
+     * Lines of a dialogue with the speaker before each one
+     */
+    static getDialogLines(dialog) {
+        let speaker = '';
+        const lines = [];
+
+        Array.from(dialog.children).forEach(child => {
+            if (child.classList.contains('dialog-speaker')) {
+                speaker = child.textContent.replace(/:\s*$/, '').trim();
+            } else if (child.classList.contains('dialog-text')) {
+                lines.push({ speaker, text: child.textContent.trim(), element: child });
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Voice and pitch for each speaker, in the order they first speak
+     */
+    static assignSpeakerVoices(lines) {
+        const voices = this.getEnglishVoices();
+        const speakers = [];
+        lines.forEach(line => {
+            if (!speakers.includes(line.speaker)) {
+                speakers.push(line.speaker);
+            }
+        });
+
+        const assignments = {};
+        speakers.forEach((speaker, index) => {
+            assignments[speaker] = {
+                voice: voices.length > 0 ? voices[index % voices.length] : null,
+                pitch: this.SPEAKER_PITCHES[index % this.SPEAKER_PITCHES.length]
+            };
+        });
+
+        return assignments;
+    }
+
+    /**
+     * Read a dialogue line by line, highlighting the line being spoken
+     * Playing another dialogue or pressing the button again stops it
+     */
+    static playDialog(dialog) {
+        const lines = this.getDialogLines(dialog);
+        const voices = this.assignSpeakerVoices(lines);
+
+        this.stop();
+        this.playingDialog = dialog;
+        this.setDialogPlaying(dialog, true);
+
+        const playLine = (index) => {
+            if (this.playingDialog !== dialog || index >= lines.length) {
+                return Promise.resolve(index >= lines.length);
+            }
+
+            const line = lines[index];
+            this.highlightLine(dialog, line.element);
+            return this.speak(line.text, Object.assign({ rate: this.getRate() }, voices[line.speaker]))
+                .then(spoken => spoken ? playLine(index + 1) : false);
+        };
+
+        return playLine(0).then(finished => {
+            this.highlightLine(dialog, null);
+            this.setDialogPlaying(dialog, false);
+            if (this.playingDialog === dialog) {
+                this.playingDialog = null;
+            }
+            return finished;
+        });
+    }
+
+    static setDialogPlaying(dialog, isPlaying) {
+        const button = dialog.querySelector('.speech-dialog-btn');
+        if (button) {
+            button.setAttribute('aria-pressed', String(isPlaying));
+            button.textContent = isPlaying ? '⏹ To\'xtatish / Stop' : '▶ Suhbatni tinglash / Play dialogue';
+        }
+    }
+
+    /**
+     * Mark the spoken line and its speaker; null clears the highlight
+     */
+    static highlightLine(dialog, lineElement) {
+        dialog.querySelectorAll('.speaking').forEach(element => {
+            element.classList.remove('speaking');
+            element.removeAttribute('aria-current');
+        });
+
+        if (!lineElement) {
+            return;
+        }
+
+        lineElement.classList.add('speaking');
+        lineElement.setAttribute('aria-current', 'true');
+        const speaker = lineElement.previousElementSibling;
+        if (speaker && speaker.classList.contains('dialog-speaker')) {
+            speaker.classList.add('speaking');
+        }
+    }
+
+    /**
+     * Slow mode is shared by every control on the page
+     */
+    static setSlow(isSlow) {
+        this.slow = isSlow;
+        document.querySelectorAll('.speech-slow-btn').forEach(button => {
+            button.setAttribute('aria-pressed', String(isSlow));
+        });
+    }
+
+    /**
+     * Clicks on play, dialogue and slow buttons, delegated from the document
+     */
+    static setupListeners() {
+        document.addEventListener('click', (event) => {
+            const button = event.target.closest ? event.target.closest('.speech-play-btn, .speech-dialog-btn, .speech-slow-btn') : null;
+            if (!button) {
+                return;
+            }
+
+            if (button.classList.contains('speech-slow-btn')) {
+                this.setSlow(!this.slow);
+            } else if (button.classList.contains('speech-play-btn')) {
+                this.stop();
+                this.speak(button.dataset.text);
+            } else {
+                const dialog = button.closest('.dialog');
+                if (this.playingDialog === dialog) {
+                    this.stop();
+                } else {
+                    this.playDialog(dialog);
+                }
+            }
+        });
+    }
+
+    static injectStyles() {
+        if (document.getElementById(this.STYLE_ID)) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = this.STYLE_ID;
+        style.textContent = `
+            .speech-toolbar {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-bottom: 8px;
+            }
+
+            .speech-play-btn,
+            .speech-dialog-btn,
+            .speech-slow-btn {
+                min-height: 44px;
+                min-width: 44px;
+                padding: 6px 12px;
+                border: 1px solid var(--md-sys-color-outline, #74777f);
+                border-radius: 20px;
+                background: var(--md-sys-color-surface, #fefbff);
+                color: var(--md-sys-color-on-surface, #1a1c1e);
+                font-size: 14px;
+                cursor: pointer;
+            }
+
+            .speech-play-btn {
+                padding: 4px 8px;
+                border: none;
+                background: transparent;
+            }
+
+            .speech-play-btn::before {
+                content: "🔊";
+            }
+
+            .speech-dialog-btn[aria-pressed="true"],
+            .speech-slow-btn[aria-pressed="true"] {
+                background: var(--md-sys-color-primary-container, #d3e3fd);
+                color: var(--md-sys-color-on-primary-container, #001c38);
+            }
+
+            .speech-play-btn:focus-visible,
+            .speech-dialog-btn:focus-visible,
+            .speech-slow-btn:focus-visible {
+                outline: 3px solid var(--md-sys-color-primary, #1976d2);
+                outline-offset: 2px;
+            }
+
+            .dialog-text.speaking {
+                background: var(--md-sys-color-primary-container, #d3e3fd);
+                border-radius: 4px;
+                box-shadow: -8px 0 0 var(--md-sys-color-primary-container, #d3e3fd), 8px 0 0 var(--md-sys-color-primary-container, #d3e3fd);
+            }
+
+            .dialog-speaker.speaking {
+                text-decoration: underline;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Add audio controls to a chapter page; devices without speech synthesis get none
+     */
+    static init(root = document) {
+        if (!this.isAvailable()) {
+            return false;
+        }
+
+        this.injectStyles();
+        this.addVocabularyButtons(root);
+        this.addDialogControls(root);
+        return true;
+    }
+}
+
+// Make SpeechPlayer available globally
+if (typeof window !== 'undefined') {
+    window.SpeechPlayer = SpeechPlayer;
+    SpeechPlayer.setupListeners();
+
+    document.addEventListener('DOMContentLoaded', () => {
+        SpeechPlayer.init();
+    });
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeechPlayer;
+}
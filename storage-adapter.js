@@ -0,0 +1,501 @@
+/**
+ * Storage Adapter for English for Uzbek Seasonal Workers
+ * Persists progress documents and attempt records in IndexedDB,
+ * falling back to localStorage and finally to in-memory storage
+ */
+
+/**
+ * IndexedDB backend - preferred storage, not limited by the localStorage quota
+ */
+class IndexedDBBackend {
+    constructor(dbName, version, maxAttempts) {
+        this.name = 'indexeddb';
+        this.persistent = true;
+        this.dbName = dbName;
+        this.version = version;
+        this.maxAttempts = maxAttempts;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating object stores on first use
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('records')) {
+                    db.createObjectStore('records', { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains('attempts')) {
+                    const attempts = db.createObjectStore('attempts', { keyPath: 'id', autoIncrement: true });
+                    attempts.createIndex('chapterId', 'chapterId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+
+        // Allow a later retry if opening failed (e.g. private mode)
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction and resolve with its result
+     */
+    run(storeName, mode, createRequest) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        }));
+    }
+
+    /**
+     * Verify the backend can actually store data
+     */
+    probe() {
+        const probeKey = '__storage_probe__';
+        return this.set(probeKey, true).then(() => this.remove(probeKey));
+    }
+
+    get(key) {
+        return this.run('records', 'readonly', store => store.get(key))
+            .then(record => (record ? record.value : null));
+    }
+
+    set(key, value) {
+        return this.run('records', 'readwrite', store => store.put({ key, value }));
+    }
+
+    remove(key) {
+        return this.run('records', 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Read and rewrite a record in one transaction so other tabs cannot interleave
+     */
+    update(key, transform) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction('records', 'readwrite');
+            const store = transaction.objectStore('records');
+            const getRequest = store.get(key);
+            let next = null;
+
+            getRequest.onsuccess = () => {
+                try {
+                    next = transform(getRequest.result ? getRequest.result.value : null);
+                    store.put({ key, value: next });
+                } catch (error) {
+                    transaction.abort();
+                    reject(error);
+                }
+            };
+
+            transaction.oncomplete = () => resolve(next);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        }));
+    }
+
+    addAttempt(record) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction('attempts', 'readwrite');
+            const store = transaction.objectStore('attempts');
+            const addRequest = store.add(record);
+
+            // Drop the oldest records once the log exceeds its cap
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - this.maxAttempts;
+                if (excess <= 0) return;
+
+                const cursorRequest = store.openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            };
+
+            transaction.oncomplete = () => resolve(addRequest.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        }));
+    }
+
+    getAttempts(chapterId) {
+        if (chapterId === undefined || chapterId === null) {
+            return this.run('attempts', 'readonly', store => store.getAll());
+        }
+        return this.run('attempts', 'readonly', store => store.index('chapterId').getAll(chapterId));
+    }
+
+    clearAttempts() {
+        return this.run('attempts', 'readwrite', store => store.clear());
+    }
+
+    removeAttempts(predicate) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction('attempts', 'readwrite');
+            const request = transaction.objectStore('attempts').openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (predicate(cursor.value)) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        }));
+    }
+}
+
+/**
+ * localStorage backend - used when IndexedDB is unavailable
+ */
+class LocalStorageBackend {
+    constructor(attemptsKey, maxAttempts) {
+        this.name = 'localstorage';
+        this.persistent = true;
+        this.attemptsKey = attemptsKey;
+        this.maxAttempts = maxAttempts;
+    }
+
+    probe() {
+        return new Promise(resolve => {
+            const probeKey = '__storage_probe__';
+            localStorage.setItem(probeKey, 'test');
+            localStorage.removeItem(probeKey);
+            resolve();
+        });
+    }
+
+    get(key) {
+        return new Promise(resolve => {
+            const stored = localStorage.getItem(key);
+            resolve(stored ? JSON.parse(stored) : null);
+        });
+    }
+
+    set(key, value) {
+        return new Promise(resolve => {
+            localStorage.setItem(key, JSON.stringify(value));
+            resolve();
+        });
+    }
+
+    remove(key) {
+        return new Promise(resolve => {
+            localStorage.removeItem(key);
+            resolve();
+        });
+    }
+
+    update(key, transform) {
+        return new Promise(resolve => {
+            const stored = localStorage.getItem(key);
+            const next = transform(stored ? JSON.parse(stored) : null);
+            localStorage.setItem(key, JSON.stringify(next));
+            resolve(next);
+        });
+    }
+
+    addAttempt(record) {
+        return this.get(this.attemptsKey).then(attempts => {
+            const list = Array.isArray(attempts) ? attempts : [];
+            record.id = list.length > 0 ? list[list.length - 1].id + 1 : 1;
+            list.push(record);
+
+            // Keep only the most recent attempts to stay within quota
+            if (list.length > this.maxAttempts) {
+                list.splice(0, list.length - this.maxAttempts);
+            }
+
+            return this.set(this.attemptsKey, list).then(() => record.id);
+        });
+    }
+
+    getAttempts(chapterId) {
+        return this.get(this.attemptsKey).then(attempts => {
+            const list = Array.isArray(attempts) ? attempts : [];
+            if (chapterId === undefined || chapterId === null) {
+                return list;
+            }
+            return list.filter(record => record.chapterId === chapterId);
+        });
+    }
+
+    clearAttempts() {
+        return this.remove(this.attemptsKey);
+    }
+
+    removeAttempts(predicate) {
+        return this.getAttempts().then(list => this.set(this.attemptsKey, list.filter(record => !predicate(record))));
+    }
+}
+
+/**
+ * In-memory backend - last resort so exercises keep working when nothing persists
+ */
+class MemoryBackend {
+    constructor(maxAttempts) {
+        this.name = 'memory';
+        this.persistent = false;
+        this.maxAttempts = maxAttempts;
+        this.records = new Map();
+        this.attempts = [];
+    }
+
+    probe() {
+        return Promise.resolve();
+    }
+
+    get(key) {
+        return Promise.resolve(this.records.has(key) ? this.records.get(key) : null);
+    }
+
+    set(key, value) {
+        this.records.set(key, JSON.parse(JSON.stringify(value)));
+        return Promise.resolve();
+    }
+
+    remove(key) {
+        this.records.delete(key);
+        return Promise.resolve();
+    }
+
+    update(key, transform) {
+        const next = transform(this.records.has(key) ? this.records.get(key) : null);
+        this.records.set(key, JSON.parse(JSON.stringify(next)));
+        return Promise.resolve(next);
+    }
+
+    addAttempt(record) {
+        record.id = this.attempts.length > 0 ? this.attempts[this.attempts.length - 1].id + 1 : 1;
+        this.attempts.push(record);
+
+        if (this.attempts.length > this.maxAttempts) {
+            this.attempts.splice(0, this.attempts.length - this.maxAttempts);
+        }
+
+        return Promise.resolve(record.id);
+    }
+
+    getAttempts(chapterId) {
+        if (chapterId === undefined || chapterId === null) {
+            return Promise.resolve(this.attempts.slice());
+        }
+        return Promise.resolve(this.attempts.filter(record => record.chapterId === chapterId));
+    }
+
+    clearAttempts() {
+        this.attempts = [];
+        return Promise.resolve();
+    }
+
+    removeAttempts(predicate) {
+        this.attempts = this.attempts.filter(record => !predicate(record));
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Storage adapter - selects the best working backend and serializes all operations
+ */
+class StorageAdapter {
+    static DB_NAME = 'uzbek-textbook';
+    static DB_VERSION = 1;
+    static ATTEMPTS_KEY = 'uzbek-textbook-attempts';
+    static MAX_ATTEMPTS = 2000;
+    static MAX_LOCAL_ATTEMPTS = 500;
+    static backend = null;
+    static backends = null;
+    static initPromise = null;
+    static queue = Promise.resolve();
+
+    /**
+     * Create backend candidates in order of preference
+     */
+    static createBackends() {
+        return [
+            new IndexedDBBackend(this.DB_NAME, this.DB_VERSION, this.MAX_ATTEMPTS),
+            new LocalStorageBackend(this.ATTEMPTS_KEY, this.MAX_LOCAL_ATTEMPTS),
+            new MemoryBackend(this.MAX_LOCAL_ATTEMPTS)
+        ];
+    }
+
+    /**
+     * Initialize the adapter by picking the first backend that works
+     */
+    static init() {
+        if (!this.initPromise) {
+            this.backends = this.createBackends();
+            this.initPromise = this.selectBackend(0);
+        }
+        return this.initPromise;
+    }
+
+    /**
+     * Probe backends starting at the given position and activate the first working one
+     */
+    static selectBackend(startIndex) {
+        const candidate = this.backends[startIndex];
+        if (!candidate) {
+            return Promise.reject(new Error('No storage backend available'));
+        }
+
+        return candidate.probe()
+            .then(() => {
+                this.backend = candidate;
+                console.log(`Storage backend selected: ${candidate.name}`);
+                return candidate;
+            })
+            .catch(error => {
+                console.warn(`Storage backend ${candidate.name} unavailable:`, error);
+                return this.selectBackend(startIndex + 1);
+            });
+    }
+
+    /**
+     * Switch to the next backend after a failed write (quota exceeded, private mode)
+     */
+    static degrade(failedBackend, error) {
+        if (this.backend !== failedBackend) {
+            return Promise.resolve(this.backend);
+        }
+
+        console.warn(`Storage backend ${failedBackend.name} failed, falling back:`, error);
+        const nextIndex = this.backends.indexOf(failedBackend) + 1;
+        return this.selectBackend(nextIndex);
+    }
+
+    /**
+     * Queue an operation so reads always observe earlier writes
+     */
+    static enqueue(operation, retryOnFailure = false) {
+        const result = this.queue
+            .then(() => this.init())
+            .then(backend => operation(backend).catch(error => {
+                if (!retryOnFailure) {
+                    throw error;
+                }
+                return this.degrade(backend, error).then(nextBackend => operation(nextBackend));
+            }));
+
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    static read(key) {
+        return this.enqueue(backend => backend.get(key));
+    }
+
+    static write(key, value) {
+        return this.enqueue(backend => backend.set(key, value), true);
+    }
+
+    static remove(key) {
+        return this.enqueue(backend => backend.remove(key));
+    }
+
+    /**
+     * Read, transform and write a value atomically, for documents other tabs also write
+     */
+    static update(key, transform) {
+        return this.enqueue(backend => backend.update(key, transform), true);
+    }
+
+    static addAttempt(record) {
+        return this.enqueue(backend => backend.addAttempt(record), true);
+    }
+
+    static getAttempts(chapterId = null) {
+        return this.enqueue(backend => backend.getAttempts(chapterId));
+    }
+
+    static clearAttempts() {
+        return this.enqueue(backend => backend.clearAttempts());
+    }
+
+    static removeAttempts(predicate) {
+        return this.enqueue(backend => backend.removeAttempts(predicate));
+    }
+
+    /**
+     * Check whether data written now will survive a page reload
+     */
+    static isPersistent() {
+        return !!this.backend && this.backend.persistent;
+    }
+
+    /**
+     * Read a value written by older versions directly into localStorage
+     */
+    static readLegacy(key) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Could not read legacy localStorage data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove legacy localStorage data once it lives in another backend
+     */
+    static clearLegacy(key) {
+        return this.enqueue(backend => {
+            if (backend.name !== 'localstorage') {
+                try {
+                    localStorage.removeItem(key);
+                } catch (error) {
+                    console.warn('Could not remove legacy localStorage data:', error);
+                }
+            }
+            return Promise.resolve();
+        });
+    }
+}
+
+// Make StorageAdapter available globally
+if (typeof window !== 'undefined') {
+    window.StorageAdapter = StorageAdapter;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageAdapter, IndexedDBBackend, LocalStorageBackend, MemoryBackend };
+}
@@ -13,8 +13,22 @@ const STATIC_FILES = [
     '/glossary.html',
     '/grammar-reference.html',
     '/course-info.html',
+    '/review.html',
+    '/placement.html',
     '/user-guide.html',
+    '/course-manifest.js',
+    '/storage-adapter.js',
     '/progress-tracker.js',
+    '/review-scheduler.js',
+    '/placement-test.js',
+    '/speech-player.js',
+    '/scenarios/strawberry-picking.json',
+    '/scenarios/packhouse.json',
+    '/scenarios/greenhouse.json',
+    '/scenarios/poultry.json',
+    '/dialogues/supervisor-late.json',
+    '/dialogues/doctor-appointment.json',
+    '/dialogues/bank-account.json',
     '/interactive-exercises.js',
     '/certificate-generator.js',
     // Chapter files
@@ -127,9 +141,12 @@ self.addEventListener('fetch', function(event) {
                     .catch(function(error) {
                         console.log('Fetch failed, serving offline page:', error);
                         
-                        // For HTML requests, return the main page as fallback
+                        // For HTML requests, return the page without its query (e.g. ?mode=quiz), then the main page
                         if (event.request.headers.get('accept').includes('text/html')) {
-                            return caches.match('/index.html');
+                            return caches.match(event.request, { ignoreSearch: true })
+                                .then(function(pageResponse) {
+                                    return pageResponse || caches.match('/index.html');
+                                });
                         }
                         
                         // For other requests, just fail
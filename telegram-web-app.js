@@ -71,7 +71,9 @@ class TelegramWebApp {
             case 'index':
                 mainButton.setText('Start Learning');
                 mainButton.onClick(() => {
-                    window.location.href = 'Chapter_0_Foundations_Alphabet_Numbers.html';
+                    this.getStartPage().then(page => {
+                        window.location.href = page;
+                    });
                 });
                 mainButton.show();
                 break;
@@ -145,13 +147,27 @@ class TelegramWebApp {
         return 'other';
     }
 
+    /**
+     * New learners take the placement test first; others start at its recommendation, or Chapter 0 without one
+     * Resolves once stored progress has loaded, so a returning learner is never taken for a new one
+     */
+    getStartPage() {
+        if (typeof ProgressTracker === 'undefined') {
+            return Promise.resolve('Chapter_0_Foundations_Alphabet_Numbers.html');
+        }
+        return ProgressTracker.ready.then(() => {
+            if (!ProgressTracker.hasStarted()) {
+                return 'placement.html';
+            }
+            return ProgressTracker.getStartChapter().file;
+        });
+    }
+
     goToNextChapter() {
         // Logic to navigate to next chapter
-        const currentChapter = this.getCurrentChapterNumber();
-        if (currentChapter < 24) {
-            const nextChapter = currentChapter + 1;
-            const nextChapterFile = this.getChapterFileName(nextChapter);
-            window.location.href = nextChapterFile;
+        const nextChapter = CourseManifest.getNextChapter(this.getCurrentChapterNumber());
+        if (nextChapter) {
+            window.location.href = this.getChapterFileName(nextChapter.id);
         } else {
             window.location.href = 'course-completion.html';
         }
@@ -164,36 +180,7 @@ class TelegramWebApp {
     }
 
     getChapterFileName(chapterNumber) {
-        if (chapterNumber === 0) return 'Chapter_0_Foundations_Alphabet_Numbers.html';
-        if (chapterNumber === 1) return 'English_for_Uzbek_Seasonal_Workers.html';
-        
-        const chapterNames = {
-            2: 'Numbers_Time',
-            3: 'Objects_Colours',
-            4: 'Basic_Verbs',
-            5: 'Adjectives_Adverbs',
-            6: 'Accommodation_Furniture',
-            7: 'Transportation_Travel',
-            8: 'Places_Navigation',
-            9: 'Shopping_Transactions',
-            10: 'Clothing_Weather',
-            11: 'Food_Cooking_Ordering',
-            12: 'Health_Medical',
-            13: 'Farm_Work_Tasks',
-            14: 'Employer_Instructions',
-            15: 'Requests_Permissions',
-            16: 'Banking_Finance',
-            17: 'Emergency_Safety',
-            18: 'Communication_Skills',
-            19: 'Countries_Languages',
-            20: 'Free_Time_Social',
-            21: 'Sports_Activities',
-            22: 'Family_Relations',
-            23: 'Writing_Forms',
-            24: 'Jobs_Future_Review'
-        };
-        
-        return `Chapter_${chapterNumber}_${chapterNames[chapterNumber]}.html`;
+        return CourseManifest.getChapterFile(chapterNumber) || 'index.html';
     }
 
     goBack() {